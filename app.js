@@ -1,7 +1,26 @@
 import { router as defaultRoutes } from './routes/default.js';
 import primate from '@thewebchimp/primate';
+import TelemetryStreamService from './services/telemetry-stream.service.js';
+import RewardEpochService from './services/reward-epoch.service.js';
+import VestingService from './services/vesting.service.js';
+import DtcCatalogueService from './services/dtc-catalogue.service.js';
 
 await primate.setup();
 await primate.start();
 
 primate.app.use('/', defaultRoutes);
+
+// WebSocket equivalente al stream SSE de telemetría
+TelemetryStreamService.startWebSocketServer({ port: Number(process.env.WS_PORT || 1338) });
+
+// Códigos importados en la base de datos: recompensas y resúmenes los usan desde el arranque
+// (si la base de datos no responde, los flujos que dependen del catálogo vuelven a intentarlo con ensureLoaded)
+DtcCatalogueService.load().catch(error => {
+  console.error('❌ Error loading DTC catalogue from database:', error);
+});
+
+// Cierre de los epochs de recompensas al terminar su periodo (REWARD_SETTLEMENT=EPOCH)
+RewardEpochService.startScheduler();
+
+// Liberación periódica de las recompensas en vesting
+VestingService.startScheduler();
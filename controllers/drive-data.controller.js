@@ -3,6 +3,26 @@ import path from 'path';
 import DataMarketplace from '../services/data-driver-simulator.service.js';
 import TokenRewardManager from '../services/token-reward-manager.service.js';
 import DriveDataSimulator from '../services/car-data.service.js';
+import SimulationSessionManager from '../services/simulation-session-manager.service.js';
+import TelemetryStreamService from '../services/telemetry-stream.service.js';
+import TelemetryStoreService from '../services/telemetry-store.service.js';
+import RouteGeometryService from '../services/route-geometry.service.js';
+import DrivingBehaviourService from '../services/driving-behaviour.service.js';
+import TripIngestionService from '../services/trip-ingestion.service.js';
+import DtcCatalogueService from '../services/dtc-catalogue.service.js';
+import VehicleRegistryService from '../services/vehicle-registry.service.js';
+import VinDecoderService from '../services/vin-decoder.service.js';
+import FleetService from '../services/fleet.service.js';
+import MaintenanceAnalyticsService from '../services/maintenance-analytics.service.js';
+import TripSegmentationService from '../services/trip-segmentation.service.js';
+import PrivacyZoneService from '../services/privacy-zone.service.js';
+import LocationAnonymizerService from '../services/location-anonymizer.service.js';
+import RewardPolicyService from '../services/reward-policy.service.js';
+import RewardClaimService from '../services/reward-claim.service.js';
+import RewardEpochService from '../services/reward-epoch.service.js';
+import VestingService from '../services/vesting.service.js';
+import FraudDetectionService from '../services/fraud-detection.service.js';
+import SeededRandom from '../utils/seeded-random.js';
 
 import { PrismaClient } from '@prisma/client';
 
@@ -83,7 +103,8 @@ class DriveDataController {
           maxSpeed: route.maxSpeed,
           trafficDensity: route.trafficDensity,
           fuelConsumption: route.fuelConsumption,
-          elevationChange: route.elevationChange
+          elevationChange: route.elevationChange,
+          geometry: route.geometry
         })),
         message: `Found ${routes.length} available routes`
       };
@@ -100,6 +121,77 @@ class DriveDataController {
     }
   }
 
+  /**
+   * Actualizar el trazado de una ruta a partir de GeoJSON o de una polilínea codificada
+   * PUT /api/routes/:routeType/geometry
+   */
+  static async updateRouteGeometry(req, res) {
+    console.log('📋 updateRouteGeometry - Request params:', req.params);
+    try {
+      const { routeType } = req.params;
+      const { geojson, polyline } = req.body;
+
+      if (!geojson && !polyline) {
+        return res.respond({
+          success: false,
+          status: 400,
+          message: 'Either geojson or polyline is required'
+        });
+      }
+
+      let geometry;
+      try {
+        geometry = RouteGeometryService.parseGeometry(geojson || polyline);
+      } catch (parseError) {
+        console.log(`⛔ Invalid route geometry: ${parseError.message}`);
+        return res.respond({
+          success: false,
+          status: 400,
+          message: parseError.message
+        });
+      }
+
+      const route = await prisma.simulationRoute.findUnique({
+        where: { routeType }
+      });
+
+      if (!route) {
+        return res.respond({
+          success: false,
+          status: 404,
+          message: `Route type "${routeType}" not found`
+        });
+      }
+
+      const updatedRoute = await prisma.simulationRoute.update({
+        where: { routeType },
+        data: { geometry }
+      });
+
+      const { lengthM } = RouteGeometryService.buildPath(geometry);
+      console.log(`✅ Route ${routeType} geometry updated: ${geometry.coordinates.length} points, ${(lengthM / 1000).toFixed(2)} km`);
+
+      return res.respond({
+        success: true,
+        data: {
+          id: updatedRoute.routeType,
+          geometry: updatedRoute.geometry,
+          pointsCount: geometry.coordinates.length,
+          lengthKm: parseFloat((lengthM / 1000).toFixed(2))
+        },
+        message: 'Route geometry updated successfully'
+      });
+    } catch (error) {
+      console.error('❌ Error updating route geometry:', error);
+      console.error('❌ Stack trace:', error.stack);
+      return res.respond({
+        success: false,
+        status: 500,
+        message: `Failed to update route geometry: ${error.message}`
+      });
+    }
+  }
+
   /**
    * Iniciar simulación de conducción
    * POST /api/simulations
@@ -107,9 +199,9 @@ class DriveDataController {
   static async startSimulation(req, res) {
     try {
       console.log('📋 startSimulation - Request body:', req.body);
-      const { routeType, durationMinutes, walletAddress } = req.body;
+      const { routeType, durationMinutes, walletAddress, seed, speedFactor = 1, instant = false, vehicleId } = req.body;
 
-      console.log(`📝 Parameters: routeType=${routeType}, durationMinutes=${durationMinutes}, walletAddress=${walletAddress}`);
+      console.log(`📝 Parameters: routeType=${routeType}, durationMinutes=${durationMinutes}, walletAddress=${walletAddress}, seed=${seed}, speedFactor=${speedFactor}, instant=${instant}, vehicleId=${vehicleId}`);
 
       if (!routeType || !durationMinutes) {
         console.log('⛔ Missing required parameters');
@@ -120,6 +212,48 @@ class DriveDataController {
         });
       }
 
+      if (seed !== undefined && seed !== null && (!['string', 'number'].includes(typeof seed) || String(seed).length === 0 || String(seed).length > 64)) {
+        console.log('⛔ Invalid seed');
+        return res.respond({
+          success: false,
+          status: 400,
+          message: 'Seed must be a non-empty string or number of at most 64 characters'
+        });
+      }
+
+      const simulationSpeedFactor = Number(speedFactor);
+      if (!instant && (!Number.isFinite(simulationSpeedFactor) || simulationSpeedFactor <= 0 || simulationSpeedFactor > SimulationSessionManager.MAX_SPEED_FACTOR)) {
+        console.log('⛔ Invalid speed factor');
+        return res.respond({
+          success: false,
+          status: 400,
+          message: `Speed factor must be a number greater than 0 and at most ${SimulationSessionManager.MAX_SPEED_FACTOR}`
+        });
+      }
+
+      const simulationDuration = Number(durationMinutes);
+      const maxDuration = SimulationSessionManager.getMaxDuration(Boolean(instant));
+      if (!Number.isFinite(simulationDuration) || simulationDuration <= 0 || simulationDuration > maxDuration) {
+        console.log('⛔ Invalid duration');
+        return res.respond({
+          success: false,
+          status: 400,
+          message: `Duration must be a number of minutes greater than 0 and at most ${maxDuration}${instant ? ' in instant mode' : ''}`
+        });
+      }
+
+      // Toda simulación guarda su semilla para poder reproducirla exactamente
+      const simulationSeed = seed !== undefined && seed !== null ? String(seed) : SeededRandom.generateSeed();
+
+      if (vehicleId && !walletAddress) {
+        console.log('⛔ Vehicle without wallet address');
+        return res.respond({
+          success: false,
+          status: 400,
+          message: 'Wallet address is required to simulate a registered vehicle'
+        });
+      }
+
       // Buscar o crear usuario si se proporciona dirección de wallet
       let userId = null;
       if (walletAddress) {
@@ -133,15 +267,18 @@ class DriveDataController {
         console.log(`👤 User resolved with ID: ${userId}`);
       }
 
-      // Verificar si ya hay una simulación en ejecución
-      console.log(`🔄 Checking simulation status. Current isStreaming value: ${DriveDataSimulator.isStreaming}`);
-      if (DriveDataSimulator.isStreaming) {
-        console.log('⚠️ A simulation is already running');
-        return res.respond({
-          success: false,
-          status: 400,
-          message: 'A simulation is already running'
-        });
+      // Vehículo registrado del usuario (opcional): su depósito fija el consumo en litros
+      let vehicle = null;
+      if (vehicleId) {
+        vehicle = await VehicleRegistryService.getUserVehicle(userId, vehicleId);
+        if (!vehicle) {
+          console.log(`⚠️ Vehicle ${vehicleId} not found for wallet ${walletAddress}`);
+          return res.respond({
+            success: false,
+            status: 404,
+            message: `Vehicle with ID ${vehicleId} not found for this wallet`
+          });
+        }
       }
 
       // Verificar si hay datos cargados
@@ -163,76 +300,14 @@ class DriveDataController {
         }
       }
 
-      // Iniciar simulación
-      console.log(`🚀 Starting simulation with routeType=${routeType}, durationMinutes=${durationMinutes}`);
-      let dataStream;
-      try {
-        // Guardamos el valor actual para comparar
-        const wasStreaming = DriveDataSimulator.isStreaming;
-        console.log(`👉 Before startSimulation call: isStreaming=${wasStreaming}`);
-
-        // Verifiquemos que DriveDataSimulator y su método startSimulation existen
-        console.log(`🔍 DriveDataSimulator exists: ${!!DriveDataSimulator}`);
-        console.log(`🔍 startSimulation method exists: ${!!DriveDataSimulator.startSimulation}`);
-        console.log(`🔍 Type of startSimulation: ${typeof DriveDataSimulator.startSimulation}`);
-
-        // Llamamos al método con los parámetros
-        dataStream = DriveDataSimulator.startSimulation(
-          routeType,
-          Number(durationMinutes)
-        );
-
-        // Verifiquemos el resultado
-        console.log(`👉 After startSimulation call: dataStream=${!!dataStream}, type=${typeof dataStream}`);
-        console.log(`👉 After startSimulation call: isStreaming=${DriveDataSimulator.isStreaming}`);
-
-        if (!dataStream) {
-          console.log('⚠️ No data stream returned from startSimulation');
-          return res.respond({
-            success: false,
-            status: 400,
-            message: 'Failed to start simulation: No data stream returned'
-          });
-        }
-
-        // Si isStreaming no cambió, hay un problema en el método startSimulation
-        if (wasStreaming === DriveDataSimulator.isStreaming && !DriveDataSimulator.isStreaming) {
-          console.log('⚠️ startSimulation did not set isStreaming flag to true');
-        }
-
-      } catch (simError) {
-        console.error('❌ Error in startSimulation call:', simError);
-        console.error('❌ Stack trace:', simError.stack);
-        return res.respond({
-          success: false,
-          status: 400,
-          message: `Failed to start simulation: ${simError.message}`
-        });
-      }
-
       // Buscar la ruta para incluir detalles en la respuesta
       console.log(`🔍 Looking up route details for: ${routeType}`);
       const simulationRoute = await prisma.simulationRoute.findUnique({
         where: { routeType }
       });
 
-      // Log del resultado de la búsqueda de ruta
-      console.log(`👉 Route lookup result: ${!!simulationRoute ? 'Found' : 'Not found'}`);
-      if (simulationRoute) {
-        console.log(`👉 Route details: ${JSON.stringify(simulationRoute)}`);
-      }
-
-      // Si no se encuentra la ruta, mostrar un error más descriptivo
       if (!simulationRoute) {
-        console.log(`⚠️ Route type "${routeType}" not found, stopping simulation`);
-        try {
-          DriveDataSimulator.stopSimulation(); // Detener la simulación iniciada
-          console.log('✅ Simulation stopped successfully');
-        } catch (stopError) {
-          console.error('❌ Error stopping simulation:', stopError);
-          console.error('❌ Stack trace:', stopError.stack);
-        }
-
+        console.log(`⚠️ Route type "${routeType}" not found`);
         return res.respond({
           success: false,
           status: 400,
@@ -240,18 +315,79 @@ class DriveDataController {
         });
       }
 
-      // Registrar simulación en la base de datos
+      // Registrar simulación en la base de datos; su ID identifica la sesión
       console.log('💾 Creating simulation record in database');
       const simulation = await prisma.simulation.create({
         data: {
           routeType,
           userId: userId,
+          vehicleId: vehicle?.id || null,
+          seed: simulationSeed,
+          speedFactor: instant ? null : simulationSpeedFactor,
+          instant: Boolean(instant),
           status: 'RUNNING',
           dataPointsCount: 0
         }
       });
       console.log(`✅ Simulation record created with ID: ${simulation.id}`);
 
+      // Iniciar sesión de simulación aislada, o generarla completa en modo instantáneo
+      console.log(`🚀 Starting session ${simulation.id} with routeType=${routeType}, durationMinutes=${durationMinutes}`);
+      let instantResult = null;
+      try {
+        const sessionOptions = {
+          routeType,
+          durationMinutes: simulationDuration,
+          seed: simulationSeed,
+          route: simulationRoute,
+          speedFactor: simulationSpeedFactor,
+          userId,
+          registeredVehicle: vehicle
+        };
+
+        if (instant) {
+          instantResult = await SimulationSessionManager.runInstantSession(simulation.id, sessionOptions);
+        } else {
+          SimulationSessionManager.startSession(simulation.id, sessionOptions);
+        }
+      } catch (simError) {
+        console.error('❌ Error starting simulation session:', simError);
+        console.error('❌ Stack trace:', simError.stack);
+        await prisma.simulation.update({
+          where: { id: simulation.id },
+          data: { status: 'FAILED', endedAt: new Date() }
+        });
+        return res.respond({
+          success: false,
+          status: 400,
+          message: `Failed to start simulation: ${simError.message}`
+        });
+      }
+
+      if (instantResult) {
+        console.log('🏁 Instant simulation completed, building response');
+        const session = SimulationSessionManager.getSession(simulation.id);
+        return res.respond({
+          success: true,
+          data: {
+            simulationId: simulation.id,
+            route: simulationRoute.name,
+            routeType: routeType,
+            duration: simulationDuration,
+            seed: simulationSeed,
+            vehicleId: simulation.vehicleId,
+            instant: true,
+            status: session.status,
+            userId: userId,
+            walletAddress: walletAddress || 'anonymous',
+            startedAt: simulation.createdAt.toISOString(),
+            completedAt: session.stoppedAt.toISOString(),
+            summary: instantResult.summary
+          },
+          message: 'Simulation completed successfully'
+        });
+      }
+
       // Enriquecer la respuesta con datos adicionales
       console.log('🏁 Simulation started successfully, building response');
       const response = {
@@ -260,12 +396,15 @@ class DriveDataController {
           simulationId: simulation.id,
           route: simulationRoute.name,
           routeType: routeType,
-          duration: Number(durationMinutes),
+          duration: simulationDuration,
+          seed: simulationSeed,
+          vehicleId: simulation.vehicleId,
+          speedFactor: simulationSpeedFactor,
           routeDetails: simulationRoute,
           userId: userId,
           walletAddress: walletAddress || 'anonymous',
           startedAt: simulation.createdAt.toISOString(),
-          estimatedCompletionTime: new Date(Date.now() + (durationMinutes * 60 * 1000)).toISOString()
+          estimatedCompletionTime: new Date(Date.now() + (simulationDuration * 60 * 1000) / simulationSpeedFactor).toISOString()
         },
         message: 'Simulation started successfully'
       };
@@ -283,146 +422,240 @@ class DriveDataController {
   }
 
   /**
-   * Obtener estado actual de simulación
-   * GET /api/simulations/status
+   * Subir un viaje real registrado por el dispositivo del usuario (CSV o JSON)
+   * POST /api/trips/upload (multipart: file, walletAddress, routeType, columnMapping y vehicleId opcionales)
    */
-  static async getSimulationStatus(req, res) {
-    console.log('📋 getSimulationStatus - Request params:', req.params);
-    console.log('📋 getSimulationStatus - Request query:', req.query);
+  static async uploadTrip(req, res) {
+    console.log('📋 uploadTrip - Request body:', req.body);
     try {
-      console.log('🔍 Getting simulation status');
-      const status = DriveDataSimulator.getSimulationStatus();
-      console.log('👉 Current status:', status);
+      const { walletAddress, routeType, columnMapping, vehicleId } = req.body;
+      const file = req.file;
 
-      // Si hay una simulación activa, buscar su registro en la base de datos
-      let dbSimulation = null;
-      if (status.isActive) {
-        console.log('🔍 Searching for active simulation in database');
-        // Buscar simulación más reciente con estado RUNNING
-        dbSimulation = await prisma.simulation.findFirst({
-          where: { status: 'RUNNING' },
-          orderBy: { createdAt: 'desc' }
+      if (!walletAddress) {
+        return res.respond({
+          success: false,
+          status: 400,
+          message: 'Wallet address is required'
         });
-        console.log('👉 Database simulation:', dbSimulation);
       }
 
-      const response = {
+      if (!file) {
+        return res.respond({
+          success: false,
+          status: 400,
+          message: 'A CSV or JSON file is required in the "file" field'
+        });
+      }
+
+      console.log(`📝 Parameters: walletAddress=${walletAddress}, file=${file.originalname} (${file.size} bytes), routeType=${routeType}, columnMapping=${columnMapping}`);
+
+      let parsed;
+      try {
+        parsed = await TripIngestionService.parseFile(file, { mapping: columnMapping });
+      } catch (parseError) {
+        console.log(`⛔ Invalid trip file: ${parseError.message}`);
+        return res.respond({
+          success: false,
+          status: 400,
+          message: parseError.message
+        });
+      }
+
+      const { format, points, rejectedCount, errors } = parsed;
+      console.log(`👉 Parsed ${format} file: ${points.length} points, rejected ${rejectedCount}`);
+
+      if (points.length < TripIngestionService.MIN_POINTS) {
+        return res.respond({
+          success: false,
+          status: 400,
+          message: `Trip must contain at least ${TripIngestionService.MIN_POINTS} valid records`,
+          data: { rejectedCount, errors }
+        });
+      }
+
+      const user = await prisma.user.upsert({
+        where: { walletAddress },
+        update: {},
+        create: { walletAddress }
+      });
+
+      let vehicle = null;
+      if (vehicleId) {
+        vehicle = await VehicleRegistryService.getUserVehicle(user.id, vehicleId);
+        if (!vehicle) {
+          return res.respond({
+            success: false,
+            status: 404,
+            message: `Vehicle with ID ${vehicleId} not found for this wallet`
+          });
+        }
+      }
+
+      const { simulation, summary, behaviour } = await TripIngestionService.createUploadedTrip({
+        userId: user.id,
+        points,
+        routeType,
+        originalFilename: file.originalname,
+        vehicle
+      });
+      console.log(`✅ Uploaded trip stored as simulation ${simulation.id}`);
+
+      return res.respond({
         success: true,
         data: {
-          ...status,
-          simulationId: dbSimulation?.id
+          simulationId: simulation.id,
+          source: simulation.source,
+          status: simulation.status,
+          routeType: simulation.routeType,
+          vehicleId: simulation.vehicleId,
+          vehicleLabel: simulation.vehicleLabel,
+          acceptedCount: points.length,
+          rejectedCount,
+          errors,
+          summary,
+          safetyScore: behaviour.safetyScore
         },
-        message: status.isActive ? 'Simulation is running' : 'No simulation is running'
-      };
-      console.log('📤 Respuesta:', response);
-      return res.respond(response);
+        message: `Trip uploaded with ${points.length} data points`
+      });
     } catch (error) {
-      console.error('❌ Error getting simulation status:', error);
+      console.error('❌ Error uploading trip:', error);
       console.error('❌ Stack trace:', error.stack);
       return res.respond({
         success: false,
         status: 500,
-        message: `Failed to get simulation status: ${error.message}`
+        message: `Failed to upload trip: ${error.message}`
       });
     }
   }
 
   /**
-   * Detener simulación actual
-   * POST /api/simulations/stop
+   * Ingerir un lote de tramas OBD-II en bruto (respuestas ELM327 de modo 01 y 03) como un viaje
+   * POST /api/trips/obd-frames (walletAddress, frames; vehicleId, vehicleLabel y routeType opcionales)
    */
-  static async stopSimulation(req, res) {
-    console.log('📋 stopSimulation - Request body:', req.body);
+  static async uploadObdFrames(req, res) {
+    console.log(`📋 uploadObdFrames - walletAddress=${req.body?.walletAddress}, frames=${req.body?.frames?.length}`);
     try {
-      console.log('🛑 Stopping simulation');
-      const result = DriveDataSimulator.stopSimulation();
-      console.log('👉 Stop result:', result);
+      const { walletAddress, vehicleId, vehicleLabel, routeType, frames } = req.body;
 
-      if (!result.success) {
-        console.log('⚠️ Failed to stop simulation:', result.message);
+      if (!walletAddress) {
         return res.respond({
           success: false,
           status: 400,
-          message: result.message
+          message: 'Wallet address is required'
         });
       }
 
-      // Actualizar registro de simulación en la base de datos
-      console.log('🔍 Looking for active simulation in database');
-      const simulation = await prisma.simulation.findFirst({
-        where: { status: 'RUNNING' },
-        orderBy: { createdAt: 'desc' }
+      const user = await prisma.user.upsert({
+        where: { walletAddress },
+        update: {},
+        create: { walletAddress }
       });
-      console.log('👉 Found simulation:', simulation);
 
-      if (simulation) {
-        console.log(`💾 Updating simulation ${simulation.id} in database`);
-        await prisma.simulation.update({
-          where: { id: simulation.id },
-          data: {
-            status: 'COMPLETED',
-            endedAt: new Date(),
-            durationMinutes: result.summary.durationMinutes,
-            distanceKm: result.summary.distanceKm,
-            avgSpeedKmph: result.summary.averageSpeedKmph,
-            maxSpeedKmph: result.summary.maxSpeedKmph,
-            efficiencyScore: result.summary.efficiencyScore,
-            dataPointsCount: result.summary.dataPointsCollected,
-            rawData: DriveDataSimulator.simulationData.slice(0, 20), // Guardar solo algunos puntos de muestra
-            diagnosticIssues: result.summary.diagnosticIssues
-          }
+      // Con un vehículo registrado, los puntos se etiquetan con su ID externo o su VIN
+      let vehicle = null;
+      if (vehicleId) {
+        vehicle = await VehicleRegistryService.getUserVehicle(user.id, vehicleId);
+        if (!vehicle) {
+          return res.respond({
+            success: false,
+            status: 404,
+            message: `Vehicle with ID ${vehicleId} not found for this wallet`
+          });
+        }
+      }
+
+      let decoded;
+      try {
+        decoded = TripIngestionService.decodeFrames(frames, {
+          vehicleLabel: vehicleLabel || vehicle?.externalId || vehicle?.vin
+        });
+      } catch (decodeError) {
+        console.log(`⛔ Invalid frame batch: ${decodeError.message}`);
+        return res.respond({
+          success: false,
+          status: 400,
+          message: decodeError.message
         });
-        console.log('✅ Simulation updated successfully');
       }
 
-      const response = {
+      const { points, frameCount, rejectedCount, errors } = decoded;
+      console.log(`👉 Decoded ${frameCount} frames into ${points.length} points, rejected ${rejectedCount} frames`);
+
+      if (points.length < TripIngestionService.MIN_POINTS) {
+        return res.respond({
+          success: false,
+          status: 400,
+          message: `Frames must decode to at least ${TripIngestionService.MIN_POINTS} data points with speed or position`,
+          data: { frameCount, rejectedCount, errors }
+        });
+      }
+
+      const { simulation, summary, behaviour } = await TripIngestionService.createUploadedTrip({
+        userId: user.id,
+        points,
+        routeType,
+        source: 'OBD_FRAMES',
+        vehicle
+      });
+      console.log(`✅ OBD frame batch stored as simulation ${simulation.id}`);
+
+      return res.respond({
         success: true,
         data: {
-          ...result,
-          simulationId: simulation?.id
+          simulationId: simulation.id,
+          source: simulation.source,
+          status: simulation.status,
+          routeType: simulation.routeType,
+          vehicleId: simulation.vehicleId,
+          vehicleLabel: simulation.vehicleLabel,
+          frameCount,
+          acceptedCount: points.length,
+          rejectedCount,
+          errors,
+          summary,
+          safetyScore: behaviour.safetyScore
         },
-        message: 'Simulation stopped successfully'
-      };
-      console.log('📤 Respuesta:', response);
-      return res.respond(response);
+        message: `Decoded ${frameCount} frames into ${points.length} data points`
+      });
     } catch (error) {
-      console.error('❌ Error stopping simulation:', error);
+      console.error('❌ Error ingesting OBD frames:', error);
       console.error('❌ Stack trace:', error.stack);
       return res.respond({
         success: false,
         status: 500,
-        message: `Failed to stop simulation: ${error.message}`
+        message: `Failed to ingest OBD frames: ${error.message}`
       });
     }
   }
 
   /**
-   * Generar recompensa por datos recolectados
-   * POST /api/rewards
+   * Obtener estado de una simulación
+   * GET /api/simulations/:simulationId/status
    */
-  static async generateReward(req, res) {
-    console.log('📋 generateReward - Request body:', req.body);
+  static async getSimulationStatus(req, res) {
+    console.log('📋 getSimulationStatus - Request params:', req.params);
     try {
-      const { walletAddress, simulationId } = req.body;
-      console.log(`📝 Parameters: walletAddress=${walletAddress}, simulationId=${simulationId}`);
+      const { simulationId } = req.params;
+      console.log(`📝 Parameters: simulationId=${simulationId}`);
 
-      if (!walletAddress) {
-        console.log('⛔ Missing required parameter: walletAddress');
+      if (!simulationId) {
+        console.log('⛔ Missing required parameter: simulationId');
         return res.respond({
           success: false,
           status: 400,
-          message: 'Wallet address is required'
+          message: 'Simulation ID is required'
         });
       }
 
-      // Verificar si la simulación existe
-      let simulation = null;
-      if (simulationId) {
-        console.log(`🔍 Looking up simulation with ID: ${simulationId}`);
-        simulation = await prisma.simulation.findUnique({
+      console.log(`🔍 Getting session status for simulation ${simulationId}`);
+      const status = await SimulationSessionManager.getSessionStatus(simulationId);
+
+      // Si la sesión ya no está en memoria, responder con el registro persistido
+      if (!status) {
+        console.log('🔍 Session not in memory, searching simulation in database');
+        const simulation = await prisma.simulation.findUnique({
           where: { id: simulationId }
         });
-        console.log('👉 Simulation found:', simulation);
 
         if (!simulation) {
           console.log(`⚠️ Simulation with ID ${simulationId} not found`);
@@ -432,832 +665,3215 @@ class DriveDataController {
             message: `Simulation with ID ${simulationId} not found`
           });
         }
-      }
 
-      // Obtener datos de simulación
-      console.log('🔍 Checking simulation data');
-      const simulationData = DriveDataSimulator.simulationData;
-      console.log(`👉 Simulation data length: ${simulationData?.length || 0}`);
-
-      if (!simulationData || simulationData.length === 0) {
-        console.log('⚠️ No simulation data available for reward');
         return res.respond({
-          success: false,
-          status: 400,
-          message: 'No simulation data available for reward'
+          success: true,
+          data: {
+            simulationId,
+            routeType: simulation.routeType,
+            status: simulation.status,
+            isActive: false,
+            dataPointsCollected: simulation.dataPointsCount,
+            startedAt: simulation.startedAt,
+            stoppedAt: simulation.endedAt
+          },
+          message: 'Simulation is not running'
         });
       }
 
-      // Calcular recompensa
-      console.log('💰 Calculating reward amount');
-      const rewardAmount = DriveDataSimulator.getDataBatchRewardValue(simulationData);
-      console.log(`👉 Calculated reward amount: ${rewardAmount}`);
-
-      // Generar transacción de recompensa
-      console.log(`💰 Processing reward of ${rewardAmount} tokens for ${walletAddress}`);
-      const rewardResult = await TokenRewardManager.mintRewardTokens(
-        walletAddress,
-        rewardAmount,
-        simulationId
-      );
-      console.log('👉 Reward result:', rewardResult);
-
       const response = {
-        success: rewardResult.success,
-        data: rewardResult,
-        message: rewardResult.success
-          ? `Reward of ${rewardAmount} DRVL tokens processed for ${walletAddress}`
-          : `Reward requires frontend signing: ${rewardAmount} DRVL tokens for ${walletAddress}`
+        success: true,
+        data: status,
+        message: status.isActive ? 'Simulation is running' : 'Simulation is not running'
       };
       console.log('📤 Respuesta:', response);
       return res.respond(response);
     } catch (error) {
-      console.error('❌ Error generating reward:', error);
+      console.error('❌ Error getting simulation status:', error);
       console.error('❌ Stack trace:', error.stack);
       return res.respond({
         success: false,
         status: 500,
-        message: `Failed to generate reward: ${error.message}`
+        message: `Failed to get simulation status: ${error.message}`
       });
     }
   }
 
   /**
-   * Ejecutar airdrop de tokens (solo devnet)
-   * POST /api/airdrops
+   * Detener una simulación
+   * POST /api/simulations/:simulationId/stop
    */
-  static async executeAirdrop(req, res) {
-    console.log('📋 executeAirdrop - Request body:', req.body);
+  static async stopSimulation(req, res) {
+    console.log('📋 stopSimulation - Request params:', req.params);
     try {
-      const { walletAddress, amount } = req.body;
-      console.log(`📝 Parameters: walletAddress=${walletAddress}, amount=${amount}`);
+      const { simulationId } = req.params;
+      console.log(`📝 Parameters: simulationId=${simulationId}`);
 
-      if (!walletAddress) {
-        console.log('⛔ Missing required parameter: walletAddress');
+      if (!simulationId) {
+        console.log('⛔ Missing required parameter: simulationId');
         return res.respond({
           success: false,
           status: 400,
-          message: 'Wallet address is required'
+          message: 'Simulation ID is required'
         });
       }
 
-      // Ejecutar airdrop
-      console.log(`💸 Executing airdrop of ${amount || 100} tokens to ${walletAddress}`);
-      const airdropResult = await TokenRewardManager.airdropTokens(
-        walletAddress,
-        amount || 100
-      );
-      console.log('👉 Airdrop result:', airdropResult);
+      console.log(`🛑 Stopping simulation ${simulationId}`);
+      const result = await SimulationSessionManager.stopSession(simulationId);
+      console.log('👉 Stop result:', result);
+
+      if (!result.success) {
+        console.log('⚠️ Failed to stop simulation:', result.message);
+        return res.respond({
+          success: false,
+          status: SimulationSessionManager.getSession(simulationId) ? 400 : 404,
+          message: result.message
+        });
+      }
 
       const response = {
-        success: airdropResult.success,
-        data: airdropResult,
-        message: airdropResult.success
-          ? `Airdrop of ${amount || 100} DRVL tokens completed for ${walletAddress}`
-          : `Airdrop failed: ${airdropResult.error}`
+        success: true,
+        data: {
+          ...result,
+          simulationId
+        },
+        message: 'Simulation stopped successfully'
       };
       console.log('📤 Respuesta:', response);
       return res.respond(response);
     } catch (error) {
-      console.error('❌ Error executing airdrop:', error);
+      console.error('❌ Error stopping simulation:', error);
       console.error('❌ Stack trace:', error.stack);
       return res.respond({
         success: false,
         status: 500,
-        message: `Failed to execute airdrop: ${error.message}`
+        message: `Failed to stop simulation: ${error.message}`
       });
     }
   }
 
   /**
-   * Obtener balance de tokens
-   * GET /api/balances/:walletAddress
+   * Stream en tiempo real de la telemetría de una simulación (Server-Sent Events)
+   * GET /api/simulations/:simulationId/stream
    */
-  static async getTokenBalance(req, res) {
-    console.log('📋 getTokenBalance - Request params:', req.params);
+  static async streamSimulation(req, res) {
+    console.log('📋 streamSimulation - Request params:', req.params);
     try {
-      const { walletAddress } = req.params;
-      console.log(`📝 Parameters: walletAddress=${walletAddress}`);
+      const { simulationId } = req.params;
+      const lastEventId = req.headers['last-event-id'] || req.query.lastEventId || 0;
+      console.log(`📝 Parameters: simulationId=${simulationId}, lastEventId=${lastEventId}`);
 
-      if (!walletAddress) {
-        console.log('⛔ Missing required parameter: walletAddress');
+      if (!simulationId) {
+        console.log('⛔ Missing required parameter: simulationId');
         return res.respond({
           success: false,
           status: 400,
-          message: 'Wallet address is required'
+          message: 'Simulation ID is required'
         });
       }
 
-      console.log(`💼 Getting token balance for ${walletAddress}`);
-      const balanceResult = await TokenRewardManager.getTokenBalance(walletAddress);
-      console.log('👉 Balance result:', balanceResult);
+      const session = SimulationSessionManager.getSession(simulationId);
 
-      const response = {
-        success: balanceResult.success,
-        data: balanceResult,
-        message: `Balance for ${walletAddress}: ${balanceResult.balance} ${balanceResult.tokenSymbol}`
-      };
-      console.log('📤 Respuesta:', response);
-      return res.respond(response);
+      if (!session) {
+        console.log(`⚠️ No session found for simulation ${simulationId}`);
+        return res.respond({
+          success: false,
+          status: 404,
+          message: `No running or recent session found for simulation ${simulationId}`
+        });
+      }
+
+      console.log(`📡 Opening SSE stream for simulation ${simulationId} from sequence ${lastEventId}`);
+      await TelemetryStreamService.openEventStream(req, res, session, Number(lastEventId) || 0);
     } catch (error) {
-      console.error('❌ Error getting token balance:', error);
+      console.error('❌ Error streaming simulation:', error);
       console.error('❌ Stack trace:', error.stack);
+      if (res.headersSent) {
+        return res.end();
+      }
       return res.respond({
         success: false,
         status: 500,
-        message: `Failed to get token balance: ${error.message}`
+        message: `Failed to stream simulation: ${error.message}`
       });
     }
   }
 
   /**
-   * Obtener tipos de datos disponibles en el marketplace
-   * GET /api/marketplace/datatypes
+   * Obtener la serie temporal de telemetría almacenada de una simulación
+   * GET /api/simulations/:simulationId/telemetry?from=&to=&fields=&cursor=&limit=
    */
-  static async getDataTypes(req, res) {
-    console.log('📋 getDataTypes - Request params:', req.params);
-    console.log('📋 getDataTypes - Request query:', req.query);
+  static async getSimulationTelemetry(req, res) {
+    console.log('📋 getSimulationTelemetry - Request params:', req.params);
+    console.log('📋 getSimulationTelemetry - Request query:', req.query);
     try {
-      console.log('🔍 Getting available data types');
-      const dataTypes = DataMarketplace.getDataTypes();
-      console.log(`👉 Found ${dataTypes.length} data types:`, dataTypes);
+      const { simulationId } = req.params;
+      const { from, to, fields, cursor, limit } = req.query;
+      console.log(`📝 Parameters: simulationId=${simulationId}, from=${from}, to=${to}, fields=${fields}, cursor=${cursor}, limit=${limit}`);
+
+      if (!simulationId) {
+        console.log('⛔ Missing required parameter: simulationId');
+        return res.respond({
+          success: false,
+          status: 400,
+          message: 'Simulation ID is required'
+        });
+      }
+
+      const fromDate = from ? new Date(from) : undefined;
+      const toDate = to ? new Date(to) : undefined;
+
+      if ((fromDate && isNaN(fromDate.getTime())) || (toDate && isNaN(toDate.getTime()))) {
+        console.log('⛔ Invalid time range');
+        return res.respond({
+          success: false,
+          status: 400,
+          message: 'Parameters "from" and "to" must be valid dates'
+        });
+      }
+
+      if (cursor && isNaN(Number(cursor))) {
+        console.log('⛔ Invalid cursor');
+        return res.respond({
+          success: false,
+          status: 400,
+          message: 'Parameter "cursor" must be a sequence number'
+        });
+      }
+
+      console.log(`🔍 Looking for simulation with ID ${simulationId}`);
+      const simulation = await prisma.simulation.findUnique({
+        where: { id: simulationId }
+      });
+
+      if (!simulation) {
+        console.log(`⚠️ Simulation with ID ${simulationId} not found`);
+        return res.respond({
+          success: false,
+          status: 404,
+          message: `Simulation with ID ${simulationId} not found`
+        });
+      }
+
+      console.log('🔍 Querying stored telemetry');
+      const result = await TelemetryStoreService.queryTelemetry(simulationId, {
+        from: fromDate,
+        to: toDate,
+        fields: fields ? String(fields).split(',').map(field => field.trim()).filter(Boolean) : undefined,
+        cursor,
+        limit
+      });
+      console.log(`👉 Found ${result.points.length} telemetry points`);
 
       const response = {
         success: true,
-        data: dataTypes,
-        message: `Found ${dataTypes.length} data types`
+        data: {
+          simulationId,
+          ...result
+        },
+        message: `Found ${result.points.length} telemetry points for simulation ${simulationId}`
       };
-      console.log('📤 Respuesta:', response);
       return res.respond(response);
     } catch (error) {
-      console.error('❌ Error getting data types:', error);
+      console.error('❌ Error getting simulation telemetry:', error);
+      console.error('❌ Stack trace:', error.stack);
+      return res.respond({
+        success: false,
+        status: 500,
+        message: `Failed to get simulation telemetry: ${error.message}`
+      });
+    }
+  }
+
+  /**
+   * Obtener eventos de conducción y puntuación de seguridad de una simulación
+   * GET /api/simulations/:simulationId/behaviour
+   */
+  static async getSimulationBehaviour(req, res) {
+    console.log('📋 getSimulationBehaviour - Request params:', req.params);
+    try {
+      const { simulationId } = req.params;
+
+      const simulation = await prisma.simulation.findUnique({
+        where: { id: simulationId }
+      });
+
+      if (!simulation) {
+        console.log(`⚠️ Simulation with ID ${simulationId} not found`);
+        return res.respond({
+          success: false,
+          status: 404,
+          message: `Simulation with ID ${simulationId} not found`
+        });
+      }
+
+      // Mientras la simulación está en curso se analizan los puntos emitidos hasta ahora
+      const session = SimulationSessionManager.getSession(simulationId);
+      let behaviour;
+      if (session?.isStreaming) {
+        behaviour = DrivingBehaviourService.analyze(session.data, {
+          maxSpeedKmph: session.vehicle?.profile.maxSpeedKmph
+        });
+        behaviour.events = await TelemetryStoreService.protectPositions(session.userId, behaviour.events, { keepSuppressed: true });
+      } else {
+        behaviour = await DrivingBehaviourService.getSimulationBehaviour(simulation);
+      }
+
+      return res.respond({
+        success: true,
+        data: {
+          simulationId,
+          status: session?.status || simulation.status,
+          partial: Boolean(session?.isStreaming),
+          ...behaviour
+        },
+        message: `Driving behaviour for simulation ${simulationId}`
+      });
+    } catch (error) {
+      console.error('❌ Error getting simulation behaviour:', error);
+      console.error('❌ Stack trace:', error.stack);
+      return res.respond({
+        success: false,
+        status: 500,
+        message: `Failed to get simulation behaviour: ${error.message}`
+      });
+    }
+  }
+
+  /**
+   * Obtener viajes, tramos, paradas y segmentos (urbano, autopista, ralentí) de una simulación
+   * GET /api/simulations/:simulationId/segments?type=HIGHWAY
+   */
+  static async getSimulationSegments(req, res) {
+    console.log('📋 getSimulationSegments - Request params:', req.params, 'query:', req.query);
+    try {
+      const { simulationId } = req.params;
+
+      let types;
+      try {
+        types = TripSegmentationService.parseSegmentTypes(req.query.type);
+      } catch (validationError) {
+        console.log(`⛔ ${validationError.message}`);
+        return res.respond({
+          success: false,
+          status: 400,
+          message: validationError.message
+        });
+      }
+
+      const simulation = await prisma.simulation.findUnique({
+        where: { id: simulationId }
+      });
+
+      if (!simulation) {
+        console.log(`⚠️ Simulation with ID ${simulationId} not found`);
+        return res.respond({
+          success: false,
+          status: 404,
+          message: `Simulation with ID ${simulationId} not found`
+        });
+      }
+
+      // Mientras la simulación está en curso se segmentan los puntos emitidos hasta ahora
+      const session = SimulationSessionManager.getSession(simulationId);
+      const dataPoints = session?.isStreaming
+        ? session.data
+        : await TelemetryStoreService.getAllPoints(simulationId, { raw: true });
+
+      // Las paradas suelen ser el domicilio o el trabajo: se ocultan las que caen en zonas de privacidad
+      const segmentation = TripSegmentationService.segment(dataPoints);
+      segmentation.stops = await TelemetryStoreService.protectPositions(simulation.userId, segmentation.stops, { keepSuppressed: true });
+      if (types) {
+        segmentation.segments = segmentation.segments.filter(segment => types.includes(segment.type));
+      }
+
+      return res.respond({
+        success: true,
+        data: {
+          simulationId,
+          status: session?.status || simulation.status,
+          partial: Boolean(session?.isStreaming),
+          ...segmentation
+        },
+        message: `Segments for simulation ${simulationId}`
+      });
+    } catch (error) {
+      console.error('❌ Error getting simulation segments:', error);
+      console.error('❌ Stack trace:', error.stack);
+      return res.respond({
+        success: false,
+        status: 500,
+        message: `Failed to get simulation segments: ${error.message}`
+      });
+    }
+  }
+
+  /**
+   * Generar recompensa por datos recolectados
+   * Cada simulación se recompensa una sola vez y solo a su propietario; repetir la petición
+   * devuelve la recompensa existente
+   * POST /api/rewards
+   */
+  static async generateReward(req, res) {
+    console.log('📋 generateReward - Request body:', req.body);
+    try {
+      const { walletAddress, simulationId } = req.body;
+      console.log(`📝 Parameters: walletAddress=${walletAddress}, simulationId=${simulationId}`);
+
+      if (!walletAddress) {
+        console.log('⛔ Missing required parameter: walletAddress');
+        return res.respond({
+          success: false,
+          status: 400,
+          message: 'Wallet address is required'
+        });
+      }
+
+      if (!simulationId) {
+        console.log('⛔ Missing required parameter: simulationId');
+        return res.respond({
+          success: false,
+          status: 400,
+          message: 'Simulation ID is required'
+        });
+      }
+
+      // Verificar si la simulación existe
+      console.log(`🔍 Looking up simulation with ID: ${simulationId}`);
+      const simulation = await prisma.simulation.findUnique({
+        where: { id: simulationId },
+        include: { user: true }
+      });
+      console.log('👉 Simulation found:', simulation?.id);
+
+      if (!simulation) {
+        console.log(`⚠️ Simulation with ID ${simulationId} not found`);
+        return res.respond({
+          success: false,
+          status: 404,
+          message: `Simulation with ID ${simulationId} not found`
+        });
+      }
+
+      // Solo el propietario de la simulación puede reclamar su recompensa
+      if (simulation.user?.walletAddress !== walletAddress) {
+        console.log(`⛔ Wallet ${walletAddress} does not own simulation ${simulationId}`);
+        return res.respond({
+          success: false,
+          status: 403,
+          message: `Simulation ${simulationId} does not belong to wallet ${walletAddress}`
+        });
+      }
+
+      // Reclamación idempotente: una sola recompensa por simulación
+      // Si su liquidación no llegó a hacerse (fallo de la red o de la acuñación) se reintenta con la misma recompensa
+      const existingReward = await RewardClaimService.getSimulationClaim(simulationId);
+      if (existingReward && !RewardClaimService.isRetryable(existingReward)) {
+        console.log(`👉 Reward already claimed for simulation ${simulationId}: ${existingReward.id}`);
+        return res.respond({
+          success: true,
+          data: { reward: RewardClaimService.toClaimantView(existingReward), duplicate: true },
+          message: `Reward for simulation ${simulationId} was already claimed`
+        });
+      }
+
+      let reward = existingReward;
+      let computed = null;
+      if (existingReward) {
+        console.log(`🔁 Retrying settlement of reward ${existingReward.id} (${existingReward.status})`);
+      } else {
+        if (!RewardClaimService.CLAIMABLE_STATUSES.includes(simulation.status)) {
+          console.log(`⛔ Simulation ${simulationId} is ${simulation.status}`);
+          return res.respond({
+            success: false,
+            status: 409,
+            message: `Simulation ${simulationId} is ${simulation.status}; rewards can only be claimed for ${RewardClaimService.CLAIMABLE_STATUSES.join(' or ')} simulations`
+          });
+        }
+
+        // Calcular recompensa con la telemetría almacenada
+        console.log('💰 Calculating reward amount');
+        computed = await RewardClaimService.computeSimulationReward(simulation);
+        console.log(`👉 Calculated reward amount: ${computed.amount} (policy v${computed.policyVersion}, ${computed.dataPointsCount} points)`);
+
+        if (computed.dataPointsCount === 0 || computed.amount <= 0) {
+          console.log('⚠️ No simulation data available for reward');
+          return res.respond({
+            success: false,
+            status: 400,
+            message: computed.dataPointsCount === 0
+              ? 'No simulation data available for reward'
+              : 'This simulation does not earn any reward'
+          });
+        }
+
+        // Riesgo de fraude de la reclamación; las de riesgo alto se retienen para revisión manual en lugar de liquidarse
+        const assessment = await FraudDetectionService.assessClaim(simulation, computed.dataPoints);
+        console.log(`👉 Fraud score: ${assessment.score} (${assessment.riskLevel})`, assessment.signals.map(signal => signal.type));
+
+        const recorded = await RewardClaimService.recordClaim(simulation, computed, assessment);
+        reward = recorded.reward;
+        if (!recorded.created) {
+          console.log(`👉 Reward claimed concurrently for simulation ${simulationId}: ${reward.id}`);
+          return res.respond({
+            success: true,
+            data: { reward: RewardClaimService.toClaimantView(reward), duplicate: true },
+            message: `Reward for simulation ${simulationId} was already claimed`
+          });
+        }
+
+        if (reward.reviewStatus === 'PENDING') {
+          console.log(`⛔ Reward ${reward.id} held for manual review (fraud score ${assessment.score})`);
+          return res.respond({
+            success: true,
+            data: {
+              reward: RewardClaimService.toClaimantView(reward),
+              duplicate: false,
+              underReview: true,
+              policyVersion: computed.policyVersion
+            },
+            message: `Reward of ${reward.amount} DRVL tokens is pending manual review`
+          });
+        }
+      }
+
+      // Liquidar la parte no bloqueada (acuñación o epoch); la bloqueada sigue su calendario de vesting
+      const settledAmount = parseFloat((reward.amount - reward.lockedAmount).toFixed(6));
+      console.log(`💰 Processing reward of ${reward.amount} tokens for ${walletAddress} (${reward.lockedAmount} vesting)`);
+      const settled = await RewardClaimService.settleClaim(reward, walletAddress);
+      if (!settled) {
+        console.log(`👉 Reward ${reward.id} is already being settled`);
+        return res.respond({
+          success: true,
+          data: { reward: RewardClaimService.toClaimantView(await RewardClaimService.getSimulationClaim(simulationId)), duplicate: true },
+          message: `Reward for simulation ${simulationId} is already being processed`
+        });
+      }
+      const rewardResult = settled.result;
+      console.log('👉 Reward result:', rewardResult);
+
+      const messages = {
+        EPOCH: `Reward of ${settledAmount} DRVL tokens added to epoch ${rewardResult.epoch?.number}, claimable after ${rewardResult.epoch?.endsAt.toISOString()}`,
+        VESTING: `Reward of ${reward.amount} DRVL tokens locked until it vests`,
+        IMMEDIATE: rewardResult.success
+          ? `Reward of ${settledAmount} DRVL tokens processed for ${walletAddress}`
+          : `Reward requires frontend signing: ${settledAmount} DRVL tokens for ${walletAddress}`
+      };
+
+      const response = {
+        success: rewardResult.success,
+        data: {
+          ...rewardResult,
+          reward: RewardClaimService.toClaimantView(settled.reward),
+          duplicate: false,
+          retried: Boolean(existingReward),
+          policyVersion: reward.policyVersion,
+          breakdown: computed?.breakdown ?? null
+        },
+        message: reward.lockedAmount > 0
+          ? `${messages[rewardResult.settlement]}; ${reward.lockedAmount} DRVL tokens vest until ${reward.vestingSchedule.endsAt.toISOString()}`
+          : messages[rewardResult.settlement]
+      };
+      console.log('📤 Respuesta:', response);
+      return res.respond(response);
+    } catch (error) {
+      console.error('❌ Error generating reward:', error);
+      console.error('❌ Stack trace:', error.stack);
+      return res.respond({
+        success: false,
+        status: 500,
+        message: `Failed to generate reward: ${error.message}`
+      });
+    }
+  }
+
+  /**
+   * Ejecutar airdrop de tokens (solo devnet)
+   * POST /api/airdrops
+   */
+  static async executeAirdrop(req, res) {
+    console.log('📋 executeAirdrop - Request body:', req.body);
+    try {
+      const { walletAddress, amount } = req.body;
+      console.log(`📝 Parameters: walletAddress=${walletAddress}, amount=${amount}`);
+
+      if (!walletAddress) {
+        console.log('⛔ Missing required parameter: walletAddress');
+        return res.respond({
+          success: false,
+          status: 400,
+          message: 'Wallet address is required'
+        });
+      }
+
+      // Ejecutar airdrop
+      console.log(`💸 Executing airdrop of ${amount || 100} tokens to ${walletAddress}`);
+      const airdropResult = await TokenRewardManager.airdropTokens(
+        walletAddress,
+        amount || 100
+      );
+      console.log('👉 Airdrop result:', airdropResult);
+
+      const response = {
+        success: airdropResult.success,
+        data: airdropResult,
+        message: airdropResult.success
+          ? `Airdrop of ${amount || 100} DRVL tokens completed for ${walletAddress}`
+          : `Airdrop failed: ${airdropResult.error}`
+      };
+      console.log('📤 Respuesta:', response);
+      return res.respond(response);
+    } catch (error) {
+      console.error('❌ Error executing airdrop:', error);
+      console.error('❌ Stack trace:', error.stack);
+      return res.respond({
+        success: false,
+        status: 500,
+        message: `Failed to execute airdrop: ${error.message}`
+      });
+    }
+  }
+
+  /**
+   * Obtener balance de tokens
+   * GET /api/balances/:walletAddress
+   */
+  static async getTokenBalance(req, res) {
+    console.log('📋 getTokenBalance - Request params:', req.params);
+    try {
+      const { walletAddress } = req.params;
+      console.log(`📝 Parameters: walletAddress=${walletAddress}`);
+
+      if (!walletAddress) {
+        console.log('⛔ Missing required parameter: walletAddress');
+        return res.respond({
+          success: false,
+          status: 400,
+          message: 'Wallet address is required'
+        });
+      }
+
+      console.log(`💼 Getting token balance for ${walletAddress}`);
+      const balanceResult = await TokenRewardManager.getTokenBalance(walletAddress);
+      console.log('👉 Balance result:', balanceResult);
+
+      const response = {
+        success: balanceResult.success,
+        data: balanceResult,
+        message: `Balance for ${walletAddress}: ${balanceResult.balance} ${balanceResult.tokenSymbol}`
+      };
+      console.log('📤 Respuesta:', response);
+      return res.respond(response);
+    } catch (error) {
+      console.error('❌ Error getting token balance:', error);
+      console.error('❌ Stack trace:', error.stack);
+      return res.respond({
+        success: false,
+        status: 500,
+        message: `Failed to get token balance: ${error.message}`
+      });
+    }
+  }
+
+  /**
+   * Obtener tipos de datos disponibles en el marketplace
+   * GET /api/marketplace/datatypes
+   */
+  static async getDataTypes(req, res) {
+    console.log('📋 getDataTypes - Request params:', req.params);
+    console.log('📋 getDataTypes - Request query:', req.query);
+    try {
+      console.log('🔍 Getting available data types');
+      const dataTypes = DataMarketplace.getDataTypes();
+      console.log(`👉 Found ${dataTypes.length} data types:`, dataTypes);
+
+      const response = {
+        success: true,
+        data: dataTypes,
+        message: `Found ${dataTypes.length} data types`
+      };
+      console.log('📤 Respuesta:', response);
+      return res.respond(response);
+    } catch (error) {
+      console.error('❌ Error getting data types:', error);
+      console.error('❌ Stack trace:', error.stack);
+      return res.respond({
+        success: false,
+        status: 500,
+        message: `Failed to get data types: ${error.message}`
+      });
+    }
+  }
+
+  /**
+   * Crear nuevo listado en el marketplace
+   * POST /api/marketplace/listings
+   */
+  static async createListing(req, res) {
+    console.log('📋 createListing - Request body:', req.body);
+    try {
+      const { walletAddress, dataType, pricePerPoint, description, samples, simulationId, vehicleId } = req.body;
+      console.log(`📝 Parameters: walletAddress=${walletAddress}, dataType=${dataType}, pricePerPoint=${pricePerPoint}, simulationId=${simulationId}, vehicleId=${vehicleId}`);
+
+      if (!walletAddress || !dataType || !pricePerPoint) {
+        console.log('⛔ Missing required parameters');
+        return res.respond({
+          success: false,
+          status: 400,
+          message: 'Wallet address, data type, and price are required'
+        });
+      }
+
+      // Se puede vender solo una parte del viaje, p. ej. los tramos de autopista
+      let segmentTypes;
+      try {
+        segmentTypes = TripSegmentationService.parseSegmentTypes(req.body.segmentTypes);
+      } catch (validationError) {
+        console.log(`⛔ ${validationError.message}`);
+        return res.respond({
+          success: false,
+          status: 400,
+          message: validationError.message
+        });
+      }
+
+      let privacyLevel;
+      try {
+        privacyLevel = LocationAnonymizerService.parsePrivacyLevel(req.body.privacyLevel);
+      } catch (validationError) {
+        console.log(`⛔ ${validationError.message}`);
+        return res.respond({
+          success: false,
+          status: 400,
+          message: validationError.message
+        });
+      }
+
+      if (segmentTypes && !simulationId) {
+        console.log('⛔ segmentTypes requires simulationId');
+        return res.respond({
+          success: false,
+          status: 400,
+          message: 'Segment types can only be listed from a simulation or uploaded trip'
+        });
+      }
+
+      // Vehículo del vendedor del que proceden los datos
+      let listingVehicleId = null;
+      if (vehicleId) {
+        const vehicle = await VehicleRegistryService.getWalletVehicle(walletAddress, vehicleId);
+        if (!vehicle) {
+          return res.respond({
+            success: false,
+            status: 404,
+            message: `Vehicle with ID ${vehicleId} not found for this wallet`
+          });
+        }
+        listingVehicleId = vehicle.id;
+      }
+
+      // Las muestras pueden salir de una simulación o viaje subido del propio vendedor
+      let listingSamples = samples || [];
+      if (simulationId) {
+        const simulation = await prisma.simulation.findUnique({
+          where: { id: simulationId },
+          include: { user: true }
+        });
+
+        if (!simulation || simulation.user?.walletAddress !== walletAddress) {
+          return res.respond({
+            success: false,
+            status: 404,
+            message: `Simulation with ID ${simulationId} not found for this wallet`
+          });
+        }
+
+        if (simulation.status !== 'COMPLETED') {
+          return res.respond({
+            success: false,
+            status: 400,
+            message: 'Only completed simulations or trips can be listed'
+          });
+        }
+
+        if (listingVehicleId && simulation.vehicleId && simulation.vehicleId !== listingVehicleId) {
+          return res.respond({
+            success: false,
+            status: 400,
+            message: 'The listing vehicle does not match the vehicle of the simulation'
+          });
+        }
+        listingVehicleId = listingVehicleId || simulation.vehicleId;
+
+        const typeFields = DataMarketplace.dataTypes[dataType]?.fields || [];
+        if (segmentTypes) {
+          const segmentPoints = TripSegmentationService.filterByTypes(
+            await TelemetryStoreService.getAllPoints(simulationId, { raw: true }),
+            segmentTypes
+          );
+
+          if (segmentPoints.length === 0) {
+            return res.respond({
+              success: false,
+              status: 400,
+              message: `Simulation ${simulationId} has no ${segmentTypes.join(', ')} segments`
+            });
+          }
+
+          // Para anonimizar hace falta el conjunto completo (recorte de extremos, k-anonimato)
+          if (!samples || samples.length === 0) {
+            listingSamples = (privacyLevel === 'NONE' ? segmentPoints.slice(0, 3) : segmentPoints)
+              .map(point => TelemetryStoreService.projectFields(point, typeFields.includes('*') ? null : typeFields));
+          }
+        } else if (!samples || samples.length === 0) {
+          if (privacyLevel === 'NONE') {
+            const { points } = await TelemetryStoreService.queryTelemetry(simulationId, {
+              fields: typeFields.includes('*') ? null : typeFields,
+              limit: 3
+            });
+            listingSamples = points.map(({ sequence, ...point }) => point);
+          } else {
+            listingSamples = (await TelemetryStoreService.getAllPoints(simulationId))
+              .map(point => TelemetryStoreService.projectFields(point, typeFields.includes('*') ? null : typeFields));
+          }
+        }
+      }
+
+      console.log('🚀 Creating new marketplace listing');
+      const listing = await DataMarketplace.createListing(
+        walletAddress,
+        dataType,
+        Number(pricePerPoint),
+        description || `${dataType} vehicle data`,
+        listingSamples,
+        simulationId || null,
+        listingVehicleId,
+        null,
+        segmentTypes,
+        privacyLevel
+      );
+      console.log('👉 Created listing:', listing);
+
+      const response = {
+        success: true,
+        data: listing,
+        message: `Listing created with ID: ${listing.id}`
+      };
+      console.log('📤 Respuesta:', response);
+      return res.respond(response);
+    } catch (error) {
+      console.error('❌ Error creating listing:', error);
+      console.error('❌ Stack trace:', error.stack);
+      return res.respond({
+        success: false,
+        status: 500,
+        message: `Failed to create listing: ${error.message}`
+      });
+    }
+  }
+
+  /**
+   * Obtener listados del marketplace con filtros
+   * GET /api/marketplace/listings
+   */
+  static async getListings(req, res) {
+    console.log('📋 getListings - Request query:', req.query);
+    try {
+      const filters = {
+        seller: req.query.seller,
+        dataType: req.query.dataType,
+        active: req.query.active === 'true',
+        maxPrice: req.query.maxPrice ? Number(req.query.maxPrice) : undefined,
+        segmentType: req.query.segmentType?.toUpperCase(),
+        privacyLevel: req.query.privacyLevel?.toUpperCase(),
+        minRating: req.query.minRating ? Number(req.query.minRating) : undefined,
+        make: req.query.make,
+        fuelType: req.query.fuelType ? String(req.query.fuelType).toUpperCase() : undefined
+      };
+      console.log('📝 Filters before cleanup:', filters);
+
+      // Eliminar filtros indefinidos
+      Object.keys(filters).forEach(key => {
+        if (filters[key] === undefined) {
+          delete filters[key];
+        }
+      });
+      console.log('📝 Filters after cleanup:', filters);
+
+      console.log('🔍 Getting listings with filters');
+      const listings = await DataMarketplace.getListings(filters);
+      console.log(`👉 Found ${listings.length} listings`);
+
+      const response = {
+        success: true,
+        data: listings,
+        filters: Object.keys(filters).length > 0 ? filters : 'none',
+        message: `Found ${listings.length} listings${Object.keys(filters).length > 0 ? ' with applied filters' : ''}`
+      };
+      console.log('📤 Respuesta:', response);
+      return res.respond(response);
+    } catch (error) {
+      console.error('❌ Error getting listings:', error);
+      console.error('❌ Stack trace:', error.stack);
+      return res.respond({
+        success: false,
+        status: 500,
+        message: `Failed to get listings: ${error.message}`
+      });
+    }
+  }
+
+  /**
+   * Obtener detalle de un listado
+   * GET /api/marketplace/listings/:listingId
+   */
+  static async getListingDetail(req, res) {
+    console.log('📋 getListingDetail - Request params:', req.params);
+    try {
+      const { listingId } = req.params;
+      console.log(`📝 Parameters: listingId=${listingId}`);
+
+      if (!listingId) {
+        console.log('⛔ Missing required parameter: listingId');
+        return res.respond({
+          success: false,
+          status: 400,
+          message: 'Listing ID is required'
+        });
+      }
+
+      console.log(`🔍 Getting details for listing ${listingId}`);
+      const listing = await DataMarketplace.getListingById(listingId);
+      console.log('👉 Listing found:', listing);
+
+      if (!listing) {
+        console.log(`⚠️ Listing with ID ${listingId} not found`);
+        return res.respond({
+          success: false,
+          status: 404,
+          message: `Listing with ID ${listingId} not found`
+        });
+      }
+
+      const response = {
+        success: true,
+        data: listing,
+        message: `Listing details for ID: ${listingId}`
+      };
+      console.log('📤 Respuesta:', response);
+      return res.respond(response);
+    } catch (error) {
+      console.error('❌ Error getting listing detail:', error);
+      console.error('❌ Stack trace:', error.stack);
+      return res.respond({
+        success: false,
+        status: 500,
+        message: `Failed to get listing detail: ${error.message}`
+      });
+    }
+  }
+
+  /**
+   * Actualizar un listado
+   * PUT /api/marketplace/listings/:listingId
+   */
+  static async updateListing(req, res) {
+    console.log('📋 updateListing - Request params:', req.params);
+    console.log('📋 updateListing - Request body:', req.body);
+    try {
+      const { listingId } = req.params;
+      const updates = req.body;
+      console.log(`📝 Parameters: listingId=${listingId}, updates=`, updates);
+
+      if (!listingId) {
+        console.log('⛔ Missing required parameter: listingId');
+        return res.respond({
+          success: false,
+          status: 400,
+          message: 'Listing ID is required'
+        });
+      }
+
+      console.log(`🔄 Updating listing ${listingId}`);
+      const updatedListing = await DataMarketplace.updateListing(listingId, updates);
+      console.log('👉 Updated listing:', updatedListing);
+
+      const response = {
+        success: true,
+        data: updatedListing,
+        message: `Listing ${listingId} updated successfully`
+      };
+      console.log('📤 Respuesta:', response);
+      return res.respond(response);
+    } catch (error) {
+      console.error('❌ Error updating listing:', error);
+      console.error('❌ Stack trace:', error.stack);
+      return res.respond({
+        success: false,
+        status: 500,
+        message: `Failed to update listing: ${error.message}`
+      });
+    }
+  }
+
+  /**
+   * Crear suscripción a un listado
+   * POST /api/marketplace/subscriptions
+   */
+  static async createSubscription(req, res) {
+    console.log('📋 createSubscription - Request body:', req.body);
+    try {
+      const { buyerWalletAddress, listingId, durationDays, pointsPerDay } = req.body;
+      console.log(`📝 Parameters: buyerWalletAddress=${buyerWalletAddress}, listingId=${listingId}, durationDays=${durationDays}, pointsPerDay=${pointsPerDay}`);
+
+      if (!buyerWalletAddress || !listingId || !durationDays || !pointsPerDay) {
+        console.log('⛔ Missing required parameters');
+        return res.respond({
+          success: false,
+          status: 400,
+          message: 'Buyer wallet address, listing ID, duration, and points per day are required'
+        });
+      }
+
+      console.log('🚀 Creating new subscription');
+      const subscriptionResult = await DataMarketplace.createSubscription(
+        buyerWalletAddress,
+        listingId,
+        Number(durationDays),
+        Number(pointsPerDay)
+      );
+      console.log('👉 Subscription result:', subscriptionResult);
+
+      const response = {
+        success: true,
+        data: {
+          subscription: subscriptionResult.subscription,
+          transaction: subscriptionResult.transaction,
+          revenueShares: subscriptionResult.revenueShares
+        },
+        message: `Subscription created with ID: ${subscriptionResult.subscription.id}`
+      };
+      console.log('📤 Respuesta:', response);
+      return res.respond(response);
+    } catch (error) {
+      console.error('❌ Error creating subscription:', error);
+      console.error('❌ Stack trace:', error.stack);
+      return res.respond({
+        success: false,
+        status: 500,
+        message: `Failed to create subscription: ${error.message}`
+      });
+    }
+  }
+
+  /**
+   * Confirmar transacción de marketplace
+   * POST /api/marketplace/transactions/:transactionId/confirm
+   */
+  static async confirmTransaction(req, res) {
+    console.log('📋 confirmTransaction - Request params:', req.params);
+    console.log('📋 confirmTransaction - Request body:', req.body);
+    try {
+      const { transactionId } = req.params;
+      const { txHash } = req.body;
+      console.log(`📝 Parameters: transactionId=${transactionId}, txHash=${txHash}`);
+
+      if (!transactionId || !txHash) {
+        console.log('⛔ Missing required parameters');
+        return res.respond({
+          success: false,
+          status: 400,
+          message: 'Transaction ID and blockchain transaction hash are required'
+        });
+      }
+
+      console.log(`🔄 Confirming transaction ${transactionId} with hash ${txHash}`);
+      const confirmedTx = await DataMarketplace.confirmTransaction(transactionId, txHash);
+      console.log('👉 Confirmed transaction:', confirmedTx);
+
+      const response = {
+        success: true,
+        data: confirmedTx,
+        message: `Transaction ${transactionId} confirmed successfully`
+      };
+      console.log('📤 Respuesta:', response);
+      return res.respond(response);
+    } catch (error) {
+      console.error('❌ Error confirming transaction:', error);
+      console.error('❌ Stack trace:', error.stack);
+      return res.respond({
+        success: false,
+        status: 500,
+        message: `Failed to confirm transaction: ${error.message}`
+      });
+    }
+  }
+
+  /**
+   * Calificar un proveedor de datos
+   * POST /api/marketplace/subscriptions/:subscriptionId/rate
+   */
+  static async rateDataProvider(req, res) {
+    console.log('📋 rateDataProvider - Request params:', req.params);
+    console.log('📋 rateDataProvider - Request body:', req.body);
+    try {
+      const { subscriptionId } = req.params;
+      const { rating, comment } = req.body;
+      console.log(`📝 Parameters: subscriptionId=${subscriptionId}, rating=${rating}, comment=${comment}`);
+
+      if (!subscriptionId || !rating) {
+        console.log('⛔ Missing required parameters');
+        return res.respond({
+          success: false,
+          status: 400,
+          message: 'Subscription ID and rating are required'
+        });
+      }
+
+      console.log(`⭐ Rating provider for subscription ${subscriptionId} with ${rating} stars`);
+      const ratingResult = await DataMarketplace.rateDataProvider(
+        subscriptionId,
+        Number(rating),
+        comment || ''
+      );
+      console.log('👉 Rating result:', ratingResult);
+
+      const response = {
+        success: true,
+        data: ratingResult,
+        message: `Rated provider with ${rating} stars for subscription ${subscriptionId}`
+      };
+      console.log('📤 Respuesta:', response);
+      return res.respond(response);
+    } catch (error) {
+      console.error('❌ Error rating provider:', error);
+      console.error('❌ Stack trace:', error.stack);
+      return res.respond({
+        success: false,
+        status: 500,
+        message: `Failed to rate provider: ${error.message}`
+      });
+    }
+  }
+
+  /**
+   * Obtener transacciones del usuario
+   * GET /api/marketplace/users/:walletAddress/transactions
+   */
+  static async getUserTransactions(req, res) {
+    console.log('📋 getUserTransactions - Request params:', req.params);
+    try {
+      const { walletAddress } = req.params;
+      console.log(`📝 Parameters: walletAddress=${walletAddress}`);
+
+      if (!walletAddress) {
+        console.log('⛔ Missing required parameter: walletAddress');
+        return res.respond({
+          success: false,
+          status: 400,
+          message: 'Wallet address is required'
+        });
+      }
+
+      console.log(`🔍 Getting transactions for wallet ${walletAddress}`);
+      const transactions = await DataMarketplace.getUserTransactions(walletAddress);
+      console.log(`👉 Found ${transactions.length} transactions`);
+
+      const response = {
+        success: true,
+        data: transactions,
+        message: `Found ${transactions.length} transactions for wallet ${walletAddress}`
+      };
+      console.log('📤 Respuesta:', response);
+      return res.respond(response);
+    } catch (error) {
+      console.error('❌ Error getting user transactions:', error);
+      console.error('❌ Stack trace:', error.stack);
+      return res.respond({
+        success: false,
+        status: 500,
+        message: `Failed to get user transactions: ${error.message}`
+      });
+    }
+  }
+
+  /**
+   * Obtener suscripciones del usuario
+   * GET /api/marketplace/users/:walletAddress/subscriptions
+   */
+  static async getUserSubscriptions(req, res) {
+    console.log('📋 getUserSubscriptions - Request params:', req.params);
+    try {
+      const { walletAddress } = req.params;
+      console.log(`📝 Parameters: walletAddress=${walletAddress}`);
+
+      if (!walletAddress) {
+        console.log('⛔ Missing required parameter: walletAddress');
+        return res.respond({
+          success: false,
+          status: 400,
+          message: 'Wallet address is required'
+        });
+      }
+
+      console.log(`🔍 Getting subscriptions for wallet ${walletAddress}`);
+      const subscriptions = await DataMarketplace.getUserSubscriptions(walletAddress);
+      console.log(`👉 Found ${subscriptions.length} subscriptions`);
+
+      const response = {
+        success: true,
+        data: subscriptions,
+        message: `Found ${subscriptions.length} subscriptions for wallet ${walletAddress}`
+      };
+      console.log('📤 Respuesta:', response);
+      return res.respond(response);
+    } catch (error) {
+      console.error('❌ Error getting user subscriptions:', error);
+      console.error('❌ Stack trace:', error.stack);
+      return res.respond({
+        success: false,
+        status: 500,
+        message: `Failed to get user subscriptions: ${error.message}`
+      });
+    }
+  }
+
+  /**
+   * Estimar valor de datos
+   * POST /api/marketplace/estimate-value
+   */
+  static async estimateDataValue(req, res) {
+    console.log('📋 estimateDataValue - Request body:', req.body);
+    try {
+      const { dataPoints, dataType, vehicleId } = req.body;
+      console.log(`📝 Parameters: dataPoints.length=${dataPoints?.length || 0}, dataType=${dataType}, vehicleId=${vehicleId}, privacyLevel=${req.body.privacyLevel}`);
+
+      if (!dataPoints || !Array.isArray(dataPoints)) {
+        console.log('⛔ Missing required parameter: dataPoints array');
+        return res.respond({
+          success: false,
+          status: 400,
+          message: 'Data points array is required'
+        });
+      }
+
+      let privacyLevel;
+      try {
+        privacyLevel = LocationAnonymizerService.parsePrivacyLevel(req.body.privacyLevel);
+      } catch (validationError) {
+        console.log(`⛔ ${validationError.message}`);
+        return res.respond({
+          success: false,
+          status: 400,
+          message: validationError.message
+        });
+      }
+
+      // Los atributos del vehículo de origen (año, combustible, depósito) modifican el valor
+      let vehicle = null;
+      if (vehicleId) {
+        vehicle = await prisma.vehicle.findUnique({ where: { id: vehicleId } });
+        if (!vehicle) {
+          return res.respond({
+            success: false,
+            status: 404,
+            message: `Vehicle with ID ${vehicleId} not found`
+          });
+        }
+      }
+
+      console.log('💰 Estimating data value');
+      const value = DataMarketplace.estimateDataValue(dataPoints, dataType || 'COMPLETE', vehicle, privacyLevel);
+      console.log(`👉 Estimated value: ${value}`);
+
+      const response = {
+        success: true,
+        data: {
+          estimatedValue: value,
+          dataType: dataType || 'COMPLETE',
+          dataPointsCount: dataPoints.length,
+          vehicleFactor: DataMarketplace.getVehicleValueFactor(vehicle, dataType || 'COMPLETE'),
+          qualityFactor: DataMarketplace.getQualityValueFactor(dataPoints),
+          privacyLevel,
+          privacyFactor: DataMarketplace.getPrivacyValueFactor(dataPoints, privacyLevel),
+          anonymization: LocationAnonymizerService.anonymize(dataPoints, privacyLevel).report
+        },
+        message: `Estimated value: ${value} DRVL tokens for ${dataPoints.length} data points`
+      };
+      console.log('📤 Respuesta:', response);
+      return res.respond(response);
+    } catch (error) {
+      console.error('❌ Error estimating data value:', error);
+      console.error('❌ Stack trace:', error.stack);
+      return res.respond({
+        success: false,
+        status: 500,
+        message: `Failed to estimate data value: ${error.message}`
+      });
+    }
+  }
+
+  /**
+   * Obtener estadísticas del marketplace
+   * GET /api/marketplace/statistics
+   */
+  static async getMarketplaceStatistics(req, res) {
+    console.log('📋 getMarketplaceStatistics - Request params:', req.params);
+    console.log('📋 getMarketplaceStatistics - Request query:', req.query);
+    try {
+      console.log('📊 Getting marketplace statistics');
+      const statistics = await DataMarketplace.getMarketStatistics();
+      console.log('👉 Statistics:', statistics);
+
+      const response = {
+        success: true,
+        data: statistics,
+        message: 'Marketplace statistics retrieved successfully'
+      };
+      console.log('📤 Respuesta:', response);
+      return res.respond(response);
+    } catch (error) {
+      console.error('❌ Error getting marketplace statistics:', error);
+      console.error('❌ Stack trace:', error.stack);
+      return res.respond({
+        success: false,
+        status: 500,
+        message: `Failed to get marketplace statistics: ${error.message}`
+      });
+    }
+  }
+
+  /**
+   * Obtener información de diagnóstico para códigos OBD
+   * GET /api/diagnostics/:code
+   */
+  static async getDiagnosticInfo(req, res) {
+    console.log('📋 getDiagnosticInfo - Request params:', req.params);
+    try {
+      const { code } = req.params;
+      console.log(`📝 Parameters: code=${code}`);
+
+      if (!code) {
+        console.log('⛔ Missing required parameter: code');
+        return res.respond({
+          success: false,
+          status: 400,
+          message: 'Diagnostic code is required'
+        });
+      }
+
+      const parsed = DtcCatalogueService.parseCode(code);
+      if (!parsed) {
+        console.log(`⛔ Invalid diagnostic code format: ${code}`);
+        return res.respond({
+          success: false,
+          status: 400,
+          message: `Invalid diagnostic code ${code}, expected the SAE J2012 format (e.g. P0420)`
+        });
+      }
+
+      // Catálogo de la base de datos y, si el código no está, información deducida de su estructura
+      console.log(`🔍 Looking for diagnostic code ${parsed.code} in the catalogue`);
+      await DtcCatalogueService.ensureLoaded();
+      const diagnosticCode = DtcCatalogueService.lookup(parsed.code);
+      console.log('👉 Diagnostic code found:', diagnosticCode);
+
+      const response = {
+        success: true,
+        data: diagnosticCode,
+        message: diagnosticCode.catalogued
+          ? `Diagnostic information for code ${parsed.code}`
+          : `Code ${parsed.code} is not in the catalogue, information derived from its structure`
+      };
+      console.log('📤 Respuesta:', response);
+      return res.respond(response);
+    } catch (error) {
+      console.error('❌ Error getting diagnostic info:', error);
+      console.error('❌ Stack trace:', error.stack);
+      return res.respond({
+        success: false,
+        status: 500,
+        message: `Failed to get diagnostic info: ${error.message}`
+      });
+    }
+  }
+
+  /**
+   * Importar o actualizar códigos de diagnóstico en bloque
+   * POST /api/admin/diagnostics/import (JSON { codes: [...] } o multipart con un CSV en "file")
+   */
+  static async importDiagnosticCodes(req, res) {
+    console.log(`📋 importDiagnosticCodes - codes=${req.body?.codes?.length}, file=${req.file?.originalname}`);
+    try {
+      const source = req.file ? req.file.buffer : req.body?.codes;
+
+      if (!source || (!Buffer.isBuffer(source) && !Array.isArray(source))) {
+        return res.respond({
+          success: false,
+          status: 400,
+          message: 'Provide a "codes" array or a CSV file in the "file" field'
+        });
+      }
+
+      let parsed;
+      try {
+        parsed = await DtcCatalogueService.parseEntries(source);
+      } catch (parseError) {
+        console.log(`⛔ Invalid diagnostic code import: ${parseError.message}`);
+        return res.respond({
+          success: false,
+          status: 400,
+          message: parseError.message
+        });
+      }
+
+      const result = await DtcCatalogueService.importEntries(parsed);
+      console.log(`✅ Imported diagnostic codes: ${result.created} created, ${result.updated} updated, ${result.rejectedCount} rejected`);
+
+      return res.respond({
+        success: true,
+        data: result,
+        message: `Imported ${result.created + result.updated} diagnostic codes`
+      });
+    } catch (error) {
+      console.error('❌ Error importing diagnostic codes:', error);
+      console.error('❌ Stack trace:', error.stack);
+      return res.respond({
+        success: false,
+        status: 500,
+        message: `Failed to import diagnostic codes: ${error.message}`
+      });
+    }
+  }
+
+  /**
+   * Obtener las simulaciones de un usuario
+   * GET /api/users/:walletAddress/simulations
+   */
+  static async getUserSimulations(req, res) {
+    console.log('📋 getUserSimulations - Request params:', req.params);
+    try {
+      const { walletAddress } = req.params;
+      console.log(`📝 Parameters: walletAddress=${walletAddress}`);
+
+      if (!walletAddress) {
+        console.log('⛔ Missing required parameter: walletAddress');
+        return res.respond({
+          success: false,
+          status: 400,
+          message: 'Wallet address is required'
+        });
+      }
+
+      // Buscar usuario
+      console.log(`🔍 Looking for user with wallet ${walletAddress}`);
+      const user = await prisma.user.findUnique({
+        where: { walletAddress }
+      });
+      console.log('👉 User found:', user);
+
+      if (!user) {
+        console.log(`⚠️ No user found with wallet ${walletAddress}`);
+        return res.respond({
+          success: true,
+          data: [],
+          message: `No simulations found for wallet ${walletAddress}`
+        });
+      }
+
+      // Buscar simulaciones
+      console.log(`🔍 Looking for simulations for user ${user.id}`);
+      const simulations = await TelemetryStoreService.findSimulations({
+        where: { userId: user.id },
+        orderBy: { createdAt: 'desc' },
+        include: {
+          rewards: true
+        }
+      });
+      console.log(`👉 Found ${simulations.length} simulations`);
+
+      const response = {
+        success: true,
+        data: simulations,
+        message: `Found ${simulations.length} simulations for wallet ${walletAddress}`
+      };
+      console.log('📤 Respuesta:', response);
+      return res.respond(response);
+    } catch (error) {
+      console.error('❌ Error getting user simulations:', error);
+      console.error('❌ Stack trace:', error.stack);
+      return res.respond({
+        success: false,
+        status: 500,
+        message: `Failed to get user simulations: ${error.message}`
+      });
+    }
+  }
+
+  /**
+   * Obtener los vehículos registrados de un usuario
+   * GET /api/users/:walletAddress/vehicles
+   */
+  static async getUserVehicles(req, res) {
+    console.log('📋 getUserVehicles - Request params:', req.params);
+    try {
+      const { walletAddress } = req.params;
+
+      const user = await prisma.user.findUnique({
+        where: { walletAddress }
+      });
+
+      if (!user) {
+        console.log(`⚠️ No user found with wallet ${walletAddress}`);
+        return res.respond({
+          success: true,
+          data: [],
+          message: `No vehicles found for wallet ${walletAddress}`
+        });
+      }
+
+      const vehicles = await VehicleRegistryService.getUserVehicles(user.id);
+      console.log(`👉 Found ${vehicles.length} vehicles`);
+
+      return res.respond({
+        success: true,
+        data: vehicles,
+        message: `Found ${vehicles.length} vehicles for wallet ${walletAddress}`
+      });
+    } catch (error) {
+      console.error('❌ Error getting user vehicles:', error);
+      console.error('❌ Stack trace:', error.stack);
+      return res.respond({
+        success: false,
+        status: 500,
+        message: `Failed to get user vehicles: ${error.message}`
+      });
+    }
+  }
+
+  /**
+   * Registrar un vehículo (VIN opcional: se decodifica sin servicios externos)
+   * POST /api/users/:walletAddress/vehicles
+   */
+  static async createVehicle(req, res) {
+    console.log('📋 createVehicle - Request body:', req.body);
+    try {
+      const { walletAddress } = req.params;
+
+      let parsed;
+      try {
+        parsed = VehicleRegistryService.parseVehicle(req.body);
+      } catch (validationError) {
+        console.log(`⛔ Invalid vehicle: ${validationError.message}`);
+        return res.respond({
+          success: false,
+          status: 400,
+          message: validationError.message
+        });
+      }
+
+      const user = await prisma.user.upsert({
+        where: { walletAddress },
+        update: {},
+        create: { walletAddress }
+      });
+
+      const conflict = await VehicleRegistryService.findConflict(user.id, parsed.data);
+      if (conflict) {
+        console.log(`⛔ ${conflict}`);
+        return res.respond({
+          success: false,
+          status: 409,
+          message: conflict
+        });
+      }
+
+      const vehicle = await VehicleRegistryService.createVehicle(user.id, parsed.data);
+      console.log(`✅ Vehicle ${vehicle.id} registered for wallet ${walletAddress}`);
+
+      return res.respond({
+        success: true,
+        data: { ...vehicle, vinInfo: parsed.vinInfo },
+        message: `Vehicle registered with ID: ${vehicle.id}`
+      });
+    } catch (error) {
+      console.error('❌ Error creating vehicle:', error);
+      console.error('❌ Stack trace:', error.stack);
+      return res.respond({
+        success: false,
+        status: 500,
+        message: `Failed to register vehicle: ${error.message}`
+      });
+    }
+  }
+
+  /**
+   * Obtener un vehículo registrado
+   * GET /api/users/:walletAddress/vehicles/:vehicleId
+   */
+  static async getVehicle(req, res) {
+    console.log('📋 getVehicle - Request params:', req.params);
+    try {
+      const { walletAddress, vehicleId } = req.params;
+
+      const vehicle = await VehicleRegistryService.getWalletVehicle(walletAddress, vehicleId);
+      if (!vehicle) {
+        return res.respond({
+          success: false,
+          status: 404,
+          message: `Vehicle with ID ${vehicleId} not found for wallet ${walletAddress}`
+        });
+      }
+
+      return res.respond({
+        success: true,
+        data: {
+          ...vehicle,
+          vinInfo: vehicle.vin ? VinDecoderService.decode(vehicle.vin) : null
+        },
+        message: `Vehicle details for ID: ${vehicleId}`
+      });
+    } catch (error) {
+      console.error('❌ Error getting vehicle:', error);
+      console.error('❌ Stack trace:', error.stack);
+      return res.respond({
+        success: false,
+        status: 500,
+        message: `Failed to get vehicle: ${error.message}`
+      });
+    }
+  }
+
+  /**
+   * Actualizar un vehículo registrado (solo los campos enviados)
+   * PUT /api/users/:walletAddress/vehicles/:vehicleId
+   */
+  static async updateVehicle(req, res) {
+    console.log('📋 updateVehicle - Request params:', req.params, 'body:', req.body);
+    try {
+      const { walletAddress, vehicleId } = req.params;
+
+      const vehicle = await VehicleRegistryService.getWalletVehicle(walletAddress, vehicleId);
+      if (!vehicle) {
+        return res.respond({
+          success: false,
+          status: 404,
+          message: `Vehicle with ID ${vehicleId} not found for wallet ${walletAddress}`
+        });
+      }
+
+      let parsed;
+      try {
+        parsed = VehicleRegistryService.parseVehicle(req.body, { current: vehicle });
+      } catch (validationError) {
+        console.log(`⛔ Invalid vehicle update: ${validationError.message}`);
+        return res.respond({
+          success: false,
+          status: 400,
+          message: validationError.message
+        });
+      }
+
+      const conflict = await VehicleRegistryService.findConflict(vehicle.userId, parsed.data, vehicle.id);
+      if (conflict) {
+        console.log(`⛔ ${conflict}`);
+        return res.respond({
+          success: false,
+          status: 409,
+          message: conflict
+        });
+      }
+
+      const updated = await VehicleRegistryService.updateVehicle(vehicle.id, parsed.data);
+      console.log(`✅ Vehicle ${vehicle.id} updated`);
+
+      return res.respond({
+        success: true,
+        data: { ...updated, vinInfo: parsed.vinInfo },
+        message: `Vehicle ${vehicleId} updated`
+      });
+    } catch (error) {
+      console.error('❌ Error updating vehicle:', error);
+      console.error('❌ Stack trace:', error.stack);
+      return res.respond({
+        success: false,
+        status: 500,
+        message: `Failed to update vehicle: ${error.message}`
+      });
+    }
+  }
+
+  /**
+   * Eliminar un vehículo registrado; sus viajes y listados se conservan
+   * DELETE /api/users/:walletAddress/vehicles/:vehicleId
+   */
+  static async deleteVehicle(req, res) {
+    console.log('📋 deleteVehicle - Request params:', req.params);
+    try {
+      const { walletAddress, vehicleId } = req.params;
+
+      const vehicle = await VehicleRegistryService.getWalletVehicle(walletAddress, vehicleId);
+      if (!vehicle) {
+        return res.respond({
+          success: false,
+          status: 404,
+          message: `Vehicle with ID ${vehicleId} not found for wallet ${walletAddress}`
+        });
+      }
+
+      await VehicleRegistryService.deleteVehicle(vehicle.id);
+      console.log(`🗑️ Vehicle ${vehicle.id} deleted`);
+
+      return res.respond({
+        success: true,
+        data: { id: vehicle.id },
+        message: `Vehicle ${vehicleId} deleted`
+      });
+    } catch (error) {
+      console.error('❌ Error deleting vehicle:', error);
+      console.error('❌ Stack trace:', error.stack);
+      return res.respond({
+        success: false,
+        status: 500,
+        message: `Failed to delete vehicle: ${error.message}`
+      });
+    }
+  }
+
+  /**
+   * Obtener las zonas de privacidad de un usuario
+   * GET /api/users/:walletAddress/privacy-zones
+   */
+  static async getPrivacyZones(req, res) {
+    console.log('📋 getPrivacyZones - Request params:', req.params);
+    try {
+      const { walletAddress } = req.params;
+
+      const user = await prisma.user.findUnique({
+        where: { walletAddress }
+      });
+
+      const zones = user ? await PrivacyZoneService.getUserZones(user.id) : [];
+      console.log(`👉 Found ${zones.length} privacy zones`);
+
+      return res.respond({
+        success: true,
+        data: zones,
+        message: `Found ${zones.length} privacy zones for wallet ${walletAddress}`
+      });
+    } catch (error) {
+      console.error('❌ Error getting privacy zones:', error);
+      console.error('❌ Stack trace:', error.stack);
+      return res.respond({
+        success: false,
+        status: 500,
+        message: `Failed to get privacy zones: ${error.message}`
+      });
+    }
+  }
+
+  /**
+   * Crear una zona de privacidad (círculo o polígono); las posiciones dentro se suprimen o se ajustan
+   * en todos los datos que salen del sistema
+   * POST /api/users/:walletAddress/privacy-zones
+   */
+  static async createPrivacyZone(req, res) {
+    console.log('📋 createPrivacyZone - Request params:', req.params, 'body:', req.body);
+    try {
+      const { walletAddress } = req.params;
+
+      let data;
+      try {
+        data = PrivacyZoneService.parseZone(req.body);
+      } catch (validationError) {
+        console.log(`⛔ Invalid privacy zone: ${validationError.message}`);
+        return res.respond({
+          success: false,
+          status: 400,
+          message: validationError.message
+        });
+      }
+
+      const user = await prisma.user.upsert({
+        where: { walletAddress },
+        update: {},
+        create: { walletAddress }
+      });
+
+      if (await PrivacyZoneService.countUserZones(user.id) >= PrivacyZoneService.MAX_ZONES_PER_USER) {
+        console.log(`⛔ Wallet ${walletAddress} already has ${PrivacyZoneService.MAX_ZONES_PER_USER} privacy zones`);
+        return res.respond({
+          success: false,
+          status: 409,
+          message: `A wallet can have at most ${PrivacyZoneService.MAX_ZONES_PER_USER} privacy zones`
+        });
+      }
+
+      const zone = await PrivacyZoneService.createZone(user.id, data);
+      console.log(`✅ Privacy zone ${zone.id} created for wallet ${walletAddress}`);
+
+      return res.respond({
+        success: true,
+        data: zone,
+        message: `Privacy zone created with ID: ${zone.id}`
+      });
+    } catch (error) {
+      console.error('❌ Error creating privacy zone:', error);
+      console.error('❌ Stack trace:', error.stack);
+      return res.respond({
+        success: false,
+        status: 500,
+        message: `Failed to create privacy zone: ${error.message}`
+      });
+    }
+  }
+
+  /**
+   * Actualizar una zona de privacidad (solo los campos enviados)
+   * PUT /api/users/:walletAddress/privacy-zones/:zoneId
+   */
+  static async updatePrivacyZone(req, res) {
+    console.log('📋 updatePrivacyZone - Request params:', req.params, 'body:', req.body);
+    try {
+      const { walletAddress, zoneId } = req.params;
+
+      const zone = await PrivacyZoneService.getWalletZone(walletAddress, zoneId);
+      if (!zone) {
+        return res.respond({
+          success: false,
+          status: 404,
+          message: `Privacy zone with ID ${zoneId} not found for wallet ${walletAddress}`
+        });
+      }
+
+      let data;
+      try {
+        data = PrivacyZoneService.parseZone(req.body, { current: zone });
+      } catch (validationError) {
+        console.log(`⛔ Invalid privacy zone update: ${validationError.message}`);
+        return res.respond({
+          success: false,
+          status: 400,
+          message: validationError.message
+        });
+      }
+
+      const updated = await PrivacyZoneService.updateZone(zone, data);
+      console.log(`✅ Privacy zone ${zone.id} updated`);
+
+      return res.respond({
+        success: true,
+        data: updated,
+        message: `Privacy zone ${zoneId} updated`
+      });
+    } catch (error) {
+      console.error('❌ Error updating privacy zone:', error);
+      console.error('❌ Stack trace:', error.stack);
+      return res.respond({
+        success: false,
+        status: 500,
+        message: `Failed to update privacy zone: ${error.message}`
+      });
+    }
+  }
+
+  /**
+   * Eliminar una zona de privacidad
+   * DELETE /api/users/:walletAddress/privacy-zones/:zoneId
+   */
+  static async deletePrivacyZone(req, res) {
+    console.log('📋 deletePrivacyZone - Request params:', req.params);
+    try {
+      const { walletAddress, zoneId } = req.params;
+
+      const zone = await PrivacyZoneService.getWalletZone(walletAddress, zoneId);
+      if (!zone) {
+        return res.respond({
+          success: false,
+          status: 404,
+          message: `Privacy zone with ID ${zoneId} not found for wallet ${walletAddress}`
+        });
+      }
+
+      await PrivacyZoneService.deleteZone(zone);
+      console.log(`🗑️ Privacy zone ${zone.id} deleted`);
+
+      return res.respond({
+        success: true,
+        data: { id: zone.id },
+        message: `Privacy zone ${zoneId} deleted`
+      });
+    } catch (error) {
+      console.error('❌ Error deleting privacy zone:', error);
+      console.error('❌ Stack trace:', error.stack);
+      return res.respond({
+        success: false,
+        status: 500,
+        message: `Failed to delete privacy zone: ${error.message}`
+      });
+    }
+  }
+
+  /**
+   * Decodificar un VIN sin registrarlo
+   * GET /api/vehicles/decode-vin/:vin
+   */
+  static async decodeVin(req, res) {
+    console.log('📋 decodeVin - Request params:', req.params);
+    try {
+      const decoded = VinDecoderService.decode(req.params.vin);
+
+      return res.respond({
+        success: decoded.valid,
+        status: decoded.valid ? 200 : 400,
+        data: decoded,
+        message: decoded.valid ? `VIN ${decoded.vin} decoded` : `Invalid VIN: ${decoded.errors.join(', ')}`
+      });
+    } catch (error) {
+      console.error('❌ Error decoding VIN:', error);
+      console.error('❌ Stack trace:', error.stack);
+      return res.respond({
+        success: false,
+        status: 500,
+        message: `Failed to decode VIN: ${error.message}`
+      });
+    }
+  }
+
+  /**
+   * Avisos de mantenimiento predictivo de un vehículo registrado
+   * GET /api/vehicles/:vehicleId/alerts?status=OPEN|RESOLVED|ALL&refresh=true
+   * Con refresh se vuelve a analizar su historial antes de responder (los avisos se actualizan tras cada viaje)
+   */
+  static async getVehicleAlerts(req, res) {
+    console.log('📋 getVehicleAlerts - Request params:', req.params, 'query:', req.query);
+    try {
+      const { vehicleId } = req.params;
+
+      let status;
+      try {
+        status = MaintenanceAnalyticsService.parseStatusFilter(req.query.status);
+      } catch (validationError) {
+        console.log(`⛔ Invalid alert status filter: ${validationError.message}`);
+        return res.respond({
+          success: false,
+          status: 400,
+          message: validationError.message
+        });
+      }
+
+      const vehicle = await VehicleRegistryService.getVehicle(vehicleId);
+      if (!vehicle) {
+        return res.respond({
+          success: false,
+          status: 404,
+          message: `Vehicle with ID ${vehicleId} not found`
+        });
+      }
+
+      if (req.query.refresh === 'true') {
+        await MaintenanceAnalyticsService.refreshVehicleAlerts(vehicleId);
+      }
+
+      const alerts = await MaintenanceAnalyticsService.getVehicleAlerts(vehicleId, status);
+
+      return res.respond({
+        success: true,
+        data: {
+          vehicleId,
+          alerts
+        },
+        message: `Found ${alerts.length} maintenance alerts for vehicle ${vehicleId}`
+      });
+    } catch (error) {
+      console.error('❌ Error getting vehicle alerts:', error);
+      console.error('❌ Stack trace:', error.stack);
+      return res.respond({
+        success: false,
+        status: 500,
+        message: `Failed to get vehicle alerts: ${error.message}`
+      });
+    }
+  }
+
+  /**
+   * Crear una flota; la wallet que la crea es su propietaria
+   * POST /api/fleets (walletAddress, name, description opcional)
+   */
+  static async createFleet(req, res) {
+    console.log('📋 createFleet - Request body:', req.body);
+    try {
+      const { walletAddress } = req.body;
+
+      if (!walletAddress) {
+        return res.respond({
+          success: false,
+          status: 400,
+          message: 'Wallet address is required'
+        });
+      }
+
+      let fleetData;
+      try {
+        fleetData = FleetService.parseFleet(req.body);
+      } catch (validationError) {
+        return res.respond({
+          success: false,
+          status: 400,
+          message: validationError.message
+        });
+      }
+
+      const owner = await prisma.user.upsert({
+        where: { walletAddress },
+        update: {},
+        create: { walletAddress }
+      });
+
+      const fleet = await FleetService.createFleet(owner.id, fleetData);
+      console.log(`✅ Fleet ${fleet.id} created by ${walletAddress}`);
+
+      return res.respond({
+        success: true,
+        data: fleet,
+        message: `Fleet created with ID: ${fleet.id}`
+      });
+    } catch (error) {
+      console.error('❌ Error creating fleet:', error);
+      console.error('❌ Stack trace:', error.stack);
+      return res.respond({
+        success: false,
+        status: 500,
+        message: `Failed to create fleet: ${error.message}`
+      });
+    }
+  }
+
+  /**
+   * Obtener una flota con sus miembros y vehículos
+   * GET /api/fleets/:fleetId
+   */
+  static async getFleet(req, res) {
+    console.log('📋 getFleet - Request params:', req.params);
+    try {
+      const { fleetId } = req.params;
+
+      const fleet = await FleetService.getFleet(fleetId);
+      if (!fleet) {
+        return res.respond({
+          success: false,
+          status: 404,
+          message: `Fleet with ID ${fleetId} not found`
+        });
+      }
+
+      return res.respond({
+        success: true,
+        data: fleet,
+        message: `Fleet details for ID: ${fleetId}`
+      });
+    } catch (error) {
+      console.error('❌ Error getting fleet:', error);
+      console.error('❌ Stack trace:', error.stack);
+      return res.respond({
+        success: false,
+        status: 500,
+        message: `Failed to get fleet: ${error.message}`
+      });
+    }
+  }
+
+  /**
+   * Obtener las flotas de las que forma parte una wallet
+   * GET /api/users/:walletAddress/fleets
+   */
+  static async getUserFleets(req, res) {
+    console.log('📋 getUserFleets - Request params:', req.params);
+    try {
+      const { walletAddress } = req.params;
+
+      const user = await prisma.user.findUnique({
+        where: { walletAddress }
+      });
+
+      if (!user) {
+        return res.respond({
+          success: true,
+          data: [],
+          message: `No fleets found for wallet ${walletAddress}`
+        });
+      }
+
+      const fleets = await FleetService.getUserFleets(user.id);
+      return res.respond({
+        success: true,
+        data: fleets,
+        message: `Found ${fleets.length} fleets for wallet ${walletAddress}`
+      });
+    } catch (error) {
+      console.error('❌ Error getting user fleets:', error);
+      console.error('❌ Stack trace:', error.stack);
+      return res.respond({
+        success: false,
+        status: 500,
+        message: `Failed to get user fleets: ${error.message}`
+      });
+    }
+  }
+
+  /**
+   * Añadir un miembro a la flota (solo el propietario)
+   * POST /api/fleets/:fleetId/members (walletAddress del propietario, memberWalletAddress, role opcional)
+   */
+  static async addFleetMember(req, res) {
+    console.log('📋 addFleetMember - Request params:', req.params, 'body:', req.body);
+    try {
+      const { fleetId } = req.params;
+      const { walletAddress, memberWalletAddress, role = 'MEMBER' } = req.body;
+
+      if (!walletAddress || !memberWalletAddress) {
+        return res.respond({
+          success: false,
+          status: 400,
+          message: 'Owner wallet address and member wallet address are required'
+        });
+      }
+
+      if (!FleetService.ROLES.includes(role)) {
+        return res.respond({
+          success: false,
+          status: 400,
+          message: `Invalid role, expected one of ${FleetService.ROLES.join(', ')}`
+        });
+      }
+
+      const fleet = await FleetService.getFleet(fleetId);
+      if (!fleet) {
+        return res.respond({
+          success: false,
+          status: 404,
+          message: `Fleet with ID ${fleetId} not found`
+        });
+      }
+
+      if (!FleetService.isOwner(fleet, walletAddress)) {
+        return res.respond({
+          success: false,
+          status: 403,
+          message: 'Only fleet owners can add members'
+        });
+      }
+
+      if (FleetService.getMember(fleet, memberWalletAddress)) {
+        return res.respond({
+          success: false,
+          status: 409,
+          message: `Wallet ${memberWalletAddress} is already a member of this fleet`
+        });
+      }
+
+      const user = await prisma.user.upsert({
+        where: { walletAddress: memberWalletAddress },
+        update: {},
+        create: { walletAddress: memberWalletAddress }
+      });
+
+      const member = await FleetService.addMember(fleet.id, user.id, role);
+      console.log(`✅ ${memberWalletAddress} added to fleet ${fleet.id} as ${role}`);
+
+      return res.respond({
+        success: true,
+        data: member,
+        message: `Wallet ${memberWalletAddress} added to fleet ${fleetId}`
+      });
+    } catch (error) {
+      console.error('❌ Error adding fleet member:', error);
+      console.error('❌ Stack trace:', error.stack);
+      return res.respond({
+        success: false,
+        status: 500,
+        message: `Failed to add fleet member: ${error.message}`
+      });
+    }
+  }
+
+  /**
+   * Dar de baja a un miembro (el propietario, o el propio miembro para abandonar la flota)
+   * DELETE /api/fleets/:fleetId/members/:memberWalletAddress?walletAddress=
+   */
+  static async removeFleetMember(req, res) {
+    console.log('📋 removeFleetMember - Request params:', req.params, 'query:', req.query);
+    try {
+      const { fleetId, memberWalletAddress } = req.params;
+      const { walletAddress } = req.query;
+
+      const fleet = await FleetService.getFleet(fleetId);
+      if (!fleet) {
+        return res.respond({
+          success: false,
+          status: 404,
+          message: `Fleet with ID ${fleetId} not found`
+        });
+      }
+
+      if (walletAddress !== memberWalletAddress && !FleetService.isOwner(fleet, walletAddress)) {
+        return res.respond({
+          success: false,
+          status: 403,
+          message: 'Only fleet owners can remove other members'
+        });
+      }
+
+      const member = FleetService.getMember(fleet, memberWalletAddress);
+      if (!member) {
+        return res.respond({
+          success: false,
+          status: 404,
+          message: `Wallet ${memberWalletAddress} is not a member of this fleet`
+        });
+      }
+
+      // La flota no puede quedarse sin propietario
+      const owners = fleet.members.filter(fleetMember => fleetMember.role === 'OWNER');
+      if (member.role === 'OWNER' && owners.length === 1) {
+        return res.respond({
+          success: false,
+          status: 400,
+          message: 'The last owner cannot leave the fleet'
+        });
+      }
+
+      await FleetService.removeMember(member);
+      console.log(`🗑️ ${memberWalletAddress} removed from fleet ${fleet.id}`);
+
+      return res.respond({
+        success: true,
+        data: { fleetId: fleet.id, walletAddress: memberWalletAddress },
+        message: `Wallet ${memberWalletAddress} removed from fleet ${fleetId}`
+      });
+    } catch (error) {
+      console.error('❌ Error removing fleet member:', error);
+      console.error('❌ Stack trace:', error.stack);
+      return res.respond({
+        success: false,
+        status: 500,
+        message: `Failed to remove fleet member: ${error.message}`
+      });
+    }
+  }
+
+  /**
+   * Fijar el reparto de ingresos de los listados de la flota (solo el propietario)
+   * PUT /api/fleets/:fleetId/revenue-shares (walletAddress, shares: [{ walletAddress, percentage }])
+   */
+  static async updateFleetRevenueShares(req, res) {
+    console.log('📋 updateFleetRevenueShares - Request params:', req.params, 'body:', req.body);
+    try {
+      const { fleetId } = req.params;
+      const { walletAddress, shares } = req.body;
+
+      const fleet = await FleetService.getFleet(fleetId);
+      if (!fleet) {
+        return res.respond({
+          success: false,
+          status: 404,
+          message: `Fleet with ID ${fleetId} not found`
+        });
+      }
+
+      if (!FleetService.isOwner(fleet, walletAddress)) {
+        return res.respond({
+          success: false,
+          status: 403,
+          message: 'Only fleet owners can change the revenue split'
+        });
+      }
+
+      let percentages;
+      try {
+        percentages = FleetService.parseRevenueShares(fleet, shares);
+      } catch (validationError) {
+        return res.respond({
+          success: false,
+          status: 400,
+          message: validationError.message
+        });
+      }
+
+      await FleetService.setRevenueShares(fleet, percentages);
+      const updated = await FleetService.getFleet(fleet.id);
+
+      return res.respond({
+        success: true,
+        data: updated.members.map(member => ({
+          walletAddress: member.user.walletAddress,
+          role: member.role,
+          revenueSharePct: member.revenueSharePct
+        })),
+        message: `Revenue split updated for fleet ${fleetId}`
+      });
+    } catch (error) {
+      console.error('❌ Error updating fleet revenue shares:', error);
+      console.error('❌ Stack trace:', error.stack);
+      return res.respond({
+        success: false,
+        status: 500,
+        message: `Failed to update revenue split: ${error.message}`
+      });
+    }
+  }
+
+  /**
+   * Añadir a la flota un vehículo registrado de un miembro (el propio miembro)
+   * POST /api/fleets/:fleetId/vehicles (walletAddress, vehicleId)
+   */
+  static async addFleetVehicle(req, res) {
+    console.log('📋 addFleetVehicle - Request params:', req.params, 'body:', req.body);
+    try {
+      const { fleetId } = req.params;
+      const { walletAddress, vehicleId } = req.body;
+
+      if (!walletAddress || !vehicleId) {
+        return res.respond({
+          success: false,
+          status: 400,
+          message: 'Wallet address and vehicle ID are required'
+        });
+      }
+
+      const fleet = await FleetService.getFleet(fleetId);
+      if (!fleet) {
+        return res.respond({
+          success: false,
+          status: 404,
+          message: `Fleet with ID ${fleetId} not found`
+        });
+      }
+
+      if (!FleetService.getMember(fleet, walletAddress)) {
+        return res.respond({
+          success: false,
+          status: 403,
+          message: 'Only fleet members can add their vehicles'
+        });
+      }
+
+      const vehicle = await VehicleRegistryService.getWalletVehicle(walletAddress, vehicleId);
+      if (!vehicle) {
+        return res.respond({
+          success: false,
+          status: 404,
+          message: `Vehicle with ID ${vehicleId} not found for wallet ${walletAddress}`
+        });
+      }
+
+      if (vehicle.fleetId && vehicle.fleetId !== fleet.id) {
+        return res.respond({
+          success: false,
+          status: 409,
+          message: 'The vehicle already belongs to another fleet'
+        });
+      }
+
+      const updated = await FleetService.setVehicleFleet(vehicle.id, fleet.id);
+      console.log(`✅ Vehicle ${vehicle.id} added to fleet ${fleet.id}`);
+
+      return res.respond({
+        success: true,
+        data: updated,
+        message: `Vehicle ${vehicleId} added to fleet ${fleetId}`
+      });
+    } catch (error) {
+      console.error('❌ Error adding fleet vehicle:', error);
+      console.error('❌ Stack trace:', error.stack);
+      return res.respond({
+        success: false,
+        status: 500,
+        message: `Failed to add vehicle to fleet: ${error.message}`
+      });
+    }
+  }
+
+  /**
+   * Retirar un vehículo de la flota (su propietario o el de la flota)
+   * DELETE /api/fleets/:fleetId/vehicles/:vehicleId?walletAddress=
+   */
+  static async removeFleetVehicle(req, res) {
+    console.log('📋 removeFleetVehicle - Request params:', req.params, 'query:', req.query);
+    try {
+      const { fleetId, vehicleId } = req.params;
+      const { walletAddress } = req.query;
+
+      const fleet = await FleetService.getFleet(fleetId);
+      const vehicle = fleet?.vehicles.find(fleetVehicle => fleetVehicle.id === vehicleId);
+      if (!vehicle) {
+        return res.respond({
+          success: false,
+          status: 404,
+          message: `Vehicle with ID ${vehicleId} not found in fleet ${fleetId}`
+        });
+      }
+
+      const member = FleetService.getMember(fleet, walletAddress);
+      if (!member || (member.userId !== vehicle.userId && member.role !== 'OWNER')) {
+        return res.respond({
+          success: false,
+          status: 403,
+          message: 'Only the vehicle owner or a fleet owner can remove the vehicle'
+        });
+      }
+
+      await FleetService.setVehicleFleet(vehicle.id, null);
+
+      return res.respond({
+        success: true,
+        data: { fleetId: fleet.id, vehicleId: vehicle.id },
+        message: `Vehicle ${vehicleId} removed from fleet ${fleetId}`
+      });
+    } catch (error) {
+      console.error('❌ Error removing fleet vehicle:', error);
+      console.error('❌ Stack trace:', error.stack);
+      return res.respond({
+        success: false,
+        status: 500,
+        message: `Failed to remove vehicle from fleet: ${error.message}`
+      });
+    }
+  }
+
+  /**
+   * Obtener las simulaciones y viajes de todos los vehículos de la flota
+   * GET /api/fleets/:fleetId/simulations
+   */
+  static async getFleetSimulations(req, res) {
+    console.log('📋 getFleetSimulations - Request params:', req.params);
+    try {
+      const { fleetId } = req.params;
+
+      const fleet = await FleetService.getFleet(fleetId);
+      if (!fleet) {
+        return res.respond({
+          success: false,
+          status: 404,
+          message: `Fleet with ID ${fleetId} not found`
+        });
+      }
+
+      const simulations = await FleetService.getFleetSimulations(fleet, { includeRewards: true });
+      return res.respond({
+        success: true,
+        data: simulations,
+        message: `Found ${simulations.length} simulations for fleet ${fleetId}`
+      });
+    } catch (error) {
+      console.error('❌ Error getting fleet simulations:', error);
+      console.error('❌ Stack trace:', error.stack);
+      return res.respond({
+        success: false,
+        status: 500,
+        message: `Failed to get fleet simulations: ${error.message}`
+      });
+    }
+  }
+
+  /**
+   * Obtener los indicadores agregados de la flota: distancia, eficiencia, seguridad y recompensas
+   * GET /api/fleets/:fleetId/summary
+   */
+  static async getFleetSummary(req, res) {
+    console.log('📋 getFleetSummary - Request params:', req.params);
+    try {
+      const { fleetId } = req.params;
+
+      const fleet = await FleetService.getFleet(fleetId);
+      if (!fleet) {
+        return res.respond({
+          success: false,
+          status: 404,
+          message: `Fleet with ID ${fleetId} not found`
+        });
+      }
+
+      const summary = await FleetService.getFleetSummary(fleet);
+      return res.respond({
+        success: true,
+        data: { fleetId: fleet.id, name: fleet.name, ...summary },
+        message: `Summary for fleet ${fleetId}`
+      });
+    } catch (error) {
+      console.error('❌ Error getting fleet summary:', error);
+      console.error('❌ Stack trace:', error.stack);
+      return res.respond({
+        success: false,
+        status: 500,
+        message: `Failed to get fleet summary: ${error.message}`
+      });
+    }
+  }
+
+  /**
+   * Obtener el panel de diagnóstico de la flota (DTC por vehículo)
+   * GET /api/fleets/:fleetId/diagnostics
+   */
+  static async getFleetDiagnostics(req, res) {
+    console.log('📋 getFleetDiagnostics - Request params:', req.params);
+    try {
+      const { fleetId } = req.params;
+
+      const fleet = await FleetService.getFleet(fleetId);
+      if (!fleet) {
+        return res.respond({
+          success: false,
+          status: 404,
+          message: `Fleet with ID ${fleetId} not found`
+        });
+      }
+
+      await DtcCatalogueService.ensureLoaded();
+      const vehicles = await FleetService.getFleetDiagnostics(fleet);
+
+      return res.respond({
+        success: true,
+        data: vehicles,
+        message: `Diagnostics for ${vehicles.length} vehicles of fleet ${fleetId}`
+      });
+    } catch (error) {
+      console.error('❌ Error getting fleet diagnostics:', error);
+      console.error('❌ Stack trace:', error.stack);
+      return res.respond({
+        success: false,
+        status: 500,
+        message: `Failed to get fleet diagnostics: ${error.message}`
+      });
+    }
+  }
+
+  /**
+   * Publicar los datos de toda la flota como un único listado COMPLETE (solo el propietario)
+   * Los ingresos de sus suscripciones se reparten entre los miembros
+   * POST /api/fleets/:fleetId/listings (walletAddress, pricePerPoint, description opcional)
+   */
+  static async createFleetListing(req, res) {
+    console.log('📋 createFleetListing - Request params:', req.params, 'body:', req.body);
+    try {
+      const { fleetId } = req.params;
+      const { walletAddress, pricePerPoint, description } = req.body;
+
+      if (!walletAddress || !pricePerPoint) {
+        return res.respond({
+          success: false,
+          status: 400,
+          message: 'Wallet address and price are required'
+        });
+      }
+
+      const fleet = await FleetService.getFleet(fleetId);
+      if (!fleet) {
+        return res.respond({
+          success: false,
+          status: 404,
+          message: `Fleet with ID ${fleetId} not found`
+        });
+      }
+
+      if (!FleetService.isOwner(fleet, walletAddress)) {
+        return res.respond({
+          success: false,
+          status: 403,
+          message: 'Only fleet owners can list fleet data'
+        });
+      }
+
+      if (fleet.vehicles.length === 0) {
+        return res.respond({
+          success: false,
+          status: 400,
+          message: 'The fleet has no vehicles to list'
+        });
+      }
+
+      const samples = await FleetService.getBundleSamples(fleet);
+      const listing = await DataMarketplace.createListing(
+        walletAddress,
+        'COMPLETE',
+        Number(pricePerPoint),
+        description || `Complete data from fleet ${fleet.name} (${fleet.vehicles.length} vehicles)`,
+        samples,
+        null,
+        null,
+        fleet.id
+      );
+      console.log(`✅ Fleet listing ${listing.id} created for fleet ${fleet.id}`);
+
+      return res.respond({
+        success: true,
+        data: listing,
+        message: `Fleet listing created with ID: ${listing.id}`
+      });
+    } catch (error) {
+      console.error('❌ Error creating fleet listing:', error);
       console.error('❌ Stack trace:', error.stack);
       return res.respond({
         success: false,
         status: 500,
-        message: `Failed to get data types: ${error.message}`
+        message: `Failed to create fleet listing: ${error.message}`
       });
     }
   }
 
   /**
-   * Crear nuevo listado en el marketplace
-   * POST /api/marketplace/listings
+   * Obtener detalle de una simulación
+   * GET /api/simulations/:simulationId
    */
-  static async createListing(req, res) {
-    console.log('📋 createListing - Request body:', req.body);
+  static async getSimulationDetail(req, res) {
+    console.log('📋 getSimulationDetail - Request params:', req.params);
     try {
-      const { walletAddress, dataType, pricePerPoint, description, samples } = req.body;
-      console.log(`📝 Parameters: walletAddress=${walletAddress}, dataType=${dataType}, pricePerPoint=${pricePerPoint}`);
+      const { simulationId } = req.params;
+      console.log(`📝 Parameters: simulationId=${simulationId}`);
 
-      if (!walletAddress || !dataType || !pricePerPoint) {
-        console.log('⛔ Missing required parameters');
+      if (!simulationId) {
+        console.log('⛔ Missing required parameter: simulationId');
         return res.respond({
           success: false,
           status: 400,
-          message: 'Wallet address, data type, and price are required'
+          message: 'Simulation ID is required'
         });
       }
 
-      console.log('🚀 Creating new marketplace listing');
-      const listing = await DataMarketplace.createListing(
-        walletAddress,
-        dataType,
-        Number(pricePerPoint),
-        description || `${dataType} vehicle data`,
-        samples || []
-      );
-      console.log('👉 Created listing:', listing);
+      // Buscar simulación
+      console.log(`🔍 Looking for simulation with ID ${simulationId}`);
+      const simulation = await TelemetryStoreService.findSimulation({
+        where: { id: simulationId },
+        include: {
+          rewards: true,
+          user: true
+        }
+      });
+      console.log('👉 Simulation found:', simulation);
+
+      if (!simulation) {
+        console.log(`⚠️ Simulation with ID ${simulationId} not found`);
+        return res.respond({
+          success: false,
+          status: 404,
+          message: `Simulation with ID ${simulationId} not found`
+        });
+      }
 
+      const responseData = {
+        ...simulation,
+        walletAddress: simulation.user?.walletAddress,
+        user: undefined
+      };
       const response = {
         success: true,
-        data: listing,
-        message: `Listing created with ID: ${listing.id}`
+        data: responseData,
+        message: `Simulation details for ID: ${simulationId}`
       };
       console.log('📤 Respuesta:', response);
       return res.respond(response);
     } catch (error) {
-      console.error('❌ Error creating listing:', error);
+      console.error('❌ Error getting simulation detail:', error);
       console.error('❌ Stack trace:', error.stack);
       return res.respond({
         success: false,
         status: 500,
-        message: `Failed to create listing: ${error.message}`
+        message: `Failed to get simulation detail: ${error.message}`
       });
     }
   }
 
   /**
-   * Obtener listados del marketplace con filtros
-   * GET /api/marketplace/listings
+   * Obtener la política de recompensas activa y el historial de versiones
+   * GET /api/admin/reward-policy
    */
-  static async getListings(req, res) {
-    console.log('📋 getListings - Request query:', req.query);
+  static async getRewardPolicy(req, res) {
+    console.log('📋 getRewardPolicy');
     try {
-      const filters = {
-        seller: req.query.seller,
-        dataType: req.query.dataType,
-        active: req.query.active === 'true',
-        maxPrice: req.query.maxPrice ? Number(req.query.maxPrice) : undefined,
-        minRating: req.query.minRating ? Number(req.query.minRating) : undefined
-      };
-      console.log('📝 Filters before cleanup:', filters);
-
-      // Eliminar filtros indefinidos
-      Object.keys(filters).forEach(key => {
-        if (filters[key] === undefined) {
-          delete filters[key];
-        }
-      });
-      console.log('📝 Filters after cleanup:', filters);
-
-      console.log('🔍 Getting listings with filters');
-      const listings = await DataMarketplace.getListings(filters);
-      console.log(`👉 Found ${listings.length} listings`);
+      const active = await RewardPolicyService.getActivePolicy();
+      const versions = await RewardPolicyService.listVersions();
 
-      const response = {
+      return res.respond({
         success: true,
-        data: listings,
-        filters: Object.keys(filters).length > 0 ? filters : 'none',
-        message: `Found ${listings.length} listings${Object.keys(filters).length > 0 ? ' with applied filters' : ''}`
-      };
-      console.log('📤 Respuesta:', response);
-      return res.respond(response);
+        data: {
+          active,
+          versions: versions.map(({ config, ...version }) => version)
+        },
+        message: `Active reward policy: version ${active.version}`
+      });
     } catch (error) {
-      console.error('❌ Error getting listings:', error);
+      console.error('❌ Error getting reward policy:', error);
       console.error('❌ Stack trace:', error.stack);
       return res.respond({
         success: false,
         status: 500,
-        message: `Failed to get listings: ${error.message}`
+        message: `Failed to get reward policy: ${error.message}`
       });
     }
   }
 
   /**
-   * Obtener detalle de un listado
-   * GET /api/marketplace/listings/:listingId
+   * Obtener una versión concreta de la política de recompensas
+   * GET /api/admin/reward-policy/versions/:version
    */
-  static async getListingDetail(req, res) {
-    console.log('📋 getListingDetail - Request params:', req.params);
+  static async getRewardPolicyVersion(req, res) {
+    console.log('📋 getRewardPolicyVersion - Request params:', req.params);
     try {
-      const { listingId } = req.params;
-      console.log(`📝 Parameters: listingId=${listingId}`);
-
-      if (!listingId) {
-        console.log('⛔ Missing required parameter: listingId');
+      const version = Number(req.params.version);
+      if (!Number.isInteger(version) || version < 0) {
         return res.respond({
           success: false,
           status: 400,
-          message: 'Listing ID is required'
+          message: `Invalid policy version: ${req.params.version}`
         });
       }
 
-      console.log(`🔍 Getting details for listing ${listingId}`);
-      const listing = await DataMarketplace.getListingById(listingId);
-      console.log('👉 Listing found:', listing);
-
-      if (!listing) {
-        console.log(`⚠️ Listing with ID ${listingId} not found`);
+      const policy = await RewardPolicyService.getPolicyVersion(version);
+      if (!policy) {
         return res.respond({
           success: false,
           status: 404,
-          message: `Listing with ID ${listingId} not found`
+          message: `Reward policy version ${version} not found`
         });
       }
 
-      const response = {
+      return res.respond({
         success: true,
-        data: listing,
-        message: `Listing details for ID: ${listingId}`
-      };
-      console.log('📤 Respuesta:', response);
-      return res.respond(response);
+        data: policy,
+        message: `Reward policy version ${version}`
+      });
     } catch (error) {
-      console.error('❌ Error getting listing detail:', error);
+      console.error('❌ Error getting reward policy version:', error);
       console.error('❌ Stack trace:', error.stack);
       return res.respond({
         success: false,
         status: 500,
-        message: `Failed to get listing detail: ${error.message}`
+        message: `Failed to get reward policy version: ${error.message}`
       });
     }
   }
 
   /**
-   * Actualizar un listado
-   * PUT /api/marketplace/listings/:listingId
+   * Publicar una nueva versión de la política de recompensas
+   * PUT /api/admin/reward-policy
    */
-  static async updateListing(req, res) {
-    console.log('📋 updateListing - Request params:', req.params);
-    console.log('📋 updateListing - Request body:', req.body);
+  static async updateRewardPolicy(req, res) {
+    console.log('📋 updateRewardPolicy - Request body:', req.body);
     try {
-      const { listingId } = req.params;
-      const updates = req.body;
-      console.log(`📝 Parameters: listingId=${listingId}, updates=`, updates);
+      const { config, notes, walletAddress } = req.body;
 
-      if (!listingId) {
-        console.log('⛔ Missing required parameter: listingId');
+      let parsed;
+      try {
+        parsed = RewardPolicyService.parsePolicy(config);
+      } catch (validationError) {
+        console.log(`⛔ Invalid reward policy: ${validationError.message}`);
         return res.respond({
           success: false,
           status: 400,
-          message: 'Listing ID is required'
+          message: validationError.message
         });
       }
 
-      console.log(`🔄 Updating listing ${listingId}`);
-      const updatedListing = await DataMarketplace.updateListing(listingId, updates);
-      console.log('👉 Updated listing:', updatedListing);
+      const policy = await RewardPolicyService.createVersion(parsed, notes || null, walletAddress || null);
+      console.log(`✅ Reward policy version ${policy.version} published`);
 
-      const response = {
+      return res.respond({
         success: true,
-        data: updatedListing,
-        message: `Listing ${listingId} updated successfully`
-      };
-      console.log('📤 Respuesta:', response);
-      return res.respond(response);
+        data: policy,
+        message: `Reward policy version ${policy.version} published`
+      });
     } catch (error) {
-      console.error('❌ Error updating listing:', error);
+      if (error.code === 'P2002') {
+        console.log('⛔ Concurrent reward policy update');
+        return res.respond({
+          success: false,
+          status: 409,
+          message: 'Another reward policy version was published at the same time, retry'
+        });
+      }
+
+      console.error('❌ Error updating reward policy:', error);
       console.error('❌ Stack trace:', error.stack);
       return res.respond({
         success: false,
         status: 500,
-        message: `Failed to update listing: ${error.message}`
+        message: `Failed to update reward policy: ${error.message}`
       });
     }
   }
 
   /**
-   * Crear suscripción a un listado
-   * POST /api/marketplace/subscriptions
+   * Comparar en simulaciones pasadas la recompensa con la política activa y con otra configuración
+   * POST /api/admin/reward-policy/preview
    */
-  static async createSubscription(req, res) {
-    console.log('📋 createSubscription - Request body:', req.body);
+  static async previewRewardPolicy(req, res) {
+    console.log('📋 previewRewardPolicy - Request body:', req.body);
     try {
-      const { buyerWalletAddress, listingId, durationDays, pointsPerDay } = req.body;
-      console.log(`📝 Parameters: buyerWalletAddress=${buyerWalletAddress}, listingId=${listingId}, durationDays=${durationDays}, pointsPerDay=${pointsPerDay}`);
+      const { config, simulationIds, limit } = req.body;
 
-      if (!buyerWalletAddress || !listingId || !durationDays || !pointsPerDay) {
-        console.log('⛔ Missing required parameters');
+      // Sin configuración se previsualiza la política activa (útil para comparar con lo ya pagado)
+      let parsed;
+      try {
+        parsed = config
+          ? RewardPolicyService.parsePolicy(config)
+          : (await RewardPolicyService.getActivePolicy()).config;
+      } catch (validationError) {
+        console.log(`⛔ Invalid reward policy: ${validationError.message}`);
         return res.respond({
           success: false,
           status: 400,
-          message: 'Buyer wallet address, listing ID, duration, and points per day are required'
+          message: validationError.message
         });
       }
 
-      console.log('🚀 Creating new subscription');
-      const subscriptionResult = await DataMarketplace.createSubscription(
-        buyerWalletAddress,
-        listingId,
-        Number(durationDays),
-        Number(pointsPerDay)
-      );
-      console.log('👉 Subscription result:', subscriptionResult);
+      if (simulationIds !== undefined && (!Array.isArray(simulationIds) || simulationIds.length === 0)) {
+        return res.respond({
+          success: false,
+          status: 400,
+          message: 'simulationIds must be a non-empty array'
+        });
+      }
 
-      const response = {
+      const preview = await RewardPolicyService.previewPolicy(parsed, {
+        simulationIds,
+        limit: Number(limit) > 0 ? Number(limit) : undefined
+      });
+      console.log(`✅ Reward policy preview over ${preview.totals.simulations} simulations: delta ${preview.totals.delta}`);
+
+      return res.respond({
         success: true,
-        data: {
-          subscription: subscriptionResult.subscription,
-          transaction: subscriptionResult.transaction
-        },
-        message: `Subscription created with ID: ${subscriptionResult.subscription.id}`
-      };
-      console.log('📤 Respuesta:', response);
-      return res.respond(response);
+        data: preview,
+        message: `Reward policy preview over ${preview.totals.simulations} simulations`
+      });
     } catch (error) {
-      console.error('❌ Error creating subscription:', error);
+      console.error('❌ Error previewing reward policy:', error);
       console.error('❌ Stack trace:', error.stack);
       return res.respond({
         success: false,
         status: 500,
-        message: `Failed to create subscription: ${error.message}`
+        message: `Failed to preview reward policy: ${error.message}`
       });
     }
   }
 
   /**
-   * Confirmar transacción de marketplace
-   * POST /api/marketplace/transactions/:transactionId/confirm
+   * Listar los epochs de recompensas más recientes
+   * GET /api/rewards/epochs
    */
-  static async confirmTransaction(req, res) {
-    console.log('📋 confirmTransaction - Request params:', req.params);
-    console.log('📋 confirmTransaction - Request body:', req.body);
+  static async getRewardEpochs(req, res) {
+    console.log('📋 getRewardEpochs - Query:', req.query);
     try {
-      const { transactionId } = req.params;
-      const { txHash } = req.body;
-      console.log(`📝 Parameters: transactionId=${transactionId}, txHash=${txHash}`);
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+      const epochs = await RewardEpochService.listEpochs(limit);
 
-      if (!transactionId || !txHash) {
-        console.log('⛔ Missing required parameters');
+      return res.respond({
+        success: true,
+        data: epochs,
+        message: `Found ${epochs.length} reward epochs`
+      });
+    } catch (error) {
+      console.error('❌ Error getting reward epochs:', error);
+      console.error('❌ Stack trace:', error.stack);
+      return res.respond({
+        success: false,
+        status: 500,
+        message: `Failed to get reward epochs: ${error.message}`
+      });
+    }
+  }
+
+  /**
+   * Obtener un epoch de recompensas (raíz Merkle y totales)
+   * GET /api/rewards/epochs/:epochId
+   */
+  static async getRewardEpoch(req, res) {
+    console.log('📋 getRewardEpoch - Request params:', req.params);
+    try {
+      const { epochId } = req.params;
+
+      const epoch = await RewardEpochService.getEpoch(epochId);
+      if (!epoch) {
         return res.respond({
           success: false,
-          status: 400,
-          message: 'Transaction ID and blockchain transaction hash are required'
+          status: 404,
+          message: `Reward epoch with ID ${epochId} not found`
         });
       }
 
-      console.log(`🔄 Confirming transaction ${transactionId} with hash ${txHash}`);
-      const confirmedTx = await DataMarketplace.confirmTransaction(transactionId, txHash);
-      console.log('👉 Confirmed transaction:', confirmedTx);
-
-      const response = {
+      return res.respond({
         success: true,
-        data: confirmedTx,
-        message: `Transaction ${transactionId} confirmed successfully`
-      };
-      console.log('📤 Respuesta:', response);
-      return res.respond(response);
+        data: epoch,
+        message: `Reward epoch ${epoch.number} (${epoch.status})`
+      });
     } catch (error) {
-      console.error('❌ Error confirming transaction:', error);
+      console.error('❌ Error getting reward epoch:', error);
       console.error('❌ Stack trace:', error.stack);
       return res.respond({
         success: false,
         status: 500,
-        message: `Failed to confirm transaction: ${error.message}`
+        message: `Failed to get reward epoch: ${error.message}`
       });
     }
   }
 
   /**
-   * Calificar un proveedor de datos
-   * POST /api/marketplace/subscriptions/:subscriptionId/rate
+   * Obtener la prueba Merkle con la que una wallet reclama sus recompensas de un epoch
+   * GET /api/rewards/epochs/:epochId/proof/:walletAddress
    */
-  static async rateDataProvider(req, res) {
-    console.log('📋 rateDataProvider - Request params:', req.params);
-    console.log('📋 rateDataProvider - Request body:', req.body);
+  static async getRewardEpochProof(req, res) {
+    console.log('📋 getRewardEpochProof - Request params:', req.params);
     try {
-      const { subscriptionId } = req.params;
-      const { rating, comment } = req.body;
-      console.log(`📝 Parameters: subscriptionId=${subscriptionId}, rating=${rating}, comment=${comment}`);
+      const { epochId, walletAddress } = req.params;
 
-      if (!subscriptionId || !rating) {
-        console.log('⛔ Missing required parameters');
+      const epoch = await RewardEpochService.getEpoch(epochId);
+      if (!epoch) {
         return res.respond({
           success: false,
-          status: 400,
-          message: 'Subscription ID and rating are required'
+          status: 404,
+          message: `Reward epoch with ID ${epochId} not found`
         });
       }
 
-      console.log(`⭐ Rating provider for subscription ${subscriptionId} with ${rating} stars`);
-      const ratingResult = await DataMarketplace.rateDataProvider(
-        subscriptionId,
-        Number(rating),
-        comment || ''
-      );
-      console.log('👉 Rating result:', ratingResult);
+      if (epoch.status !== 'CLOSED') {
+        console.log(`⛔ Reward epoch ${epoch.number} is ${epoch.status}`);
+        return res.respond({
+          success: false,
+          status: 409,
+          message: `Reward epoch ${epoch.number} is ${epoch.status}; proofs are available once it closes at ${epoch.endsAt.toISOString()}`
+        });
+      }
+
+      const proof = await RewardEpochService.getProof(epoch, walletAddress);
+      if (!proof) {
+        return res.respond({
+          success: false,
+          status: 404,
+          message: `Wallet ${walletAddress} has no rewards in epoch ${epoch.number}`
+        });
+      }
 
-      const response = {
+      return res.respond({
         success: true,
-        data: ratingResult,
-        message: `Rated provider with ${rating} stars for subscription ${subscriptionId}`
-      };
-      console.log('📤 Respuesta:', response);
-      return res.respond(response);
+        data: proof,
+        message: `Merkle proof for ${walletAddress} in epoch ${epoch.number}`
+      });
     } catch (error) {
-      console.error('❌ Error rating provider:', error);
+      console.error('❌ Error getting reward epoch proof:', error);
       console.error('❌ Stack trace:', error.stack);
       return res.respond({
         success: false,
         status: 500,
-        message: `Failed to rate provider: ${error.message}`
+        message: `Failed to get reward epoch proof: ${error.message}`
       });
     }
   }
 
   /**
-   * Obtener transacciones del usuario
-   * GET /api/marketplace/users/:walletAddress/transactions
+   * Verificar localmente una reclamación (wallet, cantidad, prueba) contra la raíz del epoch
+   * POST /api/rewards/epochs/:epochId/verify
    */
-  static async getUserTransactions(req, res) {
-    console.log('📋 getUserTransactions - Request params:', req.params);
+  static async verifyRewardEpochProof(req, res) {
+    console.log('📋 verifyRewardEpochProof - Request params:', req.params, 'body:', req.body);
     try {
-      const { walletAddress } = req.params;
-      console.log(`📝 Parameters: walletAddress=${walletAddress}`);
+      const { epochId } = req.params;
+      const { walletAddress, amountBaseUnits, proof } = req.body;
 
-      if (!walletAddress) {
-        console.log('⛔ Missing required parameter: walletAddress');
+      if (!walletAddress || amountBaseUnits === undefined || !Array.isArray(proof)) {
         return res.respond({
           success: false,
           status: 400,
-          message: 'Wallet address is required'
+          message: 'walletAddress, amountBaseUnits and a proof array are required'
         });
       }
 
-      console.log(`🔍 Getting transactions for wallet ${walletAddress}`);
-      const transactions = await DataMarketplace.getUserTransactions(walletAddress);
-      console.log(`👉 Found ${transactions.length} transactions`);
+      const epoch = await RewardEpochService.getEpoch(epochId);
+      if (!epoch) {
+        return res.respond({
+          success: false,
+          status: 404,
+          message: `Reward epoch with ID ${epochId} not found`
+        });
+      }
 
-      const response = {
+      const valid = RewardEpochService.verifyClaim(epoch, walletAddress, amountBaseUnits, proof);
+      console.log(`👉 Proof for ${walletAddress} in epoch ${epoch.number}: ${valid ? 'valid' : 'invalid'}`);
+
+      return res.respond({
         success: true,
-        data: transactions,
-        message: `Found ${transactions.length} transactions for wallet ${walletAddress}`
-      };
-      console.log('📤 Respuesta:', response);
-      return res.respond(response);
+        data: { valid, merkleRoot: epoch.merkleRoot, epochNumber: epoch.number },
+        message: valid ? 'Proof is valid' : 'Proof is not valid for this epoch'
+      });
     } catch (error) {
-      console.error('❌ Error getting user transactions:', error);
+      console.error('❌ Error verifying reward epoch proof:', error);
       console.error('❌ Stack trace:', error.stack);
       return res.respond({
         success: false,
         status: 500,
-        message: `Failed to get user transactions: ${error.message}`
+        message: `Failed to verify reward epoch proof: ${error.message}`
       });
     }
   }
 
   /**
-   * Obtener suscripciones del usuario
-   * GET /api/marketplace/users/:walletAddress/subscriptions
+   * Cerrar ya el epoch abierto (sin esperar al final de su periodo)
+   * POST /api/admin/reward-epochs/close
    */
-  static async getUserSubscriptions(req, res) {
-    console.log('📋 getUserSubscriptions - Request params:', req.params);
+  static async closeRewardEpoch(req, res) {
+    console.log('📋 closeRewardEpoch');
     try {
-      const { walletAddress } = req.params;
-      console.log(`📝 Parameters: walletAddress=${walletAddress}`);
-
-      if (!walletAddress) {
-        console.log('⛔ Missing required parameter: walletAddress');
+      const epoch = await RewardEpochService.getCurrentEpoch();
+      if (!epoch) {
         return res.respond({
           success: false,
-          status: 400,
-          message: 'Wallet address is required'
+          status: 404,
+          message: 'There is no open reward epoch'
         });
       }
 
-      console.log(`🔍 Getting subscriptions for wallet ${walletAddress}`);
-      const subscriptions = await DataMarketplace.getUserSubscriptions(walletAddress);
-      console.log(`👉 Found ${subscriptions.length} subscriptions`);
+      const closed = await RewardEpochService.closeEpoch(epoch);
 
-      const response = {
+      if (!closed) {
+        return res.respond({
+          success: false,
+          status: 409,
+          message: `Reward epoch ${epoch.number} is already being closed`
+        });
+      }
+
+      return res.respond({
         success: true,
-        data: subscriptions,
-        message: `Found ${subscriptions.length} subscriptions for wallet ${walletAddress}`
-      };
-      console.log('📤 Respuesta:', response);
-      return res.respond(response);
+        data: closed,
+        message: `Reward epoch ${closed.number} closed with ${closed.leafCount} wallets`
+      });
     } catch (error) {
-      console.error('❌ Error getting user subscriptions:', error);
+      console.error('❌ Error closing reward epoch:', error);
       console.error('❌ Stack trace:', error.stack);
       return res.respond({
         success: false,
         status: 500,
-        message: `Failed to get user subscriptions: ${error.message}`
+        message: `Failed to close reward epoch: ${error.message}`
       });
     }
   }
 
   /**
-   * Estimar valor de datos
-   * POST /api/marketplace/estimate-value
+   * Obtener los calendarios de vesting de un usuario con las cantidades liberadas, bloqueadas y reclamables
+   * GET /api/users/:walletAddress/vesting
    */
-  static async estimateDataValue(req, res) {
-    console.log('📋 estimateDataValue - Request body:', req.body);
+  static async getUserVesting(req, res) {
+    console.log('📋 getUserVesting - Request params:', req.params);
     try {
-      const { dataPoints, dataType } = req.body;
-      console.log(`📝 Parameters: dataPoints.length=${dataPoints?.length || 0}, dataType=${dataType}`);
+      const { walletAddress } = req.params;
 
-      if (!dataPoints || !Array.isArray(dataPoints)) {
-        console.log('⛔ Missing required parameter: dataPoints array');
+      const user = await prisma.user.findUnique({
+        where: { walletAddress }
+      });
+
+      if (!user) {
+        console.log(`⚠️ No user found with wallet ${walletAddress}`);
         return res.respond({
-          success: false,
-          status: 400,
-          message: 'Data points array is required'
+          success: true,
+          data: { schedules: [], totals: { total: 0, vested: 0, locked: 0, claimed: 0, claimable: 0 } },
+          message: `No vesting schedules found for wallet ${walletAddress}`
         });
       }
 
-      console.log('💰 Estimating data value');
-      const value = DataMarketplace.estimateDataValue(dataPoints, dataType || 'COMPLETE');
-      console.log(`👉 Estimated value: ${value}`);
+      const summary = await VestingService.getUserSummary(user.id);
+      console.log(`👉 Vesting for ${walletAddress}: ${summary.totals.locked} locked, ${summary.totals.claimable} claimable`);
 
-      const response = {
+      return res.respond({
         success: true,
-        data: {
-          estimatedValue: value,
-          dataType: dataType || 'COMPLETE',
-          dataPointsCount: dataPoints.length
-        },
-        message: `Estimated value: ${value} DRVL tokens for ${dataPoints.length} data points`
-      };
-      console.log('📤 Respuesta:', response);
-      return res.respond(response);
+        data: summary,
+        message: `Found ${summary.schedules.length} vesting schedules for wallet ${walletAddress}`
+      });
     } catch (error) {
-      console.error('❌ Error estimating data value:', error);
+      console.error('❌ Error getting vesting schedules:', error);
       console.error('❌ Stack trace:', error.stack);
       return res.respond({
         success: false,
         status: 500,
-        message: `Failed to estimate data value: ${error.message}`
+        message: `Failed to get vesting schedules: ${error.message}`
       });
     }
   }
 
   /**
-   * Obtener estadísticas del marketplace
-   * GET /api/marketplace/statistics
+   * Reclamar las recompensas liberadas y aún no reclamadas; se liquidan como una recompensa más
+   * POST /api/users/:walletAddress/vesting/claim
    */
-  static async getMarketplaceStatistics(req, res) {
-    console.log('📋 getMarketplaceStatistics - Request params:', req.params);
-    console.log('📋 getMarketplaceStatistics - Request query:', req.query);
+  static async claimVestedRewards(req, res) {
+    console.log('📋 claimVestedRewards - Request params:', req.params);
     try {
-      console.log('📊 Getting marketplace statistics');
-      const statistics = await DataMarketplace.getMarketStatistics();
-      console.log('👉 Statistics:', statistics);
+      const { walletAddress } = req.params;
 
-      const response = {
-        success: true,
-        data: statistics,
-        message: 'Marketplace statistics retrieved successfully'
-      };
-      console.log('📤 Respuesta:', response);
-      return res.respond(response);
+      const user = await prisma.user.findUnique({
+        where: { walletAddress }
+      });
+
+      const reward = user ? await VestingService.claimVested(user.id) : null;
+      if (!reward) {
+        console.log(`⛔ Nothing to claim for wallet ${walletAddress}`);
+        return res.respond({
+          success: false,
+          status: 409,
+          message: `Wallet ${walletAddress} has no vested rewards to claim`
+        });
+      }
+
+      console.log(`💰 Settling ${reward.amount} vested DRVL tokens for ${walletAddress}`);
+      const rewardResult = await RewardClaimService.settleReward(reward, walletAddress);
+      console.log('👉 Reward result:', rewardResult);
+
+      return res.respond({
+        success: rewardResult.success,
+        data: { ...rewardResult, reward },
+        message: rewardResult.settlement === 'EPOCH'
+          ? `Vested reward of ${reward.amount} DRVL tokens added to epoch ${rewardResult.epoch.number}`
+          : rewardResult.success
+            ? `Vested reward of ${reward.amount} DRVL tokens processed for ${walletAddress}`
+            : `Vested reward requires frontend signing: ${reward.amount} DRVL tokens for ${walletAddress}`
+      });
     } catch (error) {
-      console.error('❌ Error getting marketplace statistics:', error);
+      console.error('❌ Error claiming vested rewards:', error);
       console.error('❌ Stack trace:', error.stack);
       return res.respond({
         success: false,
         status: 500,
-        message: `Failed to get marketplace statistics: ${error.message}`
+        message: `Failed to claim vested rewards: ${error.message}`
       });
     }
   }
 
   /**
-   * Obtener información de diagnóstico para códigos OBD
-   * GET /api/diagnostics/:code
+   * Cola de revisión manual de recompensas retenidas por riesgo de fraude
+   * GET /api/admin/reviews?status=PENDING&limit=50
    */
-  static async getDiagnosticInfo(req, res) {
-    console.log('📋 getDiagnosticInfo - Request params:', req.params);
+  static async getClaimReviews(req, res) {
+    console.log('📋 getClaimReviews - Request query:', req.query);
     try {
-      const { code } = req.params;
-      console.log(`📝 Parameters: code=${code}`);
-
-      if (!code) {
-        console.log('⛔ Missing required parameter: code');
+      let reviewStatus;
+      try {
+        reviewStatus = FraudDetectionService.parseReviewStatus(req.query.status);
+      } catch (validationError) {
+        console.log(`⛔ Invalid review status: ${validationError.message}`);
         return res.respond({
           success: false,
           status: 400,
-          message: 'Diagnostic code is required'
+          message: validationError.message
         });
       }
 
-      // Buscar código en la base de datos
-      console.log(`🔍 Looking for diagnostic code ${code} in database`);
-      const diagnosticCode = await prisma.diagnosticCode.findUnique({
-        where: { code }
-      });
-      console.log('👉 Diagnostic code found:', diagnosticCode);
-
-      if (!diagnosticCode) {
-        console.log(`⚠️ Diagnostic code ${code} not found`);
-        return res.respond({
-          success: false,
-          status: 404,
-          message: `Diagnostic code ${code} not found`
-        });
-      }
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+      const reviews = await FraudDetectionService.listReviews(reviewStatus, limit);
+      console.log(`👉 Found ${reviews.length} ${reviewStatus} reviews`);
 
-      const response = {
+      return res.respond({
         success: true,
-        data: diagnosticCode,
-        message: `Diagnostic information for code ${code}`
-      };
-      console.log('📤 Respuesta:', response);
-      return res.respond(response);
+        data: reviews,
+        message: `Found ${reviews.length} ${reviewStatus} reward reviews`
+      });
     } catch (error) {
-      console.error('❌ Error getting diagnostic info:', error);
+      console.error('❌ Error getting reward reviews:', error);
       console.error('❌ Stack trace:', error.stack);
       return res.respond({
         success: false,
         status: 500,
-        message: `Failed to get diagnostic info: ${error.message}`
+        message: `Failed to get reward reviews: ${error.message}`
       });
     }
   }
 
   /**
-   * Obtener las simulaciones de un usuario
-   * GET /api/users/:walletAddress/simulations
+   * Detalle de una recompensa en revisión, con los indicadores de fraude que la retuvieron
+   * GET /api/admin/reviews/:rewardId
    */
-  static async getUserSimulations(req, res) {
-    console.log('📋 getUserSimulations - Request params:', req.params);
+  static async getClaimReview(req, res) {
+    console.log('📋 getClaimReview - Request params:', req.params);
     try {
-      const { walletAddress } = req.params;
-      console.log(`📝 Parameters: walletAddress=${walletAddress}`);
-
-      if (!walletAddress) {
-        console.log('⛔ Missing required parameter: walletAddress');
+      const review = await FraudDetectionService.getReview(req.params.rewardId);
+      if (!review) {
+        console.log(`⚠️ Review for reward ${req.params.rewardId} not found`);
         return res.respond({
           success: false,
-          status: 400,
-          message: 'Wallet address is required'
-        });
-      }
-
-      // Buscar usuario
-      console.log(`🔍 Looking for user with wallet ${walletAddress}`);
-      const user = await prisma.user.findUnique({
-        where: { walletAddress }
-      });
-      console.log('👉 User found:', user);
-
-      if (!user) {
-        console.log(`⚠️ No user found with wallet ${walletAddress}`);
-        return res.respond({
-          success: true,
-          data: [],
-          message: `No simulations found for wallet ${walletAddress}`
+          status: 404,
+          message: `No review found for reward ${req.params.rewardId}`
         });
       }
 
-      // Buscar simulaciones
-      console.log(`🔍 Looking for simulations for user ${user.id}`);
-      const simulations = await prisma.simulation.findMany({
-        where: { userId: user.id },
-        orderBy: { createdAt: 'desc' },
-        include: {
-          rewards: true
-        }
-      });
-      console.log(`👉 Found ${simulations.length} simulations`);
-
-      const response = {
+      return res.respond({
         success: true,
-        data: simulations,
-        message: `Found ${simulations.length} simulations for wallet ${walletAddress}`
-      };
-      console.log('📤 Respuesta:', response);
-      return res.respond(response);
+        data: review,
+        message: `Review for reward ${review.id} is ${review.reviewStatus}`
+      });
     } catch (error) {
-      console.error('❌ Error getting user simulations:', error);
+      console.error('❌ Error getting reward review:', error);
       console.error('❌ Stack trace:', error.stack);
       return res.respond({
         success: false,
         status: 500,
-        message: `Failed to get user simulations: ${error.message}`
+        message: `Failed to get reward review: ${error.message}`
       });
     }
   }
 
   /**
-   * Obtener detalle de una simulación
-   * GET /api/simulations/:simulationId
+   * Aprobar (se liquida) o rechazar una recompensa retenida; la decisión queda registrada en la recompensa
+   * POST /api/admin/reviews/:rewardId
    */
-  static async getSimulationDetail(req, res) {
-    console.log('📋 getSimulationDetail - Request params:', req.params);
+  static async decideClaimReview(req, res) {
+    console.log('📋 decideClaimReview - Request params:', req.params, 'body:', req.body);
     try {
-      const { simulationId } = req.params;
-      console.log(`📝 Parameters: simulationId=${simulationId}`);
+      const { decision, notes, walletAddress } = req.body;
 
-      if (!simulationId) {
-        console.log('⛔ Missing required parameter: simulationId');
+      let parsedDecision;
+      try {
+        parsedDecision = FraudDetectionService.parseDecision(decision);
+      } catch (validationError) {
+        console.log(`⛔ Invalid review decision: ${validationError.message}`);
         return res.respond({
           success: false,
           status: 400,
-          message: 'Simulation ID is required'
+          message: validationError.message
         });
       }
 
-      // Buscar simulación
-      console.log(`🔍 Looking for simulation with ID ${simulationId}`);
-      const simulation = await prisma.simulation.findUnique({
-        where: { id: simulationId },
-        include: {
-          rewards: true,
-          user: true
-        }
-      });
-      console.log('👉 Simulation found:', simulation);
-
-      if (!simulation) {
-        console.log(`⚠️ Simulation with ID ${simulationId} not found`);
+      const review = await FraudDetectionService.getReview(req.params.rewardId);
+      if (!review) {
+        console.log(`⚠️ Review for reward ${req.params.rewardId} not found`);
         return res.respond({
           success: false,
           status: 404,
-          message: `Simulation with ID ${simulationId} not found`
+          message: `No review found for reward ${req.params.rewardId}`
         });
       }
 
-      const responseData = {
-        ...simulation,
-        walletAddress: simulation.user?.walletAddress,
-        user: undefined
-      };
-      const response = {
-        success: true,
-        data: responseData,
-        message: `Simulation details for ID: ${simulationId}`
-      };
-      console.log('📤 Respuesta:', response);
-      return res.respond(response);
+      const resolved = review.reviewStatus === 'PENDING'
+        ? await RewardClaimService.resolveReview(review, parsedDecision, walletAddress || null, notes || null)
+        : null;
+      if (!resolved) {
+        console.log(`⛔ Review for reward ${review.id} already decided`);
+        return res.respond({
+          success: false,
+          status: 409,
+          message: `Review for reward ${review.id} was already decided`
+        });
+      }
+
+      console.log(`✅ Reward ${review.id} ${parsedDecision}`, resolved.result || '');
+      return res.respond({
+        success: resolved.result ? resolved.result.success : true,
+        data: { ...resolved.result, reward: resolved.reward },
+        message: parsedDecision === 'REJECTED'
+          ? `Reward ${review.id} rejected`
+          : `Reward ${review.id} approved and settled (${resolved.result.settlement})`
+      });
     } catch (error) {
-      console.error('❌ Error getting simulation detail:', error);
+      console.error('❌ Error deciding reward review:', error);
       console.error('❌ Stack trace:', error.stack);
       return res.respond({
         success: false,
         status: 500,
-        message: `Failed to get simulation detail: ${error.message}`
+        message: `Failed to decide reward review: ${error.message}`
       });
     }
   }
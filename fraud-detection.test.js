@@ -0,0 +1,49 @@
+// fraud-detection.test.js
+// Comprobaciones de FraudDetectionService que no necesitan base de datos: node fraud-detection.test.js
+import assert from 'node:assert/strict';
+import FraudDetectionService from './services/fraud-detection.service.js';
+
+const now = new Date();
+const threshold = FraudDetectionService.DEFAULT_REVIEW_THRESHOLD;
+
+// Reclamaciones anteriores: `burst` en los últimos minutos y el resto repartidas en las últimas horas
+function claimDates(total, burst) {
+  return Array.from({ length: total }, (_, index) => new Date(now.getTime() - (index < burst
+    ? (index + 1) * 60 * 1000
+    : (index + 1) * 30 * 60 * 1000)));
+}
+
+function volumeScore(total, burst) {
+  const signals = FraudDetectionService.volumeSignals(claimDates(total, burst), now);
+  return {
+    types: signals.map(signal => signal.type).sort(),
+    score: signals.reduce((sum, signal) => sum + signal.score, 0)
+  };
+}
+
+// Dentro de los límites no hay indicadores
+assert.deepEqual(volumeScore(10, 2), { types: [], score: 0 });
+console.log('✅ Normal volume has no signals');
+
+// Justo por encima del límite diario con una ráfaga ya se retiene para revisión
+const overLimit = volumeScore(FraudDetectionService.MAX_CLAIMS_PER_DAY, FraudDetectionService.CLAIM_BURST_LIMIT);
+assert.deepEqual(overLimit.types, ['CLAIM_BURST', 'EXCESSIVE_DAILY_CLAIMS']);
+assert.ok(overLimit.score >= threshold, `score ${overLimit.score} < ${threshold}`);
+console.log(`✅ Daily limit plus burst reaches review (${overLimit.score})`);
+
+// Sin ráfaga, el exceso diario crece con el volumen hasta bastar por sí solo
+const slightlyOver = volumeScore(FraudDetectionService.MAX_CLAIMS_PER_DAY, 0);
+assert.deepEqual(slightlyOver.types, ['EXCESSIVE_DAILY_CLAIMS']);
+assert.ok(slightlyOver.score < threshold);
+const doubleLimit = volumeScore(FraudDetectionService.MAX_CLAIMS_PER_DAY * 2, 0);
+assert.ok(doubleLimit.score >= threshold, `score ${doubleLimit.score} < ${threshold}`);
+assert.equal(volumeScore(FraudDetectionService.MAX_CLAIMS_PER_DAY * 5, 0).score, doubleLimit.score);
+console.log(`✅ Excessive daily volume alone reaches review (${slightlyOver.score} -> ${doubleLimit.score})`);
+
+// Las reproducciones con la misma semilla generan la misma telemetría y no son duplicados
+const replay = { source: 'SIMULATED', seed: 'demo-42' };
+assert.equal(FraudDetectionService.isSeededReplay(replay, { source: 'SIMULATED', seed: 'demo-42' }), true);
+assert.equal(FraudDetectionService.isSeededReplay(replay, { source: 'SIMULATED', seed: 'other' }), false);
+assert.equal(FraudDetectionService.isSeededReplay(replay, { source: 'UPLOADED', seed: null }), false);
+assert.equal(FraudDetectionService.isSeededReplay({ source: 'UPLOADED', seed: null }, { source: 'UPLOADED', seed: null }), false);
+console.log('✅ Same-seed replays are not duplicate telemetry');
@@ -10,6 +10,8 @@ const api = axios.create({
   timeout: 30000, // 30 segundos
   headers: {
     'Content-Type': 'application/json',
+    // Rutas /api/admin: misma clave que ADMIN_API_KEY en el servidor
+    ...(process.env.ADMIN_API_KEY && { 'x-admin-key': process.env.ADMIN_API_KEY })
   }
 });
 
@@ -200,6 +202,12 @@ async function testSimulationRoutes() {
       return false;
     }
 
+    // 2. Reemplazar el trazado de una ruta con una polilínea codificada
+    log('\n> Actualizando trazado de la ruta RURAL...');
+    await makeRequest('put', '/api/routes/RURAL/geometry', {
+      polyline: 'oednA_|wwMnKf{Cnd@f{CwQf{Cvj@f{CoKf{C~p@f{CwQf{Cvj@f{C_q@~{BgE~bBgpAnvAw|Av|A'
+    });
+
     return true;
   } catch (error) {
     log(`❌ Error en rutas de simulación: ${error.message}`);
@@ -243,9 +251,56 @@ async function testSimulations() {
     simulationId = simulation.data?.simulationId;
     log(`📝 Simulación ID guardado: ${simulationId}`);
 
+    // Iniciar una segunda simulación en paralelo para otro usuario
+    log('\n> Iniciando simulación concurrente para el usuario 2...');
+    const concurrentSimulation = await makeRequest('post', '/api/simulations', {
+      routeType: routeType,
+      durationMinutes: 2,
+      walletAddress: USER_2_WALLET,
+      seed: 'drive-ledger-test-seed',
+      speedFactor: 10
+    });
+    const concurrentSimulationId = concurrentSimulation?.data?.simulationId;
+
+    // Generar una simulación completa de una vez (modo instantáneo)
+    log('\n> Generando simulación instantánea...');
+    await makeRequest('post', '/api/simulations', {
+      routeType: routeType,
+      durationMinutes: 10,
+      walletAddress: USER_2_WALLET,
+      seed: 'drive-ledger-test-seed',
+      instant: true
+    });
+
+    // Duración no numérica: debe rechazarse con 400 sin crear la simulación
+    log('\n> Iniciando simulación con duración no numérica...');
+    await makeRequest('post', '/api/simulations', {
+      routeType: routeType,
+      durationMinutes: 'abc',
+      walletAddress: USER_1_WALLET,
+      instant: true
+    });
+    if (testResults[testResults.length - 1].status !== 400) {
+      log('❌ La duración no numérica debería responder 400');
+      return false;
+    }
+
+    // Duración válida enviada como texto (formularios): se acepta
+    log('\n> Iniciando simulación instantánea con duración válida...');
+    const validDuration = await makeRequest('post', '/api/simulations', {
+      routeType: routeType,
+      durationMinutes: '1',
+      walletAddress: USER_1_WALLET,
+      instant: true
+    });
+    if (!validDuration?.success) {
+      log('❌ Una duración válida debería iniciar la simulación');
+      return false;
+    }
+
     // 3. Verificar estado de simulación
     log('\n> Verificando estado de simulación...');
-    await makeRequest('get', '/api/simulations/status');
+    await makeRequest('get', `/api/simulations/${simulationId}/status`);
 
     // 4. Esperar un poco para que la simulación avance
     log('\n> Esperando 5 segundos para que la simulación avance...');
@@ -253,7 +308,7 @@ async function testSimulations() {
 
     // 5. Detener simulación
     log('\n> Deteniendo simulación...');
-    const stopResult = await makeRequest('post', '/api/simulations/stop');
+    const stopResult = await makeRequest('post', `/api/simulations/${simulationId}/stop`);
 
     if (stopResult && (stopResult.result === "success" || stopResult.success)) {
       // Guardar datos de simulación para usarlos posteriormente
@@ -261,10 +316,136 @@ async function testSimulations() {
       log(`📝 Datos de simulación guardados: ${simulationData.length} puntos`);
     }
 
+    if (concurrentSimulationId) {
+      log('\n> Deteniendo simulación concurrente...');
+      await makeRequest('post', `/api/simulations/${concurrentSimulationId}/stop`);
+    }
+
     // 6. Obtener detalle de la simulación
     log('\n> Obteniendo detalles de la simulación...');
     await makeRequest('get', `/api/simulations/${simulationId}`);
 
+    // 7. Obtener la telemetría almacenada (primera página, campos seleccionados)
+    log('\n> Obteniendo telemetría almacenada de la simulación...');
+    const telemetry = await makeRequest('get', `/api/simulations/${simulationId}/telemetry`, null, {
+      fields: 'speed_kmph,engine_rpm,lat,lon',
+      limit: 2
+    });
+
+    if (telemetry?.data?.nextCursor) {
+      log('\n> Obteniendo la siguiente página de telemetría...');
+      await makeRequest('get', `/api/simulations/${simulationId}/telemetry`, null, {
+        cursor: telemetry.data.nextCursor,
+        limit: 2
+      });
+    }
+
+    // 8. Obtener eventos de conducción y puntuación de seguridad
+    log('\n> Obteniendo análisis de conducción de la simulación...');
+    await makeRequest('get', `/api/simulations/${simulationId}/behaviour`);
+
+    // 9. Dividir la simulación en viajes, tramos, paradas y segmentos
+    log('\n> Obteniendo segmentos (urbano, autopista, ralentí) de la simulación...');
+    await makeRequest('get', `/api/simulations/${simulationId}/segments`);
+
+    // 10. Subir un registro de viaje OBD-II en CSV
+    log('\n> Subiendo un viaje registrado desde un fichero CSV...');
+    const tripCsv = [
+      'timestamp,vehicle_id,speed_kmph,engine_rpm,fuel_level_pct,engine_temp_c,lat,lon,dtc_code',
+      '2025-01-01T08:00:00Z,VH_TEST,0,800,60,85,12.9716,77.5946,',
+      '2025-01-01T08:00:10Z,VH_TEST,25,1800,60,86,12.9722,77.5950,',
+      '2025-01-01T08:00:20Z,VH_TEST,40,2200,59.9,87,12.9731,77.5957,P0420'
+    ].join('\n');
+    const uploadForm = new FormData();
+    uploadForm.append('walletAddress', USER_1_WALLET);
+    uploadForm.append('file', new Blob([tripCsv], { type: 'text/csv' }), 'trip.csv');
+    await makeRequest('post', '/api/trips/upload', uploadForm);
+
+    // 11. Ingerir tramas OBD-II en bruto (respuestas ELM327)
+    log('\n> Ingiriendo un lote de tramas OBD-II en bruto...');
+    await makeRequest('post', '/api/trips/obd-frames', {
+      walletAddress: USER_1_WALLET,
+      vehicleLabel: 'VH_TEST',
+      frames: [
+        { timestamp: '2025-01-01T09:00:00.100Z', response: '41 0D 00', lat: 12.9716, lon: 77.5946 },
+        { timestamp: '2025-01-01T09:00:00.400Z', response: '41 0C 0C 80' },
+        { timestamp: '2025-01-01T09:00:01.100Z', response: '41 0D 0F', lat: 12.9717, lon: 77.5947 },
+        { timestamp: '2025-01-01T09:00:01.400Z', response: '41 0C 1A F8 05 7B' },
+        { timestamp: '2025-01-01T09:00:02.100Z', response: '41 0D 1E 2F 80', lat: 12.9719, lon: 77.5949 },
+        { timestamp: '2025-01-01T09:00:02.500Z', response: '43 01 01 33' }
+      ]
+    });
+
+    // 12. Registrar un vehículo con su VIN y asociarle un viaje
+    log('\n> Decodificando un VIN...');
+    await makeRequest('get', '/api/vehicles/decode-vin/1HGCM82633A004352');
+
+    log('\n> Registrando un vehículo...');
+    const vehicle = await makeRequest('post', `/api/users/${USER_1_WALLET}/vehicles`, {
+      vin: '1HGCM82633A004352',
+      model: 'Accord',
+      fuelType: 'GASOLINE',
+      tankCapacityLitres: 65,
+      odometerKm: 120500
+    });
+    await makeRequest('get', `/api/users/${USER_1_WALLET}/vehicles`);
+
+    if (vehicle?.data?.id) {
+      log('\n> Ingiriendo tramas OBD-II de un vehículo registrado...');
+      await makeRequest('post', '/api/trips/obd-frames', {
+        walletAddress: USER_1_WALLET,
+        vehicleId: vehicle.data.id,
+        frames: [
+          { timestamp: '2025-01-02T09:00:00.100Z', response: '41 0D 00 2F A0', lat: 12.9716, lon: 77.5946 },
+          { timestamp: '2025-01-02T09:00:01.100Z', response: '41 0D 0F 2F 9F', lat: 12.9717, lon: 77.5947 },
+          { timestamp: '2025-01-02T09:00:02.100Z', response: '41 0D 1E 2F 9E', lat: 12.9719, lon: 77.5949 }
+        ]
+      });
+
+      log('\n> Consultando los avisos de mantenimiento del vehículo...');
+      await makeRequest('get', `/api/vehicles/${vehicle.data.id}/alerts?status=ALL&refresh=true`);
+
+      // 13. Agrupar el vehículo en una flota con otra wallet y publicar sus datos en conjunto
+      log('\n> Creando una flota con el vehículo registrado...');
+      const fleet = await makeRequest('post', '/api/fleets', { walletAddress: USER_1_WALLET, name: 'Test fleet' });
+
+      if (fleet?.data?.id) {
+        const fleetId = fleet.data.id;
+        await makeRequest('post', `/api/fleets/${fleetId}/members`, { walletAddress: USER_1_WALLET, memberWalletAddress: USER_2_WALLET });
+        await makeRequest('put', `/api/fleets/${fleetId}/revenue-shares`, {
+          walletAddress: USER_1_WALLET,
+          shares: [
+            { walletAddress: USER_1_WALLET, percentage: 60 },
+            { walletAddress: USER_2_WALLET, percentage: 40 }
+          ]
+        });
+        await makeRequest('post', `/api/fleets/${fleetId}/vehicles`, { walletAddress: USER_1_WALLET, vehicleId: vehicle.data.id });
+        await makeRequest('get', `/api/fleets/${fleetId}/summary`);
+        await makeRequest('get', `/api/fleets/${fleetId}/diagnostics`);
+        await makeRequest('post', `/api/fleets/${fleetId}/listings`, { walletAddress: USER_1_WALLET, pricePerPoint: 0.2 });
+        await makeRequest('get', `/api/users/${USER_2_WALLET}/fleets`);
+      }
+
+      log('\n> Actualizando y eliminando el vehículo...');
+      await makeRequest('put', `/api/users/${USER_1_WALLET}/vehicles/${vehicle.data.id}`, { odometerKm: 120512 });
+      await makeRequest('delete', `/api/users/${USER_1_WALLET}/vehicles/${vehicle.data.id}`);
+    }
+
+    // 14. Definir una zona de privacidad: las posiciones dentro no salen en la telemetría ni en las muestras
+    log('\n> Creando una zona de privacidad alrededor del inicio del viaje subido...');
+    const privacyZone = await makeRequest('post', `/api/users/${USER_1_WALLET}/privacy-zones`, {
+      name: 'Home',
+      lat: 12.9716,
+      lon: 77.5946,
+      radiusM: 200
+    });
+    await makeRequest('get', `/api/users/${USER_1_WALLET}/privacy-zones`);
+    await makeRequest('get', `/api/simulations/${simulationId}/telemetry`, null, { fields: 'lat,lon', limit: 5 });
+
+    if (privacyZone?.data?.id) {
+      await makeRequest('delete', `/api/users/${USER_1_WALLET}/privacy-zones/${privacyZone.data.id}`);
+    }
+
     return true;
   } catch (error) {
     log(`❌ Error en simulaciones: ${error.message}`);
@@ -290,6 +471,62 @@ async function testRewards() {
     // Es posible que falle en un entorno de prueba sin acceso completo a Solana
     // pero seguimos con las pruebas
 
+    // 2. Reclamar de nuevo la misma simulación: devuelve la recompensa existente
+    log('\n> Reclamando de nuevo la recompensa...');
+    await makeRequest('post', '/api/rewards', {
+      walletAddress: USER_1_WALLET,
+      simulationId
+    });
+
+    // 3. Reclamar con una wallet que no es la propietaria (debe fallar con 403)
+    log('\n> Reclamando la recompensa desde otra wallet...');
+    await makeRequest('post', '/api/rewards', {
+      walletAddress: USER_2_WALLET,
+      simulationId
+    });
+
+    // 4. Epochs de recompensas (REWARD_SETTLEMENT=EPOCH): prueba Merkle del último epoch cerrado y verificación local
+    log('\n> Obteniendo epochs de recompensas...');
+    const epochs = await makeRequest('get', '/api/rewards/epochs');
+    const closedEpoch = epochs?.data?.find(epoch => epoch.status === 'CLOSED' && epoch.leafCount > 0);
+    if (closedEpoch) {
+      const proof = await makeRequest('get', `/api/rewards/epochs/${closedEpoch.id}/proof/${USER_1_WALLET}`);
+      if (proof?.data) {
+        await makeRequest('post', `/api/rewards/epochs/${closedEpoch.id}/verify`, {
+          walletAddress: USER_1_WALLET,
+          amountBaseUnits: proof.data.amountBaseUnits,
+          proof: proof.data.proof
+        });
+      }
+    }
+
+    // 5. Consultar la política de recompensas activa (requiere ADMIN_API_KEY)
+    log('\n> Obteniendo política de recompensas...');
+    await makeRequest('get', '/api/admin/reward-policy');
+
+    // 6. Previsualizar una política sin el bonus por datos consistentes sobre la simulación
+    log('\n> Previsualizando política de recompensas...');
+    await makeRequest('post', '/api/admin/reward-policy/preview', {
+      simulationIds: [simulationId],
+      config: {
+        basePointReward: 0.01,
+        rewardPerKm: 0.02,
+        rules: [
+          { name: 'Fuel-efficient speed', scope: 'POINT', conditions: [{ field: 'speed_kmph', op: 'BETWEEN', value: [40, 80] }], multiplier: 1.2 },
+          { name: 'Highway cap', scope: 'POINT', conditions: [{ field: 'segment_type', op: 'EQ', value: 'HIGHWAY' }], cap: 0.01 },
+          { name: 'Safe driving', scope: 'TRIP', scale: { field: 'safetyScore', min: 0.5, max: 1.2 } }
+        ]
+      }
+    });
+
+    // 7. Calendarios de vesting del usuario (parte bloqueada de sus recompensas)
+    log('\n> Obteniendo vesting del usuario...');
+    await makeRequest('get', `/api/users/${USER_1_WALLET}/vesting`);
+
+    // 8. Cola de revisión manual de recompensas retenidas por riesgo de fraude
+    log('\n> Obteniendo recompensas pendientes de revisión...');
+    await makeRequest('get', '/api/admin/reviews');
+
     return true;
   } catch (error) {
     log(`❌ Error en recompensas: ${error.message}`);
@@ -374,12 +611,23 @@ async function testMarketplaceGeneral() {
     log('\n> Estimando valor de datos...');
     await makeRequest('post', '/api/marketplace/estimate-value', {
       dataPoints: [
-        { lat: 19.0413, lon: -98.2062, speed_kmph: 60, timestamp: new Date().toISOString() },
+        { lat: 19.0413, lon: -98.2062, speed_kmph: 60, timestamp: new Date(Date.now() - 1000).toISOString() },
         { lat: 19.0414, lon: -98.2063, speed_kmph: 65, timestamp: new Date().toISOString() }
       ],
       dataType: 'LOCATION'
     });
 
+    // Un salto de posición imposible reduce la calidad y, con ella, el valor estimado
+    log('\n> Estimando el valor de datos con un salto de GPS...');
+    await makeRequest('post', '/api/marketplace/estimate-value', {
+      dataPoints: [
+        { lat: 19.0413, lon: -98.2062, speed_kmph: 60, timestamp: new Date(Date.now() - 2000).toISOString() },
+        { lat: 19.4326, lon: -99.1332, speed_kmph: 62, timestamp: new Date(Date.now() - 1000).toISOString() },
+        { lat: 19.0415, lon: -98.2064, speed_kmph: 65, timestamp: new Date().toISOString() }
+      ],
+      dataType: 'LOCATION'
+    });
+
     return true;
   } catch (error) {
     log(`❌ Error en marketplace general: ${error.message}`);
@@ -456,6 +704,26 @@ async function testMarketplaceListings() {
       description: 'Updated test listing from Drive-Ledger API'
     });
 
+    // 7. Publicar solo los tramos urbanos y de autopista de la simulación
+    log('\n> Creando listado de ubicación por segmentos de la simulación...');
+    await makeRequest('post', '/api/marketplace/listings', {
+      walletAddress: USER_1_WALLET,
+      dataType: 'LOCATION',
+      pricePerPoint: 0.05,
+      simulationId,
+      segmentTypes: ['URBAN', 'HIGHWAY']
+    });
+
+    // 8. Publicar la ubicación de la simulación anonimizada
+    log('\n> Creando listado de ubicación anonimizado...');
+    await makeRequest('post', '/api/marketplace/listings', {
+      walletAddress: USER_1_WALLET,
+      dataType: 'LOCATION',
+      pricePerPoint: 0.05,
+      simulationId,
+      privacyLevel: 'MEDIUM'
+    });
+
     return true;
   } catch (error) {
     log(`❌ Error en marketplace listings: ${error.message}`);
@@ -573,6 +841,19 @@ async function testDiagnostics() {
     log('\n> Obteniendo información de código de diagnóstico...');
     await makeRequest('get', `/api/diagnostics/${dtcCode}`);
 
+    // 2. Código fuera del catálogo: información deducida de su estructura
+    log('\n> Obteniendo información de un código del fabricante no catalogado...');
+    await makeRequest('get', '/api/diagnostics/P1ABC');
+
+    // 3. Importar y actualizar códigos en bloque (requiere ADMIN_API_KEY)
+    log('\n> Importando códigos de diagnóstico...');
+    await makeRequest('post', '/api/admin/diagnostics/import', {
+      codes: [
+        { code: 'P1ABC', description: 'Hybrid battery pack cooling fan performance', severity: 'Medium' },
+        { code: 'P0420', description: 'Catalyst System Efficiency Below Threshold (Bank 1)', rewardImpact: -15 }
+      ]
+    });
+
     return true;
   } catch (error) {
     log(`❌ Error en diagnósticos: ${error.message}`);
@@ -0,0 +1,47 @@
+// merkle.test.js
+// Comprobación del árbol de Merkle de los epochs de recompensas: node merkle.test.js
+import assert from 'node:assert/strict';
+import Merkle from './utils/merkle.js';
+
+const wallet = index => `Wallet${index}1111111111111111111111111111111`;
+
+// Todas las hojas se verifican contra la raíz; una cantidad o una prueba alteradas no
+function checkTree(count) {
+  const leaves = Array.from({ length: count }, (_, index) => ({
+    walletAddress: wallet(index),
+    amountBaseUnits: BigInt((index + 1) * 1500000)
+  }));
+  const levels = Merkle.buildTree(leaves.map(leaf => Merkle.hashLeaf(leaf.walletAddress, leaf.amountBaseUnits)));
+  const root = Merkle.getRoot(levels);
+
+  leaves.forEach((leaf, index) => {
+    const proof = Merkle.getProof(levels, index);
+    assert.equal(Merkle.verifyProof(Merkle.hashLeaf(leaf.walletAddress, leaf.amountBaseUnits), proof, root), true,
+      `leaf ${index} of ${count} does not verify`);
+    assert.equal(Merkle.verifyProof(Merkle.hashLeaf(leaf.walletAddress, leaf.amountBaseUnits + 1n), proof, root), false,
+      `tampered amount of leaf ${index} of ${count} verifies`);
+    if (proof.length > 0) {
+      assert.equal(Merkle.verifyProof(Merkle.hashLeaf(leaf.walletAddress, leaf.amountBaseUnits), proof.slice(1), root), false,
+        `truncated proof of leaf ${index} of ${count} verifies`);
+    }
+  });
+
+  console.log(`✅ ${count} leaves (${count % 2 === 0 ? 'even' : 'odd'}): all proofs verify, root ${root.slice(0, 16)}...`);
+  return levels;
+}
+
+checkTree(1);
+checkTree(2);
+checkTree(4);
+checkTree(8);
+
+// Con un número impar de hojas el último nodo sube sin volver a calcularse
+const odd = checkTree(5);
+assert.deepEqual(odd.map(level => level.length), [5, 3, 2, 1]);
+assert.equal(odd[1][2], odd[0][4]);
+assert.equal(Merkle.getProof(odd, 4).length, 1);
+checkTree(3);
+checkTree(7);
+
+assert.throws(() => Merkle.buildTree([]), /without leaves/);
+console.log('✅ Empty tree is rejected');
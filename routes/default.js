@@ -1,20 +1,73 @@
 import { Primate } from '@thewebchimp/primate';
+import multer from 'multer';
 import DriveDataController from '../controllers/drive-data.controller.js';
+import TripIngestionService from '../services/trip-ingestion.service.js';
+import DtcCatalogueService from '../services/dtc-catalogue.service.js';
 
 const router = Primate.getRouter();
 
+// Ficheros subidos (viajes, catálogos): se procesan en memoria
+const singleFileUpload = (maxFileSize) => multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: maxFileSize, files: 1 }
+}).single('file');
+
+// Los errores de multer (tamaño, campos inesperados) se devuelven como 400
+const handleUpload = (upload) => (req, res, next) => {
+  upload(req, res, (error) => {
+    if (error) {
+      return res.respond({
+        success: false,
+        status: 400,
+        message: `Invalid upload: ${error.message}`
+      });
+    }
+    next();
+  });
+};
+
+// Rutas de administración: requieren la cabecera x-admin-key con el valor de ADMIN_API_KEY
+// (sin ADMIN_API_KEY configurada quedan deshabilitadas)
+const requireAdmin = (req, res, next) => {
+  const adminKey = process.env.ADMIN_API_KEY;
+  if (!adminKey || req.get('x-admin-key') !== adminKey) {
+    return res.respond({
+      success: false,
+      status: 403,
+      message: adminKey ? 'Invalid admin key' : 'Admin API is disabled, set ADMIN_API_KEY'
+    });
+  }
+  next();
+};
+
+const handleTripUpload = handleUpload(singleFileUpload(TripIngestionService.MAX_FILE_SIZE_BYTES));
+const handleCatalogueUpload = handleUpload(singleFileUpload(DtcCatalogueService.MAX_FILE_SIZE_BYTES));
+
 // Inicialización de servicios
 router.post('/api/initialize', DriveDataController.initializeServices);
 
 // Rutas para simulaciones
 router.get('/api/routes', DriveDataController.getAvailableRoutes);
+router.put('/api/routes/:routeType/geometry', DriveDataController.updateRouteGeometry);
 router.post('/api/simulations', DriveDataController.startSimulation);
-router.get('/api/simulations/status', DriveDataController.getSimulationStatus);
-router.post('/api/simulations/stop', DriveDataController.stopSimulation);
 router.get('/api/simulations/:simulationId', DriveDataController.getSimulationDetail);
+router.get('/api/simulations/:simulationId/status', DriveDataController.getSimulationStatus);
+router.post('/api/simulations/:simulationId/stop', DriveDataController.stopSimulation);
+router.get('/api/simulations/:simulationId/stream', DriveDataController.streamSimulation);
+router.get('/api/simulations/:simulationId/telemetry', DriveDataController.getSimulationTelemetry);
+router.get('/api/simulations/:simulationId/behaviour', DriveDataController.getSimulationBehaviour);
+router.get('/api/simulations/:simulationId/segments', DriveDataController.getSimulationSegments);
+
+// Rutas para viajes reales subidos por los usuarios
+router.post('/api/trips/upload', handleTripUpload, DriveDataController.uploadTrip);
+router.post('/api/trips/obd-frames', DriveDataController.uploadObdFrames);
 
 // Rutas para recompensas y tokens
 router.post('/api/rewards', DriveDataController.generateReward);
+router.get('/api/rewards/epochs', DriveDataController.getRewardEpochs);
+router.get('/api/rewards/epochs/:epochId', DriveDataController.getRewardEpoch);
+router.get('/api/rewards/epochs/:epochId/proof/:walletAddress', DriveDataController.getRewardEpochProof);
+router.post('/api/rewards/epochs/:epochId/verify', DriveDataController.verifyRewardEpochProof);
 router.post('/api/airdrops', DriveDataController.executeAirdrop);
 router.get('/api/balances/:walletAddress', DriveDataController.getTokenBalance);
 
@@ -40,8 +93,54 @@ router.post('/api/marketplace/transactions/:transactionId/confirm', DriveDataCon
 router.get('/api/marketplace/users/:walletAddress/transactions', DriveDataController.getUserTransactions);
 router.get('/api/marketplace/users/:walletAddress/subscriptions', DriveDataController.getUserSubscriptions);
 router.get('/api/users/:walletAddress/simulations', DriveDataController.getUserSimulations);
+router.get('/api/users/:walletAddress/vesting', DriveDataController.getUserVesting);
+router.post('/api/users/:walletAddress/vesting/claim', DriveDataController.claimVestedRewards);
+
+// Rutas para vehículos
+router.get('/api/users/:walletAddress/vehicles', DriveDataController.getUserVehicles);
+router.post('/api/users/:walletAddress/vehicles', DriveDataController.createVehicle);
+router.get('/api/users/:walletAddress/vehicles/:vehicleId', DriveDataController.getVehicle);
+router.put('/api/users/:walletAddress/vehicles/:vehicleId', DriveDataController.updateVehicle);
+router.delete('/api/users/:walletAddress/vehicles/:vehicleId', DriveDataController.deleteVehicle);
+router.get('/api/vehicles/decode-vin/:vin', DriveDataController.decodeVin);
+router.get('/api/vehicles/:vehicleId/alerts', DriveDataController.getVehicleAlerts);
+
+// Rutas para zonas de privacidad
+router.get('/api/users/:walletAddress/privacy-zones', DriveDataController.getPrivacyZones);
+router.post('/api/users/:walletAddress/privacy-zones', DriveDataController.createPrivacyZone);
+router.put('/api/users/:walletAddress/privacy-zones/:zoneId', DriveDataController.updatePrivacyZone);
+router.delete('/api/users/:walletAddress/privacy-zones/:zoneId', DriveDataController.deletePrivacyZone);
+
+// Rutas para flotas
+router.post('/api/fleets', DriveDataController.createFleet);
+router.get('/api/fleets/:fleetId', DriveDataController.getFleet);
+router.get('/api/users/:walletAddress/fleets', DriveDataController.getUserFleets);
+router.post('/api/fleets/:fleetId/members', DriveDataController.addFleetMember);
+router.delete('/api/fleets/:fleetId/members/:memberWalletAddress', DriveDataController.removeFleetMember);
+router.put('/api/fleets/:fleetId/revenue-shares', DriveDataController.updateFleetRevenueShares);
+router.post('/api/fleets/:fleetId/vehicles', DriveDataController.addFleetVehicle);
+router.delete('/api/fleets/:fleetId/vehicles/:vehicleId', DriveDataController.removeFleetVehicle);
+router.get('/api/fleets/:fleetId/simulations', DriveDataController.getFleetSimulations);
+router.get('/api/fleets/:fleetId/summary', DriveDataController.getFleetSummary);
+router.get('/api/fleets/:fleetId/diagnostics', DriveDataController.getFleetDiagnostics);
+router.post('/api/fleets/:fleetId/listings', DriveDataController.createFleetListing);
 
 // Rutas para diagnósticos
 router.get('/api/diagnostics/:code', DriveDataController.getDiagnosticInfo);
 
+// Rutas de administración de la política de recompensas
+router.get('/api/admin/reward-policy', requireAdmin, DriveDataController.getRewardPolicy);
+router.put('/api/admin/reward-policy', requireAdmin, DriveDataController.updateRewardPolicy);
+router.get('/api/admin/reward-policy/versions/:version', requireAdmin, DriveDataController.getRewardPolicyVersion);
+router.post('/api/admin/reward-policy/preview', requireAdmin, DriveDataController.previewRewardPolicy);
+router.post('/api/admin/reward-epochs/close', requireAdmin, DriveDataController.closeRewardEpoch);
+
+// Importación del catálogo de diagnósticos: rewardImpact interviene en las recompensas de todos los usuarios
+router.post('/api/admin/diagnostics/import', requireAdmin, handleCatalogueUpload, DriveDataController.importDiagnosticCodes);
+
+// Revisión manual de las recompensas retenidas por riesgo de fraude
+router.get('/api/admin/reviews', requireAdmin, DriveDataController.getClaimReviews);
+router.get('/api/admin/reviews/:rewardId', requireAdmin, DriveDataController.getClaimReview);
+router.post('/api/admin/reviews/:rewardId', requireAdmin, DriveDataController.decideClaimReview);
+
 export { router };
@@ -1,20 +1,20 @@
 import fs from 'fs';
-import { EventEmitter } from 'events';
 import path from 'path';
+import SeededRandom from '../utils/seeded-random.js';
+import VehicleDynamicsService from './vehicle-dynamics.service.js';
+import RouteGeometryService from './route-geometry.service.js';
+import TripMetricsService from './trip-metrics.service.js';
+import CsvIngestionService from './csv-ingestion.service.js';
+import DtcCatalogueService from './dtc-catalogue.service.js';
+import TelemetryQualityService from './telemetry-quality.service.js';
+import RewardPolicyService from './reward-policy.service.js';
 
 class CarDataService {
 	static instance;
-	static eventEmitter = new EventEmitter();
-	static isStreaming = false;
-	static currentDataIndex = 0;
-	static simulationInterval = null;
-	static simulationTimeout = null;
 	static syntheticData = [];
-	static simulationData = []; // Array para almacenar datos de la simulación actual
-	static simulationStartTime = null;
-	static simulationEndTime = null;
-	static simulationRouteType = null;
-	static simulationDuration = 0;
+
+	// Cada punto generado representa este intervalo de conducción simulada
+	static SAMPLE_PERIOD_MS = 1000;
 
 	static getInstance() {
 		if(!CarDataService.instance) {
@@ -46,34 +46,19 @@ class CarDataService {
 	static async loadSyntheticDataFromCSV() {
 		console.log('📂 loadSyntheticDataFromCSV - Cargando datos desde CSV');
 		try {
-			// Cargar datos desde el archivo CSV en la raíz
-			const csvData = fs.readFileSync(path.resolve('./synthetic_obd_data_24h.csv'), 'utf8');
-			const lines = csvData.split('\n');
-			const headers = lines[0].split('\t');
-
-			CarDataService.syntheticData = [];
-
-			for(let i = 1; i < lines.length; i++) {
-				if(!lines[i].trim()) continue;
-
-				const values = lines[i].split('\t');
-				const dataPoint = {};
-
-				headers.forEach((header, index) => {
-					let value = values[index] ? values[index].trim() : '';
-
-					// Convertir a número si es posible
-					if([ 'speed_kmph', 'engine_rpm', 'fuel_level_pct', 'engine_temp_c', 'lat', 'lon' ].includes(header)) {
-						value = parseFloat(value);
-					}
-
-					dataPoint[header] = value;
-				});
-
-				CarDataService.syntheticData.push(dataPoint);
+			// Cargar datos desde el archivo CSV en la raíz (delimitador detectado automáticamente)
+			const { records, rejectedCount, errors, delimiter } = await CsvIngestionService.parse(
+				fs.createReadStream(path.resolve('./synthetic_obd_data_24h.csv')),
+				{ schema: CsvIngestionService.TELEMETRY_SCHEMA }
+			);
+
+			if(rejectedCount > 0) {
+				console.warn(`⚠️ Skipped ${ rejectedCount } invalid CSV rows:`, errors.slice(0, 5));
 			}
 
-			console.log(`✅ Loaded ${ CarDataService.syntheticData.length } data points from CSV`);
+			CarDataService.syntheticData = records;
+
+			console.log(`✅ Loaded ${ CarDataService.syntheticData.length } data points from CSV (delimiter ${ JSON.stringify(delimiter) })`);
 			return CarDataService.syntheticData;
 		} catch(error) {
 			console.error('❌ Error loading synthetic CSV data:', error);
@@ -82,20 +67,17 @@ class CarDataService {
 	}
 
 	/**
-	 * Iniciar simulación de conducción
+	 * Crear el estado de una sesión de simulación independiente
+	 * @param {string} sessionId - ID de la sesión (ID de la simulación en Prisma)
 	 * @param {string} routeType - Tipo de ruta (URBAN, HIGHWAY, etc.)
 	 * @param {number} durationMinutes - Duración de la simulación en minutos
-	 * @param {number} intervalMs - Intervalo de emisión de datos en milisegundos (por defecto: 1000ms)
-	 * @returns {Object} Stream de datos para suscripción
+	 * @param {string} seed - Semilla del generador pseudoaleatorio (se genera una si se omite)
+	 * @param {Object} route - Registro SimulationRoute que parametriza el modelo del vehículo (opcional)
+	 * @param {Object} registeredVehicle - Vehículo registrado del usuario (opcional)
+	 * @returns {Object} Estado inicial de la sesión
 	 */
-	static startSimulation(routeType = 'URBAN', durationMinutes = 5, intervalMs = 1000) {
-		console.log(`🚀 startSimulation - Iniciando simulación: routeType=${ routeType }, durationMinutes=${ durationMinutes }, intervalMs=${ intervalMs }`);
-
-		// Verificar si ya hay una simulación en curso
-		if(CarDataService.isStreaming) {
-			console.log('⚠️ Simulation already running');
-			return null;
-		}
+	static createSimulationState(sessionId, routeType = 'URBAN', durationMinutes = 5, seed = SeededRandom.generateSeed(), route = null, registeredVehicle = null) {
+		console.log(`🚀 createSimulationState - Preparando sesión ${ sessionId }: routeType=${ routeType }, durationMinutes=${ durationMinutes }`);
 
 		// Verificar si hay datos cargados
 		if(CarDataService.syntheticData.length === 0) {
@@ -103,166 +85,170 @@ class CarDataService {
 			throw new Error('No synthetic data loaded. Call loadSyntheticData first.');
 		}
 
-		// Inicializar variables de simulación
-		CarDataService.isStreaming = true;
-		CarDataService.currentDataIndex = 0;
-		CarDataService.simulationStartTime = new Date();
-		CarDataService.simulationRouteType = routeType;
-		CarDataService.simulationDuration = durationMinutes;
-		CarDataService.simulationEndTime = new Date(CarDataService.simulationStartTime.getTime() + (durationMinutes * 60 * 1000));
+		const startTime = new Date();
+		// Todas las decisiones aleatorias de la sesión salen de este generador para poder reproducirla
+		const random = SeededRandom.create(seed);
+		const currentDataIndex = CarDataService.getStartIndexForRoute(routeType, random);
 
-		// Inicializar array para almacenar datos de esta simulación
-		CarDataService.simulationData = [];
+		// Modelo físico del vehículo: velocidad, marchas, RPM, consumo y temperatura
+		const routeProfile = VehicleDynamicsService.buildRouteProfile({ routeType, ...route });
+		const vehicle = VehicleDynamicsService.createVehicleState(routeProfile, random, {
+			fuelLevelPct: CarDataService.syntheticData[currentDataIndex]?.fuel_level_pct,
+			fuelTankLiters: registeredVehicle?.tankCapacityLitres,
+		});
 
-		console.log(`📊 Simulation parameters: routeType=${ routeType }, duration=${ durationMinutes } minutes, end time=${ CarDataService.simulationEndTime }`);
+		// Trazado que sigue el vehículo: el de la ruta en base de datos o el predefinido para su tipo
+		const geometry = route?.geometry || RouteGeometryService.getDefaultGeometry(routeType);
 
-		// Determinar punto de inicio en los datos sintéticos según tipo de ruta
+		return {
+			id: sessionId,
+			routeType,
+			durationMinutes,
+			seed: String(seed),
+			random,
+			startTime,
+			endTime: new Date(startTime.getTime() + (durationMinutes * 60 * 1000)),
+			currentDataIndex,
+			vehicle,
+			registeredVehicle,
+			// Etiquetado de calidad de cada punto emitido
+			quality: TelemetryQualityService.createState({ fuelType: registeredVehicle?.fuelType }),
+			routePath: geometry ? RouteGeometryService.buildPath(geometry) : null,
+			data: [], // Puntos de datos emitidos en esta sesión
+		};
+	}
+
+	/**
+	 * Determinar punto de inicio en los datos sintéticos según tipo de ruta
+	 * @param {string} routeType - Tipo de ruta
+	 * @param {Function} random - Generador de números en [0, 1) (por defecto: Math.random)
+	 * @returns {number} Índice de inicio
+	 */
+	static getStartIndexForRoute(routeType, random = Math.random) {
 		switch(routeType) {
 			case 'HIGHWAY':
 				// Buscar sección con velocidades más altas
-				CarDataService.currentDataIndex = CarDataService.findDataSegment('speed_kmph', 80, 120);
-				break;
+				return CarDataService.findDataSegment('speed_kmph', 80, 120, random);
 			case 'URBAN':
 				// Buscar sección con velocidades de ciudad
-				CarDataService.currentDataIndex = CarDataService.findDataSegment('speed_kmph', 20, 60);
-				break;
+				return CarDataService.findDataSegment('speed_kmph', 20, 60, random);
 			case 'MOUNTAIN':
 				// Buscar sección con cambios de altitud
-				CarDataService.currentDataIndex = CarDataService.findDataSegment('altitude', 300, 1000);
-				break;
+				return CarDataService.findDataSegment('altitude', 300, 1000, random);
 			default:
 				// Inicio aleatorio para otros tipos
-				CarDataService.currentDataIndex = Math.floor(Math.random() * (CarDataService.syntheticData.length / 2));
+				return Math.floor(random() * (CarDataService.syntheticData.length / 2));
 		}
-
-		console.log(`📌 Starting data from index: ${ CarDataService.currentDataIndex }`);
-
-		// Configurar temporizador para detener automáticamente
-		CarDataService.simulationTimeout = setTimeout(() => {
-			console.log(`⏱️ Simulation duration (${ durationMinutes } minutes) reached, stopping...`);
-			CarDataService.stopSimulation();
-		}, durationMinutes * 60 * 1000);
-
-		// Configurar intervalo para emitir datos
-		CarDataService.simulationInterval = setInterval(() => {
-			if(CarDataService.currentDataIndex >= CarDataService.syntheticData.length) {
-				CarDataService.currentDataIndex = 0; // Loop back to start
-			}
-
-			// Obtener datos actuales y aplicar variaciones
-			const currentData = CarDataService.syntheticData[CarDataService.currentDataIndex];
-			const variationData = CarDataService.addRandomVariation(currentData);
-
-			// Añadir datos específicos de esta simulación
-			variationData.timestamp = new Date().toISOString();
-			variationData.routeType = routeType;
-			variationData.simulationElapsed = Math.floor((new Date() - CarDataService.simulationStartTime) / 1000);
-
-			// Añadir códigos de diagnóstico aleatorios según el tipo de ruta
-			if(Math.random() < 0.05) { // 5% de probabilidad
-				const dtcCodes = [ 'P0420', 'P0171', 'P0300' ];
-				variationData.dtc_code = dtcCodes[Math.floor(Math.random() * dtcCodes.length)];
-			}
-
-			// Almacenar dato en la colección de esta simulación
-			CarDataService.simulationData.push(variationData);
-
-			// Emitir evento con los datos
-			CarDataService.eventEmitter.emit('data', variationData);
-
-			CarDataService.currentDataIndex++;
-		}, intervalMs);
-
-		console.log('✅ Simulation started successfully');
-
-		// Devolver objeto para suscripción
-		return CarDataService.getDataStream();
 	}
 
 	/**
-	 * Detener simulación actual y devolver resumen
-	 * @returns {Object} Resumen de la simulación
+	 * Generar el siguiente punto de datos de una sesión y almacenarlo en ella
+	 * @param {Object} state - Estado de la sesión (ver createSimulationState)
+	 * @returns {Object} Punto de datos generado
 	 */
-	static stopSimulation() {
-		console.log('🛑 stopSimulation - Deteniendo simulación');
-
-		if(!CarDataService.isStreaming) {
-			console.log('⚠️ No simulation is running');
-			return {
-				success: false,
-				message: 'No simulation is running',
-				summary: null,
-			};
+	static generateNextDataPoint(state) {
+		if(state.currentDataIndex >= CarDataService.syntheticData.length) {
+			state.currentDataIndex = 0; // Loop back to start
 		}
 
-		// Detener temporizadores
-		if(CarDataService.simulationInterval) {
-			clearInterval(CarDataService.simulationInterval);
-			CarDataService.simulationInterval = null;
+		// Los datos sintéticos aportan la identidad del vehículo (y la posición si no hay trazado);
+		// la dinámica (velocidad, RPM, consumo, temperatura) sale del modelo físico
+		const currentData = CarDataService.syntheticData[state.currentDataIndex];
+		const variationData = {
+			...CarDataService.addRandomVariation(currentData, state.random),
+			...VehicleDynamicsService.step(state.vehicle, CarDataService.SAMPLE_PERIOD_MS / 1000),
+		};
+
+		// Con trazado, la posición avanza sobre la ruta según la distancia recorrida
+		if(state.routePath) {
+			const position = RouteGeometryService.getPositionAtDistance(state.routePath, state.vehicle.distanceM);
+			// Ruido de unos pocos metros, como el de un receptor GPS
+			variationData.lat = parseFloat((position.lat + (state.random() * 0.00004 - 0.00002)).toFixed(6));
+			variationData.lon = parseFloat((position.lon + (state.random() * 0.00004 - 0.00002)).toFixed(6));
+			variationData.heading = position.heading;
+			variationData.route_progress_pct = position.progressPct;
 		}
 
-		if(CarDataService.simulationTimeout) {
-			clearTimeout(CarDataService.simulationTimeout);
-			CarDataService.simulationTimeout = null;
+		// Añadir datos específicos de esta simulación usando el reloj simulado,
+		// independiente de la velocidad a la que se emitan los puntos
+		const elapsedMs = (state.data.length + 1) * CarDataService.SAMPLE_PERIOD_MS;
+		variationData.timestamp = new Date(state.startTime.getTime() + elapsedMs).toISOString();
+		variationData.routeType = state.routeType;
+		variationData.simulationElapsed = Math.floor(elapsedMs / 1000);
+
+		// Añadir códigos de diagnóstico aleatorios según el tipo de ruta
+		if(state.random() < 0.05) { // 5% de probabilidad
+			const dtcCodes = [ 'P0420', 'P0171', 'P0300' ];
+			variationData.dtc_code = dtcCodes[Math.floor(state.random() * dtcCodes.length)];
 		}
 
-		// Marcar como detenida
-		CarDataService.isStreaming = false;
+		// Indicadores de calidad respecto al punto anterior (quality_flags)
+		TelemetryQualityService.assessPoint(state.quality, variationData);
 
-		// Calcular estadísticas de la simulación
-		const summary = CarDataService.generateSimulationSummary();
+		// Almacenar dato en la colección de esta sesión
+		state.data.push(variationData);
+		state.currentDataIndex++;
 
-		console.log('✅ Simulation stopped successfully');
-		console.log('📊 Simulation summary:', summary);
+		return variationData;
+	}
 
-		return {
-			success: true,
-			message: 'Simulation stopped successfully',
-			summary: summary,
-		};
+	/**
+	 * Obtener el instante del reloj simulado de una sesión
+	 * @param {Object} state - Estado de la sesión
+	 * @returns {Date} Momento correspondiente al último punto generado
+	 */
+	static getSimulatedTime(state) {
+		return new Date(state.startTime.getTime() + state.data.length * CarDataService.SAMPLE_PERIOD_MS);
 	}
 
 	/**
-	 * Obtener estado actual de la simulación
-	 * @returns {Object} Estado de la simulación
+	 * Comprobar si una sesión ya generó todos los puntos de su duración
+	 * @param {Object} state - Estado de la sesión
+	 * @returns {boolean} true si se alcanzó la duración solicitada
 	 */
-	static getSimulationStatus() {
-		console.log('🔍 getSimulationStatus - Verificando estado de simulación');
+	static isSimulationComplete(state) {
+		return state.data.length * CarDataService.SAMPLE_PERIOD_MS >= state.durationMinutes * 60 * 1000;
+	}
 
+	/**
+	 * Obtener estado de una sesión de simulación
+	 * @param {Object} state - Estado de la sesión
+	 * @param {boolean} isActive - Si la sesión sigue emitiendo datos
+	 * @returns {Object} Estado de la simulación
+	 */
+	static getSimulationStatus(state, isActive) {
 		// Preparar la respuesta base
 		const status = {
-			isActive: CarDataService.isStreaming,
-			currentIndex: CarDataService.currentDataIndex,
+			isActive,
+			currentIndex: state.currentDataIndex,
 			totalDataPoints: CarDataService.syntheticData.length,
+			dataPointsCollected: state.data.length,
 			progress: 0,
-			lastData: null,
+			lastData: state.data.length > 0 ? state.data[state.data.length - 1] : null,
+			startedAt: state.startTime,
+			// Segundos de conducción simulada (no de reloj real)
+			elapsedSeconds: Math.floor((CarDataService.getSimulatedTime(state) - state.startTime) / 1000),
+			wallClockSeconds: Math.floor((new Date() - state.startTime) / 1000),
 		};
 
-		// Calcular progreso si hay datos
-		if(CarDataService.syntheticData.length > 0) {
-			status.progress = parseFloat(((CarDataService.currentDataIndex / CarDataService.syntheticData.length) * 100).toFixed(2));
-			status.lastData = CarDataService.getLastData();
+		// Calcular progreso respecto a la duración solicitada
+		const totalSeconds = state.durationMinutes * 60;
+		if(totalSeconds > 0) {
+			status.progress = parseFloat(Math.min(100, (status.elapsedSeconds / totalSeconds) * 100).toFixed(2));
 		}
 
-		// Añadir datos adicionales si la simulación está activa
-		if(CarDataService.isStreaming) {
-			status.startedAt = CarDataService.simulationStartTime || new Date();
-			status.elapsedSeconds = Math.floor((new Date() - status.startedAt) / 1000);
-
-			// Calcular métricas de rendimiento si hay suficientes datos
-			if(CarDataService.simulationData && CarDataService.simulationData.length > 0) {
-				const recentData = CarDataService.simulationData.slice(-10); // Últimos 10 puntos
-				status.recentMetrics = {
-					avgSpeed: parseFloat((recentData.reduce((sum,
-						point) => sum + parseFloat(point.speed_kmph || 0), 0) / recentData.length).toFixed(2)),
-					avgRPM: Math.round(recentData.reduce((sum,
-						point) => sum + parseFloat(point.engine_rpm || 0), 0) / recentData.length),
-					efficiencyScore: CarDataService.getVehicleEfficiencyScore(recentData),
-				};
-			}
+		// Calcular métricas de rendimiento si hay suficientes datos
+		if(state.data.length > 0) {
+			const recentData = state.data.slice(-10); // Últimos 10 puntos
+			status.recentMetrics = {
+				avgSpeed: parseFloat((recentData.reduce((sum,
+					point) => sum + parseFloat(point.speed_kmph || 0), 0) / recentData.length).toFixed(2)),
+				avgRPM: Math.round(recentData.reduce((sum,
+					point) => sum + parseFloat(point.engine_rpm || 0), 0) / recentData.length),
+				efficiencyScore: CarDataService.getVehicleEfficiencyScore(recentData),
+			};
 		}
 
-		console.log('✅ Estado de simulación:', status);
 		return status;
 	}
 
@@ -271,9 +257,10 @@ class CarDataService {
 	 * @param {string} field - Campo a evaluar
 	 * @param {number} minValue - Valor mínimo
 	 * @param {number} maxValue - Valor máximo
+	 * @param {Function} random - Generador de números en [0, 1) (por defecto: Math.random)
 	 * @returns {number} Índice de inicio del segmento
 	 */
-	static findDataSegment(field, minValue, maxValue) {
+	static findDataSegment(field, minValue, maxValue, random = Math.random) {
 		if(!CarDataService.syntheticData || CarDataService.syntheticData.length === 0) {
 			return 0;
 		}
@@ -287,16 +274,20 @@ class CarDataService {
 		}
 
 		// Si no se encuentra, devolver un índice aleatorio
-		return Math.floor(Math.random() * (CarDataService.syntheticData.length / 2));
+		return Math.floor(random() * (CarDataService.syntheticData.length / 2));
 	}
 
 	/**
 	 * Generar resumen estadístico de la simulación
+	 * @param {Object} state - Estado de la sesión
+	 * @param {Date} endTime - Momento de finalización (por defecto: el reloj simulado de la sesión)
 	 * @returns {Object} Estadísticas de la simulación
 	 */
-	static generateSimulationSummary() {
+	static generateSimulationSummary(state, endTime = CarDataService.getSimulatedTime(state)) {
+		const dataPoints = state.data;
+
 		// Si no hay datos de simulación, devolver resumen vacío
-		if(!CarDataService.simulationData || CarDataService.simulationData.length === 0) {
+		if(!dataPoints || dataPoints.length === 0) {
 			return {
 				dataPointsCollected: 0,
 				durationMinutes: 0,
@@ -309,11 +300,9 @@ class CarDataService {
 		}
 
 		// Calcular tiempo transcurrido
-		const startTime = CarDataService.simulationStartTime || new Date(Date.now() - 3600000); // 1 hora por defecto
-		const endTime = new Date();
+		const startTime = state.startTime;
 		const durationMinutes = parseFloat(((endTime - startTime) / (1000 * 60)).toFixed(2));
 
-		// Calcular distancia (basada en velocidad y tiempo)
 		let totalSpeed = 0;
 		let maxSpeed = 0;
 
@@ -321,7 +310,7 @@ class CarDataService {
 		const diagnosticCodes = new Set();
 
 		// Procesar cada punto de datos
-		CarDataService.simulationData.forEach(point => {
+		dataPoints.forEach(point => {
 			const speed = parseFloat(point.speed_kmph || 0);
 			totalSpeed += speed;
 			maxSpeed = Math.max(maxSpeed, speed);
@@ -333,13 +322,18 @@ class CarDataService {
 		});
 
 		// Calcular velocidad promedio
-		const avgSpeed = parseFloat((totalSpeed / CarDataService.simulationData.length).toFixed(2));
+		const avgSpeed = parseFloat((totalSpeed / dataPoints.length).toFixed(2));
+
+		// Distancia integrada desde las posiciones GPS y contrastada con velocidad × Δt
+		const tripMetrics = TripMetricsService.computeTripMetrics(dataPoints);
+		const distanceKm = parseFloat(tripMetrics.distanceKm.toFixed(2));
 
-		// Calcular distancia aproximada (velocidad promedio * tiempo)
-		const distanceKm = parseFloat(((avgSpeed * durationMinutes) / 60).toFixed(2));
+		if(tripMetrics.flags.length > 0) {
+			console.warn(`⚠️ Trip metrics flags for session ${ state.id }: ${ tripMetrics.flags.join(', ') } (GPS ${ tripMetrics.gpsDistanceKm } km vs speed ${ tripMetrics.speedDistanceKm } km)`);
+		}
 
 		// Calcular puntuación de eficiencia
-		const efficiencyScore = CarDataService.getVehicleEfficiencyScore(CarDataService.simulationData);
+		const efficiencyScore = CarDataService.getVehicleEfficiencyScore(dataPoints);
 
 		// Detalles de problemas de diagnóstico
 		const diagnosticIssues = Array.from(diagnosticCodes).map(code => {
@@ -349,119 +343,109 @@ class CarDataService {
 				description: info ? info.description : 'Unknown issue',
 				severity: info ? info.severity : 'Unknown',
 				impact: info ? info.impact : 'Unknown',
+				system: info ? info.system : 'Unknown',
+				rewardImpact: info ? info.rewardImpact : 0,
 			};
 		});
 
+		// Consumo de todo el viaje; en litros si se conoce el depósito del vehículo registrado
+		const fuelConsumption = CarDataService.calculateFuelConsumption(dataPoints, Infinity, state.registeredVehicle?.tankCapacityLitres);
+
+		// Puntuación de calidad de los datos a partir de los indicadores de cada punto
+		const dataQuality = TelemetryQualityService.evaluate(dataPoints, { fuelType: state.registeredVehicle?.fuelType });
+
 		return {
-			routeType: CarDataService.simulationRouteType || 'UNKNOWN',
-			dataPointsCollected: CarDataService.simulationData.length,
+			routeType: state.routeType || 'UNKNOWN',
+			dataPointsCollected: dataPoints.length,
 			durationMinutes: durationMinutes,
 			distanceKm: distanceKm,
 			averageSpeedKmph: avgSpeed,
 			maxSpeedKmph: maxSpeed,
 			efficiencyScore: efficiencyScore,
 			diagnosticIssues: diagnosticIssues,
+			tripMetrics: tripMetrics,
+			fuelConsumption: fuelConsumption,
+			dataQuality: dataQuality,
 			startTime: startTime.toISOString(),
 			endTime: endTime.toISOString(),
 		};
 	}
 
-	static addRandomVariation(data) {
+	static addRandomVariation(data, random = Math.random) {
 		// Clone the data object
 		const newData = { ...data };
 
 		// Add small random variations to numeric values
-		if(newData.speed_kmph) newData.speed_kmph = parseFloat((newData.speed_kmph * (1 + (Math.random() * 0.1 - 0.05))).toFixed(2));
-		if(newData.engine_rpm) newData.engine_rpm = Math.round(newData.engine_rpm * (1 + (Math.random() * 0.08 - 0.04)));
-		if(newData.fuel_level_pct) newData.fuel_level_pct = parseFloat((newData.fuel_level_pct * (1 + (Math.random() * 0.02 - 0.01))).toFixed(2));
-		if(newData.engine_temp_c) newData.engine_temp_c = parseFloat((newData.engine_temp_c * (1 + (Math.random() * 0.05 - 0.025))).toFixed(1));
+		if(newData.speed_kmph) newData.speed_kmph = parseFloat((newData.speed_kmph * (1 + (random() * 0.1 - 0.05))).toFixed(2));
+		if(newData.engine_rpm) newData.engine_rpm = Math.round(newData.engine_rpm * (1 + (random() * 0.08 - 0.04)));
+		if(newData.fuel_level_pct) newData.fuel_level_pct = parseFloat((newData.fuel_level_pct * (1 + (random() * 0.02 - 0.01))).toFixed(2));
+		if(newData.engine_temp_c) newData.engine_temp_c = parseFloat((newData.engine_temp_c * (1 + (random() * 0.05 - 0.025))).toFixed(1));
 
 		// Small variations in GPS for movement simulation
-		if(newData.lat) newData.lat = parseFloat((parseFloat(newData.lat) + (Math.random() * 0.0002 - 0.0001)).toFixed(6));
-		if(newData.lon) newData.lon = parseFloat((parseFloat(newData.lon) + (Math.random() * 0.0002 - 0.0001)).toFixed(6));
+		if(newData.lat) newData.lat = parseFloat((parseFloat(newData.lat) + (random() * 0.0002 - 0.0001)).toFixed(6));
+		if(newData.lon) newData.lon = parseFloat((parseFloat(newData.lon) + (random() * 0.0002 - 0.0001)).toFixed(6));
 
 		return newData;
 	}
 
-	static getLastData() {
-		// Si hay datos de simulación, usar el último
-		if(CarDataService.simulationData && CarDataService.simulationData.length > 0) {
-			return CarDataService.simulationData[CarDataService.simulationData.length - 1];
-		}
-
-		// Si no hay datos de simulación, usar el último punto de datos sintéticos
-		if(CarDataService.syntheticData.length === 0) {
-			return null;
-		}
-
-		const index = CarDataService.currentDataIndex > 0 ?
-			CarDataService.currentDataIndex - 1 :
-			CarDataService.syntheticData.length - 1;
-
-		return CarDataService.syntheticData[index];
-	}
-
-	static getDataStream() {
-		return {
-			subscribe: (callback) => {
-				CarDataService.eventEmitter.on('data', callback);
-				// Devuelve una función para desuscribirse
-				return () => {
-					CarDataService.eventEmitter.off('data', callback);
-				};
-			},
-		};
-	}
-
+	/**
+	 * Información de un código de diagnóstico (catálogo de DTC o estructura del código)
+	 * @param {string} dtcCode - Código DTC
+	 * @returns {Object|null} { description, severity, impact, rewardImpact, ... } o null si el código no es válido
+	 */
 	static getDiagnosticInfo(dtcCode) {
-		const dtcInfo = {
-			'P0420': {
-				description: 'Catalyst System Efficiency Below Threshold',
-				severity: 'Medium',
-				impact: 'May affect emissions and fuel efficiency',
-				rewardImpact: -15, // Reducción de recompensa en porcentaje
-			},
-			'P0171': {
-				description: 'System Too Lean (Bank 1)',
-				severity: 'Medium',
-				impact: 'May cause rough idling and reduced fuel efficiency',
-				rewardImpact: -10,
-			},
-			'P0300': {
-				description: 'Random/Multiple Cylinder Misfire Detected',
-				severity: 'High',
-				impact: 'Can damage catalytic converter if ignored',
-				rewardImpact: -25,
-			},
-		};
-
-		return dtcCode && dtcInfo[dtcCode] ? dtcInfo[dtcCode] : null;
+		return DtcCatalogueService.lookup(dtcCode);
 	}
 
-	static calculateFuelConsumption(dataPoints, timeframeMinutes = 60) {
+	/**
+	 * Calcular el consumo de combustible en los últimos minutos de datos
+	 * @param {Array} dataPoints - Puntos de datos ordenados
+	 * @param {number} timeframeMinutes - Ventana de tiempo a considerar, según los timestamps (Infinity: todos los puntos)
+	 * @param {number} tankCapacityLitres - Capacidad del depósito del vehículo, para expresar el consumo en litros (opcional)
+	 * @returns {Object|null} Consumo y distancia recorrida
+	 */
+	static calculateFuelConsumption(dataPoints, timeframeMinutes = 60, tankCapacityLitres = null) {
 		if(!dataPoints || dataPoints.length < 2) {
 			return null;
 		}
 
-		// Limitar los puntos de datos al timeframe especificado
-		const limitedDataPoints = dataPoints.slice(-timeframeMinutes);
+		// Limitar los puntos de datos al timeframe especificado usando los timestamps reales
+		const windowStart = new Date(dataPoints[dataPoints.length - 1].timestamp).getTime() - timeframeMinutes * 60 * 1000;
+		const limitedDataPoints = Number.isFinite(windowStart)
+			? dataPoints.filter(point => new Date(point.timestamp).getTime() >= windowStart)
+			: dataPoints;
+
+		if(limitedDataPoints.length < 2) {
+			return null;
+		}
 
 		const initialFuel = limitedDataPoints[0].fuel_level_pct;
 		const finalFuel = limitedDataPoints[limitedDataPoints.length - 1].fuel_level_pct;
+
+		// Sin nivel de combustible (p. ej. viajes subidos sin ese campo o vehículos eléctricos) no hay consumo que calcular
+		if(!Number.isFinite(initialFuel) || !Number.isFinite(finalFuel)) {
+			return null;
+		}
+
 		const fuelUsed = initialFuel - finalFuel;
 
-		// Estimando distancia basada en velocidad promedio y tiempo
-		const totalSeconds = limitedDataPoints.length * 60; // Asumiendo intervalos de 1 minuto
-		const avgSpeed = limitedDataPoints.reduce((sum,
-			point) => sum + parseFloat(point.speed_kmph), 0) / limitedDataPoints.length;
-		const distanceTraveled = (avgSpeed * totalSeconds) / 3600; // km
+		const distanceTraveled = TripMetricsService.computeTripMetrics(limitedDataPoints).distanceKm;
 
-		return {
+		const consumption = {
 			fuelUsedPercent: fuelUsed > 0 ? fuelUsed : 0,
 			distanceTraveled: parseFloat(distanceTraveled.toFixed(2)),
 			avgConsumption: distanceTraveled > 0 ? parseFloat((fuelUsed / distanceTraveled).toFixed(2)) : 0,
 			efficiency: fuelUsed > 0 ? parseFloat((distanceTraveled / fuelUsed).toFixed(2)) : 0,
 		};
+
+		// Con la capacidad del depósito, el porcentaje se convierte en litros y L/100 km
+		if(tankCapacityLitres > 0) {
+			const fuelUsedLitres = consumption.fuelUsedPercent / 100 * tankCapacityLitres;
+			consumption.fuelUsedLitres = parseFloat(fuelUsedLitres.toFixed(2));
+			consumption.litresPer100Km = distanceTraveled > 0 ? parseFloat((fuelUsedLitres / distanceTraveled * 100).toFixed(2)) : 0;
+		}
+
+		return consumption;
 	}
 
 	static getVehicleEfficiencyScore(dataPoints, timeframeMinutes = 60) {
@@ -473,11 +457,16 @@ class CarDataService {
 		const limitedDataPoints = dataPoints.slice(-timeframeMinutes);
 
 		const avgRPM = limitedDataPoints.reduce((sum,
-			point) => sum + parseFloat(point.engine_rpm), 0) / limitedDataPoints.length;
+			point) => sum + (parseFloat(point.engine_rpm) || 0), 0) / limitedDataPoints.length;
 		const avgSpeed = limitedDataPoints.reduce((sum,
-			point) => sum + parseFloat(point.speed_kmph), 0) / limitedDataPoints.length;
+			point) => sum + (parseFloat(point.speed_kmph) || 0), 0) / limitedDataPoints.length;
 		const hasErrors = limitedDataPoints.some(point => point.dtc_code && point.dtc_code.trim() !== '');
 
+		// Sin lecturas de RPM (p. ej. viajes subidos sin ese campo) no se puede calificar
+		if(avgRPM <= 0) {
+			return 0;
+		}
+
 		// Calificación basada en la relación velocidad/RPM y la presencia de errores
 		let score = avgSpeed / (avgRPM / 1000) * 10; // Puntaje base
 
@@ -489,47 +478,21 @@ class CarDataService {
 		return Math.min(Math.max(Math.round(score), 0), 100);
 	}
 
-	static getDataPointRewardValue(dataPoint) {
-		// Base reward for providing data
-		let baseReward = 0.01; // Base token reward per data point
-
-		// Bonus for driving at fuel-efficient speeds (40-80 km/h)
-		const speed = parseFloat(dataPoint.speed_kmph);
-		if(speed >= 40 && speed <= 80) {
-			baseReward *= 1.2;
-		}
-
-		// Bonus for engine running at efficient RPM
-		const rpm = parseFloat(dataPoint.engine_rpm);
-		if(rpm >= 1500 && rpm <= 2500) {
-			baseReward *= 1.15;
-		}
-
-		// Penalty for DTCs (Diagnostic Trouble Codes)
-		if(dataPoint.dtc_code && dataPoint.dtc_code.trim() !== '') {
-			const dtcInfo = this.getDiagnosticInfo(dataPoint.dtc_code);
-			if(dtcInfo && dtcInfo.rewardImpact) {
-				baseReward *= (1 + dtcInfo.rewardImpact / 100);
-			}
-		}
-
-		return parseFloat(baseReward.toFixed(4));
-	}
-
-	static getDataBatchRewardValue(dataPoints) {
-		if(!dataPoints || dataPoints.length === 0) return 0;
-
-		let totalReward = 0;
-		for(const dataPoint of dataPoints) {
-			totalReward += this.getDataPointRewardValue(dataPoint);
-		}
-
-		// Bonus for consistent data provision (more data points)
-		if(dataPoints.length > 10) {
-			totalReward *= 1.1;
-		}
-
-		return parseFloat(totalReward.toFixed(4));
+	/**
+	 * Calcular la recompensa de un conjunto de puntos de datos con la política de recompensas (RewardPolicyService)
+	 * @param {Array} dataPoints - Puntos de datos del viaje
+	 * @param {Object} options - Opciones
+	 * @param {number} options.safetyScore - Puntuación de conducción (0-100) que pondera la recompensa
+	 * @param {string} options.routeType - Tipo de ruta, disponible en las condiciones de las reglas
+	 * @param {Object} options.policy - Configuración de la política (por defecto: la última activa conocida)
+	 * @returns {number} Recompensa en tokens
+	 */
+	static getDataBatchRewardValue(dataPoints, options = {}) {
+		const config = options.policy || RewardPolicyService.getCachedPolicy().config;
+		return RewardPolicyService.evaluate(dataPoints, config, {
+			safetyScore: options.safetyScore,
+			routeType: options.routeType
+		}).amount;
 	}
 }
 
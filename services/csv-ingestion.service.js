@@ -0,0 +1,507 @@
+// CsvIngestionService.js
+import { StringDecoder } from 'string_decoder';
+
+class CsvIngestionService {
+  // Delimitadores candidatos para la detección automática
+  static DELIMITERS = [',', ';', '\t', '|'];
+
+  // Muestra que se examina para detectar el delimitador
+  static DETECTION_LINES = 10;
+  static DETECTION_BYTES = 64 * 1024;
+
+  // Tamaño de los trozos en que se procesan los ficheros ya cargados en memoria
+  static CHUNK_SIZE = 64 * 1024;
+
+  // Valores que se interpretan como celda vacía
+  static NULL_VALUES = ['', '-', 'na', 'n/a', 'null', 'nan'];
+
+  // Máximo de filas con errores que se devuelven en detalle
+  static MAX_REPORTED_ERRORS = 50;
+
+  // Esquema de un punto de telemetría: tipo, rango y nombres de columna habituales de cada campo
+  static TELEMETRY_SCHEMA = {
+    timestamp: { type: 'timestamp', required: true, aliases: ['time', 'datetime', 'date_time', 'gps time', 'device time'] },
+    vehicle_id: { type: 'string', aliases: ['vehicle', 'vehicleid', 'car_id'] },
+    speed_kmph: { type: 'number', min: 0, max: 300, aliases: ['speed', 'speed_kmh', 'vehicle_speed', 'speed (km/h)'] },
+    engine_rpm: { type: 'number', min: 0, max: 10000, aliases: ['rpm', 'engine rpm', 'engine_speed'] },
+    fuel_level_pct: { type: 'number', min: 0, max: 100, aliases: ['fuel_level', 'fuel level', 'fuel level (%)'] },
+    engine_temp_c: { type: 'number', min: -40, max: 150, aliases: ['coolant_temp', 'coolant temp', 'engine_temp', 'coolant temperature (°c)'] },
+    lat: { type: 'number', min: -90, max: 90, aliases: ['latitude'] },
+    lon: { type: 'number', min: -180, max: 180, aliases: ['lng', 'long', 'longitude'] },
+    dtc_code: { type: 'string', pattern: /^[PCBU][0-3][0-9A-F]{3}$/, uppercase: true, default: '', aliases: ['dtc', 'trouble_code'] }
+  };
+
+  // Correspondencias columna → campo de los registradores OBD más comunes
+  static COLUMN_MAPPINGS = {
+    // Torque Pro (Android)
+    TORQUE: {
+      'GPS Time': 'timestamp',
+      'Longitude': 'lon',
+      'Latitude': 'lat',
+      'Speed (OBD)(km/h)': 'speed_kmph',
+      'Engine RPM(rpm)': 'engine_rpm',
+      'Engine Coolant Temperature(°C)': 'engine_temp_c',
+      'Fuel Level (From Engine ECU)(%)': 'fuel_level_pct'
+    }
+  };
+
+  /**
+   * Lee y valida un CSV completo
+   * @param {Readable|Buffer|string} source - Stream, buffer o texto del fichero
+   * @param {Object} options - Opciones (ver parseStream), además de:
+   * @param {number} options.maxRows - Máximo de filas de datos admitidas (se lanza un error si se supera)
+   * @param {number} options.maxErrors - Máximo de filas con errores que se devuelven en detalle
+   * @returns {Object} { headers, delimiter, columns, records, rowCount, rejectedCount, errors }
+   */
+  static async parse(source, options = {}) {
+    const { maxRows = null, maxErrors = CsvIngestionService.MAX_REPORTED_ERRORS } = options;
+
+    const result = {
+      headers: [],
+      delimiter: null,
+      columns: {},
+      records: [],
+      rowCount: 0,
+      rejectedCount: 0,
+      errors: []
+    };
+
+    const rows = CsvIngestionService.parseStream(source, {
+      ...options,
+      onHeader: (header) => Object.assign(result, header)
+    });
+
+    for await (const { row, record, errors } of rows) {
+      result.rowCount++;
+      if (maxRows && result.rowCount > maxRows) {
+        throw new Error(`CSV file has more than ${maxRows} data rows`);
+      }
+
+      if (errors.length > 0 && result.errors.length < maxErrors) {
+        result.errors.push({ row, errors });
+      }
+
+      if (!record) {
+        result.rejectedCount++;
+        continue;
+      }
+
+      result.records.push(record);
+    }
+
+    return result;
+  }
+
+  /**
+   * Recorre un CSV fila a fila aplicando la correspondencia de columnas y el esquema
+   * La primera fila no vacía es la cabecera
+   * @param {Readable|Buffer|string} source - Stream, buffer o texto del fichero
+   * @param {Object} options - Opciones
+   * @param {string} options.delimiter - Delimitador (se detecta si se omite)
+   * @param {Object} options.schema - Esquema de campos (por defecto TELEMETRY_SCHEMA)
+   * @param {Object|string} options.mapping - Correspondencia { columna: campo } o nombre de COLUMN_MAPPINGS
+   * @param {Function} options.validate - Validación adicional del registro; devuelve una lista de errores que lo descartan
+   * @param {Function} options.onHeader - Recibe { headers, delimiter, columns } al leer la cabecera
+   * @returns {AsyncGenerator} { row, record, errors } por fila (record es null si la fila se descarta)
+   */
+  static async *parseStream(source, options = {}) {
+    const { schema = CsvIngestionService.TELEMETRY_SCHEMA, mapping = null, validate = null, onHeader = null } = options;
+
+    let delimiter = options.delimiter || null;
+    let headers = null;
+    let columns = null;
+
+    const tokens = CsvIngestionService.readRows(source, {
+      delimiter,
+      onDelimiter: (detected) => {
+        delimiter = detected;
+      }
+    });
+
+    for await (const { line, values } of tokens) {
+      if (!headers) {
+        headers = values.map(value => value.trim());
+        columns = CsvIngestionService.resolveColumns(headers, schema, mapping);
+
+        const missing = Object.entries(schema)
+          .filter(([field, spec]) => spec.required && !columns.includes(field))
+          .map(([field]) => field);
+        if (missing.length > 0) {
+          throw new Error(`CSV file has no column for required field(s): ${missing.join(', ')}`);
+        }
+
+        if (onHeader) {
+          onHeader({
+            headers,
+            delimiter,
+            columns: Object.fromEntries(headers.map((header, index) => [header, columns[index]]))
+          });
+        }
+        continue;
+      }
+
+      if (values.length !== headers.length) {
+        yield { row: line, record: null, errors: [`Expected ${headers.length} fields, found ${values.length}`] };
+        continue;
+      }
+
+      const raw = {};
+      columns.forEach((field, index) => {
+        if (field) raw[field] = values[index];
+      });
+
+      // Con punto y coma o tabulador como delimitador, la coma suele ser el separador decimal
+      const { record, errors } = CsvIngestionService.coerceRecord(raw, schema, { decimalComma: delimiter !== ',' });
+
+      if (record && validate) {
+        const validationErrors = validate(record);
+        if (validationErrors.length > 0) {
+          yield { row: line, record: null, errors: [...errors, ...validationErrors] };
+          continue;
+        }
+      }
+
+      yield { row: line, record, errors };
+    }
+
+    if (!headers) {
+      throw new Error('CSV file is empty');
+    }
+  }
+
+  /**
+   * Divide el contenido de un CSV en filas, respetando campos entre comillas
+   * (delimitadores, saltos de línea y comillas dobladas dentro de un campo entrecomillado)
+   * @param {Readable|Buffer|string} source - Stream, buffer o texto del fichero
+   * @param {Object} options - Opciones
+   * @param {string} options.delimiter - Delimitador (se detecta si se omite)
+   * @param {Function} options.onDelimiter - Recibe el delimitador detectado
+   * @returns {AsyncGenerator} { line, values } por fila no vacía (line es la línea donde empieza)
+   */
+  static async *readRows(source, options = {}) {
+    const decoder = new StringDecoder('utf8');
+    let delimiter = options.delimiter || null;
+    let sample = '';
+    let firstChunk = true;
+
+    // Estado del lector
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    let inQuotes = false;
+    let afterQuote = false;
+    let skipLineFeed = false;
+    let line = 1;
+    let rowLine = 1;
+    let quoteLine = 1;
+
+    const endRow = () => {
+      row.push(field);
+      // Las líneas en blanco no son filas
+      if (row.length > 1 || quoted || field.trim() !== '') {
+        rows.push({ line: rowLine, values: row });
+      }
+      row = [];
+      field = '';
+      quoted = false;
+      afterQuote = false;
+    };
+
+    const consume = (text) => {
+      for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (skipLineFeed) {
+          skipLineFeed = false;
+          if (char === '\n') continue;
+        }
+
+        if (inQuotes) {
+          if (char === '"') {
+            inQuotes = false;
+            afterQuote = true;
+          } else {
+            if (char === '\n') line++;
+            field += char;
+          }
+          continue;
+        }
+
+        if (char === '"') {
+          if (afterQuote) {
+            // Comilla doblada dentro de un campo entrecomillado
+            field += '"';
+            inQuotes = true;
+            afterQuote = false;
+          } else if (!quoted && field.trim() === '') {
+            field = '';
+            quoted = true;
+            inQuotes = true;
+            quoteLine = line;
+          } else {
+            field += char;
+          }
+          continue;
+        }
+
+        afterQuote = false;
+
+        if (char === delimiter) {
+          row.push(field);
+          field = '';
+          quoted = false;
+        } else if (char === '\n' || char === '\r') {
+          endRow();
+          line++;
+          rowLine = line;
+          skipLineFeed = char === '\r';
+        } else {
+          field += char;
+        }
+      }
+    };
+
+    const feed = (text, final = false) => {
+      if (delimiter) {
+        consume(text);
+        return;
+      }
+
+      // Acumular una muestra antes de decidir el delimitador
+      sample += text;
+      const lineCount = (sample.match(/\n/g) || []).length;
+      if (final || lineCount >= CsvIngestionService.DETECTION_LINES || sample.length >= CsvIngestionService.DETECTION_BYTES) {
+        delimiter = CsvIngestionService.detectDelimiter(sample);
+        if (options.onDelimiter) options.onDelimiter(delimiter);
+        consume(sample);
+        sample = '';
+      }
+    };
+
+    for await (const chunk of CsvIngestionService.toChunks(source)) {
+      let text = typeof chunk === 'string' ? chunk : decoder.write(chunk);
+      if (firstChunk && text.length > 0) {
+        text = text.replace(/^\uFEFF/, '');
+        firstChunk = false;
+      }
+
+      feed(text);
+      yield* rows.splice(0);
+    }
+
+    feed(decoder.end(), true);
+
+    if (inQuotes) {
+      throw new Error(`Unterminated quoted field starting at line ${quoteLine}`);
+    }
+
+    if (field !== '' || row.length > 0 || quoted) {
+      endRow();
+    }
+
+    yield* rows.splice(0);
+  }
+
+  /**
+   * Detecta el delimitador de un CSV a partir de sus primeras líneas
+   * Elige el candidato que aparece en la cabecera y se repite el mismo número de veces en más líneas
+   * @param {string} sample - Primeras líneas del fichero
+   * @returns {string} Delimitador (coma si no se puede determinar)
+   */
+  static detectDelimiter(sample) {
+    // Los campos entrecomillados no cuentan
+    const lines = sample
+      .replace(/"(?:[^"]|"")*"/g, '""')
+      .split(/\r?\n|\r/)
+      .filter(line => line.trim() !== '');
+
+    // La última línea de la muestra puede estar cortada
+    if (lines.length > 2) lines.pop();
+    if (lines.length === 0) return ',';
+
+    const count = (line, delimiter) => line.split(delimiter).length - 1;
+
+    let best = { delimiter: ',', consistentLines: -1, fields: 0 };
+    CsvIngestionService.DELIMITERS.forEach(delimiter => {
+      const fields = count(lines[0], delimiter);
+      if (fields === 0) return;
+
+      const consistentLines = lines.slice(1).filter(line => count(line, delimiter) === fields).length;
+      if (consistentLines > best.consistentLines || (consistentLines === best.consistentLines && fields > best.fields)) {
+        best = { delimiter, consistentLines, fields };
+      }
+    });
+
+    return best.delimiter;
+  }
+
+  /**
+   * Asigna cada columna de la cabecera a un campo del esquema
+   * Prioridad: correspondencia indicada, nombre del campo, alias del esquema y, sin correspondencia
+   * indicada, las de los registradores conocidos. Cada campo se toma de la primera columna que le corresponde
+   * @param {Array} headers - Nombres de columna
+   * @param {Object} schema - Esquema de campos
+   * @param {Object|string} mapping - Correspondencia { columna: campo } o nombre de COLUMN_MAPPINGS
+   * @returns {Array} Campo de cada columna (null si la columna se ignora)
+   */
+  static resolveColumns(headers, schema, mapping = null) {
+    const normalize = (name) => String(name).trim().toLowerCase().replace(/\s+/g, ' ');
+    const lookup = new Map();
+
+    const addEntries = (entries) => {
+      entries.forEach(([column, field]) => {
+        if (field !== null && !schema[field]) {
+          throw new Error(`Column mapping targets unknown field "${field}". Available fields: ${Object.keys(schema).join(', ')}`);
+        }
+        lookup.set(normalize(column), field);
+      });
+    };
+
+    // De menor a mayor prioridad: las entradas posteriores reemplazan a las anteriores
+    // Los registradores conocidos solo se consideran para los campos que declara el esquema
+    if (!mapping) {
+      Object.values(CsvIngestionService.COLUMN_MAPPINGS).forEach(preset => {
+        addEntries(Object.entries(preset).filter(([, field]) => schema[field]));
+      });
+    }
+    Object.entries(schema).forEach(([field, spec]) => {
+      addEntries((spec.aliases || []).map(alias => [alias, field]));
+      addEntries([[field, field]]);
+    });
+
+    if (typeof mapping === 'string') {
+      const preset = CsvIngestionService.COLUMN_MAPPINGS[mapping.toUpperCase()];
+      if (!preset) {
+        throw new Error(`Unknown column mapping "${mapping}". Available mappings: ${Object.keys(CsvIngestionService.COLUMN_MAPPINGS).join(', ')}`);
+      }
+      addEntries(Object.entries(preset));
+    } else if (mapping) {
+      addEntries(Object.entries(mapping));
+    }
+
+    const assigned = new Set();
+    return headers.map(header => {
+      const field = lookup.get(normalize(header)) || null;
+      if (!field || assigned.has(field)) return null;
+      assigned.add(field);
+      return field;
+    });
+  }
+
+  /**
+   * Convierte los valores de un registro según el esquema
+   * Los valores no válidos quedan vacíos y se informan; si falta un campo obligatorio se descarta el registro
+   * @param {Object} raw - Registro con los valores originales
+   * @param {Object} schema - Esquema de campos
+   * @param {Object} options - Opciones de conversión (decimalComma)
+   * @returns {Object} { record, errors } (record es null si el registro se descarta)
+   */
+  static coerceRecord(raw, schema, options = {}) {
+    const record = {};
+    const errors = [];
+
+    for (const [field, spec] of Object.entries(schema)) {
+      const { value, error } = CsvIngestionService.coerceValue(raw[field], spec, options);
+
+      if (error) {
+        errors.push(`Invalid ${field}, ${error}: ${JSON.stringify(raw[field])}`);
+      }
+
+      if (value === null && spec.required) {
+        if (!error) errors.push(`Missing ${field}`);
+        return { record: null, errors };
+      }
+
+      record[field] = value === null && spec.default !== undefined ? spec.default : value;
+    }
+
+    return { record, errors };
+  }
+
+  /**
+   * Convierte un valor al tipo declarado en su especificación
+   * @param {*} raw - Valor original
+   * @param {Object} spec - Especificación del campo (type, min, max, pattern, uppercase)
+   * @param {Object} options - Opciones de conversión (decimalComma)
+   * @returns {Object} { value, error }
+   */
+  static coerceValue(raw, spec, options = {}) {
+    if (raw === undefined || raw === null) {
+      return { value: null };
+    }
+
+    const text = String(raw).trim();
+    if (CsvIngestionService.NULL_VALUES.includes(text.toLowerCase())) {
+      return { value: null };
+    }
+
+    switch (spec.type) {
+      case 'number':
+      case 'integer': {
+        let numeric = text;
+        if (options.decimalComma && /^[+-]?\d+,\d+$/.test(numeric)) {
+          numeric = numeric.replace(',', '.');
+        }
+
+        const value = typeof raw === 'number' ? raw : Number(numeric);
+        const valid = /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/.test(numeric)
+          && Number.isFinite(value)
+          && (spec.type !== 'integer' || Number.isInteger(value));
+        const inRange = (spec.min === undefined || value >= spec.min) && (spec.max === undefined || value <= spec.max);
+
+        if (!valid || !inRange) {
+          const expected = spec.type === 'integer' ? 'an integer' : 'a number';
+          const range = spec.min !== undefined && spec.max !== undefined ? ` in [${spec.min}, ${spec.max}]` : '';
+          return { value: null, error: `expected ${expected}${range}` };
+        }
+        return { value };
+      }
+
+      case 'timestamp': {
+        // Los valores numéricos son tiempos Unix, en segundos o en milisegundos
+        let date;
+        if (/^\d+(\.\d+)?$/.test(text)) {
+          const epoch = Number(text);
+          date = new Date(epoch < 1e11 ? epoch * 1000 : epoch);
+        } else {
+          date = new Date(text);
+        }
+
+        if (Number.isNaN(date.getTime())) {
+          return { value: null, error: 'expected a date' };
+        }
+        return { value: date.toISOString() };
+      }
+
+      case 'string':
+      default: {
+        const value = spec.uppercase ? text.toUpperCase() : text;
+        if (spec.pattern && !spec.pattern.test(value)) {
+          return { value: null, error: 'unexpected format' };
+        }
+        return { value };
+      }
+    }
+  }
+
+  /**
+   * Recorre el origen en trozos; los buffers y textos completos se dividen para procesarlos por partes
+   * @param {Readable|Buffer|string} source - Stream, buffer o texto
+   * @returns {Iterable|AsyncIterable} Trozos del contenido
+   */
+  static toChunks(source) {
+    if (typeof source === 'string' || Buffer.isBuffer(source)) {
+      return CsvIngestionService.splitContent(source);
+    }
+    return source;
+  }
+
+  static *splitContent(content) {
+    for (let offset = 0; offset < content.length; offset += CsvIngestionService.CHUNK_SIZE) {
+      yield content.slice(offset, offset + CsvIngestionService.CHUNK_SIZE);
+    }
+  }
+}
+
+export default CsvIngestionService;
@@ -1,5 +1,12 @@
 // DataMarketplace.js
 import TokenRewardManager from './token-reward-manager.service.js';
+import RouteGeometryService from './route-geometry.service.js';
+import DtcCatalogueService from './dtc-catalogue.service.js';
+import FleetService from './fleet.service.js';
+import MaintenanceAnalyticsService from './maintenance-analytics.service.js';
+import TelemetryQualityService from './telemetry-quality.service.js';
+import TelemetryStoreService from './telemetry-store.service.js';
+import LocationAnonymizerService from './location-anonymizer.service.js';
 import { PrismaClient } from '@prisma/client';
 
 const prisma = new  PrismaClient();
@@ -44,6 +51,41 @@ class DataMarketplace {
     }
   };
 
+  // Factores de valor según el vehículo registrado del que proceden los datos
+  static VEHICLE_VALUE_FACTORS = {
+    // Con marca, modelo y año identificados los datos son comparables entre vehículos
+    identified: 1.1,
+    // Vehículos de los últimos años
+    recentYears: 5,
+    recent: 1.1,
+    // Tecnologías menos frecuentes en el parque
+    fuelType: { ELECTRIC: 1.25, HYBRID: 1.15, LPG: 1.05, CNG: 1.05 },
+    // Con la capacidad del depósito, el consumo se conoce en litros
+    knownTankCapacity: 1.2
+  };
+
+  // Factor de valor según la puntuación de calidad de los datos: de min (puntuación 0) a max (100)
+  static QUALITY_VALUE_FACTOR = { min: 0.5, max: 1 };
+
+  // Atributos del vehículo visibles para los compradores (sin VIN ni identificadores)
+  static PUBLIC_VEHICLE_FIELDS = {
+    make: true,
+    model: true,
+    year: true,
+    fuelType: true,
+    tankCapacityLitres: true
+  };
+
+  // Los listados de diagnóstico anuncian además los avisos de mantenimiento abiertos del vehículo
+  static LISTING_VEHICLE_SELECT = {
+    ...DataMarketplace.PUBLIC_VEHICLE_FIELDS,
+    maintenanceAlerts: {
+      where: { status: 'OPEN' },
+      select: MaintenanceAnalyticsService.PUBLIC_ALERT_FIELDS,
+      orderBy: { confidence: 'desc' }
+    }
+  };
+
   /**
    * Inicializa el marketplace
    * @param {Object} options - Opciones de inicialización
@@ -112,46 +154,30 @@ class DataMarketplace {
           }
         ];
 
-        // Crear todas las rutas
+        // Crear todas las rutas con su trazado
         await prisma.simulationRoute.createMany({
-          data: routesData
+          data: routesData.map(route => ({
+            ...route,
+            geometry: RouteGeometryService.getDefaultGeometry(route.routeType)
+          }))
         });
-      }
-
-      // Comprobar si ya hay códigos de diagnóstico, si no, crearlos
-      const diagCount = await prisma.diagnosticCode.count();
-
-      if (diagCount === 0) {
-        // Crear códigos de diagnóstico predefinidos
-        const diagCodes = [
-          {
-            code: 'P0420',
-            description: 'Catalyst System Efficiency Below Threshold',
-            severity: 'Medium',
-            impact: 'May affect emissions and fuel efficiency',
-            rewardImpact: -15
-          },
-          {
-            code: 'P0171',
-            description: 'System Too Lean (Bank 1)',
-            severity: 'Medium',
-            impact: 'May cause rough idling and reduced fuel efficiency',
-            rewardImpact: -10
-          },
-          {
-            code: 'P0300',
-            description: 'Random/Multiple Cylinder Misfire Detected',
-            severity: 'High',
-            impact: 'Can damage catalytic converter if ignored',
-            rewardImpact: -25
+      } else {
+        // Añadir el trazado por defecto a las rutas creadas antes de que existiera
+        const routes = await prisma.simulationRoute.findMany();
+        for (const route of routes) {
+          const geometry = RouteGeometryService.getDefaultGeometry(route.routeType);
+          if (!route.geometry && geometry) {
+            await prisma.simulationRoute.update({
+              where: { id: route.id },
+              data: { geometry }
+            });
           }
-        ];
-
-        await prisma.diagnosticCode.createMany({
-          data: diagCodes
-        });
+        }
       }
 
+      // Añadir los códigos del catálogo de DTC que falten
+      await DtcCatalogueService.seed();
+
       // Contar entidades principales
       const usersCount = await prisma.user.count();
       const listingsCount = await prisma.listing.count();
@@ -179,9 +205,15 @@ class DataMarketplace {
    * @param {number} pricePerPoint - Precio por punto de datos
    * @param {string} description - Descripción del listado
    * @param {Array} samples - Muestras de datos
+   * @param {string} simulationId - Simulación o viaje subido de origen (opcional)
+   * @param {string} vehicleId - Vehículo registrado de origen (opcional)
+   * @param {string} fleetId - Flota cuyos datos se venden en conjunto; los ingresos se reparten entre sus miembros (opcional)
+   * @param {Array} segmentTypes - Solo se venden los segmentos de estos tipos de la simulación, p. ej. ['HIGHWAY'] (opcional)
+   * @param {string} privacyLevel - Nivel de anonimización de LocationAnonymizerService; reduce el precio (por defecto: NONE)
+   * Con un nivel distinto de NONE, samples debe ser el conjunto completo (p. ej. todo el viaje) para recortar sus extremos
    * @returns {Object} Listado creado
    */
-  static async createListing(sellerWalletAddress, dataType, pricePerPoint, description, samples) {
+  static async createListing(sellerWalletAddress, dataType, pricePerPoint, description, samples, simulationId = null, vehicleId = null, fleetId = null, segmentTypes = null, privacyLevel = 'NONE') {
     try {
       if (!DataMarketplace.dataTypes[dataType]) {
         throw new Error(`Invalid data type. Available types: ${Object.keys(DataMarketplace.dataTypes).join(', ')}`);
@@ -214,9 +246,15 @@ class DataMarketplace {
         throw new Error(`Invalid sample data format: ${error.message}`);
       }
 
+      // Las muestras dentro de las zonas de privacidad del vendedor no se guardan
+      const protectedSamples = await TelemetryStoreService.protectPositions(seller.id, processedSamples);
+
+      // Las muestras se publican tal como las recibirá el comprador con el nivel elegido
+      const { points: anonymizedSamples, report: anonymization } = LocationAnonymizerService.anonymize(protectedSamples, privacyLevel);
+
       // Limitar la cantidad de muestras para evitar datos excesivos
-      const trimmedSamples = processedSamples && processedSamples.length > 3 ?
-        processedSamples.slice(0, 3) : processedSamples;
+      const trimmedSamples = anonymizedSamples.length > 3 ?
+        anonymizedSamples.slice(0, 3) : anonymizedSamples;
 
       // Crear listado en la base de datos
       const listing = await prisma.listing.create({
@@ -226,9 +264,15 @@ class DataMarketplace {
           typeName: typeInfo.name,
           typeDescription: typeInfo.description,
           privacyImpact: typeInfo.privacyImpact,
-          pricePerPoint,
+          pricePerPoint: DataMarketplace.applyPrivacyPrice(pricePerPoint, privacyLevel),
           description,
           samples: trimmedSamples,
+          simulationId,
+          vehicleId,
+          fleetId,
+          segmentTypes: segmentTypes ?? undefined,
+          privacyLevel,
+          anonymization: { ...anonymization, requestedPricePerPoint: pricePerPoint },
           active: true
         }
       });
@@ -248,9 +292,19 @@ class DataMarketplace {
    */
   static async updateListing(listingId, updates) {
     try {
+      // El nuevo precio también se reduce según el nivel de privacidad del listado
+      let pricePerPoint = updates.pricePerPoint;
+      if (pricePerPoint !== undefined) {
+        const current = await prisma.listing.findUnique({
+          where: { id: listingId },
+          select: { privacyLevel: true }
+        });
+        pricePerPoint = DataMarketplace.applyPrivacyPrice(pricePerPoint, current?.privacyLevel);
+      }
+
       // Solo permitir actualizar ciertos campos
       const allowedUpdates = {
-        pricePerPoint: updates.pricePerPoint,
+        pricePerPoint,
         description: updates.description,
         active: updates.active
       };
@@ -303,28 +357,67 @@ class DataMarketplace {
       if (filters.active !== undefined) prismaFilters.active = filters.active;
       if (filters.minRating) prismaFilters.avgRating = { gte: filters.minRating };
       if (filters.maxPrice) prismaFilters.pricePerPoint = { lte: filters.maxPrice };
+      if (filters.segmentType) prismaFilters.segmentTypes = { array_contains: [filters.segmentType] };
+      if (filters.privacyLevel) prismaFilters.privacyLevel = filters.privacyLevel;
+      if (filters.make || filters.fuelType) {
+        prismaFilters.vehicle = {
+          ...(filters.make && { make: filters.make }),
+          ...(filters.fuelType && { fuelType: filters.fuelType })
+        };
+      }
 
       // Obtener listados con filtros
       const listings = await prisma.listing.findMany({
         where: prismaFilters,
         include: {
-          seller: true
+          seller: true,
+          vehicle: { select: DataMarketplace.LISTING_VEHICLE_SELECT },
+          fleet: { select: { id: true, name: true } }
         },
         orderBy: { createdAt: 'desc' }
       });
 
       // Transformar para incluir wallet address del vendedor
-      return listings.map(listing => ({
-        ...listing,
+      return await Promise.all(listings.map(async listing => ({
+        ...DataMarketplace.withMaintenanceInsights(await DataMarketplace.withProtectedSamples(listing)),
         seller: listing.seller.walletAddress,
         sellerId: undefined // Ocultar ID interno
-      }));
+      })));
     } catch (error) {
       console.error('Error getting listings:', error);
       throw error;
     }
   }
 
+  /**
+   * Separa los avisos de mantenimiento del vehículo: se publican como maintenanceInsights
+   * solo en los listados DIAGNOSTIC
+   * @param {Object} listing - Listado con el vehículo seleccionado con LISTING_VEHICLE_SELECT
+   * @returns {Object} Listado
+   */
+  static withMaintenanceInsights(listing) {
+    if (!listing.vehicle) return listing;
+
+    const { maintenanceAlerts, ...vehicle } = listing.vehicle;
+    return {
+      ...listing,
+      vehicle,
+      ...(listing.dataType === 'DIAGNOSTIC' && { maintenanceInsights: maintenanceAlerts })
+    };
+  }
+
+  /**
+   * Vuelve a aplicar a las muestras las zonas de privacidad actuales del vendedor
+   * (las zonas creadas después de publicar el listado también las protegen)
+   * @param {Object} listing - Listado con sellerId
+   * @returns {Object} Listado
+   */
+  static async withProtectedSamples(listing) {
+    if (!Array.isArray(listing.samples)) return listing;
+
+    return { ...listing, samples: await TelemetryStoreService.protectPositions(listing.sellerId, listing.samples) };
+  }
+
   /**
    * Obtiene un listado por ID
    * @param {string} listingId - ID del listado
@@ -336,6 +429,8 @@ class DataMarketplace {
         where: { id: listingId },
         include: {
           seller: true,
+          vehicle: { select: DataMarketplace.LISTING_VEHICLE_SELECT },
+          fleet: { select: { id: true, name: true } },
           subscriptions: {
             take: 5,
             orderBy: { createdAt: 'desc' }
@@ -347,7 +442,7 @@ class DataMarketplace {
 
       // Transformar para incluir wallet address del vendedor
       return {
-        ...listing,
+        ...DataMarketplace.withMaintenanceInsights(await DataMarketplace.withProtectedSamples(listing)),
         seller: listing.seller.walletAddress,
         sellerId: undefined, // Ocultar ID interno
         subscriptionCount: listing.subscriptions.length,
@@ -390,7 +485,10 @@ class DataMarketplace {
       // Buscar listado
       const listing = await prisma.listing.findUnique({
         where: { id: listingId },
-        include: { seller: true }
+        include: {
+          seller: true,
+          fleet: { include: { members: { include: { user: true } } } }
+        }
       });
 
       if (!listing) {
@@ -446,12 +544,34 @@ class DataMarketplace {
         }
       });
 
-      // Generar transacción para la blockchain
-      const encodedTransaction = await TokenRewardManager.generateTransferTransaction(
-        buyerWalletAddress,
-        listing.seller.walletAddress,
-        totalPrice
-      );
+      // Generar transacción para la blockchain; en los listados de flotas el pago se reparte
+      // entre los miembros con una transferencia a cada uno
+      let encodedTransaction;
+      let revenueShares = [];
+      if (listing.fleet) {
+        revenueShares = FleetService.splitRevenue(listing.fleet.members, totalPrice);
+        await prisma.revenueShare.createMany({
+          data: revenueShares.map(share => ({
+            transactionId: transaction.id,
+            userId: share.userId,
+            amount: share.amount
+          }))
+        });
+
+        await TokenRewardManager.ensureInitialized();
+        encodedTransaction = {
+          encodedTransaction: await TokenRewardManager.buildTransferTransaction(
+            buyerWalletAddress,
+            revenueShares.map(share => ({ address: share.walletAddress, amount: share.amount }))
+          )
+        };
+      } else {
+        encodedTransaction = await TokenRewardManager.generateTransferTransaction(
+          buyerWalletAddress,
+          listing.seller.walletAddress,
+          totalPrice
+        );
+      }
 
       // Actualizar la transacción con la transacción codificada
       await prisma.transaction.update({
@@ -466,7 +586,8 @@ class DataMarketplace {
         transaction: {
           ...transaction,
           encodedTransaction: encodedTransaction.encodedTransaction
-        }
+        },
+        revenueShares: revenueShares.map(({ walletAddress, percentage, amount }) => ({ walletAddress, percentage, amount }))
       };
     } catch (error) {
       console.error('Error creating subscription:', error);
@@ -624,15 +745,16 @@ class DataMarketplace {
       });
 
       // Transformar para incluir wallet addresses
-      return subscriptions.map(sub => ({
+      return await Promise.all(subscriptions.map(async sub => ({
         ...sub,
+        listing: await DataMarketplace.withProtectedSamples(sub.listing),
         buyer: sub.buyer.walletAddress,
         seller: sub.seller.walletAddress,
         buyerId: undefined,
         sellerId: undefined,
         isSubscriber: sub.buyer.walletAddress === walletAddress,
         isProvider: sub.seller.walletAddress === walletAddress
-      }));
+      })));
     } catch (error) {
       console.error('Error getting user subscriptions:', error);
       throw error;
@@ -688,9 +810,11 @@ class DataMarketplace {
    * Estima el valor potencial de los datos
    * @param {Array} dataPoints - Puntos de datos
    * @param {string} dataType - Tipo de datos
+   * @param {Object} vehicle - Vehículo registrado del que proceden los datos (opcional)
+   * @param {string} privacyLevel - Nivel de anonimización con el que se venderían (por defecto: NONE)
    * @returns {number} Valor estimado
    */
-  static estimateDataValue(dataPoints, dataType = 'COMPLETE') {
+  static estimateDataValue(dataPoints, dataType = 'COMPLETE', vehicle = null, privacyLevel = 'NONE') {
     if (!dataPoints || dataPoints.length === 0) {
       return 0;
     }
@@ -736,9 +860,72 @@ class DataMarketplace {
         break;
     }
 
+    value *= DataMarketplace.getVehicleValueFactor(vehicle, dataType);
+    value *= DataMarketplace.getQualityValueFactor(dataPoints);
+    value *= DataMarketplace.getPrivacyValueFactor(dataPoints, privacyLevel);
+
     return parseFloat(value.toFixed(4));
   }
 
+  /**
+   * Factor de valor según el nivel de anonimización: el de precio del nivel por la fracción
+   * de puntos que sobreviven a la anonimización (extremos recortados, clases con menos de k puntos)
+   * @param {Array} dataPoints - Puntos de datos
+   * @param {string} privacyLevel - Nivel de LocationAnonymizerService
+   * @returns {number} Factor multiplicador
+   */
+  static getPrivacyValueFactor(dataPoints, privacyLevel = 'NONE') {
+    if (!privacyLevel || privacyLevel === 'NONE' || !dataPoints?.length) return 1;
+
+    const { report } = LocationAnonymizerService.anonymize(dataPoints, privacyLevel);
+    return parseFloat((report.priceFactor * report.outputPoints / report.inputPoints).toFixed(4));
+  }
+
+  /**
+   * Precio por punto de un listado con el nivel de privacidad elegido
+   * @param {number} pricePerPoint - Precio pedido por el vendedor
+   * @param {string} privacyLevel - Nivel de LocationAnonymizerService
+   * @returns {number} Precio publicado
+   */
+  static applyPrivacyPrice(pricePerPoint, privacyLevel = 'NONE') {
+    return parseFloat((pricePerPoint * LocationAnonymizerService.getPriceFactor(privacyLevel)).toFixed(6));
+  }
+
+  /**
+   * Factor de valor según la calidad de los datos (saltos, valores imposibles, GPS incoherente)
+   * @param {Array} dataPoints - Puntos de datos
+   * @returns {number} Factor multiplicador
+   */
+  static getQualityValueFactor(dataPoints) {
+    const { qualityScore } = TelemetryQualityService.evaluate(dataPoints);
+    const { min, max } = DataMarketplace.QUALITY_VALUE_FACTOR;
+    return parseFloat((min + (max - min) * qualityScore / 100).toFixed(4));
+  }
+
+  /**
+   * Factor de valor según los atributos del vehículo de origen
+   * @param {Object} vehicle - Vehículo registrado (o null)
+   * @param {string} dataType - Tipo de datos
+   * @param {Date} now - Fecha de referencia para la antigüedad
+   * @returns {number} Factor multiplicador (1 sin vehículo)
+   */
+  static getVehicleValueFactor(vehicle, dataType, now = new Date()) {
+    if (!vehicle) return 1;
+
+    const factors = DataMarketplace.VEHICLE_VALUE_FACTORS;
+    let factor = 1;
+
+    if (vehicle.make && vehicle.model && vehicle.year) factor *= factors.identified;
+    if (vehicle.year && now.getFullYear() - vehicle.year < factors.recentYears) factor *= factors.recent;
+    factor *= factors.fuelType[vehicle.fuelType] || 1;
+
+    if (['FUEL', 'COMPLETE'].includes(dataType) && vehicle.tankCapacityLitres) {
+      factor *= factors.knownTankCapacity;
+    }
+
+    return factor;
+  }
+
   /**
    * Obtiene estadísticas del mercado
    * @returns {Object} Estadísticas generales
@@ -0,0 +1,265 @@
+// DrivingBehaviourService.js
+import TelemetryStoreService from './telemetry-store.service.js';
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new  PrismaClient();
+
+class DrivingBehaviourService {
+  // Umbrales de detección
+  static HARSH_BRAKING_MS2 = 3.4; // ~0.35 g
+  static RAPID_ACCELERATION_MS2 = 2.9; // ~0.3 g
+  static SPEEDING_TOLERANCE_PCT = 5; // Margen sobre la velocidad máxima de la ruta
+  static SPEEDING_MIN_SECONDS = 5;
+  static IDLING_MAX_SECONDS = 120;
+  static HIGH_RPM_THRESHOLD = 4000;
+  static HIGH_RPM_MIN_SECONDS = 3;
+  static LUGGING_RPM_THRESHOLD = 1200; // Régimen bajo con el motor muy cargado
+  static LUGGING_LOAD_PCT = 80;
+  static LUGGING_MIN_SECONDS = 3;
+
+  // Penalización de cada tipo de evento en la puntuación de seguridad (por hora de conducción)
+  static EVENT_WEIGHTS = {
+    HARSH_BRAKING: 5,
+    RAPID_ACCELERATION: 3,
+    SPEEDING: 4,
+    EXCESSIVE_IDLING: 1,
+    HIGH_RPM: 2,
+    LUGGING: 1
+  };
+
+  // Los viajes cortos se evalúan como si duraran al menos esto, para no amplificar un único evento
+  static MIN_SCORED_MINUTES = 15;
+
+  /**
+   * Detecta eventos de conducción en la telemetría y calcula la puntuación de seguridad
+   * @param {Array} dataPoints - Puntos de datos ordenados
+   * @param {Object} options - Opciones de análisis
+   * @param {number} options.maxSpeedKmph - Velocidad máxima de la ruta (sin ella no se detecta exceso de velocidad)
+   * @returns {Object} { safetyScore, events, eventCounts, drivingMinutes }
+   */
+  static analyze(dataPoints, options = {}) {
+    const { maxSpeedKmph = null } = options;
+    const events = [];
+
+    // Episodios que duran varias muestras: se emite un evento al terminar cada uno
+    const episodes = {
+      SPEEDING: null,
+      EXCESSIVE_IDLING: null,
+      HIGH_RPM: null,
+      LUGGING: null
+    };
+
+    const speedLimit = maxSpeedKmph ? maxSpeedKmph * (1 + DrivingBehaviourService.SPEEDING_TOLERANCE_PCT / 100) : null;
+    let drivingSeconds = 0;
+
+    const closeEpisode = (type, minSeconds, severity) => {
+      const episode = episodes[type];
+      episodes[type] = null;
+      if (!episode || episode.durationSeconds < minSeconds) return;
+
+      events.push({
+        type,
+        severity: severity(episode),
+        timestamp: episode.start.timestamp,
+        lat: DrivingBehaviourService.toCoordinate(episode.start.lat),
+        lon: DrivingBehaviourService.toCoordinate(episode.start.lon),
+        value: parseFloat(episode.peak.toFixed(2)),
+        durationSeconds: parseFloat(episode.durationSeconds.toFixed(1))
+      });
+    };
+
+    const trackEpisode = (type, active, point, dtSeconds, value, minSeconds, severity, peak = Math.max) => {
+      if (active) {
+        if (!episodes[type]) {
+          episodes[type] = { start: point, durationSeconds: 0, peak: value };
+        }
+        episodes[type].durationSeconds += dtSeconds;
+        episodes[type].peak = peak(episodes[type].peak, value);
+      } else {
+        closeEpisode(type, minSeconds, severity);
+      }
+    };
+
+    const closers = {
+      SPEEDING: [DrivingBehaviourService.SPEEDING_MIN_SECONDS, (episode) => episode.peak > speedLimit * 1.2 ? 'HIGH' : 'MEDIUM'],
+      EXCESSIVE_IDLING: [DrivingBehaviourService.IDLING_MAX_SECONDS, (episode) => episode.durationSeconds > 600 ? 'MEDIUM' : 'LOW'],
+      HIGH_RPM: [DrivingBehaviourService.HIGH_RPM_MIN_SECONDS, (episode) => episode.peak > 5500 ? 'HIGH' : 'MEDIUM'],
+      LUGGING: [DrivingBehaviourService.LUGGING_MIN_SECONDS, () => 'LOW']
+    };
+
+    for (let i = 1; i < (dataPoints?.length || 0); i++) {
+      const previous = dataPoints[i - 1];
+      const point = dataPoints[i];
+
+      const dtSeconds = (new Date(point.timestamp) - new Date(previous.timestamp)) / 1000;
+      if (!Number.isFinite(dtSeconds) || dtSeconds <= 0) continue;
+      drivingSeconds += dtSeconds;
+
+      const speedReading = parseFloat(point.speed_kmph);
+      const previousSpeedReading = parseFloat(previous.speed_kmph);
+      const speed = speedReading || 0;
+      const previousSpeed = previousSpeedReading || 0;
+      const rpm = parseFloat(point.engine_rpm) || 0;
+
+      // Aceleraciones bruscas a partir de la diferencia de velocidad
+      // (con muestras muy espaciadas o sin lectura la diferencia no refleja una maniobra concreta)
+      if (dtSeconds <= 5 && Number.isFinite(speedReading) && Number.isFinite(previousSpeedReading)) {
+        const acceleration = (speed - previousSpeed) / 3.6 / dtSeconds;
+
+        if (acceleration <= -DrivingBehaviourService.HARSH_BRAKING_MS2) {
+          events.push(DrivingBehaviourService.createEvent('HARSH_BRAKING', point, -acceleration,
+            -acceleration > DrivingBehaviourService.HARSH_BRAKING_MS2 * 1.5 ? 'HIGH' : 'MEDIUM'));
+        } else if (acceleration >= DrivingBehaviourService.RAPID_ACCELERATION_MS2) {
+          events.push(DrivingBehaviourService.createEvent('RAPID_ACCELERATION', point, acceleration,
+            acceleration > DrivingBehaviourService.RAPID_ACCELERATION_MS2 * 1.5 ? 'HIGH' : 'MEDIUM'));
+        }
+      }
+
+      trackEpisode('SPEEDING', speedLimit !== null && speed > speedLimit, point, dtSeconds, speed, ...closers.SPEEDING);
+      trackEpisode('EXCESSIVE_IDLING', speed < 1 && rpm > 0, point, dtSeconds, rpm, ...closers.EXCESSIVE_IDLING);
+      trackEpisode('HIGH_RPM', rpm > DrivingBehaviourService.HIGH_RPM_THRESHOLD, point, dtSeconds, rpm, ...closers.HIGH_RPM);
+
+      // El lugging requiere la carga del motor, disponible solo en algunas fuentes
+      const load = parseFloat(point.engine_load_pct);
+      const lugging = Number.isFinite(load) && speed > 5 && rpm > 0
+        && rpm < DrivingBehaviourService.LUGGING_RPM_THRESHOLD && load >= DrivingBehaviourService.LUGGING_LOAD_PCT;
+      trackEpisode('LUGGING', lugging, point, dtSeconds, rpm, ...closers.LUGGING, Math.min);
+    }
+
+    // Cerrar los episodios que siguen abiertos al final del viaje
+    Object.entries(closers).forEach(([type, [minSeconds, severity]]) => closeEpisode(type, minSeconds, severity));
+
+    events.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+    const eventCounts = Object.fromEntries(Object.keys(DrivingBehaviourService.EVENT_WEIGHTS).map(type => [type, 0]));
+    events.forEach(event => {
+      eventCounts[event.type]++;
+    });
+
+    const drivingMinutes = drivingSeconds / 60;
+
+    return {
+      safetyScore: DrivingBehaviourService.calculateSafetyScore(eventCounts, drivingMinutes),
+      drivingMinutes: parseFloat(drivingMinutes.toFixed(2)),
+      eventCounts,
+      events
+    };
+  }
+
+  /**
+   * Puntuación de seguridad de 0 a 100 según la frecuencia ponderada de eventos
+   * @param {Object} eventCounts - Número de eventos por tipo
+   * @param {number} drivingMinutes - Duración de la conducción analizada
+   * @returns {number} Puntuación (100 = sin eventos)
+   */
+  static calculateSafetyScore(eventCounts, drivingMinutes) {
+    const hours = Math.max(drivingMinutes, DrivingBehaviourService.MIN_SCORED_MINUTES) / 60;
+
+    const penalty = Object.entries(eventCounts).reduce((sum, [type, count]) => {
+      return sum + (DrivingBehaviourService.EVENT_WEIGHTS[type] || 0) * count;
+    }, 0) / hours;
+
+    return Math.max(0, Math.min(100, Math.round(100 - penalty)));
+  }
+
+  /**
+   * Crea un evento puntual a partir de un punto de datos
+   * @param {string} type - Tipo de evento
+   * @param {Object} point - Punto de datos donde ocurre
+   * @param {number} value - Magnitud medida (m/s², km/h o rpm según el tipo)
+   * @param {string} severity - LOW, MEDIUM o HIGH
+   * @returns {Object} Evento
+   */
+  static createEvent(type, point, value, severity) {
+    return {
+      type,
+      severity,
+      timestamp: point.timestamp,
+      lat: DrivingBehaviourService.toCoordinate(point.lat),
+      lon: DrivingBehaviourService.toCoordinate(point.lon),
+      value: parseFloat(value.toFixed(2)),
+      durationSeconds: null
+    };
+  }
+
+  static toCoordinate(value) {
+    const coordinate = parseFloat(value);
+    return Number.isFinite(coordinate) ? coordinate : null;
+  }
+
+  /**
+   * Guarda el resultado del análisis de una simulación (reemplaza el anterior)
+   * @param {string} simulationId - ID de la simulación
+   * @param {Object} analysis - Resultado de analyze
+   */
+  static async storeAnalysis(simulationId, analysis) {
+    await prisma.$transaction([
+      prisma.drivingEvent.deleteMany({ where: { simulationId } }),
+      prisma.drivingEvent.createMany({
+        data: analysis.events.map(event => ({
+          simulationId,
+          type: event.type,
+          severity: event.severity,
+          timestamp: new Date(event.timestamp),
+          lat: event.lat,
+          lon: event.lon,
+          value: event.value,
+          durationSeconds: event.durationSeconds
+        }))
+      }),
+      prisma.simulation.update({
+        where: { id: simulationId },
+        data: { safetyScore: analysis.safetyScore }
+      })
+    ]);
+    console.log(`✅ Stored ${analysis.events.length} driving events for simulation ${simulationId} (safety score ${analysis.safetyScore})`);
+  }
+
+  /**
+   * Obtiene el análisis de conducción de una simulación finalizada
+   * Si todavía no se analizó, lo calcula desde la telemetría almacenada y lo guarda
+   * Los eventos dentro de las zonas de privacidad del propietario se devuelven sin posición (o ajustada)
+   * @param {Object} simulation - Registro Simulation
+   * @returns {Object} { safetyScore, events, eventCounts }
+   */
+  static async getSimulationBehaviour(simulation) {
+    if (simulation.safetyScore !== null && simulation.safetyScore !== undefined) {
+      const events = await prisma.drivingEvent.findMany({
+        where: { simulationId: simulation.id },
+        orderBy: { timestamp: 'asc' }
+      });
+
+      const eventCounts = Object.fromEntries(Object.keys(DrivingBehaviourService.EVENT_WEIGHTS).map(type => [type, 0]));
+      events.forEach(event => {
+        eventCounts[event.type] = (eventCounts[event.type] || 0) + 1;
+      });
+
+      return {
+        safetyScore: simulation.safetyScore,
+        eventCounts,
+        events: await TelemetryStoreService.protectPositions(
+          simulation.userId,
+          events.map(({ id, simulationId, createdAt, ...event }) => event),
+          { keepSuppressed: true }
+        )
+      };
+    }
+
+    const route = await prisma.simulationRoute.findUnique({
+      where: { routeType: simulation.routeType }
+    });
+    const dataPoints = await TelemetryStoreService.getAllPoints(simulation.id, { raw: true });
+    const analysis = DrivingBehaviourService.analyze(dataPoints, { maxSpeedKmph: route?.maxSpeed });
+
+    if (dataPoints.length > 0) {
+      await DrivingBehaviourService.storeAnalysis(simulation.id, analysis);
+    }
+
+    return {
+      ...analysis,
+      events: await TelemetryStoreService.protectPositions(simulation.userId, analysis.events, { keepSuppressed: true })
+    };
+  }
+}
+
+export default DrivingBehaviourService;
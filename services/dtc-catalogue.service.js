@@ -0,0 +1,327 @@
+// DtcCatalogueService.js
+import fs from 'fs';
+import CsvIngestionService from './csv-ingestion.service.js';
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new  PrismaClient();
+
+class DtcCatalogueService {
+  // Estructura SAE J2012: sistema, tipo (genérico o del fabricante), subsistema y dos dígitos de fallo
+  static CODE_REGEX = /^([PCBU])([0-3])([0-9A-F])([0-9A-F]{2})$/;
+
+  static SYSTEMS = {
+    P: 'POWERTRAIN',
+    C: 'CHASSIS',
+    B: 'BODY',
+    U: 'NETWORK'
+  };
+
+  // Subsistemas del tercer carácter en los códigos de motor y transmisión
+  static POWERTRAIN_SUBSYSTEMS = {
+    0: 'Fuel and air metering and auxiliary emission controls',
+    1: 'Fuel and air metering',
+    2: 'Fuel and air metering (injector circuit)',
+    3: 'Ignition system or misfire',
+    4: 'Auxiliary emission controls',
+    5: 'Vehicle speed, idle control and auxiliary inputs',
+    6: 'Computer and output circuits',
+    7: 'Transmission',
+    8: 'Transmission',
+    9: 'Transmission',
+    A: 'Hybrid propulsion',
+    B: 'Hybrid propulsion',
+    C: 'Hybrid propulsion'
+  };
+
+  // Subsistemas del tercer carácter en los códigos de red
+  static NETWORK_SUBSYSTEMS = {
+    0: 'Network electrical',
+    1: 'Lost communication',
+    2: 'Lost communication',
+    3: 'Software incompatibility',
+    4: 'Invalid data received'
+  };
+
+  static SEVERITIES = ['Low', 'Medium', 'High', 'Critical'];
+
+  // Impacto en la recompensa (porcentaje) de los códigos sin valor propio, según su gravedad
+  static SEVERITY_REWARD_IMPACT = {
+    Low: -5,
+    Medium: -10,
+    High: -25,
+    Critical: -40
+  };
+
+  // Catálogo de códigos genéricos incluido con la aplicación
+  static CATALOGUE_PATH = new URL('../data/dtc-catalogue.json', import.meta.url);
+
+  // Límites de una importación en bloque
+  static MAX_FILE_SIZE_BYTES = 5 * 1024 * 1024;
+  static MAX_IMPORT_ROWS = 20000;
+  static IMPORT_BATCH_SIZE = 500;
+
+  // Campos de una entrada del catálogo (importación en JSON o CSV)
+  static ENTRY_SCHEMA = {
+    code: { type: 'string', required: true, uppercase: true, pattern: DtcCatalogueService.CODE_REGEX, aliases: ['dtc', 'dtc_code'] },
+    description: { type: 'string', required: true, aliases: ['name', 'title'] },
+    severity: { type: 'string' },
+    impact: { type: 'string', default: '' },
+    rewardImpact: { type: 'number', min: -100, max: 0, aliases: ['reward_impact'] }
+  };
+
+  // Entradas en memoria (catálogo incluido + base de datos), para consultas síncronas
+  static entries = null;
+  static loadedFromDatabase = false;
+
+  /**
+   * Analiza la estructura de un código DTC
+   * @param {string} code - Código (p. ej. "P0420")
+   * @returns {Object|null} { code, system, isGeneric, subsystem } o null si el formato no es válido
+   */
+  static parseCode(code) {
+    const normalized = String(code || '').trim().toUpperCase();
+    const match = normalized.match(DtcCatalogueService.CODE_REGEX);
+    if (!match) return null;
+
+    const [, letter, typeDigit, subsystemDigit] = match;
+
+    // P0, P2 y P34-P39 son genéricos; P1 y P30-P33 del fabricante. En B, C y U: 0 y 3 genéricos, 1 y 2 del fabricante
+    const isGeneric = letter === 'P'
+      ? typeDigit === '0' || typeDigit === '2' || (typeDigit === '3' && parseInt(subsystemDigit, 16) >= 4)
+      : typeDigit === '0' || typeDigit === '3';
+
+    let subsystemName = null;
+    if (letter === 'P' && typeDigit !== '3') {
+      subsystemName = DtcCatalogueService.POWERTRAIN_SUBSYSTEMS[subsystemDigit] || null;
+    } else if (letter === 'U' && typeDigit === '0') {
+      subsystemName = DtcCatalogueService.NETWORK_SUBSYSTEMS[subsystemDigit] || null;
+    }
+
+    return {
+      code: normalized,
+      system: DtcCatalogueService.SYSTEMS[letter],
+      isGeneric,
+      subsystem: { digit: subsystemDigit, name: subsystemName }
+    };
+  }
+
+  /**
+   * Información de un código: la del catálogo si existe y, si no, la deducida de su estructura
+   * @param {string} code - Código DTC
+   * @returns {Object|null} Información del código o null si el formato no es válido
+   */
+  static lookup(code) {
+    const parsed = DtcCatalogueService.parseCode(code);
+    if (!parsed) return null;
+
+    const entry = DtcCatalogueService.getEntries().get(parsed.code);
+    if (entry) {
+      return { ...parsed, ...entry, catalogued: true };
+    }
+
+    const severity = DtcCatalogueService.estimateSeverity(parsed);
+    return {
+      ...parsed,
+      description: DtcCatalogueService.describe(parsed),
+      severity,
+      impact: 'Not in the catalogue; severity estimated from the code structure',
+      rewardImpact: DtcCatalogueService.SEVERITY_REWARD_IMPACT[severity],
+      catalogued: false
+    };
+  }
+
+  /**
+   * Gravedad estimada de un código que no está en el catálogo
+   * @param {Object} parsed - Resultado de parseCode
+   * @returns {string} Gravedad
+   */
+  static estimateSeverity(parsed) {
+    switch (parsed.system) {
+      case 'CHASSIS':
+        return 'High';
+      case 'BODY':
+        return 'Low';
+      case 'NETWORK':
+        return 'Medium';
+      default:
+        // Fallos de encendido e híbridos pueden dañar el vehículo; las emisiones auxiliares no afectan a la conducción
+        if (['3', 'A', 'B', 'C'].includes(parsed.subsystem.digit)) return 'High';
+        if (parsed.subsystem.digit === '4') return 'Low';
+        return 'Medium';
+    }
+  }
+
+  /**
+   * Descripción genérica de un código a partir de su estructura
+   * @param {Object} parsed - Resultado de parseCode
+   * @returns {string} Descripción
+   */
+  static describe(parsed) {
+    const origin = parsed.isGeneric ? 'Generic' : 'Manufacturer-specific';
+    const system = parsed.system.toLowerCase();
+    return parsed.subsystem.name
+      ? `${origin} ${system} code: ${parsed.subsystem.name.toLowerCase()}`
+      : `${origin} ${system} code`;
+  }
+
+  /**
+   * Entradas conocidas; la primera vez se cargan del catálogo incluido
+   * @returns {Map} Entradas por código
+   */
+  static getEntries() {
+    if (!DtcCatalogueService.entries) {
+      DtcCatalogueService.entries = new Map(
+        DtcCatalogueService.readBundledCatalogue().map(entry => [entry.code, entry])
+      );
+    }
+    return DtcCatalogueService.entries;
+  }
+
+  static readBundledCatalogue() {
+    return JSON.parse(fs.readFileSync(DtcCatalogueService.CATALOGUE_PATH, 'utf8'));
+  }
+
+  static toEntry({ code, description, severity, impact, rewardImpact }) {
+    return { code, description, severity, impact, rewardImpact };
+  }
+
+  /**
+   * Carga en memoria los códigos guardados en la base de datos (prevalecen sobre el catálogo incluido)
+   * @returns {number} Número de códigos cargados
+   */
+  static async load() {
+    const codes = await prisma.diagnosticCode.findMany();
+    const entries = DtcCatalogueService.getEntries();
+    codes.forEach(code => entries.set(code.code, DtcCatalogueService.toEntry(code)));
+    DtcCatalogueService.loadedFromDatabase = true;
+    return codes.length;
+  }
+
+  static async ensureLoaded() {
+    if (!DtcCatalogueService.loadedFromDatabase) {
+      await DtcCatalogueService.load();
+    }
+  }
+
+  /**
+   * Añade a la base de datos los códigos del catálogo incluido que falten (no modifica los existentes)
+   * @returns {number} Número de códigos añadidos
+   */
+  static async seed() {
+    const { count } = await prisma.diagnosticCode.createMany({
+      data: DtcCatalogueService.readBundledCatalogue(),
+      skipDuplicates: true
+    });
+    await DtcCatalogueService.load();
+    console.log(`✅ DTC catalogue seeded: ${count} new codes`);
+    return count;
+  }
+
+  /**
+   * Valida una entrada ya convertida según ENTRY_SCHEMA
+   * @param {Object} entry - Entrada
+   * @returns {Array} Errores que la descartan
+   */
+  static validateEntry(entry) {
+    if (entry.severity !== null && !DtcCatalogueService.normalizeSeverity(entry.severity)) {
+      return [`Invalid severity, expected one of ${DtcCatalogueService.SEVERITIES.join(', ')}: ${JSON.stringify(entry.severity)}`];
+    }
+    return [];
+  }
+
+  static normalizeSeverity(severity) {
+    return DtcCatalogueService.SEVERITIES.find(value => value.toLowerCase() === String(severity).toLowerCase()) || null;
+  }
+
+  /**
+   * Lee y valida las entradas de una importación
+   * @param {Array|Buffer|string} source - Lista de entradas o contenido de un CSV
+   * @returns {Object} { records, rejectedCount, errors }
+   */
+  static async parseEntries(source) {
+    let parsed;
+
+    if (Array.isArray(source)) {
+      if (source.length > DtcCatalogueService.MAX_IMPORT_ROWS) {
+        throw new Error(`Import has more than ${DtcCatalogueService.MAX_IMPORT_ROWS} codes`);
+      }
+
+      parsed = { records: [], rejectedCount: 0, errors: [] };
+      source.forEach((item, index) => {
+        const { record, errors } = CsvIngestionService.coerceRecord(item && typeof item === 'object' ? item : {}, DtcCatalogueService.ENTRY_SCHEMA);
+        const validationErrors = record ? DtcCatalogueService.validateEntry(record) : [];
+        const allErrors = [...errors, ...validationErrors];
+
+        if (allErrors.length > 0 && parsed.errors.length < CsvIngestionService.MAX_REPORTED_ERRORS) {
+          parsed.errors.push({ row: index + 1, errors: allErrors });
+        }
+
+        if (!record || validationErrors.length > 0) {
+          parsed.rejectedCount++;
+          return;
+        }
+        parsed.records.push(record);
+      });
+    } else {
+      parsed = await CsvIngestionService.parse(source, {
+        schema: DtcCatalogueService.ENTRY_SCHEMA,
+        validate: DtcCatalogueService.validateEntry,
+        maxRows: DtcCatalogueService.MAX_IMPORT_ROWS
+      });
+    }
+
+    return parsed;
+  }
+
+  /**
+   * Importa o actualiza códigos en bloque
+   * Los campos que se omiten toman el valor deducido de la estructura del código
+   * @param {Object} parsed - Resultado de parseEntries
+   * @returns {Object} { created, updated, rejectedCount, errors }
+   */
+  static async importEntries(parsed) {
+    // Completar los campos omitidos; si un código se repite, prevalece la última entrada
+    const entries = new Map();
+    parsed.records.forEach(record => {
+      const inferred = DtcCatalogueService.lookup(record.code);
+      const severity = record.severity !== null ? DtcCatalogueService.normalizeSeverity(record.severity) : inferred.severity;
+      const defaultRewardImpact = record.severity !== null
+        ? DtcCatalogueService.SEVERITY_REWARD_IMPACT[severity]
+        : inferred.rewardImpact;
+
+      entries.set(record.code, {
+        code: record.code,
+        description: record.description,
+        severity,
+        impact: record.impact || (inferred.catalogued ? inferred.impact : ''),
+        rewardImpact: record.rewardImpact ?? defaultRewardImpact
+      });
+    });
+
+    const codes = Array.from(entries.values());
+    const existing = await prisma.diagnosticCode.findMany({
+      where: { code: { in: codes.map(entry => entry.code) } },
+      select: { code: true }
+    });
+
+    for (let i = 0; i < codes.length; i += DtcCatalogueService.IMPORT_BATCH_SIZE) {
+      const batch = codes.slice(i, i + DtcCatalogueService.IMPORT_BATCH_SIZE);
+      await prisma.$transaction(batch.map(({ code, ...data }) => prisma.diagnosticCode.upsert({
+        where: { code },
+        update: data,
+        create: { code, ...data }
+      })));
+    }
+
+    codes.forEach(entry => DtcCatalogueService.getEntries().set(entry.code, entry));
+
+    return {
+      created: codes.length - existing.length,
+      updated: existing.length,
+      rejectedCount: parsed.rejectedCount,
+      errors: parsed.errors
+    };
+  }
+}
+
+export default DtcCatalogueService;
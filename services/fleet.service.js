@@ -0,0 +1,399 @@
+// FleetService.js
+import DtcCatalogueService from './dtc-catalogue.service.js';
+import TelemetryStoreService from './telemetry-store.service.js';
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new  PrismaClient();
+
+class FleetService {
+  static ROLES = ['OWNER', 'MEMBER'];
+
+  static MAX_NAME_LENGTH = 100;
+
+  // Los repartos de ingresos se redondean a los decimales del token
+  static SHARE_DECIMALS = 6;
+
+  // Tolerancia al comprobar que los porcentajes suman 100
+  static SHARE_TOLERANCE_PCT = 0.01;
+
+  // Orden de gravedad de los DTC en el panel de diagnóstico
+  static SEVERITY_RANK = { Critical: 4, High: 3, Medium: 2, Low: 1 };
+
+  // Miembros y vehículos que se devuelven con la flota
+  static FLEET_INCLUDE = {
+    members: { include: { user: true }, orderBy: { createdAt: 'asc' } },
+    vehicles: { orderBy: { createdAt: 'asc' } }
+  };
+
+  /**
+   * Crea una flota cuyo propietario es el usuario indicado
+   * @param {string} ownerId - ID del usuario propietario
+   * @param {Object} data - { name, description }
+   * @returns {Object} Flota con sus miembros
+   */
+  static async createFleet(ownerId, { name, description = null }) {
+    return prisma.fleet.create({
+      data: {
+        name,
+        description,
+        members: { create: { userId: ownerId, role: 'OWNER' } }
+      },
+      include: FleetService.FLEET_INCLUDE
+    });
+  }
+
+  /**
+   * Valida el nombre y la descripción de una flota
+   * @param {Object} input - Cuerpo de la petición
+   * @returns {Object} { name, description }
+   */
+  static parseFleet(input) {
+    const name = typeof input?.name === 'string' ? input.name.trim() : '';
+    if (!name) {
+      throw new Error('Fleet name is required');
+    }
+    if (name.length > FleetService.MAX_NAME_LENGTH) {
+      throw new Error(`Fleet name must have at most ${FleetService.MAX_NAME_LENGTH} characters`);
+    }
+
+    const description = input.description !== undefined && input.description !== null ? String(input.description).trim() : null;
+    return { name, description: description || null };
+  }
+
+  static async getFleet(fleetId) {
+    return prisma.fleet.findUnique({
+      where: { id: fleetId },
+      include: FleetService.FLEET_INCLUDE
+    });
+  }
+
+  /**
+   * Flotas de las que forma parte un usuario
+   * @param {string} userId - ID del usuario
+   * @returns {Array} Flotas con el rol del usuario en cada una
+   */
+  static async getUserFleets(userId) {
+    const memberships = await prisma.fleetMember.findMany({
+      where: { userId },
+      include: { fleet: { include: { _count: { select: { members: true, vehicles: true } } } } },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    return memberships.map(({ fleet, role }) => ({
+      id: fleet.id,
+      name: fleet.name,
+      description: fleet.description,
+      role,
+      memberCount: fleet._count.members,
+      vehicleCount: fleet._count.vehicles,
+      createdAt: fleet.createdAt
+    }));
+  }
+
+  /**
+   * Miembro de una flota ya cargada con FLEET_INCLUDE
+   * @param {Object} fleet - Flota
+   * @param {string} walletAddress - Wallet del miembro
+   * @returns {Object|null} Miembro o null si la wallet no pertenece a la flota
+   */
+  static getMember(fleet, walletAddress) {
+    return fleet.members.find(member => member.user.walletAddress === walletAddress) || null;
+  }
+
+  static isOwner(fleet, walletAddress) {
+    return FleetService.getMember(fleet, walletAddress)?.role === 'OWNER';
+  }
+
+  static async addMember(fleetId, userId, role = 'MEMBER') {
+    return prisma.fleetMember.create({
+      data: { fleetId, userId, role },
+      include: { user: true }
+    });
+  }
+
+  /**
+   * Da de baja a un miembro; sus vehículos dejan de pertenecer a la flota
+   * @param {Object} member - Miembro de la flota
+   */
+  static async removeMember(member) {
+    await prisma.vehicle.updateMany({
+      where: { fleetId: member.fleetId, userId: member.userId },
+      data: { fleetId: null }
+    });
+    await prisma.fleetMember.delete({ where: { id: member.id } });
+  }
+
+  static async setVehicleFleet(vehicleId, fleetId) {
+    return prisma.vehicle.update({
+      where: { id: vehicleId },
+      data: { fleetId }
+    });
+  }
+
+  /**
+   * Valida el reparto de ingresos: porcentajes por wallet de miembros que suman 100
+   * Los miembros que no aparecen no reciben ingresos
+   * @param {Object} fleet - Flota con sus miembros
+   * @param {Array} shares - [{ walletAddress, percentage }]
+   * @returns {Map} Porcentaje por ID de miembro
+   */
+  static parseRevenueShares(fleet, shares) {
+    if (!Array.isArray(shares) || shares.length === 0) {
+      throw new Error('shares must be a non-empty array of { walletAddress, percentage }');
+    }
+
+    const percentages = new Map();
+    for (const share of shares) {
+      const member = FleetService.getMember(fleet, share?.walletAddress);
+      if (!member) {
+        throw new Error(`Wallet ${share?.walletAddress} is not a member of this fleet`);
+      }
+      if (percentages.has(member.id)) {
+        throw new Error(`Wallet ${share.walletAddress} appears more than once`);
+      }
+
+      const percentage = Number(share.percentage);
+      if (!Number.isFinite(percentage) || percentage < 0 || percentage > 100) {
+        throw new Error(`Invalid percentage for ${share.walletAddress}: ${JSON.stringify(share.percentage)}`);
+      }
+      percentages.set(member.id, percentage);
+    }
+
+    const total = Array.from(percentages.values()).reduce((sum, percentage) => sum + percentage, 0);
+    if (Math.abs(total - 100) > FleetService.SHARE_TOLERANCE_PCT) {
+      throw new Error(`Percentages must add up to 100, got ${total}`);
+    }
+
+    return percentages;
+  }
+
+  /**
+   * Guarda el reparto de ingresos de todos los miembros
+   * @param {Object} fleet - Flota con sus miembros
+   * @param {Map} percentages - Resultado de parseRevenueShares
+   */
+  static async setRevenueShares(fleet, percentages) {
+    await prisma.$transaction(fleet.members.map(member => prisma.fleetMember.update({
+      where: { id: member.id },
+      data: { revenueSharePct: percentages.get(member.id) ?? 0 }
+    })));
+  }
+
+  /**
+   * Reparte un importe entre los miembros de una flota según sus porcentajes
+   * (a partes iguales si ninguno tiene porcentaje); el redondeo se asigna al último beneficiario
+   * @param {Array} members - Miembros de la flota (con user)
+   * @param {number} amount - Importe total
+   * @returns {Array} [{ userId, walletAddress, percentage, amount }] sin los miembros que no reciben nada
+   */
+  static splitRevenue(members, amount) {
+    const equalSplit = members.every(member => member.revenueSharePct === null || member.revenueSharePct === undefined);
+    const recipients = members
+      .map(member => ({
+        userId: member.userId,
+        walletAddress: member.user.walletAddress,
+        percentage: equalSplit ? 100 / members.length : member.revenueSharePct || 0
+      }))
+      .filter(recipient => recipient.percentage > 0);
+
+    const factor = Math.pow(10, FleetService.SHARE_DECIMALS);
+    const total = Math.round(amount * factor) / factor;
+    let remaining = total;
+    return recipients
+      .map((recipient, index) => {
+        const share = index === recipients.length - 1
+          ? remaining
+          : Math.floor(total * recipient.percentage / 100 * factor) / factor;
+        remaining = Math.round((remaining - share) * factor) / factor;
+        return { ...recipient, amount: share };
+      })
+      .filter(recipient => recipient.amount > 0);
+  }
+
+  /**
+   * Simulaciones y viajes completados de los vehículos de la flota
+   * @param {Object} fleet - Flota con sus vehículos
+   * @param {Object} options - Opciones
+   * @param {boolean} options.includeRewards - Incluir las recompensas de cada simulación
+   * @returns {Array} Simulaciones, de la más reciente a la más antigua
+   */
+  static async getFleetSimulations(fleet, options = {}) {
+    const vehicleIds = fleet.vehicles.map(vehicle => vehicle.id);
+    if (vehicleIds.length === 0) return [];
+
+    // Sin rawData: las muestras de cada viaje no hacen falta para la flota y revelan dónde empieza
+    return TelemetryStoreService.findSimulations({
+      where: { vehicleId: { in: vehicleIds }, status: 'COMPLETED' },
+      include: options.includeRewards ? { rewards: true } : undefined,
+      orderBy: { startedAt: 'desc' }
+    }, { samples: false });
+  }
+
+  /**
+   * Indicadores agregados de la flota y de cada vehículo
+   * Las puntuaciones de eficiencia y seguridad se ponderan por la distancia de cada viaje
+   * @param {Object} fleet - Flota con sus vehículos
+   * @returns {Object} { totals, vehicles }
+   */
+  static async getFleetSummary(fleet) {
+    const simulations = await FleetService.getFleetSimulations(fleet, { includeRewards: true });
+
+    const vehicles = fleet.vehicles.map(vehicle => ({
+      vehicleId: vehicle.id,
+      nickname: vehicle.nickname,
+      make: vehicle.make,
+      model: vehicle.model,
+      year: vehicle.year,
+      ...FleetService.aggregateSimulations(simulations.filter(simulation => simulation.vehicleId === vehicle.id))
+    }));
+
+    return {
+      totals: {
+        vehicleCount: fleet.vehicles.length,
+        memberCount: fleet.members.length,
+        ...FleetService.aggregateSimulations(simulations)
+      },
+      vehicles
+    };
+  }
+
+  /**
+   * Suma las métricas de un conjunto de simulaciones
+   * @param {Array} simulations - Simulaciones con sus recompensas
+   * @returns {Object} Totales y puntuaciones ponderadas
+   */
+  static aggregateSimulations(simulations) {
+    const round = (value) => parseFloat(value.toFixed(2));
+    const totals = {
+      tripCount: simulations.length,
+      distanceKm: 0,
+      durationMinutes: 0,
+      dataPointsCount: 0,
+      fuelUsedLitres: 0,
+      efficiencyScore: FleetService.weightedScore(simulations, 'efficiencyScore'),
+      safetyScore: FleetService.weightedScore(simulations, 'safetyScore'),
+      rewards: { earned: 0, pending: 0 }
+    };
+
+    simulations.forEach(simulation => {
+      totals.distanceKm += simulation.distanceKm || 0;
+      totals.durationMinutes += simulation.durationMinutes || 0;
+      totals.dataPointsCount += simulation.dataPointsCount || 0;
+      totals.fuelUsedLitres += simulation.fuelUsedLitres || 0;
+
+      (simulation.rewards || []).forEach(reward => {
+        if (reward.status === 'COMPLETED') totals.rewards.earned += reward.amount;
+        else if (reward.status !== 'FAILED') totals.rewards.pending += reward.amount;
+      });
+    });
+
+    totals.distanceKm = round(totals.distanceKm);
+    totals.durationMinutes = round(totals.durationMinutes);
+    totals.fuelUsedLitres = round(totals.fuelUsedLitres);
+    totals.rewards.earned = round(totals.rewards.earned);
+    totals.rewards.pending = round(totals.rewards.pending);
+
+    return totals;
+  }
+
+  /**
+   * Media de una puntuación ponderada por distancia (los viajes sin distancia cuentan como 1 km)
+   * @param {Array} simulations - Simulaciones
+   * @param {string} field - Campo de la puntuación
+   * @returns {number|null} Puntuación media o null si ninguna simulación la tiene
+   */
+  static weightedScore(simulations, field) {
+    let weightedSum = 0;
+    let totalWeight = 0;
+
+    simulations.forEach(simulation => {
+      if (simulation[field] === null || simulation[field] === undefined) return;
+      const weight = simulation.distanceKm > 0 ? simulation.distanceKm : 1;
+      weightedSum += simulation[field] * weight;
+      totalWeight += weight;
+    });
+
+    return totalWeight > 0 ? Math.round(weightedSum / totalWeight) : null;
+  }
+
+  /**
+   * Panel de diagnóstico: códigos DTC registrados en los viajes de cada vehículo
+   * @param {Object} fleet - Flota con sus vehículos
+   * @returns {Array} Por vehículo, sus códigos ordenados por gravedad con número de viajes y última aparición
+   */
+  static async getFleetDiagnostics(fleet) {
+    const simulations = await FleetService.getFleetSimulations(fleet);
+
+    return fleet.vehicles.map(vehicle => {
+      const codes = new Map();
+
+      simulations
+        .filter(simulation => simulation.vehicleId === vehicle.id)
+        .forEach(simulation => {
+          const seenAt = simulation.endedAt || simulation.startedAt;
+          (Array.isArray(simulation.diagnosticIssues) ? simulation.diagnosticIssues : []).forEach(issue => {
+            const entry = codes.get(issue.code);
+            if (entry) {
+              entry.tripCount++;
+              if (seenAt < entry.firstSeenAt) entry.firstSeenAt = seenAt;
+              if (seenAt > entry.lastSeenAt) entry.lastSeenAt = seenAt;
+              return;
+            }
+
+            const info = DtcCatalogueService.lookup(issue.code);
+            codes.set(issue.code, {
+              code: issue.code,
+              description: info?.description || issue.description,
+              severity: info?.severity || issue.severity,
+              system: info?.system || issue.system,
+              tripCount: 1,
+              firstSeenAt: seenAt,
+              lastSeenAt: seenAt
+            });
+          });
+        });
+
+      const dtcs = Array.from(codes.values()).sort((a, b) =>
+        (FleetService.SEVERITY_RANK[b.severity] || 0) - (FleetService.SEVERITY_RANK[a.severity] || 0)
+        || b.lastSeenAt - a.lastSeenAt
+      );
+
+      return {
+        vehicleId: vehicle.id,
+        nickname: vehicle.nickname,
+        make: vehicle.make,
+        model: vehicle.model,
+        year: vehicle.year,
+        highestSeverity: dtcs[0]?.severity || null,
+        dtcs
+      };
+    });
+  }
+
+  /**
+   * Muestras para el listado conjunto de la flota: el primer punto del último viaje de cada vehículo
+   * @param {Object} fleet - Flota con sus vehículos
+   * @param {number} limit - Número máximo de muestras
+   * @returns {Array} Puntos de datos
+   */
+  static async getBundleSamples(fleet, limit = 3) {
+    const samples = [];
+
+    for (const vehicle of fleet.vehicles) {
+      if (samples.length >= limit) break;
+
+      const latest = await prisma.simulation.findFirst({
+        where: { vehicleId: vehicle.id, status: 'COMPLETED' },
+        orderBy: { startedAt: 'desc' }
+      });
+      if (!latest) continue;
+
+      const { points } = await TelemetryStoreService.queryTelemetry(latest.id, { limit: 1 });
+      points.forEach(({ sequence, ...point }) => samples.push(point));
+    }
+
+    return samples;
+  }
+}
+
+export default FleetService;
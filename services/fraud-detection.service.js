@@ -0,0 +1,376 @@
+// FraudDetectionService.js
+import crypto from 'crypto';
+import TelemetryQualityService from './telemetry-quality.service.js';
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new  PrismaClient();
+
+class FraudDetectionService {
+  // Puntuación que aporta cada indicador al riesgo de una reclamación (se suman hasta 100)
+  // Los de volumen crecen con el exceso sobre su límite hasta VOLUME_MAX_FACTOR veces su peso
+  static SIGNAL_WEIGHTS = {
+    DUPLICATE_TELEMETRY: 70,
+    IMPOSSIBLE_SERIES: 50,
+    FUTURE_TIMESTAMPS: 40,
+    OVERLAPPING_TRIPS: 40,
+    EXCESSIVE_DAILY_CLAIMS: 30,
+    NEW_WALLET_CLUSTER: 30,
+    CLAIM_BURST: 25
+  };
+
+  // Riesgo a partir del cual la reclamación se retiene para revisión manual si no se configura FRAUD_REVIEW_THRESHOLD
+  static DEFAULT_REVIEW_THRESHOLD = 60;
+
+  static REVIEW_STATUSES = ['PENDING', 'APPROVED', 'REJECTED'];
+  static DECISIONS = ['APPROVED', 'REJECTED'];
+
+  // Datos de la cola de revisión: wallet (antigüedad) y resumen de la simulación reclamada
+  static REVIEW_INCLUDE = {
+    user: { select: { walletAddress: true, createdAt: true } },
+    simulation: {
+      select: {
+        id: true,
+        routeType: true,
+        source: true,
+        status: true,
+        startedAt: true,
+        endedAt: true,
+        dataPointsCount: true,
+        dataQualityScore: true
+      }
+    }
+  };
+
+  // Series cortas coinciden por casualidad (p. ej. unos segundos al ralentí), no se comparan
+  static MIN_FINGERPRINT_POINTS = 30;
+
+  // Indicadores de calidad que ningún vehículo real produce
+  static IMPOSSIBLE_FLAGS = ['OUT_OF_RANGE', 'SPEED_RPM_MISMATCH', 'GPS_JUMP', 'NON_MONOTONIC_TIMESTAMP'];
+  static IMPOSSIBLE_MIN_PCT = 2; // Por debajo se atribuye a fallos puntuales del sensor
+  static IMPOSSIBLE_FULL_PCT = 20; // A partir de aquí el indicador cuenta con todo su peso
+
+  // Solo la telemetría grabada lleva el reloj real del vehículo; la simulada usa un reloj simulado
+  static RECORDED_SOURCES = ['UPLOADED', 'OBD_FRAMES'];
+  static FUTURE_TOLERANCE_MS = 5 * 60 * 1000;
+
+  static CLAIM_BURST_WINDOW_MS = 10 * 60 * 1000;
+  static CLAIM_BURST_LIMIT = 5;
+  static MAX_CLAIMS_PER_DAY = 20;
+  static VOLUME_MAX_FACTOR = 2; // Con el doble de reclamaciones que el límite, el volumen basta para la revisión
+
+  // Wallets recientes creadas casi a la vez que también reclaman recompensas
+  static NEW_WALLET_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+  static CLUSTER_WINDOW_MS = 60 * 60 * 1000;
+  static CLUSTER_MIN_SIZE = 5;
+
+  static DAY_MS = 24 * 60 * 60 * 1000;
+
+  /**
+   * Umbral de revisión manual, configurable con FRAUD_REVIEW_THRESHOLD
+   * (se lee en cada llamada porque el entorno se carga después de importar los servicios)
+   */
+  static getReviewThreshold() {
+    const threshold = Number(process.env.FRAUD_REVIEW_THRESHOLD);
+    return Number.isFinite(threshold) && threshold > 0 ? threshold : FraudDetectionService.DEFAULT_REVIEW_THRESHOLD;
+  }
+
+  /**
+   * Puntúa el riesgo de fraude de la reclamación de una simulación
+   * @param {Object} simulation - Simulación reclamada (con su usuario)
+   * @param {Array} dataPoints - Telemetría almacenada de la simulación
+   * @param {Date} now - Momento de la reclamación
+   * @returns {Object} { score, riskLevel, requiresReview, signals, telemetryHash }
+   */
+  static async assessClaim(simulation, dataPoints, now = new Date()) {
+    const telemetryHash = FraudDetectionService.fingerprint(dataPoints);
+
+    const signals = [
+      await FraudDetectionService.checkDuplicateTelemetry(simulation, telemetryHash),
+      FraudDetectionService.checkImpossibleSeries(dataPoints),
+      FraudDetectionService.checkFutureTimestamps(simulation, dataPoints, now),
+      await FraudDetectionService.checkOverlappingTrips(simulation),
+      ...await FraudDetectionService.checkClaimVolume(simulation.userId, now),
+      await FraudDetectionService.checkWalletCluster(simulation.user, now)
+    ].filter(Boolean);
+
+    const score = Math.min(100, Math.round(signals.reduce((sum, signal) => sum + signal.score, 0)));
+    const threshold = FraudDetectionService.getReviewThreshold();
+
+    return {
+      score,
+      riskLevel: score >= threshold ? 'HIGH' : score >= threshold / 2 ? 'MEDIUM' : 'LOW',
+      requiresReview: score >= threshold,
+      signals,
+      telemetryHash
+    };
+  }
+
+  /**
+   * Huella de una serie de telemetría: tiempos relativos al primer punto y valores redondeados,
+   * así la misma serie desplazada en el tiempo o reenviada con otra wallet da la misma huella
+   * @param {Array} dataPoints - Puntos de datos ordenados
+   * @returns {string|null} Hash hexadecimal (null si la serie es demasiado corta para compararla)
+   */
+  static fingerprint(dataPoints) {
+    if (dataPoints.length < FraudDetectionService.MIN_FINGERPRINT_POINTS) return null;
+
+    const value = (point, field, decimals) => {
+      const number = TelemetryQualityService.toNumber(point[field]);
+      return number === null ? null : parseFloat(number.toFixed(decimals));
+    };
+    const start = new Date(dataPoints[0].timestamp).getTime();
+
+    const series = dataPoints.map(point => [
+      Math.round((new Date(point.timestamp).getTime() - start) / 1000) || 0,
+      value(point, 'speed_kmph', 1),
+      value(point, 'engine_rpm', 0),
+      value(point, 'fuel_level_pct', 1),
+      value(point, 'engine_temp_c', 1),
+      value(point, 'lat', 5),
+      value(point, 'lon', 5)
+    ]);
+
+    return crypto.createHash('sha256').update(JSON.stringify(series)).digest('hex');
+  }
+
+  /**
+   * La misma serie ya se ha reclamado con otra simulación (de esta u otra wallet)
+   * Las simulaciones con la misma semilla generan la misma serie a propósito (reproducciones declaradas), no cuentan
+   */
+  static async checkDuplicateTelemetry(simulation, telemetryHash) {
+    if (!telemetryHash) return null;
+
+    const candidates = await prisma.reward.findMany({
+      where: { telemetryHash, simulationId: { not: simulation.id } },
+      select: { simulationId: true, userId: true, simulation: { select: { source: true, seed: true } } }
+    });
+    const matches = candidates.filter(match => !FraudDetectionService.isSeededReplay(simulation, match.simulation));
+    if (matches.length === 0) return null;
+
+    const otherWallets = new Set(matches.filter(match => match.userId !== simulation.userId).map(match => match.userId));
+    return {
+      type: 'DUPLICATE_TELEMETRY',
+      score: FraudDetectionService.SIGNAL_WEIGHTS.DUPLICATE_TELEMETRY,
+      details: {
+        matchingSimulations: matches.map(match => match.simulationId),
+        otherWallets: otherWallets.size
+      }
+    };
+  }
+
+  /**
+   * Dos simulaciones generadas por el servidor con la misma semilla
+   */
+  static isSeededReplay(simulation, other) {
+    return simulation.source === 'SIMULATED' && other?.source === 'SIMULATED'
+      && Boolean(simulation.seed) && simulation.seed === other.seed;
+  }
+
+  /**
+   * Proporción de puntos con valores o variaciones físicamente imposibles (ver TelemetryQualityService)
+   */
+  static checkImpossibleSeries(dataPoints) {
+    if (dataPoints.length === 0) return null;
+
+    // Los puntos que no pasaron por el análisis de calidad se analizan sobre una copia
+    let assessed = dataPoints;
+    if (!dataPoints.every(point => Array.isArray(point?.quality_flags))) {
+      assessed = dataPoints.map(point => ({ ...point }));
+      TelemetryQualityService.assessPoints(assessed);
+    }
+
+    const { flagCounts } = TelemetryQualityService.summarize(assessed);
+    const impossible = assessed.filter(point => point.quality_flags
+      .some(flag => FraudDetectionService.IMPOSSIBLE_FLAGS.includes(flag))).length;
+    const impossiblePct = impossible / assessed.length * 100;
+    if (impossiblePct < FraudDetectionService.IMPOSSIBLE_MIN_PCT) return null;
+
+    const { IMPOSSIBLE_MIN_PCT, IMPOSSIBLE_FULL_PCT } = FraudDetectionService;
+    const ratio = Math.min(1, (impossiblePct - IMPOSSIBLE_MIN_PCT) / (IMPOSSIBLE_FULL_PCT - IMPOSSIBLE_MIN_PCT));
+    return {
+      type: 'IMPOSSIBLE_SERIES',
+      score: Math.round(FraudDetectionService.SIGNAL_WEIGHTS.IMPOSSIBLE_SERIES * (0.5 + 0.5 * ratio)),
+      details: {
+        impossiblePct: parseFloat(impossiblePct.toFixed(2)),
+        flagCounts: Object.fromEntries(FraudDetectionService.IMPOSSIBLE_FLAGS
+          .filter(flag => flagCounts[flag])
+          .map(flag => [flag, flagCounts[flag]]))
+      }
+    };
+  }
+
+  /**
+   * Telemetría grabada con instantes posteriores a la propia reclamación
+   */
+  static checkFutureTimestamps(simulation, dataPoints, now) {
+    if (!FraudDetectionService.RECORDED_SOURCES.includes(simulation.source)) return null;
+
+    const limit = now.getTime() + FraudDetectionService.FUTURE_TOLERANCE_MS;
+    const futurePoints = dataPoints.filter(point => new Date(point.timestamp).getTime() > limit).length;
+    if (futurePoints === 0) return null;
+
+    return {
+      type: 'FUTURE_TIMESTAMPS',
+      score: FraudDetectionService.SIGNAL_WEIGHTS.FUTURE_TIMESTAMPS,
+      details: { futurePoints }
+    };
+  }
+
+  /**
+   * Viajes grabados de la misma wallet ya recompensados que se solapan en el tiempo con este
+   */
+  static async checkOverlappingTrips(simulation) {
+    if (!FraudDetectionService.RECORDED_SOURCES.includes(simulation.source) || !simulation.endedAt) return null;
+
+    const overlapping = await prisma.simulation.findMany({
+      where: {
+        id: { not: simulation.id },
+        userId: simulation.userId,
+        source: { in: FraudDetectionService.RECORDED_SOURCES },
+        startedAt: { lt: simulation.endedAt },
+        endedAt: { gt: simulation.startedAt },
+        rewards: { some: { claimKey: { not: null } } }
+      },
+      select: { id: true }
+    });
+    if (overlapping.length === 0) return null;
+
+    return {
+      type: 'OVERLAPPING_TRIPS',
+      score: FraudDetectionService.SIGNAL_WEIGHTS.OVERLAPPING_TRIPS,
+      details: { overlappingSimulations: overlapping.map(trip => trip.id) }
+    };
+  }
+
+  /**
+   * Ráfagas de reclamaciones y reclamaciones por día de una wallet (contando la actual)
+   * @returns {Array} Indicadores CLAIM_BURST y EXCESSIVE_DAILY_CLAIMS que se cumplan
+   */
+  static async checkClaimVolume(userId, now) {
+    const claims = await prisma.reward.findMany({
+      where: {
+        userId,
+        claimKey: { not: null },
+        createdAt: { gte: new Date(now.getTime() - FraudDetectionService.DAY_MS) }
+      },
+      select: { createdAt: true }
+    });
+
+    return FraudDetectionService.volumeSignals(claims.map(claim => claim.createdAt), now);
+  }
+
+  /**
+   * Indicadores de volumen a partir de las reclamaciones de las últimas 24 horas de una wallet
+   * @param {Array<Date>} claimDates - Fechas de las reclamaciones anteriores
+   * @param {Date} now - Momento de la reclamación actual
+   * @returns {Array} Indicadores CLAIM_BURST y EXCESSIVE_DAILY_CLAIMS que se cumplan
+   */
+  static volumeSignals(claimDates, now) {
+    const signals = [];
+    const dailyClaims = claimDates.length + 1;
+    if (dailyClaims > FraudDetectionService.MAX_CLAIMS_PER_DAY) {
+      signals.push({
+        type: 'EXCESSIVE_DAILY_CLAIMS',
+        score: FraudDetectionService.volumeScore('EXCESSIVE_DAILY_CLAIMS', dailyClaims, FraudDetectionService.MAX_CLAIMS_PER_DAY),
+        details: { dailyClaims, limit: FraudDetectionService.MAX_CLAIMS_PER_DAY }
+      });
+    }
+
+    const burstStart = now.getTime() - FraudDetectionService.CLAIM_BURST_WINDOW_MS;
+    const burstClaims = claimDates.filter(date => date.getTime() >= burstStart).length + 1;
+    if (burstClaims > FraudDetectionService.CLAIM_BURST_LIMIT) {
+      signals.push({
+        type: 'CLAIM_BURST',
+        score: FraudDetectionService.volumeScore('CLAIM_BURST', burstClaims, FraudDetectionService.CLAIM_BURST_LIMIT),
+        details: { burstClaims, windowMinutes: FraudDetectionService.CLAIM_BURST_WINDOW_MS / 60000 }
+      });
+    }
+
+    return signals;
+  }
+
+  /**
+   * Puntuación proporcional al exceso sobre el límite: el peso al superarlo y hasta VOLUME_MAX_FACTOR veces el peso
+   */
+  static volumeScore(type, count, limit) {
+    const factor = Math.min(FraudDetectionService.VOLUME_MAX_FACTOR, count / limit);
+    return Math.round(FraudDetectionService.SIGNAL_WEIGHTS[type] * factor);
+  }
+
+  /**
+   * Wallet reciente creada en la misma ventana que otras wallets que también reclaman recompensas
+   */
+  static async checkWalletCluster(user, now) {
+    if (!user || now.getTime() - user.createdAt.getTime() > FraudDetectionService.NEW_WALLET_AGE_MS) return null;
+
+    const halfWindow = FraudDetectionService.CLUSTER_WINDOW_MS / 2;
+    const clustered = await prisma.user.count({
+      where: {
+        id: { not: user.id },
+        createdAt: {
+          gte: new Date(user.createdAt.getTime() - halfWindow),
+          lte: new Date(user.createdAt.getTime() + halfWindow)
+        },
+        rewards: { some: { claimKey: { not: null } } }
+      }
+    });
+
+    const clusterSize = clustered + 1;
+    if (clusterSize < FraudDetectionService.CLUSTER_MIN_SIZE) return null;
+
+    return {
+      type: 'NEW_WALLET_CLUSTER',
+      score: FraudDetectionService.SIGNAL_WEIGHTS.NEW_WALLET_CLUSTER,
+      details: { clusterSize, windowMinutes: FraudDetectionService.CLUSTER_WINDOW_MS / 60000 }
+    };
+  }
+
+  /**
+   * Valida la decisión de una revisión manual
+   * @param {string} decision - APPROVE/APPROVED o REJECT/REJECTED
+   * @returns {string} APPROVED o REJECTED
+   */
+  static parseDecision(decision) {
+    const normalized = String(decision ?? '').toUpperCase().replace(/^(APPROVE|REJECT)$/, '$1D');
+    if (!FraudDetectionService.DECISIONS.includes(normalized)) {
+      throw new Error('decision must be APPROVE or REJECT');
+    }
+    return normalized;
+  }
+
+  static parseReviewStatus(status) {
+    if (status === undefined || status === null || status === '') return 'PENDING';
+
+    const normalized = String(status).toUpperCase();
+    if (!FraudDetectionService.REVIEW_STATUSES.includes(normalized)) {
+      throw new Error(`Invalid review status, expected one of ${FraudDetectionService.REVIEW_STATUSES.join(', ')}`);
+    }
+    return normalized;
+  }
+
+  /**
+   * Cola de revisión: recompensas retenidas por riesgo de fraude
+   * @param {string} reviewStatus - PENDING (por defecto), APPROVED o REJECTED
+   * @param {number} limit - Máximo de recompensas
+   * @returns {Array} Rewards con la wallet y el resumen de la simulación, las de más riesgo primero
+   */
+  static async listReviews(reviewStatus = 'PENDING', limit = 50) {
+    return prisma.reward.findMany({
+      where: { reviewStatus },
+      include: FraudDetectionService.REVIEW_INCLUDE,
+      orderBy: reviewStatus === 'PENDING'
+        ? [{ fraudScore: 'desc' }, { createdAt: 'asc' }]
+        : [{ reviewedAt: 'desc' }],
+      take: limit
+    });
+  }
+
+  static async getReview(rewardId) {
+    return prisma.reward.findFirst({
+      where: { id: rewardId, reviewStatus: { not: null } },
+      include: FraudDetectionService.REVIEW_INCLUDE
+    });
+  }
+}
+
+export default FraudDetectionService;
@@ -1,10 +1,14 @@
 import CarDataService from './car-data.service.js';
+import SimulationSessionManager from './simulation-session-manager.service.js';
+import TripMetricsService from './trip-metrics.service.js';
+import DrivingBehaviourService from './driving-behaviour.service.js';
 
 class LocalDriveSimulator {
   static isSimulating = false;
   static simulationData = [];
   static currentTimeFrame = null;
   static currentRoute = null;
+  static sessionId = null;
   static listeners = [];
   static simulationStartTimestamp = null;
   static simulationElapsedTime = 0;
@@ -57,7 +61,7 @@ class LocalDriveSimulator {
     }
   };
 
-  static async startSimulation(routeType = 'URBAN', durationMinutes = 10) {
+  static async startSimulation(routeType = 'URBAN', durationMinutes = 10, seed) {
     if (LocalDriveSimulator.isSimulating) {
       console.log('A simulation is already running');
       return { success: false, message: 'A simulation is already running' };
@@ -99,13 +103,23 @@ class LocalDriveSimulator {
         (now.getTime() - LocalDriveSimulator.simulationStartTimestamp.getTime()) / 1000;
     }, 1000);
 
-    // Iniciar el procesamiento de datos
-    const stream = CarDataService.startSimulation(1000); // 1 punto de datos por segundo
+    // Iniciar el procesamiento de datos en una sesión local (sin registro en base de datos)
+    LocalDriveSimulator.sessionId = `local-${Date.now()}`;
+    const session = SimulationSessionManager.startSession(LocalDriveSimulator.sessionId, {
+      routeType,
+      durationMinutes,
+      seed,
+      route: { routeType, ...route },
+      speedFactor: 1, // 1 punto de datos por segundo
+      persist: false
+    });
+    const stream = SimulationSessionManager.getDataStream(LocalDriveSimulator.sessionId);
 
     // Procesar los datos según el tipo de ruta
     const unsubscribe = stream.subscribe((dataPoint) => {
       // Modificar los datos según la ruta seleccionada
-      const modifiedData = LocalDriveSimulator.modifyDataForRoute(dataPoint, routeType);
+      // Se usa el generador de la sesión para que la semilla también determine estas variaciones
+      const modifiedData = LocalDriveSimulator.modifyDataForRoute(dataPoint, routeType, session.random);
 
       // Agregar a los datos de simulación
       LocalDriveSimulator.simulationData.push(modifiedData);
@@ -127,6 +141,7 @@ class LocalDriveSimulator {
       success: true,
       route: route.name,
       estimatedDuration: durationMinutes,
+      seed: session.seed,
       message: `Started a ${route.name} simulation for ${durationMinutes} minutes`
     };
   }
@@ -137,14 +152,16 @@ class LocalDriveSimulator {
       return { success: false, message: 'No simulation is running' };
     }
 
-    // Detener la simulación de datos del coche
-    CarDataService.stopSimulation();
-
     // Limpiar nuestra suscripción
     if (LocalDriveSimulator.unsubscribe) {
       LocalDriveSimulator.unsubscribe();
     }
 
+    // Detener la sesión de datos del coche
+    SimulationSessionManager.stopSession(LocalDriveSimulator.sessionId).catch(error => {
+      console.error('Error stopping local session:', error);
+    });
+
     const summary = LocalDriveSimulator.getSimulationSummary();
 
     // Restablecer el estado
@@ -157,61 +174,43 @@ class LocalDriveSimulator {
     };
   }
 
-  static modifyDataForRoute(dataPoint, routeType) {
-    const route = LocalDriveSimulator.routes[routeType];
+  /**
+   * Ajusta un punto de datos a las características de la ruta
+   * La dinámica del vehículo ya viene del modelo físico parametrizado con la ruta;
+   * aquí solo se añaden los códigos de diagnóstico típicos de cada entorno
+   * @param {Object} dataPoint - Punto de datos original
+   * @param {string} routeType - Tipo de ruta
+   * @param {Function} random - Generador de números en [0, 1) (por defecto: Math.random)
+   * @returns {Object} Punto de datos modificado
+   */
+  static modifyDataForRoute(dataPoint, routeType, random = Math.random) {
     const modifiedData = { ...dataPoint };
 
-    // Modificar velocidad según el tipo de ruta
     switch (routeType) {
       case 'URBAN':
-        // Ciudad: velocidades más bajas, más variación debido a semáforos
-        modifiedData.speed_kmph = Math.min(
-          Math.max(15, dataPoint.speed_kmph * 0.6 + Math.random() * 20 - 10),
-          route.maxSpeed
-        );
-        modifiedData.engine_rpm = 1000 + (modifiedData.speed_kmph * 30);
         // Más probabilidad de tener códigos DTC en ciudad (contaminación)
-        if (Math.random() < 0.1) {
-          modifiedData.dtc_code = Math.random() < 0.7 ? 'P0420' : 'P0171';
+        if (random() < 0.1) {
+          modifiedData.dtc_code = random() < 0.7 ? 'P0420' : 'P0171';
         }
         break;
 
       case 'HIGHWAY':
-        // Autopista: velocidades altas y constantes
-        modifiedData.speed_kmph = Math.min(
-          Math.max(70, dataPoint.speed_kmph * 1.2 + Math.random() * 10 - 5),
-          route.maxSpeed
-        );
-        modifiedData.engine_rpm = 1500 + (modifiedData.speed_kmph * 20);
         // Menos probabilidad de errores en autopista
-        if (Math.random() < 0.03) {
+        if (random() < 0.03) {
           modifiedData.dtc_code = 'P0420';
         }
         break;
 
       case 'MOUNTAIN':
-        // Montaña: velocidades variables, más revoluciones del motor
-        modifiedData.speed_kmph = Math.min(
-          Math.max(20, dataPoint.speed_kmph * 0.8 + Math.sin(Date.now() / 5000) * 25),
-          route.maxSpeed
-        );
-        modifiedData.engine_rpm = 2000 + (modifiedData.speed_kmph * 35);
-        // La temperatura del motor puede aumentar en montaña
-        modifiedData.engine_temp_c = dataPoint.engine_temp_c * 1.1;
-        if (Math.random() < 0.07) {
-          modifiedData.dtc_code = Math.random() < 0.4 ? 'P0300' : 'P0171';
+        // La carga sostenida en pendiente favorece fallos de encendido y mezcla pobre
+        if (random() < 0.07) {
+          modifiedData.dtc_code = random() < 0.4 ? 'P0300' : 'P0171';
         }
         break;
 
       case 'RURAL':
-        // Rural: velocidades medias, estables
-        modifiedData.speed_kmph = Math.min(
-          Math.max(40, dataPoint.speed_kmph * 0.9 + Math.random() * 15 - 5),
-          route.maxSpeed
-        );
-        modifiedData.engine_rpm = 1200 + (modifiedData.speed_kmph * 25);
         // Condiciones rurales generalmente buenas para el motor
-        if (Math.random() < 0.02) {
+        if (random() < 0.02) {
           modifiedData.dtc_code = 'P0171';
         }
         break;
@@ -221,19 +220,6 @@ class LocalDriveSimulator {
         break;
     }
 
-    // Redondear valores numéricos
-    modifiedData.speed_kmph = parseFloat(modifiedData.speed_kmph.toFixed(2));
-    modifiedData.engine_rpm = Math.round(modifiedData.engine_rpm);
-    modifiedData.engine_temp_c = parseFloat(modifiedData.engine_temp_c.toFixed(1));
-
-    // Modificar el consumo de combustible según la velocidad y RPM
-    const fuelConsumptionFactor = (modifiedData.speed_kmph > 50 && modifiedData.speed_kmph < 90) ? 0.9 : 1.2;
-    modifiedData.fuel_level_pct = Math.max(
-      0,
-      dataPoint.fuel_level_pct - (0.01 * fuelConsumptionFactor * (modifiedData.engine_rpm / 2000))
-    );
-    modifiedData.fuel_level_pct = parseFloat(modifiedData.fuel_level_pct.toFixed(2));
-
     return modifiedData;
   }
 
@@ -287,7 +273,7 @@ class LocalDriveSimulator {
       elapsedMinutes: (elapsedTime / 60).toFixed(1),
       dataPoints,
       progress,
-      distanceCovered: parseFloat(((dataPoints / 3600) * route.averageSpeed).toFixed(2)),
+      distanceCovered: parseFloat(TripMetricsService.computeTripMetrics(LocalDriveSimulator.simulationData).distanceKm.toFixed(2)),
       averageSpeed: parseFloat(LocalDriveSimulator.calculateAverageSpeed().toFixed(2)),
       currentData: LocalDriveSimulator.simulationData.length > 0 ?
         LocalDriveSimulator.simulationData[LocalDriveSimulator.simulationData.length - 1] : null
@@ -308,7 +294,8 @@ class LocalDriveSimulator {
     // Calcular estadísticas básicas
     const avgSpeed = LocalDriveSimulator.calculateAverageSpeed();
     const maxSpeed = Math.max(...dataPoints.map(d => d.speed_kmph));
-    const distance = (avgSpeed * duration) / 60; // Kilómetros (velocidad en km/h * horas)
+    const tripMetrics = TripMetricsService.computeTripMetrics(dataPoints);
+    const distance = tripMetrics.distanceKm;
 
     // Calcular consumo de combustible
     const initialFuel = dataPoints[0].fuel_level_pct;
@@ -325,8 +312,9 @@ class LocalDriveSimulator {
       }
     });
 
-    // Calcular la recompensa potencial (tokens) para estos datos
-    const potentialReward = CarDataService.getDataBatchRewardValue(dataPoints);
+    // Calcular la recompensa potencial (tokens) para estos datos, ponderada por el estilo de conducción
+    const { safetyScore, eventCounts } = DrivingBehaviourService.analyze(dataPoints, { maxSpeedKmph: route.maxSpeed });
+    const potentialReward = CarDataService.getDataBatchRewardValue(dataPoints, { safetyScore, routeType: LocalDriveSimulator.currentRoute });
 
     // Calcular puntuación de eficiencia
     const efficiencyScore = CarDataService.getVehicleEfficiencyScore(dataPoints);
@@ -335,6 +323,7 @@ class LocalDriveSimulator {
       routeName: route.name,
       durationMinutes: parseFloat(duration.toFixed(2)),
       distanceKm: parseFloat(distance.toFixed(2)),
+      distanceFlags: tripMetrics.flags,
       averageSpeedKmph: parseFloat(avgSpeed.toFixed(2)),
       maxSpeedKmph: parseFloat(maxSpeed.toFixed(2)),
       fuelUsedPercent: parseFloat(fuelUsed.toFixed(2)),
@@ -345,6 +334,8 @@ class LocalDriveSimulator {
         byCode: dtcOccurrences
       },
       efficiencyScore,
+      safetyScore,
+      drivingEvents: eventCounts,
       potentialReward,
       timestamp: new Date().toISOString()
     };
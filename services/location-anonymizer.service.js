@@ -0,0 +1,285 @@
+// LocationAnonymizerService.js
+import Geo from '../utils/geo.js';
+import TripMetricsService from './trip-metrics.service.js';
+import TripSegmentationService from './trip-segmentation.service.js';
+
+class LocationAnonymizerService {
+  // Metros por grado de latitud
+  static METERS_PER_DEGREE = 111320;
+
+  // Niveles de privacidad que puede elegir el vendedor para un listado
+  // - spatial: generalización de la posición (GRID: rejilla de cellM metros; GEOHASH: geohash truncado a precision caracteres)
+  // - bucketSeconds: los instantes se redondean hacia abajo a intervalos de esta duración
+  // - trimMetres: se descartan los primeros y últimos metros de cada viaje (origen y destino)
+  // - k: cada combinación de celda e intervalo debe aparecer al menos k veces en el conjunto vendido
+  // - priceFactor: los datos generalizados valen menos
+  static PRIVACY_LEVELS = {
+    NONE: { priceFactor: 1 },
+    LOW: {
+      spatial: { method: 'GRID', cellM: 100 },
+      trimMetres: 200,
+      priceFactor: 0.9
+    },
+    MEDIUM: {
+      spatial: { method: 'GEOHASH', precision: 7 },
+      bucketSeconds: 60,
+      trimMetres: 500,
+      k: 3,
+      priceFactor: 0.75
+    },
+    HIGH: {
+      spatial: { method: 'GEOHASH', precision: 6 },
+      bucketSeconds: 300,
+      trimMetres: 1000,
+      k: 5,
+      priceFactor: 0.55
+    }
+  };
+
+  /**
+   * Valida el nivel de privacidad recibido en una petición
+   * @param {string} input - Nivel (NONE si se omite)
+   * @returns {string} Nivel en mayúsculas
+   */
+  static parsePrivacyLevel(input) {
+    if (input === undefined || input === null || input === '') return 'NONE';
+
+    const level = String(input).trim().toUpperCase();
+    if (!LocationAnonymizerService.PRIVACY_LEVELS[level]) {
+      throw new Error(`Invalid privacy level, expected one of ${Object.keys(LocationAnonymizerService.PRIVACY_LEVELS).join(', ')}: ${JSON.stringify(input)}`);
+    }
+    return level;
+  }
+
+  static getPriceFactor(level = 'NONE') {
+    return LocationAnonymizerService.PRIVACY_LEVELS[level]?.priceFactor ?? 1;
+  }
+
+  /**
+   * Anonimiza un conjunto de puntos con un nivel predefinido o una configuración propia
+   * Orden: recorte de los extremos de los viajes, generalización espacial, agrupación temporal y k-anonimato
+   * @param {Array} dataPoints - Puntos ordenados
+   * @param {string|Object} levelOrConfig - Nivel de PRIVACY_LEVELS o configuración con la misma forma
+   * @returns {Object} { points, report } con el informe de las transformaciones aplicadas
+   */
+  static anonymize(dataPoints, levelOrConfig = 'NONE') {
+    const level = typeof levelOrConfig === 'string' ? levelOrConfig : 'CUSTOM';
+    const config = typeof levelOrConfig === 'string'
+      ? LocationAnonymizerService.PRIVACY_LEVELS[levelOrConfig]
+      : levelOrConfig;
+    if (!config) {
+      throw new Error(`Invalid privacy level: ${levelOrConfig}`);
+    }
+
+    const input = Array.isArray(dataPoints) ? dataPoints : [];
+    const transformations = [];
+    let points = input;
+
+    if (config.trimMetres > 0) {
+      const trimmed = LocationAnonymizerService.trimTripEnds(points, config.trimMetres);
+      transformations.push({
+        type: 'TRIP_END_TRIMMING',
+        metres: config.trimMetres,
+        removedPoints: points.length - trimmed.length
+      });
+      points = trimmed;
+    }
+
+    // Clave de la celda de cada punto para el k-anonimato
+    let cellKeys = points.map(() => null);
+
+    if (config.spatial) {
+      const generalized = points.map(point => LocationAnonymizerService.generalizePosition(point, config.spatial));
+      points = generalized.map(({ point }) => point);
+      cellKeys = generalized.map(({ cellKey }) => cellKey);
+      transformations.push(config.spatial.method === 'GEOHASH'
+        ? {
+          type: 'GEOHASH_TRUNCATION',
+          precision: config.spatial.precision,
+          approxCellM: LocationAnonymizerService.geohashCellSize(config.spatial.precision)
+        }
+        : { type: 'GRID_SNAPPING', cellM: config.spatial.cellM });
+    }
+
+    if (config.bucketSeconds > 0) {
+      points = points.map(point => ({
+        ...point,
+        timestamp: LocationAnonymizerService.bucketTimestamp(point.timestamp, config.bucketSeconds)
+      }));
+      transformations.push({ type: 'TEMPORAL_BUCKETING', bucketSeconds: config.bucketSeconds });
+    }
+
+    let kAnonymity = null;
+    if (config.k > 1) {
+      const result = LocationAnonymizerService.enforceKAnonymity(points, cellKeys, config.k);
+      points = result.points;
+      kAnonymity = result.report;
+      transformations.push({ type: 'K_ANONYMITY', k: config.k, suppressedPoints: result.report.suppressedPoints });
+    }
+
+    return {
+      points,
+      report: {
+        level,
+        priceFactor: config.priceFactor ?? 1,
+        transformations,
+        inputPoints: input.length,
+        outputPoints: points.length,
+        kAnonymity
+      }
+    };
+  }
+
+  /**
+   * Descarta los primeros y últimos metros de cada viaje para no revelar origen ni destino
+   * Los puntos con el motor apagado (fuera de cualquier viaje) también se descartan;
+   * los viajes sin posiciones se conservan enteros
+   * @param {Array} dataPoints - Puntos ordenados
+   * @param {number} metres - Distancia a recortar en cada extremo
+   * @returns {Array} Puntos conservados
+   */
+  static trimTripEnds(dataPoints, metres) {
+    if (dataPoints.length === 0) return [];
+
+    const kept = [];
+    TripSegmentationService.splitTrips(dataPoints).forEach(({ start, end }) => {
+      // Distancia acumulada desde el inicio del viaje en cada punto
+      const cumulative = [];
+      let distance = 0;
+      let lastPosition = null;
+      for (let i = start; i <= end; i++) {
+        const point = dataPoints[i];
+        if (TripMetricsService.hasPosition(point)) {
+          const position = { lat: parseFloat(point.lat), lon: parseFloat(point.lon) };
+          if (lastPosition) distance += Geo.haversineDistance(lastPosition, position);
+          lastPosition = position;
+        }
+        cumulative.push(distance);
+      }
+
+      // Sin posiciones no hay origen ni destino que ocultar
+      if (!lastPosition) {
+        kept.push(...dataPoints.slice(start, end + 1));
+        return;
+      }
+
+      const total = distance;
+      cumulative.forEach((travelled, offset) => {
+        if (travelled >= metres && total - travelled >= metres) {
+          kept.push(dataPoints[start + offset]);
+        }
+      });
+    });
+
+    return kept;
+  }
+
+  /**
+   * Sustituye la posición de un punto por el centro de su celda
+   * @param {Object} dataPoint - Punto de datos
+   * @param {Object} spatial - Configuración espacial (ver PRIVACY_LEVELS)
+   * @returns {Object} { point, cellKey } (cellKey es null si el punto no tiene posición)
+   */
+  static generalizePosition(dataPoint, spatial) {
+    if (!TripMetricsService.hasPosition(dataPoint)) {
+      return { point: dataPoint, cellKey: null };
+    }
+
+    const lat = parseFloat(dataPoint.lat);
+    const lon = parseFloat(dataPoint.lon);
+
+    if (spatial.method === 'GEOHASH') {
+      const hash = Geo.encodeGeohash(lat, lon, spatial.precision);
+      const cell = Geo.decodeGeohash(hash);
+      return {
+        point: {
+          ...dataPoint,
+          lat: LocationAnonymizerService.roundToStep(cell.lat, cell.latDelta),
+          lon: LocationAnonymizerService.roundToStep(cell.lon, cell.lonDelta)
+        },
+        cellKey: hash
+      };
+    }
+
+    // Rejilla de cellM metros: el paso en longitud se ajusta a la latitud de la fila
+    const latStep = spatial.cellM / LocationAnonymizerService.METERS_PER_DEGREE;
+    const row = Math.floor(lat / latStep);
+    const snappedLat = (row + 0.5) * latStep;
+    const lonStep = latStep / Math.max(Math.cos(Geo.toRadians(snappedLat)), 0.01);
+    const column = Math.floor(lon / lonStep);
+
+    return {
+      point: {
+        ...dataPoint,
+        lat: LocationAnonymizerService.roundToStep(snappedLat, latStep),
+        lon: LocationAnonymizerService.roundToStep((column + 0.5) * lonStep, lonStep)
+      },
+      cellKey: `${row}:${column}`
+    };
+  }
+
+  /**
+   * Redondea una coordenada a los decimales que tienen sentido para el tamaño de la celda
+   * (más decimales darían una precisión que los datos ya no tienen)
+   */
+  static roundToStep(value, step) {
+    const decimals = Math.min(Math.max(Math.ceil(-Math.log10(step)) + 1, 0), 8);
+    return parseFloat(value.toFixed(decimals));
+  }
+
+  /**
+   * Tamaño aproximado en metros del lado mayor de una celda geohash en el ecuador
+   * @param {number} precision - Caracteres del geohash
+   * @returns {number} Metros
+   */
+  static geohashCellSize(precision) {
+    const lonBits = Math.ceil(precision * 5 / 2);
+    return Math.round(360 / 2 ** lonBits * LocationAnonymizerService.METERS_PER_DEGREE);
+  }
+
+  /**
+   * Redondea un instante hacia abajo al inicio de su intervalo
+   * @param {string|Date} timestamp - Instante
+   * @param {number} bucketSeconds - Duración del intervalo
+   * @returns {string} Instante ISO (o el original si no es una fecha válida)
+   */
+  static bucketTimestamp(timestamp, bucketSeconds) {
+    const time = new Date(timestamp).getTime();
+    if (!Number.isFinite(time)) return timestamp;
+
+    const bucketMs = bucketSeconds * 1000;
+    return new Date(Math.floor(time / bucketMs) * bucketMs).toISOString();
+  }
+
+  /**
+   * k-anonimato sobre los cuasi-identificadores celda + intervalo de tiempo:
+   * se suprimen los puntos cuya combinación aparece menos de k veces en el conjunto
+   * @param {Array} dataPoints - Puntos ya generalizados
+   * @param {Array} cellKeys - Celda de cada punto (null sin posición)
+   * @param {number} k - Tamaño mínimo de cada clase de equivalencia
+   * @returns {Object} { points, report }
+   */
+  static enforceKAnonymity(dataPoints, cellKeys, k) {
+    const classKeys = dataPoints.map((point, index) => `${cellKeys[index] ?? '-'}|${point.timestamp ?? '-'}`);
+    const classSizes = new Map();
+    classKeys.forEach(key => classSizes.set(key, (classSizes.get(key) || 0) + 1));
+
+    const points = dataPoints.filter((point, index) => classSizes.get(classKeys[index]) >= k);
+    const keptClasses = [...classSizes.values()].filter(size => size >= k);
+
+    return {
+      points,
+      report: {
+        k,
+        equivalenceClasses: keptClasses.length,
+        smallestClass: keptClasses.length > 0 ? Math.min(...keptClasses) : 0,
+        suppressedClasses: classSizes.size - keptClasses.length,
+        suppressedPoints: dataPoints.length - points.length,
+        // Tras suprimir, todo lo que queda cumple k; si no queda nada el conjunto no se puede vender con este nivel
+        satisfied: points.length > 0
+      }
+    };
+  }
+}
+
+export default LocationAnonymizerService;
@@ -0,0 +1,472 @@
+// MaintenanceAnalyticsService.js
+import DtcCatalogueService from './dtc-catalogue.service.js';
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new  PrismaClient();
+
+class MaintenanceAnalyticsService {
+  // Temperatura a partir de la cual el motor se considera caliente (se descarta el calentamiento)
+  static WARM_ENGINE_TEMP_C = 70;
+  // Muestras en caliente necesarias para fijar la temperatura de referencia de un viaje
+  static MIN_WARM_SAMPLES = 10;
+  static OVERHEAT_TEMP_C = 110;
+
+  // Viajes más recientes de cada vehículo que se analizan
+  static HISTORY_TRIPS = 30;
+  // Ventana de viajes para la frecuencia de códigos y fallos de encendido
+  static ALERT_WINDOW_TRIPS = 10;
+  // Con menos viajes la confianza se reduce proporcionalmente
+  static CONFIDENT_TRIPS = 8;
+
+  // Tendencia de la temperatura del motor
+  static MIN_TREND_TRIPS = 4;
+  static BASELINE_TRIPS = 3; // Viajes que se promedian al principio y al final de la serie
+  static TEMP_RISE_ALERT_C = 3;
+
+  static RECURRING_DTC_MIN_TRIPS = 3;
+  static MISFIRE_MIN_TRIPS = 2;
+  static MISFIRE_MIN_FREQUENCY = 0.2;
+
+  // P0300 (aleatorio/múltiple) y P0301-P0312 (cilindro concreto)
+  static MISFIRE_CODE_REGEX = /^P03(0\d|1[0-2])$/;
+
+  static STATUSES = ['OPEN', 'RESOLVED'];
+
+  static RECOMMENDED_ACTIONS = {
+    ENGINE_TEMP_TREND: 'Check the coolant level and look for leaks; inspect the thermostat, radiator and cooling fan',
+    OVERHEATING: 'Avoid driving under load and have the cooling system inspected before the next trip',
+    MISFIRE: 'Inspect the spark plugs, ignition coils and fuel injectors of the affected cylinders'
+  };
+
+  // Acción recomendada de los códigos más habituales; el resto se deduce del catálogo
+  static DTC_ACTIONS = {
+    P0171: 'Check for vacuum leaks, a dirty MAF sensor and low fuel pressure (bank 1)',
+    P0174: 'Check for vacuum leaks, a dirty MAF sensor and low fuel pressure (bank 2)',
+    P0172: 'Check for leaking injectors, high fuel pressure and a faulty oxygen sensor (bank 1)',
+    P0175: 'Check for leaking injectors, high fuel pressure and a faulty oxygen sensor (bank 2)',
+    P0128: 'Replace the thermostat if the engine does not reach operating temperature',
+    P0420: 'Inspect the catalytic converter and the downstream oxygen sensor (bank 1)',
+    P0430: 'Inspect the catalytic converter and the downstream oxygen sensor (bank 2)',
+    P0442: 'Check the fuel cap seal and the EVAP lines for small leaks',
+    P0455: 'Check that the fuel cap is closed and the EVAP lines for large leaks',
+    P0456: 'Check the fuel cap seal and the EVAP lines for very small leaks'
+  };
+
+  static SEVERITY_LEVELS = {
+    Low: 'LOW',
+    Medium: 'MEDIUM',
+    High: 'HIGH',
+    Critical: 'HIGH'
+  };
+
+  // Campos de los avisos abiertos que se muestran a los compradores de datos de diagnóstico
+  static PUBLIC_ALERT_FIELDS = {
+    type: true,
+    code: true,
+    severity: true,
+    confidence: true,
+    message: true,
+    lastDetectedAt: true
+  };
+
+  /**
+   * Indicadores de salud del motor de un viaje, que se guardan con la simulación
+   * para seguir su evolución sin volver a leer la telemetría
+   * @param {Array} dataPoints - Puntos de datos del viaje
+   * @returns {Object} { warmEngineTempC, warmSamples, maxEngineTempC, dtcCounts }
+   */
+  static computeHealthMetrics(dataPoints) {
+    const warmTemps = [];
+    let maxEngineTempC = null;
+    const dtcCounts = {};
+
+    dataPoints.forEach(point => {
+      const temp = MaintenanceAnalyticsService.toNumber(point.engine_temp_c);
+      if (temp !== null) {
+        maxEngineTempC = maxEngineTempC === null ? temp : Math.max(maxEngineTempC, temp);
+        // Solo con el vehículo en marcha: al ralentí la temperatura depende del ventilador
+        if (temp >= MaintenanceAnalyticsService.WARM_ENGINE_TEMP_C && MaintenanceAnalyticsService.toNumber(point.speed_kmph) > 0) {
+          warmTemps.push(temp);
+        }
+      }
+
+      MaintenanceAnalyticsService.getPointCodes(point).forEach(code => {
+        dtcCounts[code] = (dtcCounts[code] || 0) + 1;
+      });
+    });
+
+    return {
+      // La mediana no se ve afectada por picos puntuales del sensor
+      warmEngineTempC: warmTemps.length >= MaintenanceAnalyticsService.MIN_WARM_SAMPLES
+        ? MaintenanceAnalyticsService.round(MaintenanceAnalyticsService.median(warmTemps), 1)
+        : null,
+      warmSamples: warmTemps.length,
+      maxEngineTempC,
+      dtcCounts
+    };
+  }
+
+  /**
+   * Códigos DTC de un punto (los frames OBD pueden traer varios en dtc_codes)
+   * @param {Object} point - Punto de datos
+   * @returns {Array} Códigos únicos en mayúsculas
+   */
+  static getPointCodes(point) {
+    const codes = Array.isArray(point.dtc_codes) ? point.dtc_codes : [point.dtc_code];
+    return [...new Set(codes
+      .filter(code => typeof code === 'string' && code.trim() !== '')
+      .map(code => code.trim().toUpperCase()))];
+  }
+
+  /**
+   * Códigos detectados en un viaje; los viajes anteriores a los indicadores de salud usan diagnosticIssues
+   * @param {Object} trip - Simulación con healthMetrics y diagnosticIssues
+   * @returns {Array} Códigos
+   */
+  static getTripCodes(trip) {
+    if (trip.healthMetrics?.dtcCounts) {
+      return Object.keys(trip.healthMetrics.dtcCounts);
+    }
+    return (Array.isArray(trip.diagnosticIssues) ? trip.diagnosticIssues : []).map(issue => issue.code).filter(Boolean);
+  }
+
+  /**
+   * Detecta problemas de mantenimiento en el historial de viajes de un vehículo
+   * @param {Array} trips - Viajes completados ordenados del más antiguo al más reciente
+   * @returns {Array} Avisos detectados { key, type, code, severity, confidence, message, recommendedAction, evidence }
+   */
+  static analyzeTrips(trips) {
+    const window = trips.slice(-MaintenanceAnalyticsService.ALERT_WINDOW_TRIPS);
+
+    return [
+      MaintenanceAnalyticsService.detectEngineTempTrend(trips),
+      MaintenanceAnalyticsService.detectOverheating(window),
+      MaintenanceAnalyticsService.detectMisfires(window),
+      ...MaintenanceAnalyticsService.detectRecurringCodes(window)
+    ].filter(Boolean);
+  }
+
+  /**
+   * Subida sostenida de la temperatura de referencia del motor entre viajes
+   * @param {Array} trips - Viajes ordenados
+   * @returns {Object|null} Aviso o null
+   */
+  static detectEngineTempTrend(trips) {
+    const samples = trips
+      .filter(trip => trip.healthMetrics?.warmEngineTempC !== null && trip.healthMetrics?.warmEngineTempC !== undefined)
+      .slice(-MaintenanceAnalyticsService.HISTORY_TRIPS);
+
+    if (samples.length < MaintenanceAnalyticsService.MIN_TREND_TRIPS) return null;
+
+    const values = samples.map(trip => trip.healthMetrics.warmEngineTempC);
+    const { slope, r2 } = MaintenanceAnalyticsService.linearRegression(values);
+
+    const baselineTrips = Math.min(MaintenanceAnalyticsService.BASELINE_TRIPS, Math.floor(values.length / 2));
+    const earlierBaseline = MaintenanceAnalyticsService.mean(values.slice(0, baselineTrips));
+    const recentBaseline = MaintenanceAnalyticsService.mean(values.slice(-baselineTrips));
+    const riseC = MaintenanceAnalyticsService.round(recentBaseline - earlierBaseline, 1);
+
+    if (slope <= 0 || riseC < MaintenanceAnalyticsService.TEMP_RISE_ALERT_C) return null;
+
+    return {
+      key: 'ENGINE_TEMP_TREND',
+      type: 'ENGINE_TEMP_TREND',
+      code: null,
+      severity: riseC >= 10 ? 'HIGH' : riseC >= 6 ? 'MEDIUM' : 'LOW',
+      // Lo bien que la recta explica la serie, reducido si hay pocos viajes
+      confidence: MaintenanceAnalyticsService.round(r2 * MaintenanceAnalyticsService.sampleFactor(values.length), 2),
+      message: `Engine operating temperature has risen ${riseC} °C over the last ${values.length} trips`,
+      recommendedAction: MaintenanceAnalyticsService.RECOMMENDED_ACTIONS.ENGINE_TEMP_TREND,
+      evidence: {
+        tripsAnalysed: values.length,
+        earlierBaselineC: MaintenanceAnalyticsService.round(earlierBaseline, 1),
+        recentBaselineC: MaintenanceAnalyticsService.round(recentBaseline, 1),
+        riseC,
+        slopeCPerTrip: MaintenanceAnalyticsService.round(slope, 2),
+        r2: MaintenanceAnalyticsService.round(r2, 2)
+      }
+    };
+  }
+
+  /**
+   * Viajes recientes en los que el motor superó la temperatura de sobrecalentamiento
+   * @param {Array} window - Viajes recientes
+   * @returns {Object|null} Aviso o null
+   */
+  static detectOverheating(window) {
+    const measured = window.filter(trip => trip.healthMetrics?.maxEngineTempC !== null && trip.healthMetrics?.maxEngineTempC !== undefined);
+    const overheated = measured.filter(trip => trip.healthMetrics.maxEngineTempC >= MaintenanceAnalyticsService.OVERHEAT_TEMP_C);
+
+    if (overheated.length === 0) return null;
+
+    const peakC = Math.max(...overheated.map(trip => trip.healthMetrics.maxEngineTempC));
+
+    return {
+      key: 'OVERHEATING',
+      type: 'OVERHEATING',
+      code: null,
+      severity: 'HIGH',
+      confidence: MaintenanceAnalyticsService.frequencyConfidence(overheated.length, measured.length),
+      message: `Engine exceeded ${MaintenanceAnalyticsService.OVERHEAT_TEMP_C} °C in ${overheated.length} of the last ${measured.length} trips (peak ${peakC} °C)`,
+      recommendedAction: MaintenanceAnalyticsService.RECOMMENDED_ACTIONS.OVERHEATING,
+      evidence: {
+        tripsAnalysed: measured.length,
+        tripsOverheated: overheated.length,
+        peakC,
+        simulationIds: overheated.map(trip => trip.id)
+      }
+    };
+  }
+
+  /**
+   * Frecuencia de los fallos de encendido (P0300-P0312) en los viajes recientes
+   * @param {Array} window - Viajes recientes
+   * @returns {Object|null} Aviso o null
+   */
+  static detectMisfires(window) {
+    const misfireCodes = trip => MaintenanceAnalyticsService.getTripCodes(trip)
+      .filter(code => MaintenanceAnalyticsService.MISFIRE_CODE_REGEX.test(code));
+
+    const affected = window.filter(trip => misfireCodes(trip).length > 0);
+    const frequency = window.length > 0 ? affected.length / window.length : 0;
+
+    if (affected.length < MaintenanceAnalyticsService.MISFIRE_MIN_TRIPS || frequency < MaintenanceAnalyticsService.MISFIRE_MIN_FREQUENCY) {
+      return null;
+    }
+
+    const codes = [...new Set(affected.flatMap(misfireCodes))].sort();
+
+    // Frecuencia en la mitad más reciente frente a la anterior, para ver si va a más
+    const half = Math.floor(window.length / 2);
+    const rate = trips => trips.length > 0 ? trips.filter(trip => misfireCodes(trip).length > 0).length / trips.length : 0;
+
+    return {
+      key: 'MISFIRE',
+      type: 'MISFIRE',
+      code: codes.length === 1 ? codes[0] : null,
+      severity: frequency >= 0.5 ? 'HIGH' : 'MEDIUM',
+      confidence: MaintenanceAnalyticsService.frequencyConfidence(affected.length, window.length),
+      message: `Misfires detected in ${affected.length} of the last ${window.length} trips (${codes.join(', ')})`,
+      recommendedAction: MaintenanceAnalyticsService.RECOMMENDED_ACTIONS.MISFIRE,
+      evidence: {
+        tripsAnalysed: window.length,
+        tripsWithMisfires: affected.length,
+        frequency: MaintenanceAnalyticsService.round(frequency, 2),
+        earlierFrequency: MaintenanceAnalyticsService.round(rate(window.slice(0, half)), 2),
+        recentFrequency: MaintenanceAnalyticsService.round(rate(window.slice(half)), 2),
+        codes
+      }
+    };
+  }
+
+  /**
+   * Códigos (distintos de los fallos de encendido) que se repiten en varios viajes recientes
+   * @param {Array} window - Viajes recientes
+   * @returns {Array} Un aviso por código
+   */
+  static detectRecurringCodes(window) {
+    const tripsByCode = new Map();
+    window.forEach(trip => {
+      MaintenanceAnalyticsService.getTripCodes(trip)
+        .filter(code => !MaintenanceAnalyticsService.MISFIRE_CODE_REGEX.test(code))
+        .forEach(code => {
+          if (!tripsByCode.has(code)) tripsByCode.set(code, []);
+          tripsByCode.get(code).push(trip);
+        });
+    });
+
+    return Array.from(tripsByCode.entries())
+      .filter(([, trips]) => trips.length >= MaintenanceAnalyticsService.RECURRING_DTC_MIN_TRIPS)
+      .map(([code, trips]) => {
+        const info = DtcCatalogueService.lookup(code);
+        const description = info?.description || 'Unknown issue';
+
+        return {
+          key: `RECURRING_DTC:${code}`,
+          type: 'RECURRING_DTC',
+          code,
+          severity: MaintenanceAnalyticsService.SEVERITY_LEVELS[info?.severity] || 'MEDIUM',
+          confidence: MaintenanceAnalyticsService.frequencyConfidence(trips.length, window.length),
+          message: `${code} (${description}) reported in ${trips.length} of the last ${window.length} trips`,
+          recommendedAction: MaintenanceAnalyticsService.DTC_ACTIONS[code]
+            || (info ? `Have the ${info.system.toLowerCase()} system inspected: ${description}` : 'Have the vehicle inspected by a mechanic'),
+          evidence: {
+            tripsAnalysed: window.length,
+            tripsWithCode: trips.length,
+            firstSeenAt: trips[0].startedAt,
+            lastSeenAt: trips[trips.length - 1].startedAt
+          }
+        };
+      });
+  }
+
+  /**
+   * Confianza de un aviso basado en la repetición: frecuencia en la ventana, reducida si hay pocos viajes
+   * @param {number} occurrences - Viajes en los que aparece el problema
+   * @param {number} total - Viajes analizados
+   * @returns {number} Confianza (0-1)
+   */
+  static frequencyConfidence(occurrences, total) {
+    if (total === 0) return 0;
+    return MaintenanceAnalyticsService.round((occurrences / total) * MaintenanceAnalyticsService.sampleFactor(total), 2);
+  }
+
+  static sampleFactor(trips) {
+    return Math.min(1, trips / MaintenanceAnalyticsService.CONFIDENT_TRIPS);
+  }
+
+  /**
+   * Recta de mínimos cuadrados de una serie frente a su posición
+   * @param {Array} values - Valores
+   * @returns {Object} { slope, r2 }
+   */
+  static linearRegression(values) {
+    const n = values.length;
+    const meanX = (n - 1) / 2;
+    const meanY = MaintenanceAnalyticsService.mean(values);
+
+    let sxy = 0;
+    let sxx = 0;
+    let syy = 0;
+    values.forEach((y, x) => {
+      sxy += (x - meanX) * (y - meanY);
+      sxx += (x - meanX) ** 2;
+      syy += (y - meanY) ** 2;
+    });
+
+    const slope = sxx > 0 ? sxy / sxx : 0;
+    // Serie constante: no hay nada que explicar
+    const r2 = sxx > 0 && syy > 0 ? (sxy * sxy) / (sxx * syy) : 0;
+    return { slope, r2 };
+  }
+
+  static mean(values) {
+    return values.reduce((sum, value) => sum + value, 0) / values.length;
+  }
+
+  static median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+  }
+
+  static round(value, decimals) {
+    return parseFloat(value.toFixed(decimals));
+  }
+
+  static toNumber(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+  }
+
+  /**
+   * Últimos viajes completados de un vehículo
+   * @param {string} vehicleId - ID del vehículo
+   * @returns {Array} Viajes del más antiguo al más reciente
+   */
+  static async getVehicleTrips(vehicleId) {
+    const trips = await prisma.simulation.findMany({
+      where: { vehicleId, status: 'COMPLETED' },
+      orderBy: { startedAt: 'desc' },
+      take: MaintenanceAnalyticsService.HISTORY_TRIPS,
+      select: { id: true, startedAt: true, healthMetrics: true, diagnosticIssues: true }
+    });
+    return trips.reverse();
+  }
+
+  /**
+   * Analiza el historial de un vehículo y actualiza sus avisos:
+   * crea los nuevos, reabre los resueltos que vuelven a aparecer y resuelve los que ya no se detectan
+   * @param {string} vehicleId - ID del vehículo
+   * @param {Date} now - Momento del análisis
+   * @returns {Array} Avisos detectados
+   */
+  static async refreshVehicleAlerts(vehicleId, now = new Date()) {
+    const trips = await MaintenanceAnalyticsService.getVehicleTrips(vehicleId);
+    const detected = MaintenanceAnalyticsService.analyzeTrips(trips);
+
+    const existing = await prisma.maintenanceAlert.findMany({ where: { vehicleId } });
+    const existingByKey = new Map(existing.map(alert => [alert.key, alert]));
+
+    const operations = detected.map(({ key, ...alert }) => {
+      const current = existingByKey.get(key);
+
+      if (!current) {
+        return prisma.maintenanceAlert.create({
+          data: { vehicleId, key, ...alert, status: 'OPEN', firstDetectedAt: now, lastDetectedAt: now }
+        });
+      }
+
+      return prisma.maintenanceAlert.update({
+        where: { id: current.id },
+        data: {
+          ...alert,
+          status: 'OPEN',
+          resolvedAt: null,
+          lastDetectedAt: now,
+          // Un aviso que reaparece tras resolverse cuenta como nuevo
+          ...(current.status === 'RESOLVED' && { firstDetectedAt: now })
+        }
+      });
+    });
+
+    operations.push(prisma.maintenanceAlert.updateMany({
+      where: { vehicleId, status: 'OPEN', key: { notIn: detected.map(alert => alert.key) } },
+      data: { status: 'RESOLVED', resolvedAt: now }
+    }));
+
+    await prisma.$transaction(operations);
+
+    if (detected.length > 0) {
+      console.log(`🔧 Vehicle ${vehicleId}: ${detected.length} maintenance alerts from ${trips.length} trips (${detected.map(alert => alert.key).join(', ')})`);
+    }
+
+    return detected;
+  }
+
+  /**
+   * Actualiza los avisos tras registrar un viaje del vehículo
+   * Los avisos son derivados: un fallo se registra pero no invalida el viaje
+   * @param {string} vehicleId - ID del vehículo
+   */
+  static async refreshAfterTrip(vehicleId) {
+    try {
+      await MaintenanceAnalyticsService.refreshVehicleAlerts(vehicleId);
+    } catch (error) {
+      console.error(`❌ Error refreshing maintenance alerts for vehicle ${vehicleId}:`, error);
+    }
+  }
+
+  /**
+   * Valida el filtro de estado de la consulta de avisos
+   * @param {string} status - OPEN, RESOLVED o ALL (por defecto: OPEN)
+   * @returns {string|null} Estado o null para todos
+   */
+  static parseStatusFilter(status) {
+    const normalized = String(status ?? 'OPEN').toUpperCase();
+    if (normalized === 'ALL') return null;
+    if (!MaintenanceAnalyticsService.STATUSES.includes(normalized)) {
+      throw new Error(`Invalid status, expected one of ${[...MaintenanceAnalyticsService.STATUSES, 'ALL'].join(', ')}: ${JSON.stringify(status)}`);
+    }
+    return normalized;
+  }
+
+  /**
+   * Avisos de un vehículo, de mayor a menor gravedad y confianza
+   * @param {string} vehicleId - ID del vehículo
+   * @param {string|null} status - Estado (null para todos)
+   * @returns {Array} Avisos
+   */
+  static async getVehicleAlerts(vehicleId, status = 'OPEN') {
+    const alerts = await prisma.maintenanceAlert.findMany({
+      where: { vehicleId, ...(status && { status }) },
+      orderBy: { lastDetectedAt: 'desc' }
+    });
+
+    const rank = { HIGH: 3, MEDIUM: 2, LOW: 1 };
+    return alerts.sort((a, b) => (rank[b.severity] - rank[a.severity]) || (b.confidence - a.confidence));
+  }
+}
+
+export default MaintenanceAnalyticsService;
@@ -0,0 +1,361 @@
+// ObdPidDecoderService.js
+import CsvIngestionService from './csv-ingestion.service.js';
+
+const round = (value, decimals = 2) => parseFloat(value.toFixed(decimals));
+
+class ObdPidDecoderService {
+  // Modos de servicio OBD-II (la respuesta es el modo + 0x40)
+  static MODE_CURRENT_DATA = 0x01;
+  static MODE_STORED_DTCS = 0x03;
+  static NEGATIVE_RESPONSE = 0x7F;
+
+  // PIDs estándar del modo 01 (SAE J1979): bytes de datos y conversión a campos del punto de datos
+  static PIDS = {
+    0x01: { name: 'MONITOR_STATUS', bytes: 4, decode: ([a]) => ({ mil_on: (a & 0x80) !== 0, dtc_count: a & 0x7F }) },
+    0x04: { name: 'ENGINE_LOAD', bytes: 1, decode: ([a]) => ({ engine_load_pct: round(a * 100 / 255) }) },
+    0x05: { name: 'COOLANT_TEMP', bytes: 1, decode: ([a]) => ({ engine_temp_c: a - 40 }) },
+    0x0B: { name: 'INTAKE_MAP', bytes: 1, decode: ([a]) => ({ intake_map_kpa: a }) },
+    0x0C: { name: 'ENGINE_RPM', bytes: 2, decode: ([a, b]) => ({ engine_rpm: round((256 * a + b) / 4) }) },
+    0x0D: { name: 'VEHICLE_SPEED', bytes: 1, decode: ([a]) => ({ speed_kmph: a }) },
+    0x0F: { name: 'INTAKE_AIR_TEMP', bytes: 1, decode: ([a]) => ({ intake_air_temp_c: a - 40 }) },
+    0x10: { name: 'MAF_RATE', bytes: 2, decode: ([a, b]) => ({ maf_gps: round((256 * a + b) / 100) }) },
+    0x11: { name: 'THROTTLE_POSITION', bytes: 1, decode: ([a]) => ({ throttle_pct: round(a * 100 / 255) }) },
+    0x1F: { name: 'RUN_TIME', bytes: 2, decode: ([a, b]) => ({ engine_runtime_s: 256 * a + b }) },
+    0x2F: { name: 'FUEL_LEVEL', bytes: 1, decode: ([a]) => ({ fuel_level_pct: round(a * 100 / 255) }) },
+    0x42: { name: 'CONTROL_MODULE_VOLTAGE', bytes: 2, decode: ([a, b]) => ({ control_module_voltage: round((256 * a + b) / 1000, 3) }) },
+    0x46: { name: 'AMBIENT_AIR_TEMP', bytes: 1, decode: ([a]) => ({ ambient_temp_c: a - 40 }) },
+    0x5C: { name: 'OIL_TEMP', bytes: 1, decode: ([a]) => ({ oil_temp_c: a - 40 }) },
+    0x5E: { name: 'FUEL_RATE', bytes: 2, decode: ([a, b]) => ({ fuel_rate_lph: round((256 * a + b) / 20) }) },
+    0xA6: { name: 'ODOMETER', bytes: 4, decode: ([a, b, c, d]) => ({ odometer_km: round((a * 2 ** 24 + b * 2 ** 16 + c * 2 ** 8 + d) / 10, 1) }) }
+  };
+
+  // Mensajes de estado del ELM327 que no son datos
+  static ELM_STATUS_MESSAGES = ['OK', 'SEARCHING...', 'BUS INIT: ...OK', 'STOPPED'];
+
+  // Mensajes del ELM327 que indican que no hubo respuesta válida
+  static ELM_ERROR_MESSAGES = ['NO DATA', '?', 'CAN ERROR', 'BUS ERROR', 'BUS BUSY', 'DATA ERROR', 'BUFFER FULL', 'UNABLE TO CONNECT', 'FB ERROR', 'ERROR'];
+
+  // Letra del sistema de un DTC según los dos bits altos del primer byte
+  static DTC_SYSTEMS = ['P', 'C', 'B', 'U'];
+
+  // Muestreo de los puntos generados a partir de las tramas
+  static SAMPLE_INTERVAL_MS = 1000;
+
+  // Antigüedad máxima de una lectura para arrastrarla a los puntos siguientes
+  static STALE_AFTER_MS = 5000;
+
+  // Máximo de tramas con errores que se devuelven en detalle
+  static MAX_REPORTED_ERRORS = 50;
+
+  /**
+   * Extrae los mensajes de una respuesta del ELM327
+   * Admite bytes separados o no por espacios, cabeceras CAN de 11 y 29 bits y
+   * respuestas multitrama (líneas "0:", "1:"...)
+   * @param {string} response - Texto devuelto por el adaptador
+   * @returns {Array} Mensajes, cada uno como lista de bytes empezando por el modo de respuesta
+   */
+  static parseResponse(response) {
+    const lines = String(response || '')
+      .toUpperCase()
+      .split(/[\r\n>]+/)
+      .map(line => line.trim())
+      .filter(line => line !== '' && !ObdPidDecoderService.ELM_STATUS_MESSAGES.includes(line));
+
+    const error = lines.find(line => ObdPidDecoderService.ELM_ERROR_MESSAGES.includes(line));
+    if (error) {
+      throw new Error(`Adapter error: ${error}`);
+    }
+
+    const messages = [];
+    let multiFrame = null;
+
+    lines.forEach(line => {
+      // Respuesta multitrama sin cabeceras: longitud total ("00A") y tramas numeradas ("0: 43 ...")
+      const frame = line.match(/^([0-9A-F]):\s*(.*)$/);
+      if (frame) {
+        if (frame[1] === '0' || !multiFrame) {
+          multiFrame = { bytes: [], length: multiFrame?.length || null };
+          messages.push(multiFrame);
+        }
+        multiFrame.bytes.push(...ObdPidDecoderService.toBytes(frame[2]));
+        return;
+      }
+
+      if (/^[0-9A-F]{3}$/.test(line)) {
+        multiFrame = { bytes: [], length: parseInt(line, 16) };
+        return;
+      }
+
+      messages.push({ bytes: ObdPidDecoderService.stripHeader(line), length: null });
+    });
+
+    return messages
+      .map(({ bytes, length }) => (length ? bytes.slice(0, length) : bytes))
+      .filter(bytes => bytes.length > 0);
+  }
+
+  /**
+   * Quita la cabecera CAN y el byte PCI de una línea, si los tiene
+   * @param {string} line - Línea de la respuesta
+   * @returns {Array} Bytes del mensaje
+   */
+  static stripHeader(line) {
+    const tokens = line.split(/\s+/);
+    const compact = tokens.join('');
+
+    // Cabecera de 11 bits: "7E8 04 41 0D 32" o "7E804410D32"
+    if (/^7E[8-F]$/.test(tokens[0]) || (tokens.length === 1 && compact.length % 2 === 1 && /^7E[8-F]/.test(compact))) {
+      return ObdPidDecoderService.readSingleFrame(ObdPidDecoderService.toBytes(compact.slice(3)));
+    }
+
+    const bytes = ObdPidDecoderService.toBytes(compact);
+
+    // Cabecera de 29 bits: "18 DA F1 10 04 41 0D 32"
+    if (bytes[0] === 0x18 && bytes[1] === 0xDA && bytes[2] === 0xF1) {
+      return ObdPidDecoderService.readSingleFrame(bytes.slice(4));
+    }
+
+    return bytes;
+  }
+
+  /**
+   * Lee una trama ISO-TP simple: el byte PCI indica la longitud del mensaje
+   * @param {Array} bytes - Bytes tras la cabecera CAN
+   * @returns {Array} Bytes del mensaje
+   */
+  static readSingleFrame(bytes) {
+    if (bytes[0] >> 4 !== 0) {
+      throw new Error('Multi-frame responses with CAN headers are not supported, disable headers on the adapter (ATH0)');
+    }
+    return bytes.slice(1, 1 + bytes[0]);
+  }
+
+  /**
+   * Convierte texto hexadecimal en bytes
+   * @param {string} hex - Texto hexadecimal, con o sin espacios
+   * @returns {Array} Bytes
+   */
+  static toBytes(hex) {
+    const compact = hex.replace(/\s+/g, '');
+    if (!/^([0-9A-F]{2})*$/.test(compact)) {
+      throw new Error(`Invalid hex data: "${hex}"`);
+    }
+    return compact.match(/../g)?.map(byte => parseInt(byte, 16)) || [];
+  }
+
+  /**
+   * Decodifica una respuesta completa del adaptador
+   * @param {string} response - Texto devuelto por el adaptador (p. ej. "41 0C 1A F8")
+   * @returns {Object} { values, dtcCodes, errors } (dtcCodes es null si la respuesta no es de modo 03)
+   */
+  static decodeResponse(response) {
+    const result = { values: {}, dtcCodes: null, errors: [] };
+
+    ObdPidDecoderService.parseResponse(response).forEach(bytes => {
+      const [mode, ...data] = bytes;
+
+      switch (mode) {
+        case ObdPidDecoderService.MODE_CURRENT_DATA + 0x40:
+          Object.assign(result.values, ObdPidDecoderService.decodeCurrentData(data, result.errors));
+          break;
+
+        case ObdPidDecoderService.MODE_STORED_DTCS + 0x40:
+          // Con varias ECU respondiendo, se combinan sus códigos
+          result.dtcCodes = [...new Set([...(result.dtcCodes || []), ...ObdPidDecoderService.decodeDtcs(data)])];
+          break;
+
+        case ObdPidDecoderService.NEGATIVE_RESPONSE:
+          result.errors.push(`Negative response to mode 0x${ObdPidDecoderService.toHex(data[0])} (code 0x${ObdPidDecoderService.toHex(data[1])})`);
+          break;
+
+        default:
+          result.errors.push(`Unsupported response mode 0x${ObdPidDecoderService.toHex(mode)}`);
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Decodifica los datos de una respuesta de modo 01, que puede contener varios PIDs seguidos
+   * @param {Array} data - Bytes tras el modo de respuesta
+   * @param {Array} errors - Lista donde se añaden los errores
+   * @returns {Object} Valores decodificados
+   */
+  static decodeCurrentData(data, errors = []) {
+    const values = {};
+    let index = 0;
+
+    while (index < data.length) {
+      const pid = data[index];
+      const definition = ObdPidDecoderService.PIDS[pid];
+
+      // Sin conocer el PID no se sabe cuántos bytes ocupa, así que se descarta el resto del mensaje
+      if (!definition) {
+        errors.push(`Unsupported PID 0x${ObdPidDecoderService.toHex(pid)}`);
+        break;
+      }
+
+      const bytes = data.slice(index + 1, index + 1 + definition.bytes);
+      if (bytes.length < definition.bytes) {
+        errors.push(`Truncated response for PID 0x${ObdPidDecoderService.toHex(pid)} (${definition.name})`);
+        break;
+      }
+
+      Object.assign(values, definition.decode(bytes));
+      index += 1 + definition.bytes;
+    }
+
+    return values;
+  }
+
+  /**
+   * Decodifica los DTC de una respuesta de modo 03
+   * En CAN el primer byte es el número de códigos; en los protocolos antiguos la respuesta
+   * son parejas de bytes completadas con ceros
+   * @param {Array} data - Bytes tras el modo de respuesta
+   * @returns {Array} Códigos (p. ej. ["P0133"])
+   */
+  static decodeDtcs(data) {
+    const pairs = data.length % 2 === 1 ? data.slice(1) : data;
+    const codes = [];
+
+    for (let i = 0; i + 1 < pairs.length; i += 2) {
+      if (pairs[i] === 0 && pairs[i + 1] === 0) continue;
+      codes.push(ObdPidDecoderService.decodeDtc(pairs[i], pairs[i + 1]));
+    }
+
+    return codes;
+  }
+
+  /**
+   * Decodifica un DTC de dos bytes
+   * @param {number} a - Primer byte
+   * @param {number} b - Segundo byte
+   * @returns {string} Código (p. ej. "P0133")
+   */
+  static decodeDtc(a, b) {
+    return ObdPidDecoderService.DTC_SYSTEMS[a >> 6]
+      + ((a >> 4) & 0x03)
+      + (a & 0x0F).toString(16).toUpperCase()
+      + ObdPidDecoderService.toHex(b);
+  }
+
+  static toHex(byte) {
+    return (byte ?? 0).toString(16).toUpperCase().padStart(2, '0');
+  }
+
+  /**
+   * Convierte un lote de tramas en puntos de datos con la forma de la telemetría
+   * Las tramas se agrupan por intervalo de muestreo; las lecturas que faltan en un intervalo se toman
+   * de la última conocida si no es demasiado antigua. Los DTC se mantienen hasta la siguiente respuesta de modo 03
+   * @param {Array} frames - Tramas { timestamp, response, lat, lon }
+   * @param {Object} options - Opciones
+   * @param {string} options.vehicleId - ID del vehículo
+   * @param {number} options.sampleIntervalMs - Intervalo de muestreo
+   * @param {number} options.staleAfterMs - Antigüedad máxima de una lectura arrastrada
+   * @returns {Object} { points, frameCount, rejectedCount, errors }
+   */
+  static buildDataPoints(frames, options = {}) {
+    const {
+      vehicleId = null,
+      sampleIntervalMs = ObdPidDecoderService.SAMPLE_INTERVAL_MS,
+      staleAfterMs = ObdPidDecoderService.STALE_AFTER_MS
+    } = options;
+
+    const errors = [];
+    let rejectedCount = 0;
+
+    const reportError = (row, messages) => {
+      if (errors.length < ObdPidDecoderService.MAX_REPORTED_ERRORS) {
+        errors.push({ row, errors: messages });
+      }
+    };
+
+    // Decodificar cada trama (se numeran desde 1)
+    const decoded = [];
+    frames.forEach((frame, index) => {
+      const { value: timestamp, error } = CsvIngestionService.coerceValue(frame?.timestamp, { type: 'timestamp' });
+      if (!timestamp) {
+        rejectedCount++;
+        reportError(index + 1, [error ? `Invalid timestamp: ${JSON.stringify(frame?.timestamp)}` : 'Missing timestamp']);
+        return;
+      }
+
+      const time = new Date(timestamp).getTime();
+      const position = {};
+      ['lat', 'lon'].forEach(field => {
+        const { value } = CsvIngestionService.coerceValue(frame[field], CsvIngestionService.TELEMETRY_SCHEMA[field]);
+        if (value !== null) position[field] = value;
+      });
+
+      if (!frame.response) {
+        if (Object.keys(position).length === 0) {
+          rejectedCount++;
+          reportError(index + 1, ['Frame has neither a response nor a position']);
+          return;
+        }
+        decoded.push({ time, values: position, dtcCodes: null });
+        return;
+      }
+
+      try {
+        const { values, dtcCodes, errors: frameErrors } = ObdPidDecoderService.decodeResponse(frame.response);
+        if (frameErrors.length > 0) {
+          reportError(index + 1, frameErrors);
+        }
+        decoded.push({ time, values: { ...values, ...position }, dtcCodes });
+      } catch (decodeError) {
+        rejectedCount++;
+        reportError(index + 1, [decodeError.message]);
+      }
+    });
+
+    decoded.sort((a, b) => a.time - b.time);
+
+    // Agrupar por intervalo de muestreo
+    const points = [];
+    const lastKnown = {};
+    let dtcCodes = [];
+    let index = 0;
+
+    while (index < decoded.length) {
+      const bucketStart = Math.floor(decoded[index].time / sampleIntervalMs) * sampleIntervalMs;
+      const readings = {};
+
+      while (index < decoded.length && decoded[index].time < bucketStart + sampleIntervalMs) {
+        const frame = decoded[index];
+        Object.assign(readings, frame.values);
+        Object.entries(frame.values).forEach(([field, value]) => {
+          lastKnown[field] = { value, time: frame.time };
+        });
+        if (frame.dtcCodes) dtcCodes = frame.dtcCodes;
+        index++;
+      }
+
+      Object.entries(lastKnown).forEach(([field, { value, time }]) => {
+        if (readings[field] === undefined && bucketStart - time <= staleAfterMs) {
+          readings[field] = value;
+        }
+      });
+
+      points.push({
+        timestamp: new Date(bucketStart).toISOString(),
+        vehicle_id: vehicleId,
+        speed_kmph: readings.speed_kmph ?? null,
+        engine_rpm: readings.engine_rpm ?? null,
+        fuel_level_pct: readings.fuel_level_pct ?? null,
+        engine_temp_c: readings.engine_temp_c ?? null,
+        lat: readings.lat ?? null,
+        lon: readings.lon ?? null,
+        ...readings,
+        dtc_code: dtcCodes[0] || '',
+        dtc_codes: dtcCodes
+      });
+    }
+
+    return { points, frameCount: frames.length, rejectedCount, errors };
+  }
+}
+
+export default ObdPidDecoderService;
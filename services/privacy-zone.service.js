@@ -0,0 +1,322 @@
+// PrivacyZoneService.js
+import Geo from '../utils/geo.js';
+import TripMetricsService from './trip-metrics.service.js';
+import { PrismaClient, Prisma } from '@prisma/client';
+
+const prisma = new  PrismaClient();
+
+class PrivacyZoneService {
+  static SHAPES = ['CIRCLE', 'POLYGON'];
+
+  // SUPPRESS: los puntos dentro de la zona no salen del sistema
+  // SNAP: salen con la posición sustituida por el centro de la zona
+  static ACTIONS = ['SUPPRESS', 'SNAP'];
+
+  static MIN_RADIUS_M = 50;
+  static MAX_RADIUS_M = 5000;
+  static MAX_POLYGON_VERTICES = 100;
+  static MAX_ZONES_PER_USER = 20;
+  static MAX_NAME_LENGTH = 100;
+
+  // Zonas de cada usuario (userId -> zonas); se recarga al crear, editar o borrar
+  // para que el filtrado por punto (streaming) no consulte la base de datos
+  static zoneCache = new Map();
+
+  /**
+   * Valida los datos de una zona
+   * - Círculo: lat, lon y radiusM (metros)
+   * - Polígono: polygon como GeoJSON Polygon o lista de coordenadas [lon, lat] (solo el anillo exterior)
+   * @param {Object} input - Datos recibidos
+   * @param {Object} options - Opciones
+   * @param {Object} options.current - Zona existente (en una actualización los campos omitidos se conservan)
+   * @returns {Object} Datos listos para Prisma
+   */
+  static parseZone(input, options = {}) {
+    const { current = null } = options;
+
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+      throw new Error('Privacy zone data must be an object');
+    }
+
+    const errors = [];
+    const data = {};
+
+    const name = input.name !== undefined ? input.name : current?.name;
+    if (typeof name !== 'string' || !name.trim()) {
+      errors.push('name is required');
+    } else if (name.trim().length > PrivacyZoneService.MAX_NAME_LENGTH) {
+      errors.push(`name must have at most ${PrivacyZoneService.MAX_NAME_LENGTH} characters`);
+    } else {
+      data.name = name.trim();
+    }
+
+    const action = String(input.action ?? current?.action ?? 'SUPPRESS').toUpperCase();
+    if (!PrivacyZoneService.ACTIONS.includes(action)) {
+      errors.push(`Invalid action, expected one of ${PrivacyZoneService.ACTIONS.join(', ')}: ${JSON.stringify(input.action)}`);
+    }
+    data.action = action;
+
+    // La forma se deduce de los datos enviados; si no se envía geometría se conserva la actual
+    const hasPolygon = input.polygon !== undefined && input.polygon !== null;
+    const hasCircle = input.lat !== undefined || input.lon !== undefined || input.radiusM !== undefined;
+    let shape = String(input.shape ?? (hasPolygon ? 'POLYGON' : hasCircle ? 'CIRCLE' : current?.shape ?? 'CIRCLE')).toUpperCase();
+
+    if (!PrivacyZoneService.SHAPES.includes(shape)) {
+      errors.push(`Invalid shape, expected one of ${PrivacyZoneService.SHAPES.join(', ')}: ${JSON.stringify(input.shape)}`);
+      shape = null;
+    }
+
+    if (shape === 'CIRCLE') {
+      const keep = current?.shape === 'CIRCLE';
+      const lat = Number(input.lat ?? (keep ? current.centerLat : undefined));
+      const lon = Number(input.lon ?? (keep ? current.centerLon : undefined));
+      const radiusM = Number(input.radiusM ?? (keep ? current.radiusM : undefined));
+
+      if (!PrivacyZoneService.isValidPosition({ lat, lon })) {
+        errors.push('Circle zones require a valid lat and lon');
+      }
+      if (!Number.isFinite(radiusM) || radiusM < PrivacyZoneService.MIN_RADIUS_M || radiusM > PrivacyZoneService.MAX_RADIUS_M) {
+        errors.push(`radiusM must be between ${PrivacyZoneService.MIN_RADIUS_M} and ${PrivacyZoneService.MAX_RADIUS_M} metres`);
+      }
+
+      Object.assign(data, { shape, centerLat: lat, centerLon: lon, radiusM, polygon: Prisma.DbNull });
+    } else if (shape === 'POLYGON') {
+      try {
+        const vertices = hasPolygon
+          ? PrivacyZoneService.parsePolygon(input.polygon)
+          : current?.shape === 'POLYGON' ? current.polygon : PrivacyZoneService.parsePolygon(null);
+
+        // El centroide de los vértices es el punto al que se ajustan las posiciones (SNAP)
+        Object.assign(data, {
+          shape,
+          centerLat: parseFloat((vertices.reduce((sum, vertex) => sum + vertex.lat, 0) / vertices.length).toFixed(6)),
+          centerLon: parseFloat((vertices.reduce((sum, vertex) => sum + vertex.lon, 0) / vertices.length).toFixed(6)),
+          radiusM: null,
+          polygon: vertices
+        });
+      } catch (error) {
+        errors.push(error.message);
+      }
+    }
+
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
+    }
+
+    return data;
+  }
+
+  /**
+   * Vértices de un polígono a partir de un GeoJSON Polygon o una lista de coordenadas [lon, lat]
+   * @param {Object|Array} input - Polígono
+   * @returns {Array} Vértices { lat, lon } sin repetir el primero al final
+   */
+  static parsePolygon(input) {
+    const ring = Array.isArray(input) ? input : input?.type === 'Polygon' ? input.coordinates?.[0] : null;
+    if (!Array.isArray(ring)) {
+      throw new Error('Polygon zones require a GeoJSON Polygon or a list of [lon, lat] coordinates');
+    }
+
+    const vertices = ring.map(coordinate => {
+      const [lon, lat] = Array.isArray(coordinate) ? coordinate : [coordinate?.lon, coordinate?.lat];
+      if (!PrivacyZoneService.isValidPosition({ lat, lon })) {
+        throw new Error(`Invalid polygon coordinate: ${JSON.stringify(coordinate)}`);
+      }
+      return { lat: Number(lat), lon: Number(lon) };
+    });
+
+    const first = vertices[0];
+    const last = vertices[vertices.length - 1];
+    if (vertices.length > 1 && first.lat === last.lat && first.lon === last.lon) {
+      vertices.pop();
+    }
+
+    if (vertices.length < 3) {
+      throw new Error('Polygon zones require at least 3 vertices');
+    }
+    if (vertices.length > PrivacyZoneService.MAX_POLYGON_VERTICES) {
+      throw new Error(`Polygon zones can have at most ${PrivacyZoneService.MAX_POLYGON_VERTICES} vertices`);
+    }
+
+    return vertices;
+  }
+
+  static isValidPosition({ lat, lon }) {
+    return lat !== null && lon !== null && lat !== '' && lon !== ''
+      && Number.isFinite(Number(lat)) && Number.isFinite(Number(lon))
+      && Math.abs(Number(lat)) <= 90 && Math.abs(Number(lon)) <= 180;
+  }
+
+  /**
+   * Zonas de un usuario (desde la caché si ya se consultaron)
+   * @param {string} userId - ID del usuario
+   * @returns {Array} Zonas
+   */
+  static async getUserZones(userId) {
+    if (!userId) return [];
+
+    if (!PrivacyZoneService.zoneCache.has(userId)) {
+      await PrivacyZoneService.loadUserZones(userId);
+    }
+    return PrivacyZoneService.zoneCache.get(userId);
+  }
+
+  /**
+   * Carga (o recarga tras un cambio) las zonas de un usuario en la caché
+   * Se sustituye la entrada en lugar de borrarla para que los streams abiertos no queden sin zonas
+   * @param {string} userId - ID del usuario
+   * @returns {Array} Zonas
+   */
+  static async loadUserZones(userId) {
+    const zones = await prisma.privacyZone.findMany({
+      where: { userId },
+      orderBy: { createdAt: 'asc' }
+    });
+    PrivacyZoneService.zoneCache.set(userId, zones);
+    return zones;
+  }
+
+  /**
+   * Zonas de un usuario ya cargadas con getUserZones (para filtrar punto a punto sin esperar)
+   * @param {string} userId - ID del usuario
+   * @returns {Array} Zonas (vacío si no se han cargado)
+   */
+  static getCachedZones(userId) {
+    return PrivacyZoneService.zoneCache.get(userId) || [];
+  }
+
+  /**
+   * Zonas del propietario de una simulación
+   * @param {string} simulationId - ID de la simulación
+   * @returns {Array} Zonas
+   */
+  static async getSimulationZones(simulationId) {
+    const simulation = await prisma.simulation.findUnique({
+      where: { id: simulationId },
+      select: { userId: true }
+    });
+    return PrivacyZoneService.getUserZones(simulation?.userId);
+  }
+
+  /**
+   * Zona de una wallet
+   * @param {string} walletAddress - Wallet del propietario
+   * @param {string} zoneId - ID de la zona
+   * @returns {Object|null} Zona o null si no existe o es de otra wallet
+   */
+  static async getWalletZone(walletAddress, zoneId) {
+    return prisma.privacyZone.findFirst({
+      where: { id: zoneId, user: { walletAddress } }
+    });
+  }
+
+  static async countUserZones(userId) {
+    return prisma.privacyZone.count({ where: { userId } });
+  }
+
+  static async createZone(userId, data) {
+    const zone = await prisma.privacyZone.create({ data: { userId, ...data } });
+    await PrivacyZoneService.loadUserZones(userId);
+    return zone;
+  }
+
+  static async updateZone(zone, data) {
+    const updated = await prisma.privacyZone.update({ where: { id: zone.id }, data });
+    await PrivacyZoneService.loadUserZones(zone.userId);
+    return updated;
+  }
+
+  static async deleteZone(zone) {
+    await prisma.privacyZone.delete({ where: { id: zone.id } });
+    await PrivacyZoneService.loadUserZones(zone.userId);
+  }
+
+  /**
+   * Comprueba si una posición está dentro de una zona
+   * Los polígonos se evalúan en el plano lat/lon (ray casting), suficiente para zonas de unos kilómetros
+   * @param {Object} zone - Zona
+   * @param {Object} position - Posición { lat, lon }
+   * @returns {boolean} true si está dentro
+   */
+  static containsPosition(zone, position) {
+    if (zone.shape === 'CIRCLE') {
+      return Geo.haversineDistance({ lat: zone.centerLat, lon: zone.centerLon }, position) <= zone.radiusM;
+    }
+
+    const vertices = zone.polygon || [];
+    let inside = false;
+    for (let i = 0, j = vertices.length - 1; i < vertices.length; j = i++) {
+      const a = vertices[i];
+      const b = vertices[j];
+      if ((a.lat > position.lat) !== (b.lat > position.lat)
+        && position.lon < (b.lon - a.lon) * (position.lat - a.lat) / (b.lat - a.lat) + a.lon) {
+        inside = !inside;
+      }
+    }
+    return inside;
+  }
+
+  /**
+   * Zona que contiene la posición de un punto; si hay varias, prevalece la que suprime
+   * @param {Object} dataPoint - Punto con lat y lon
+   * @param {Array} zones - Zonas del propietario
+   * @returns {Object|null} Zona o null si el punto está fuera de todas (o no tiene posición)
+   */
+  static findZone(dataPoint, zones) {
+    if (!zones || zones.length === 0 || !dataPoint || !TripMetricsService.hasPosition(dataPoint)) return null;
+
+    const position = { lat: parseFloat(dataPoint.lat), lon: parseFloat(dataPoint.lon) };
+    const matches = zones.filter(zone => PrivacyZoneService.containsPosition(zone, position));
+    return matches.find(zone => zone.action === 'SUPPRESS') || matches[0] || null;
+  }
+
+  /**
+   * Aplica las zonas de privacidad a cualquier lista de objetos con lat/lon
+   * (puntos de telemetría, muestras, eventos, paradas)
+   * @param {Array} items - Objetos con posición
+   * @param {Array} zones - Zonas del propietario
+   * @param {Object} options - Opciones
+   * @param {boolean} options.keepSuppressed - Conservar los objetos suprimidos sin posición en lugar de descartarlos
+   * @returns {Array} Copia filtrada; los objetos fuera de las zonas no se modifican
+   */
+  static protectPoints(items, zones, options = {}) {
+    if (!Array.isArray(items) || !zones || zones.length === 0) return items;
+
+    return items.reduce((protectedItems, item) => {
+      const zone = PrivacyZoneService.findZone(item, zones);
+
+      if (!zone) {
+        protectedItems.push(item);
+      } else if (zone.action === 'SNAP') {
+        protectedItems.push({ ...item, lat: zone.centerLat, lon: zone.centerLon });
+      } else if (options.keepSuppressed) {
+        protectedItems.push({ ...item, lat: null, lon: null });
+      }
+      return protectedItems;
+    }, []);
+  }
+
+  /**
+   * Versión para un solo punto (streaming)
+   * @param {Object} dataPoint - Punto de datos
+   * @param {Array} zones - Zonas del propietario
+   * @returns {Object|null} Punto protegido o null si se suprime
+   */
+  static protectPoint(dataPoint, zones) {
+    return PrivacyZoneService.protectPoints([dataPoint], zones)[0] || null;
+  }
+
+  /**
+   * Aplica las zonas del propietario a las muestras guardadas en un registro Simulation (rawData)
+   * @param {Object} simulation - Registro Simulation
+   * @returns {Object} Simulación con rawData protegido
+   */
+  static async protectSimulation(simulation) {
+    if (!simulation || !Array.isArray(simulation.rawData)) return simulation;
+
+    const zones = await PrivacyZoneService.getUserZones(simulation.userId);
+    return { ...simulation, rawData: PrivacyZoneService.protectPoints(simulation.rawData, zones) };
+  }
+}
+
+export default PrivacyZoneService;
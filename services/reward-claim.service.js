@@ -0,0 +1,251 @@
+// RewardClaimService.js
+import TelemetryStoreService from './telemetry-store.service.js';
+import DrivingBehaviourService from './driving-behaviour.service.js';
+import RewardPolicyService from './reward-policy.service.js';
+import RewardEpochService from './reward-epoch.service.js';
+import VestingService from './vesting.service.js';
+import DtcCatalogueService from './dtc-catalogue.service.js';
+import TokenRewardManager from './token-reward-manager.service.js';
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new  PrismaClient();
+
+class RewardClaimService {
+  // Solo se recompensan simulaciones terminadas: la telemetría almacenada ya no va a cambiar
+  static CLAIMABLE_STATUSES = ['COMPLETED', 'CANCELLED'];
+
+  // Tiempo tras el que se considera abandonada una liquidación en curso (p. ej. el proceso se reinició)
+  static SETTLEMENT_LEASE_MS = 2 * 60 * 1000;
+
+  /**
+   * Recompensa ya reclamada de una simulación
+   * @param {string} simulationId - ID de la simulación
+   * @returns {Object|null} Reward (con su calendario de vesting) o null si no se ha reclamado
+   */
+  static async getSimulationClaim(simulationId) {
+    return prisma.reward.findUnique({
+      where: { claimKey: simulationId },
+      include: { vestingSchedule: true }
+    });
+  }
+
+  /**
+   * Calcula la recompensa de una simulación con la telemetría almacenada y la política activa
+   * (no con el estado en memoria de la sesión, que puede no existir o no coincidir con lo guardado)
+   * @param {Object} simulation - Simulación
+   * @returns {Object} { amount, policyVersion, vesting, dataPoints, dataPointsCount, breakdown }
+   */
+  static async computeSimulationReward(simulation) {
+    const dataPoints = await TelemetryStoreService.getAllPoints(simulation.id, { raw: true });
+    if (dataPoints.length === 0) {
+      return { amount: 0, policyVersion: null, vesting: null, dataPoints, dataPointsCount: 0, breakdown: null };
+    }
+
+    const { safetyScore } = await DrivingBehaviourService.getSimulationBehaviour(simulation);
+    const policy = await RewardPolicyService.getActivePolicy();
+    await DtcCatalogueService.ensureLoaded();
+    const { amount, breakdown } = RewardPolicyService.evaluate(dataPoints, policy.config, {
+      safetyScore,
+      routeType: simulation.routeType
+    });
+
+    return {
+      amount,
+      policyVersion: policy.version,
+      vesting: policy.config.vesting ?? null,
+      dataPoints,
+      dataPointsCount: dataPoints.length,
+      breakdown
+    };
+  }
+
+  /**
+   * Registra la recompensa de una simulación en estado PENDING (sin acuñar), con el calendario
+   * de vesting de la política si bloquea parte de la recompensa
+   * Las de riesgo alto quedan retenidas para revisión manual; su vesting empieza al aprobarse (ver resolveReview)
+   * Si otra petición la ha registrado a la vez (claimKey es único) se devuelve la existente
+   * @param {Object} simulation - Simulación reclamada
+   * @param {Object} computed - Resultado de computeSimulationReward
+   * @param {Object} assessment - Resultado de FraudDetectionService.assessClaim
+   * @returns {Object} { reward, created }
+   */
+  static async recordClaim(simulation, computed, assessment) {
+    const { lockedAmount, schedule } = assessment.requiresReview
+      ? { lockedAmount: 0, schedule: null }
+      : VestingService.buildSchedule(computed.amount, computed.vesting, simulation.userId);
+
+    try {
+      const reward = await prisma.reward.create({
+        data: {
+          userId: simulation.userId,
+          simulationId: simulation.id,
+          claimKey: simulation.id,
+          amount: computed.amount,
+          lockedAmount,
+          policyVersion: computed.policyVersion,
+          status: 'PENDING',
+          telemetryHash: assessment.telemetryHash,
+          fraudScore: assessment.score,
+          fraudSignals: assessment.signals,
+          ...(assessment.requiresReview && { reviewStatus: 'PENDING' }),
+          ...(schedule && { vestingSchedule: { create: schedule } })
+        },
+        include: { vestingSchedule: true }
+      });
+      return { reward, created: true };
+    } catch (error) {
+      if (error.code === 'P2002') {
+        return { reward: await RewardClaimService.getSimulationClaim(simulation.id), created: false };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Liquida la parte no bloqueada de una recompensa: la acumula en el epoch abierto
+   * (REWARD_SETTLEMENT=EPOCH) o la acuña en su propia transacción
+   * @param {Object} reward - Reward en estado PENDING
+   * @param {string} walletAddress - Wallet del beneficiario
+   * @returns {Object} { settlement, success, epoch } o el resultado de la acuñación
+   */
+  static async settleReward(reward, walletAddress) {
+    // Todo bloqueado: no hay nada que liquidar hasta que se libere
+    if (reward.amount - (reward.lockedAmount || 0) <= 0) {
+      await prisma.reward.update({
+        where: { id: reward.id },
+        data: { status: 'COMPLETED' }
+      });
+      return { settlement: 'VESTING', success: true };
+    }
+
+    if (RewardEpochService.isEnabled()) {
+      const epoch = await RewardEpochService.addReward(reward);
+      return { settlement: 'EPOCH', success: true, epoch };
+    }
+
+    const mintResult = await TokenRewardManager.mintReward(reward, walletAddress);
+    return { settlement: 'IMMEDIATE', ...mintResult };
+  }
+
+  /**
+   * Reclamación cuya liquidación no llegó a hacerse y se reintenta cuando el propietario vuelve a reclamar:
+   * la acuñación falló (FAILED) o no llegó a construirse la transacción (PENDING sin epoch)
+   * No se reintentan las que están en revisión o rechazadas, ni las que ya enviaron una transacción
+   * @param {Object} reward - Reward de una reclamación por simulación
+   * @returns {boolean} true si se puede volver a liquidar
+   */
+  static isRetryable(reward) {
+    if (reward.reviewStatus === 'PENDING' || reward.reviewStatus === 'REJECTED') return false;
+    if (reward.transactionHash || reward.epochId) return false;
+    return reward.status === 'PENDING' || reward.status === 'FAILED';
+  }
+
+  /**
+   * Liquida una reclamación (la primera vez o al reintentarla) con un bloqueo en la propia fila:
+   * dos peticiones simultáneas de la misma simulación no pueden acuñarla dos veces
+   * @param {Object} reward - Reward en estado PENDING o FAILED (ver isRetryable)
+   * @param {string} walletAddress - Wallet del beneficiario
+   * @returns {Object|null} { reward, result } (null si otra petición la está liquidando o ya no se puede reintentar)
+   */
+  static async settleClaim(reward, walletAddress) {
+    const now = new Date();
+    const { count } = await prisma.reward.updateMany({
+      where: {
+        id: reward.id,
+        status: { in: ['PENDING', 'FAILED'] },
+        transactionHash: null,
+        epochId: null,
+        OR: [
+          { settlingAt: null },
+          { settlingAt: { lt: new Date(now.getTime() - RewardClaimService.SETTLEMENT_LEASE_MS) } }
+        ]
+      },
+      data: { status: 'PENDING', settlingAt: now }
+    });
+    if (count === 0) return null;
+
+    try {
+      const locked = await prisma.reward.findUnique({
+        where: { id: reward.id },
+        include: { vestingSchedule: true }
+      });
+      const result = await RewardClaimService.settleReward(locked, walletAddress);
+
+      return {
+        reward: await prisma.reward.findUnique({
+          where: { id: reward.id },
+          include: { vestingSchedule: true }
+        }),
+        result
+      };
+    } finally {
+      await prisma.reward.update({
+        where: { id: reward.id },
+        data: { settlingAt: null }
+      });
+    }
+  }
+
+  /**
+   * Aplica la decisión de la revisión manual de una recompensa retenida
+   * APPROVED: se crea el calendario de vesting de la política con la que se calculó y se liquida
+   * REJECTED: la recompensa pasa a FAILED y no se liquida
+   * @param {Object} reward - Reward en revisión (con la wallet del usuario, ver FraudDetectionService.getReview)
+   * @param {string} decision - APPROVED o REJECTED
+   * @param {string} reviewedBy - Quién revisa (opcional)
+   * @param {string} notes - Notas de la revisión (opcional)
+   * @returns {Object|null} { reward, result } (null si ya se había decidido)
+   */
+  static async resolveReview(reward, decision, reviewedBy = null, notes = null) {
+    let schedule = null;
+    let lockedAmount = 0;
+    if (decision === 'APPROVED') {
+      const policy = await RewardPolicyService.getPolicyVersion(reward.policyVersion ?? 0);
+      ({ lockedAmount, schedule } = VestingService.buildSchedule(reward.amount, policy?.config.vesting ?? null, reward.userId));
+    }
+
+    const resolved = await prisma.$transaction(async (tx) => {
+      // Solo la primera decisión se aplica
+      const { count } = await tx.reward.updateMany({
+        where: { id: reward.id, reviewStatus: 'PENDING' },
+        data: {
+          reviewStatus: decision,
+          reviewedBy,
+          reviewNotes: notes,
+          reviewedAt: new Date(),
+          lockedAmount,
+          ...(decision === 'REJECTED' && { status: 'FAILED' })
+        }
+      });
+      if (count === 0) return false;
+
+      if (schedule) {
+        await tx.vestingSchedule.create({
+          data: { ...schedule, rewardId: reward.id }
+        });
+      }
+      return true;
+    });
+    if (!resolved) return null;
+
+    const updated = await prisma.reward.findUnique({
+      where: { id: reward.id },
+      include: { vestingSchedule: true }
+    });
+    if (decision === 'REJECTED') return { reward: updated, result: null };
+
+    const result = await RewardClaimService.settleReward(updated, reward.user.walletAddress);
+    return { reward: updated, result };
+  }
+
+  /**
+   * Recompensa sin los datos de la evaluación de fraude, para responder a quien la reclama
+   */
+  static toClaimantView(reward) {
+    if (!reward) return reward;
+    const { telemetryHash, fraudSignals, reviewNotes, reviewedBy, ...view } = reward;
+    return view;
+  }
+}
+
+export default RewardClaimService;
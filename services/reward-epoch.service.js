@@ -0,0 +1,291 @@
+// RewardEpochService.js
+import Merkle from '../utils/merkle.js';
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new  PrismaClient();
+
+class RewardEpochService {
+  // Duración de cada epoch si no se configura REWARD_EPOCH_HOURS
+  static DEFAULT_EPOCH_HOURS = 24;
+
+  // Las hojas codifican la cantidad en la unidad mínima del token (mismos decimales que el mint DRVL)
+  static TOKEN_DECIMALS = 6;
+
+  static SCHEDULER_INTERVAL_MS = 60 * 1000;
+  static schedulerInterval = null;
+
+  /**
+   * REWARD_SETTLEMENT=EPOCH: las recompensas se acumulan por wallet y se reclaman con una prueba Merkle al cerrar el epoch
+   * En otro caso (IMMEDIATE) cada recompensa se acuña en su propia transacción
+   * (se lee en cada llamada porque el entorno se carga después de importar los servicios)
+   */
+  static isEnabled() {
+    return process.env.REWARD_SETTLEMENT === 'EPOCH';
+  }
+
+  static getEpochHours() {
+    const hours = Number(process.env.REWARD_EPOCH_HOURS);
+    return Number.isFinite(hours) && hours > 0 ? hours : RewardEpochService.DEFAULT_EPOCH_HOURS;
+  }
+
+  /**
+   * Epoch abierto en el que se acumulan las recompensas nuevas; si no hay ninguno vigente se abre el siguiente
+   * @returns {Object} RewardEpoch
+   */
+  static async getOpenEpoch() {
+    const now = new Date();
+    const open = await prisma.rewardEpoch.findFirst({
+      where: { status: 'OPEN', endsAt: { gt: now } },
+      orderBy: { number: 'desc' }
+    });
+    if (open) return open;
+
+    const latest = await prisma.rewardEpoch.findFirst({
+      orderBy: { number: 'desc' }
+    });
+
+    // Los epochs son consecutivos; tras un periodo sin actividad el siguiente empieza ahora
+    const startsAt = latest && latest.endsAt > now ? latest.endsAt : now;
+    try {
+      return await prisma.rewardEpoch.create({
+        data: {
+          number: (latest?.number || 0) + 1,
+          startsAt,
+          endsAt: new Date(startsAt.getTime() + RewardEpochService.getEpochHours() * 60 * 60 * 1000)
+        }
+      });
+    } catch (error) {
+      // Otra petición ha abierto el mismo epoch a la vez (number es único)
+      if (error.code === 'P2002') {
+        return RewardEpochService.getOpenEpoch();
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Asigna una recompensa al epoch abierto en lugar de acuñarla
+   * El total del epoch se incrementa en la misma transacción que bloquea su fila,
+   * así un cierre simultáneo espera y la incluye (o la recompensa pasa al epoch siguiente)
+   * @param {Object} reward - Reward en estado PENDING
+   * @returns {Object} Epoch asignado
+   */
+  static async addReward(reward) {
+    const epoch = await RewardEpochService.getOpenEpoch();
+
+    const assigned = await prisma.$transaction(async (tx) => {
+      const { count } = await tx.rewardEpoch.updateMany({
+        where: { id: epoch.id, status: 'OPEN' },
+        data: { totalAmount: { increment: RewardEpochService.getSettledAmount(reward) } }
+      });
+      if (count === 0) return false;
+
+      await tx.reward.update({
+        where: { id: reward.id },
+        data: { epochId: epoch.id }
+      });
+      return true;
+    });
+
+    // El epoch se ha cerrado entre la consulta y la asignación
+    if (!assigned) {
+      return RewardEpochService.addReward(reward);
+    }
+
+    return prisma.rewardEpoch.findUnique({ where: { id: epoch.id } });
+  }
+
+  /**
+   * Cierra un epoch: agrega las recompensas por wallet y calcula el árbol Merkle de (wallet, cantidad)
+   * Las recompensas pasan a PROCESSING hasta que se reclaman con su prueba
+   * @param {Object} epoch - RewardEpoch abierto (o en CLOSING si un cierre anterior se interrumpió)
+   * @returns {Object|null} Epoch cerrado (null si otro proceso ya lo estaba cerrando)
+   */
+  static async closeEpoch(epoch) {
+    // Pasar a CLOSING primero: a partir de aquí no se le asignan más recompensas
+    if (epoch.status === 'OPEN') {
+      const { count } = await prisma.rewardEpoch.updateMany({
+        where: { id: epoch.id, status: 'OPEN' },
+        data: { status: 'CLOSING' }
+      });
+      if (count === 0) return null;
+    }
+
+    const rewards = await prisma.reward.findMany({
+      where: { epochId: epoch.id },
+      include: { user: { select: { walletAddress: true } } }
+    });
+
+    // Una hoja por wallet, ordenadas para que el árbol sea reproducible
+    const totals = new Map();
+    rewards.forEach(reward => {
+      const units = RewardEpochService.toBaseUnits(RewardEpochService.getSettledAmount(reward));
+      totals.set(reward.user.walletAddress, (totals.get(reward.user.walletAddress) || 0n) + units);
+    });
+    const wallets = [...totals.keys()].sort();
+    const leafHashes = wallets.map(wallet => Merkle.hashLeaf(wallet, totals.get(wallet)));
+
+    if (leafHashes.length === 0) {
+      return prisma.rewardEpoch.update({
+        where: { id: epoch.id },
+        data: { status: 'CLOSED', closedAt: new Date(), totalAmount: 0, leafCount: 0 }
+      });
+    }
+
+    const levels = Merkle.buildTree(leafHashes);
+    const merkleRoot = Merkle.getRoot(levels);
+    const totalUnits = [...totals.values()].reduce((sum, units) => sum + units, 0n);
+
+    const [closed] = await prisma.$transaction([
+      prisma.rewardEpoch.update({
+        where: { id: epoch.id },
+        data: {
+          status: 'CLOSED',
+          closedAt: new Date(),
+          merkleRoot,
+          leafCount: wallets.length,
+          totalAmount: RewardEpochService.fromBaseUnits(totalUnits)
+        }
+      }),
+      prisma.rewardEpochLeaf.createMany({
+        data: wallets.map((walletAddress, leafIndex) => ({
+          epochId: epoch.id,
+          walletAddress,
+          amount: RewardEpochService.fromBaseUnits(totals.get(walletAddress)),
+          amountBaseUnits: totals.get(walletAddress).toString(),
+          leafIndex,
+          leafHash: leafHashes[leafIndex],
+          proof: Merkle.getProof(levels, leafIndex)
+        }))
+      }),
+      prisma.reward.updateMany({
+        where: { epochId: epoch.id, status: 'PENDING' },
+        data: { status: 'PROCESSING' }
+      })
+    ]);
+
+    console.log(`✅ Reward epoch ${epoch.number} closed: ${wallets.length} wallets, root ${merkleRoot}`);
+    return closed;
+  }
+
+  /**
+   * Cierra los epochs abiertos cuyo periodo ha terminado y reanuda los cierres interrumpidos
+   * @returns {Array} Epochs cerrados
+   */
+  static async closeDueEpochs() {
+    const due = await prisma.rewardEpoch.findMany({
+      where: {
+        OR: [
+          { status: 'OPEN', endsAt: { lte: new Date() } },
+          { status: 'CLOSING' }
+        ]
+      },
+      orderBy: { number: 'asc' }
+    });
+
+    const closed = [];
+    for (const epoch of due) {
+      const result = await RewardEpochService.closeEpoch(epoch);
+      if (result) closed.push(result);
+    }
+    return closed;
+  }
+
+  /**
+   * Comprueba periódicamente si hay epochs que cerrar
+   */
+  static startScheduler() {
+    if (RewardEpochService.schedulerInterval) return;
+
+    RewardEpochService.schedulerInterval = setInterval(() => {
+      RewardEpochService.closeDueEpochs().catch(error => {
+        console.error('❌ Error closing reward epochs:', error);
+      });
+    }, RewardEpochService.SCHEDULER_INTERVAL_MS);
+  }
+
+  static stopScheduler() {
+    clearInterval(RewardEpochService.schedulerInterval);
+    RewardEpochService.schedulerInterval = null;
+  }
+
+  /**
+   * Epoch abierto actual, aunque su periodo ya haya terminado (sin abrir uno nuevo)
+   * @returns {Object|null} RewardEpoch
+   */
+  static async getCurrentEpoch() {
+    return prisma.rewardEpoch.findFirst({
+      where: { status: 'OPEN' },
+      orderBy: { number: 'desc' }
+    });
+  }
+
+  static async getEpoch(epochId) {
+    return prisma.rewardEpoch.findUnique({
+      where: { id: epochId }
+    });
+  }
+
+  static async listEpochs(limit = 20) {
+    return prisma.rewardEpoch.findMany({
+      orderBy: { number: 'desc' },
+      take: limit
+    });
+  }
+
+  /**
+   * Prueba Merkle de la hoja de una wallet en un epoch cerrado
+   * @param {Object} epoch - RewardEpoch cerrado
+   * @param {string} walletAddress - Wallet del beneficiario
+   * @returns {Object|null} Datos para reclamar o null si la wallet no tiene recompensas en el epoch
+   */
+  static async getProof(epoch, walletAddress) {
+    const leaf = await prisma.rewardEpochLeaf.findUnique({
+      where: { epochId_walletAddress: { epochId: epoch.id, walletAddress } }
+    });
+    if (!leaf) return null;
+
+    return {
+      epochId: epoch.id,
+      epochNumber: epoch.number,
+      merkleRoot: epoch.merkleRoot,
+      walletAddress,
+      amount: leaf.amount,
+      amountBaseUnits: leaf.amountBaseUnits,
+      tokenDecimals: RewardEpochService.TOKEN_DECIMALS,
+      leafIndex: leaf.leafIndex,
+      leafHash: leaf.leafHash,
+      proof: leaf.proof
+    };
+  }
+
+  /**
+   * Verificador local de una reclamación contra la raíz almacenada (sin cadena)
+   * @param {Object} epoch - RewardEpoch cerrado
+   * @param {string} walletAddress - Wallet del beneficiario
+   * @param {string} amountBaseUnits - Cantidad en la unidad mínima del token
+   * @param {Array} proof - Hashes hermanos
+   * @returns {boolean} true si la reclamación pertenece al árbol del epoch
+   */
+  static verifyClaim(epoch, walletAddress, amountBaseUnits, proof) {
+    if (!epoch.merkleRoot || !/^\d+$/.test(String(amountBaseUnits))) return false;
+    return Merkle.verifyProof(Merkle.hashLeaf(walletAddress, amountBaseUnits), proof, epoch.merkleRoot);
+  }
+
+  /**
+   * Parte de una recompensa que se liquida en el epoch (la bloqueada se libera según su VestingSchedule)
+   */
+  static getSettledAmount(reward) {
+    return reward.amount - (reward.lockedAmount || 0);
+  }
+
+  static toBaseUnits(amount) {
+    return BigInt(Math.round(amount * 10 ** RewardEpochService.TOKEN_DECIMALS));
+  }
+
+  static fromBaseUnits(units) {
+    return Number(units) / 10 ** RewardEpochService.TOKEN_DECIMALS;
+  }
+}
+
+export default RewardEpochService;
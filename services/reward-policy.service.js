@@ -0,0 +1,489 @@
+// RewardPolicyService.js
+import TripMetricsService from './trip-metrics.service.js';
+import TripSegmentationService from './trip-segmentation.service.js';
+import TelemetryQualityService from './telemetry-quality.service.js';
+import DtcCatalogueService from './dtc-catalogue.service.js';
+import TelemetryStoreService from './telemetry-store.service.js';
+import DrivingBehaviourService from './driving-behaviour.service.js';
+import VestingService from './vesting.service.js';
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new  PrismaClient();
+
+class RewardPolicyService {
+  // POINT: la regla se evalúa sobre cada punto y modifica su recompensa
+  // TRIP: se evalúa una vez sobre el viaje y modifica la recompensa total
+  static SCOPES = ['POINT', 'TRIP'];
+
+  static OPERATORS = ['EQ', 'NE', 'GT', 'GTE', 'LT', 'LTE', 'BETWEEN', 'IN', 'EXISTS'];
+
+  static MAX_RULES = 50;
+  static MAX_CONDITIONS = 10;
+  static MAX_NAME_LENGTH = 100;
+
+  static DEFAULT_PREVIEW_LIMIT = 20;
+  static MAX_PREVIEW_SIMULATIONS = 100;
+
+  // Política de la versión 0 (sin versiones publicadas): reproduce los multiplicadores originales
+  // - basePointReward: tokens por punto antes de aplicar las reglas POINT
+  // - rewardPerKm: tokens por kilómetro recorrido (distancia GPS corregida)
+  // - dtcImpact: aplicar el rewardImpact del catálogo de códigos de diagnóstico a cada punto con código
+  // - rules: se aplican en orden; cada regla tiene una acción: multiplier, scale ({ field, min, max }: multiplicador
+  //   lineal entre min y max según el valor 0-100 del campo) o cap (recompensa máxima del punto o del viaje)
+  // - vesting: parte de cada recompensa que se bloquea y cómo se libera (ver VestingService.parseVesting; null: sin vesting)
+  // Las condiciones pueden usar los campos del viaje (routeType, safetyScore, qualityScore, pointCount, distanceKm)
+  // y, en las reglas POINT, los de telemetría del punto y su segment_type
+  static DEFAULT_POLICY = {
+    basePointReward: 0.01,
+    rewardPerKm: 0.02,
+    dtcImpact: true,
+    vesting: null,
+    rules: [
+      {
+        name: 'Fuel-efficient speed',
+        scope: 'POINT',
+        conditions: [{ field: 'speed_kmph', op: 'BETWEEN', value: [40, 80] }],
+        multiplier: 1.2
+      },
+      {
+        name: 'Efficient engine RPM',
+        scope: 'POINT',
+        conditions: [{ field: 'engine_rpm', op: 'BETWEEN', value: [1500, 2500] }],
+        multiplier: 1.15
+      },
+      {
+        name: 'Idle time',
+        scope: 'POINT',
+        conditions: [{ field: 'segment_type', op: 'EQ', value: 'IDLE' }],
+        multiplier: 0.5
+      },
+      {
+        name: 'Consistent data provision',
+        scope: 'TRIP',
+        conditions: [{ field: 'pointCount', op: 'GT', value: 10 }],
+        multiplier: 1.1
+      },
+      {
+        name: 'Safe driving',
+        scope: 'TRIP',
+        conditions: [],
+        scale: { field: 'safetyScore', min: 0.5, max: 1.2 }
+      },
+      {
+        name: 'Data quality',
+        scope: 'TRIP',
+        conditions: [],
+        scale: { field: 'qualityScore', min: 0, max: 1 }
+      }
+    ]
+  };
+
+  // Última política activa leída de la base de datos, para los cálculos síncronos (p. ej. resumen del simulador local)
+  static activePolicy = null;
+
+  /**
+   * Valida la configuración de una política
+   * @param {Object} input - Configuración recibida (ver DEFAULT_POLICY)
+   * @returns {Object} Configuración normalizada
+   */
+  static parsePolicy(input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+      throw new Error('Reward policy must be an object');
+    }
+
+    const errors = [];
+    const config = {};
+
+    for (const key of ['basePointReward', 'rewardPerKm']) {
+      const value = Number(input[key] ?? RewardPolicyService.DEFAULT_POLICY[key]);
+      if (!Number.isFinite(value) || value < 0) {
+        errors.push(`${key} must be a non-negative number`);
+      }
+      config[key] = value;
+    }
+
+    config.dtcImpact = input.dtcImpact === undefined ? true : Boolean(input.dtcImpact);
+
+    try {
+      config.vesting = VestingService.parseVesting(input.vesting);
+    } catch (error) {
+      errors.push(error.message);
+    }
+
+    if (!Array.isArray(input.rules)) {
+      errors.push('rules must be an array');
+    } else if (input.rules.length > RewardPolicyService.MAX_RULES) {
+      errors.push(`A policy can have at most ${RewardPolicyService.MAX_RULES} rules`);
+    } else {
+      config.rules = input.rules.map((rule, index) => {
+        try {
+          return RewardPolicyService.parseRule(rule);
+        } catch (error) {
+          errors.push(`rules[${index}]: ${error.message}`);
+          return null;
+        }
+      });
+    }
+
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
+    }
+
+    return config;
+  }
+
+  /**
+   * Valida una regla de la política
+   * @param {Object} rule - Regla recibida
+   * @returns {Object} Regla normalizada
+   */
+  static parseRule(rule) {
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+      throw new Error('rule must be an object');
+    }
+
+    const name = typeof rule.name === 'string' ? rule.name.trim() : '';
+    if (!name || name.length > RewardPolicyService.MAX_NAME_LENGTH) {
+      throw new Error(`name is required and must have at most ${RewardPolicyService.MAX_NAME_LENGTH} characters`);
+    }
+
+    const scope = String(rule.scope ?? 'POINT').toUpperCase();
+    if (!RewardPolicyService.SCOPES.includes(scope)) {
+      throw new Error(`Invalid scope, expected one of ${RewardPolicyService.SCOPES.join(', ')}: ${JSON.stringify(rule.scope)}`);
+    }
+
+    const conditions = rule.conditions ?? [];
+    if (!Array.isArray(conditions) || conditions.length > RewardPolicyService.MAX_CONDITIONS) {
+      throw new Error(`conditions must be an array of at most ${RewardPolicyService.MAX_CONDITIONS} conditions`);
+    }
+
+    const parsed = { name, scope, conditions: conditions.map(condition => RewardPolicyService.parseCondition(condition)) };
+
+    // Exactamente una acción por regla
+    const actions = ['multiplier', 'scale', 'cap'].filter(action => rule[action] !== undefined && rule[action] !== null);
+    if (actions.length !== 1) {
+      throw new Error('rule must define exactly one of multiplier, scale or cap');
+    }
+
+    if (rule.multiplier !== undefined && rule.multiplier !== null) {
+      parsed.multiplier = Number(rule.multiplier);
+      if (!Number.isFinite(parsed.multiplier) || parsed.multiplier < 0) {
+        throw new Error('multiplier must be a non-negative number');
+      }
+    } else if (rule.cap !== undefined && rule.cap !== null) {
+      parsed.cap = Number(rule.cap);
+      if (!Number.isFinite(parsed.cap) || parsed.cap < 0) {
+        throw new Error('cap must be a non-negative number');
+      }
+    } else {
+      const { field, min, max } = rule.scale || {};
+      if (typeof field !== 'string' || !field || !Number.isFinite(Number(min)) || !Number.isFinite(Number(max)) || Number(min) < 0 || Number(max) < 0) {
+        throw new Error('scale requires a field and non-negative min and max multipliers');
+      }
+      parsed.scale = { field, min: Number(min), max: Number(max) };
+    }
+
+    return parsed;
+  }
+
+  /**
+   * Valida una condición { field, op, value }
+   */
+  static parseCondition(condition) {
+    if (!condition || typeof condition.field !== 'string' || !condition.field) {
+      throw new Error(`Invalid condition, field is required: ${JSON.stringify(condition)}`);
+    }
+
+    const op = String(condition.op ?? 'EQ').toUpperCase();
+    if (!RewardPolicyService.OPERATORS.includes(op)) {
+      throw new Error(`Invalid operator, expected one of ${RewardPolicyService.OPERATORS.join(', ')}: ${JSON.stringify(condition.op)}`);
+    }
+
+    const { value } = condition;
+    if (op === 'BETWEEN' && !(Array.isArray(value) && value.length === 2 && value.every(bound => Number.isFinite(Number(bound))))) {
+      throw new Error(`BETWEEN requires a [min, max] value: ${JSON.stringify(condition)}`);
+    }
+    if (op === 'IN' && !Array.isArray(value)) {
+      throw new Error(`IN requires a list of values: ${JSON.stringify(condition)}`);
+    }
+    if (['GT', 'GTE', 'LT', 'LTE'].includes(op) && !Number.isFinite(Number(value))) {
+      throw new Error(`${op} requires a numeric value: ${JSON.stringify(condition)}`);
+    }
+
+    return op === 'EXISTS' ? { field: condition.field, op } : { field: condition.field, op, value };
+  }
+
+  /**
+   * Comprueba una condición sobre los valores de un punto o del viaje
+   * Los campos ausentes no cumplen ninguna condición (salvo NE)
+   */
+  static matchesCondition(values, { field, op, value }) {
+    const actual = values[field];
+    const present = actual !== undefined && actual !== null && actual !== '';
+
+    if (op === 'EXISTS') return present;
+    if (op === 'NE') return !present || String(actual) !== String(value);
+    if (!present) return false;
+    if (op === 'EQ') return String(actual) === String(value);
+    if (op === 'IN') return value.map(String).includes(String(actual));
+
+    const number = parseFloat(actual);
+    if (!Number.isFinite(number)) return false;
+
+    switch (op) {
+      case 'GT': return number > Number(value);
+      case 'GTE': return number >= Number(value);
+      case 'LT': return number < Number(value);
+      case 'LTE': return number <= Number(value);
+      case 'BETWEEN': return number >= Number(value[0]) && number <= Number(value[1]);
+      default: return false;
+    }
+  }
+
+  static matchesRule(values, rule) {
+    return rule.conditions.every(condition => RewardPolicyService.matchesCondition(values, condition));
+  }
+
+  /**
+   * Aplica la acción de una regla a una recompensa
+   * @returns {number|null} Nueva recompensa (null si la regla no se puede aplicar, p. ej. scale sin valor)
+   */
+  static applyAction(rule, amount, values) {
+    if (rule.multiplier !== undefined) return amount * rule.multiplier;
+    if (rule.cap !== undefined) return Math.min(amount, rule.cap);
+
+    const score = parseFloat(values[rule.scale.field]);
+    if (!Number.isFinite(score)) return null;
+
+    const ratio = Math.min(Math.max(score, 0), 100) / 100;
+    return amount * (rule.scale.min + (rule.scale.max - rule.scale.min) * ratio);
+  }
+
+  /**
+   * Calcula la recompensa de un viaje con una política
+   * @param {Array} dataPoints - Puntos de datos del viaje
+   * @param {Object} config - Configuración de la política (ver DEFAULT_POLICY)
+   * @param {Object} context - Datos del viaje que no están en la telemetría
+   * @param {number} context.safetyScore - Puntuación de conducción (0-100)
+   * @param {string} context.routeType - Tipo de ruta de la simulación
+   * @returns {Object} { amount, breakdown } con el efecto de cada regla
+   */
+  static evaluate(dataPoints, config = RewardPolicyService.DEFAULT_POLICY, context = {}) {
+    const rules = config.rules || [];
+    // POINT: puntos a los que se aplicó; TRIP: si se aplicó y cuánto cambió la recompensa
+    const ruleStats = rules.map(rule => (rule.scope === 'POINT'
+      ? { name: rule.name, scope: rule.scope, matchedPoints: 0 }
+      : { name: rule.name, scope: rule.scope, applied: false, effect: 0 }));
+
+    if (!dataPoints || dataPoints.length === 0) {
+      return { amount: 0, breakdown: { pointReward: 0, distanceReward: 0, rewardedKm: 0, rules: ruleStats } };
+    }
+
+    // Distancia recompensada: si GPS y velocidad no cuadran, solo la estimación más conservadora
+    const tripMetrics = TripMetricsService.computeTripMetrics(dataPoints);
+    const rewardedKm = tripMetrics.flags.includes('DISTANCE_MISMATCH')
+      ? Math.min(tripMetrics.gpsDistanceKm, tripMetrics.speedDistanceKm)
+      : tripMetrics.distanceKm;
+
+    const tripValues = {
+      routeType: context.routeType,
+      safetyScore: context.safetyScore,
+      qualityScore: TelemetryQualityService.evaluate(dataPoints).qualityScore,
+      pointCount: dataPoints.length,
+      distanceKm: rewardedKm
+    };
+
+    let pointReward = 0;
+    for (const dataPoint of TripSegmentationService.annotate(dataPoints)) {
+      const values = { ...tripValues, ...dataPoint };
+      let reward = config.basePointReward;
+
+      if (config.dtcImpact && dataPoint.dtc_code && dataPoint.dtc_code.trim() !== '') {
+        const dtcInfo = DtcCatalogueService.lookup(dataPoint.dtc_code);
+        if (dtcInfo && dtcInfo.rewardImpact) {
+          reward *= (1 + dtcInfo.rewardImpact / 100);
+        }
+      }
+
+      rules.forEach((rule, index) => {
+        if (rule.scope !== 'POINT' || !RewardPolicyService.matchesRule(values, rule)) return;
+        const next = RewardPolicyService.applyAction(rule, reward, values);
+        if (next === null) return;
+        reward = next;
+        ruleStats[index].matchedPoints++;
+      });
+
+      pointReward += reward;
+    }
+
+    const distanceReward = rewardedKm * config.rewardPerKm;
+    let amount = pointReward + distanceReward;
+
+    rules.forEach((rule, index) => {
+      if (rule.scope !== 'TRIP' || !RewardPolicyService.matchesRule(tripValues, rule)) return;
+      const next = RewardPolicyService.applyAction(rule, amount, tripValues);
+      if (next === null) return;
+      ruleStats[index].applied = true;
+      ruleStats[index].effect = parseFloat((next - amount).toFixed(4));
+      amount = next;
+    });
+
+    return {
+      amount: parseFloat(amount.toFixed(4)),
+      breakdown: {
+        pointReward: parseFloat(pointReward.toFixed(4)),
+        distanceReward: parseFloat(distanceReward.toFixed(4)),
+        rewardedKm: parseFloat(rewardedKm.toFixed(3)),
+        ...tripValues,
+        rules: ruleStats
+      }
+    };
+  }
+
+  /**
+   * Política activa: la última versión publicada o la predeterminada (versión 0)
+   * @returns {Object} { version, config, notes, createdBy, createdAt }
+   */
+  static async getActivePolicy() {
+    const latest = await prisma.rewardPolicy.findFirst({
+      orderBy: { version: 'desc' }
+    });
+
+    RewardPolicyService.activePolicy = latest || RewardPolicyService.getDefaultPolicy();
+    return RewardPolicyService.activePolicy;
+  }
+
+  /**
+   * Última política activa conocida sin consultar la base de datos
+   */
+  static getCachedPolicy() {
+    return RewardPolicyService.activePolicy || RewardPolicyService.getDefaultPolicy();
+  }
+
+  static getDefaultPolicy() {
+    return {
+      version: 0,
+      config: RewardPolicyService.DEFAULT_POLICY,
+      notes: 'Built-in default policy',
+      createdBy: null,
+      createdAt: null
+    };
+  }
+
+  /**
+   * Obtiene una versión concreta de la política
+   * @param {number} version - Versión (0: predeterminada)
+   * @returns {Object|null} Política o null si no existe
+   */
+  static async getPolicyVersion(version) {
+    if (version === 0) return RewardPolicyService.getDefaultPolicy();
+
+    return prisma.rewardPolicy.findUnique({
+      where: { version }
+    });
+  }
+
+  /**
+   * Historial de versiones publicadas, de la más reciente a la más antigua
+   */
+  static async listVersions() {
+    const versions = await prisma.rewardPolicy.findMany({
+      orderBy: { version: 'desc' }
+    });
+
+    return [...versions, RewardPolicyService.getDefaultPolicy()];
+  }
+
+  /**
+   * Publica una nueva versión de la política; las versiones anteriores no se modifican
+   * para que cada recompensa se pueda recalcular con la política con la que se generó
+   * @param {Object} config - Configuración ya validada con parsePolicy
+   * @param {string} notes - Descripción del cambio (opcional)
+   * @param {string} createdBy - Wallet del administrador (opcional)
+   * @returns {Object} Versión creada
+   */
+  static async createVersion(config, notes = null, createdBy = null) {
+    const policy = await prisma.$transaction(async (tx) => {
+      const latest = await tx.rewardPolicy.findFirst({
+        orderBy: { version: 'desc' },
+        select: { version: true }
+      });
+
+      // version es única: si dos publicaciones coinciden, la segunda falla en lugar de duplicarse
+      return tx.rewardPolicy.create({
+        data: {
+          version: (latest?.version || 0) + 1,
+          config,
+          notes,
+          createdBy
+        }
+      });
+    });
+
+    RewardPolicyService.activePolicy = policy;
+    return policy;
+  }
+
+  /**
+   * Compara la recompensa de simulaciones pasadas con la política activa y con otra configuración
+   * Se calcula con la telemetría almacenada, no con lo que se pagó en su momento
+   * @param {Object} config - Configuración candidata ya validada
+   * @param {Object} options - Opciones
+   * @param {Array} options.simulationIds - Simulaciones concretas (por defecto: las últimas completadas)
+   * @param {number} options.limit - Número de simulaciones recientes a evaluar
+   * @returns {Object} { activeVersion, simulations, totals }
+   */
+  static async previewPolicy(config, options = {}) {
+    const { simulationIds = null, limit = RewardPolicyService.DEFAULT_PREVIEW_LIMIT } = options;
+    const active = await RewardPolicyService.getActivePolicy();
+    await DtcCatalogueService.ensureLoaded();
+
+    const simulations = await prisma.simulation.findMany({
+      where: simulationIds ? { id: { in: simulationIds } } : { status: 'COMPLETED' },
+      orderBy: { startedAt: 'desc' },
+      take: Math.min(limit, RewardPolicyService.MAX_PREVIEW_SIMULATIONS),
+      include: {
+        rewards: { select: { amount: true, policyVersion: true } }
+      }
+    });
+
+    const results = [];
+    for (const simulation of simulations) {
+      const dataPoints = await TelemetryStoreService.getAllPoints(simulation.id, { raw: true });
+      const { safetyScore } = await DrivingBehaviourService.getSimulationBehaviour(simulation);
+      const context = { safetyScore, routeType: simulation.routeType };
+
+      const current = RewardPolicyService.evaluate(dataPoints, active.config, context);
+      const candidate = RewardPolicyService.evaluate(dataPoints, config, context);
+
+      results.push({
+        simulationId: simulation.id,
+        routeType: simulation.routeType,
+        dataPointsCount: dataPoints.length,
+        awardedAmount: simulation.rewards.reduce((sum, reward) => sum + reward.amount, 0),
+        awardedPolicyVersions: [...new Set(simulation.rewards.map(reward => reward.policyVersion))],
+        activeAmount: current.amount,
+        candidateAmount: candidate.amount,
+        delta: parseFloat((candidate.amount - current.amount).toFixed(4)),
+        breakdown: candidate.breakdown
+      });
+    }
+
+    const activeTotal = results.reduce((sum, result) => sum + result.activeAmount, 0);
+    const candidateTotal = results.reduce((sum, result) => sum + result.candidateAmount, 0);
+
+    return {
+      activeVersion: active.version,
+      simulations: results,
+      totals: {
+        simulations: results.length,
+        activeAmount: parseFloat(activeTotal.toFixed(4)),
+        candidateAmount: parseFloat(candidateTotal.toFixed(4)),
+        delta: parseFloat((candidateTotal - activeTotal).toFixed(4)),
+        deltaPct: activeTotal > 0 ? parseFloat(((candidateTotal - activeTotal) / activeTotal * 100).toFixed(2)) : null
+      }
+    };
+  }
+}
+
+export default RewardPolicyService;
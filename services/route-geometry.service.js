@@ -0,0 +1,228 @@
+// RouteGeometryService.js
+import Geo from '../utils/geo.js';
+
+class RouteGeometryService {
+  // Precisión del formato de polilínea codificada (5 decimales, como Google Maps)
+  static POLYLINE_PRECISION = 5;
+
+  // Trazados por defecto de las rutas predefinidas (polilíneas codificadas, alrededor de Bangalore)
+  static DEFAULT_POLYLINES = {
+    URBAN: 'ohenAgptxMrD_g@rIcj@f^ce@vj@knAfw@j\\~p@f^~u@b[cGbmA{T~iAg^n}@sb@n_@sl@oFwj@_Xgh@w[cQw`@{Egh@',
+    HIGHWAY: 'w`qnAgtrxM_wBvQg{CoKk`C{@cvDku@ozD_|BgpF_yF_dDozD{sBwiCk`Hwo@owHwQowHoKozDgE',
+    MOUNTAIN: 'oalpAwuiyMod@vj@od@_X_X~p@_Xnd@_Xg^wQ~p@_Xf^wQod@wQ~p@~\\b[fYja@nd@nd@vj@vQ~p@f^vj@~W~p@_Xvj@od@f^o}@oKo}@od@o}@od@_q@od@wj@',
+    RURAL: 'oednA_|wwMnKf{Cnd@f{CwQf{Cvj@f{CoKf{C~p@f{CwQf{Cvj@f{C_q@~{BgE~bBgpAnvAw|Av|A'
+  };
+
+  /**
+   * Normaliza una geometría recibida como GeoJSON o como polilínea codificada
+   * Acepta un LineString, un Feature con LineString, un FeatureCollection con un único
+   * LineString, su versión serializada en texto, o una polilínea codificada
+   * @param {Object|string} input - Geometría de la ruta
+   * @returns {Object} GeoJSON LineString con coordenadas [lon, lat]
+   */
+  static parseGeometry(input) {
+    if (!input) {
+      throw new Error('Route geometry is required');
+    }
+
+    let geometry = input;
+
+    if (typeof input === 'string') {
+      const trimmed = input.trim();
+      if (!trimmed.startsWith('{')) {
+        return RouteGeometryService.toLineString(RouteGeometryService.decodePolyline(trimmed));
+      }
+
+      try {
+        geometry = JSON.parse(trimmed);
+      } catch (error) {
+        throw new Error(`Invalid GeoJSON: ${error.message}`);
+      }
+    }
+
+    if (geometry.type === 'FeatureCollection') {
+      const lines = (geometry.features || []).filter(feature => feature.geometry?.type === 'LineString');
+      if (lines.length !== 1) {
+        throw new Error('FeatureCollection must contain exactly one LineString feature');
+      }
+      geometry = lines[0].geometry;
+    } else if (geometry.type === 'Feature') {
+      geometry = geometry.geometry;
+    }
+
+    if (geometry?.type !== 'LineString' || !Array.isArray(geometry.coordinates)) {
+      throw new Error('Route geometry must be a GeoJSON LineString');
+    }
+
+    const points = geometry.coordinates.map(coordinate => {
+      const [lon, lat] = coordinate || [];
+      if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+        throw new Error(`Invalid coordinate: ${JSON.stringify(coordinate)}`);
+      }
+      return { lat, lon };
+    });
+
+    return RouteGeometryService.toLineString(points);
+  }
+
+  /**
+   * Convierte una lista de puntos en un GeoJSON LineString
+   * @param {Array} points - Puntos { lat, lon }
+   * @returns {Object} GeoJSON LineString
+   */
+  static toLineString(points) {
+    if (points.length < 2) {
+      throw new Error('Route geometry needs at least two points');
+    }
+
+    return {
+      type: 'LineString',
+      coordinates: points.map(({ lat, lon }) => [lon, lat])
+    };
+  }
+
+  /**
+   * Decodifica una polilínea en el formato de Google (Encoded Polyline Algorithm)
+   * @param {string} encoded - Polilínea codificada
+   * @param {number} precision - Número de decimales codificados
+   * @returns {Array} Puntos { lat, lon }
+   */
+  static decodePolyline(encoded, precision = RouteGeometryService.POLYLINE_PRECISION) {
+    const factor = 10 ** precision;
+    const points = [];
+    let index = 0;
+    let lat = 0;
+    let lon = 0;
+
+    const readValue = () => {
+      let result = 0;
+      let shift = 0;
+      let byte;
+
+      do {
+        if (index >= encoded.length) {
+          throw new Error('Invalid encoded polyline');
+        }
+        byte = encoded.charCodeAt(index++) - 63;
+        result |= (byte & 0x1f) << shift;
+        shift += 5;
+      } while (byte >= 0x20);
+
+      return result & 1 ? ~(result >> 1) : result >> 1;
+    };
+
+    while (index < encoded.length) {
+      lat += readValue();
+      lon += readValue();
+      points.push({ lat: lat / factor, lon: lon / factor });
+    }
+
+    return points;
+  }
+
+  /**
+   * Codifica una lista de puntos en el formato de Google (Encoded Polyline Algorithm)
+   * @param {Array} points - Puntos { lat, lon }
+   * @param {number} precision - Número de decimales codificados
+   * @returns {string} Polilínea codificada
+   */
+  static encodePolyline(points, precision = RouteGeometryService.POLYLINE_PRECISION) {
+    const factor = 10 ** precision;
+    let previousLat = 0;
+    let previousLon = 0;
+    let encoded = '';
+
+    const writeValue = (value) => {
+      let remaining = value < 0 ? ~(value << 1) : value << 1;
+      while (remaining >= 0x20) {
+        encoded += String.fromCharCode((0x20 | (remaining & 0x1f)) + 63);
+        remaining >>= 5;
+      }
+      encoded += String.fromCharCode(remaining + 63);
+    };
+
+    points.forEach(({ lat, lon }) => {
+      const roundedLat = Math.round(lat * factor);
+      const roundedLon = Math.round(lon * factor);
+      writeValue(roundedLat - previousLat);
+      writeValue(roundedLon - previousLon);
+      previousLat = roundedLat;
+      previousLon = roundedLon;
+    });
+
+    return encoded;
+  }
+
+  /**
+   * Geometría por defecto de una ruta predefinida
+   * @param {string} routeType - Tipo de ruta
+   * @returns {Object|null} GeoJSON LineString o null si no hay trazado
+   */
+  static getDefaultGeometry(routeType) {
+    const polyline = RouteGeometryService.DEFAULT_POLYLINES[routeType];
+    return polyline ? RouteGeometryService.parseGeometry(polyline) : null;
+  }
+
+  /**
+   * Prepara una geometría para recorrerla: puntos y distancia acumulada de cada vértice
+   * @param {Object} geometry - GeoJSON LineString
+   * @returns {Object} Trazado { points, cumulativeDistances, lengthM }
+   */
+  static buildPath(geometry) {
+    const points = geometry.coordinates.map(([lon, lat]) => ({ lat, lon }));
+    const cumulativeDistances = [0];
+
+    for (let i = 1; i < points.length; i++) {
+      cumulativeDistances.push(cumulativeDistances[i - 1] + Geo.haversineDistance(points[i - 1], points[i]));
+    }
+
+    return {
+      points,
+      cumulativeDistances,
+      lengthM: cumulativeDistances[cumulativeDistances.length - 1]
+    };
+  }
+
+  /**
+   * Posición y rumbo tras recorrer una distancia sobre el trazado
+   * Al llegar al final el vehículo da la vuelta y recorre la ruta en sentido contrario
+   * @param {Object} path - Trazado (ver buildPath)
+   * @param {number} distanceM - Distancia recorrida desde el inicio
+   * @returns {Object} { lat, lon, heading, progressPct }
+   */
+  static getPositionAtDistance(path, distanceM) {
+    const { points, cumulativeDistances, lengthM } = path;
+
+    const lap = lengthM > 0 ? distanceM % (2 * lengthM) : 0;
+    const reversed = lap > lengthM;
+    const along = reversed ? 2 * lengthM - lap : lap;
+
+    // Búsqueda binaria del tramo que contiene la distancia
+    let low = 0;
+    let high = cumulativeDistances.length - 1;
+    while (high - low > 1) {
+      const middle = (low + high) >> 1;
+      if (cumulativeDistances[middle] <= along) {
+        low = middle;
+      } else {
+        high = middle;
+      }
+    }
+
+    const segmentLength = cumulativeDistances[high] - cumulativeDistances[low];
+    const fraction = segmentLength > 0 ? (along - cumulativeDistances[low]) / segmentLength : 0;
+    const position = Geo.interpolate(points[low], points[high], fraction);
+    const heading = reversed
+      ? Geo.bearing(points[high], points[low])
+      : Geo.bearing(points[low], points[high]);
+
+    return {
+      lat: parseFloat(position.lat.toFixed(6)),
+      lon: parseFloat(position.lon.toFixed(6)),
+      heading: parseFloat(heading.toFixed(1)),
+      progressPct: lengthM > 0 ? parseFloat((along / lengthM * 100).toFixed(2)) : 0
+    };
+  }
+}
+
+export default RouteGeometryService;
@@ -0,0 +1,376 @@
+// SimulationSessionManager.js
+import { EventEmitter } from 'events';
+import CarDataService from './car-data.service.js';
+import TelemetryStoreService from './telemetry-store.service.js';
+import DrivingBehaviourService from './driving-behaviour.service.js';
+import MaintenanceAnalyticsService from './maintenance-analytics.service.js';
+import DtcCatalogueService from './dtc-catalogue.service.js';
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new  PrismaClient();
+
+class SimulationSessionManager {
+  // Sesiones indexadas por el ID de la simulación en Prisma
+  static sessions = new Map();
+
+  // Tiempo que se conservan en memoria las sesiones finalizadas (para status y recompensas)
+  static FINISHED_SESSION_TTL_MS = 30 * 60 * 1000;
+
+  // Factor máximo de aceleración permitido para sesiones en tiempo real
+  static MAX_SPEED_FACTOR = 600;
+
+  // Duración máxima de una simulación (un punto por segundo simulado); el modo instantáneo genera
+  // todos los puntos de una vez y bloquea el proceso mientras tanto, por eso su límite es menor
+  static MAX_DURATION_MINUTES = 24 * 60;
+  static MAX_INSTANT_DURATION_MINUTES = 4 * 60;
+
+  static getMaxDuration(instant = false) {
+    return instant ? SimulationSessionManager.MAX_INSTANT_DURATION_MINUTES : SimulationSessionManager.MAX_DURATION_MINUTES;
+  }
+
+  /**
+   * Crea el objeto de sesión a partir del estado de simulación
+   * @param {string} simulationId - ID de la simulación en Prisma (clave de la sesión)
+   * @param {Object} options - Opciones de la sesión (ver startSession)
+   * @returns {Object} Sesión sin temporizadores
+   */
+  static createSession(simulationId, options = {}) {
+    const {
+      routeType = 'URBAN',
+      durationMinutes = 5,
+      seed,
+      route = null,
+      speedFactor = 1,
+      userId = null,
+      registeredVehicle = null,
+      persist = true,
+      instant = false
+    } = options;
+
+    if (SimulationSessionManager.sessions.has(simulationId)) {
+      throw new Error(`A session for simulation ${simulationId} already exists`);
+    }
+
+    if (!instant && (!(speedFactor > 0) || speedFactor > SimulationSessionManager.MAX_SPEED_FACTOR)) {
+      throw new Error(`Speed factor must be greater than 0 and at most ${SimulationSessionManager.MAX_SPEED_FACTOR}`);
+    }
+
+    const maxDuration = SimulationSessionManager.getMaxDuration(instant);
+    if (typeof durationMinutes !== 'number' || !Number.isFinite(durationMinutes) || durationMinutes <= 0 || durationMinutes > maxDuration) {
+      throw new Error(`Duration must be a number of minutes greater than 0 and at most ${maxDuration}`);
+    }
+
+    const session = {
+      ...CarDataService.createSimulationState(simulationId, routeType, durationMinutes, seed, route, registeredVehicle),
+      userId,
+      persist,
+      instant,
+      speedFactor: instant ? null : speedFactor,
+      isStreaming: true,
+      emitter: new EventEmitter(),
+      interval: null,
+      cleanupTimeout: null,
+      stoppedAt: null,
+      status: 'RUNNING',
+      summary: null
+    };
+
+    // Cada cliente de streaming añade sus propios listeners
+    session.emitter.setMaxListeners(0);
+
+    return session;
+  }
+
+  /**
+   * Inicia una sesión de simulación aislada que emite puntos en tiempo real (o acelerado)
+   * @param {string} simulationId - ID de la simulación en Prisma (clave de la sesión)
+   * @param {Object} options - Opciones de la sesión
+   * @param {string} options.routeType - Tipo de ruta (URBAN, HIGHWAY, etc.)
+   * @param {number} options.durationMinutes - Duración simulada en minutos
+   * @param {string} options.seed - Semilla para reproducir la simulación (se genera una si se omite)
+   * @param {Object} options.route - Registro SimulationRoute que parametriza el modelo del vehículo
+   * @param {number} options.speedFactor - Aceleración respecto al tiempo real (por defecto: 1, un punto por segundo)
+   * @param {string} options.userId - ID del usuario propietario (opcional)
+   * @param {Object} options.registeredVehicle - Vehículo registrado que se simula: su depósito fija el consumo en litros (opcional)
+   * @param {boolean} options.persist - Si se debe actualizar el registro de Prisma al finalizar (por defecto: true)
+   * @returns {Object} Sesión creada
+   */
+  static startSession(simulationId, options = {}) {
+    const session = SimulationSessionManager.createSession(simulationId, options);
+    const intervalMs = CarDataService.SAMPLE_PERIOD_MS / session.speedFactor;
+
+    console.log(`🚀 SimulationSessionManager.startSession - ${simulationId}: routeType=${session.routeType}, durationMinutes=${session.durationMinutes}, speedFactor=${session.speedFactor}`);
+    console.log(`📌 Session ${simulationId} starting data from index: ${session.currentDataIndex} (seed: ${session.seed})`);
+
+    // Configurar intervalo para emitir datos; la sesión se detiene al completar la duración simulada
+    session.interval = setInterval(() => {
+      if (CarDataService.isSimulationComplete(session)) {
+        console.log(`⏱️ Session ${simulationId} duration (${session.durationMinutes} minutes) reached, stopping...`);
+        SimulationSessionManager.stopSession(simulationId).catch(error => {
+          console.error(`❌ Error auto-stopping session ${simulationId}:`, error);
+        });
+        return;
+      }
+
+      const dataPoint = CarDataService.generateNextDataPoint(session);
+      // El número de secuencia es la posición del punto en la sesión (empezando en 1)
+      session.emitter.emit('data', dataPoint, session.data.length);
+    }, intervalMs);
+
+    // Registrar cada punto en la tabla TelemetryPoint mientras la simulación está en curso
+    if (session.persist) {
+      TelemetryStoreService.startRecording(session);
+    }
+
+    SimulationSessionManager.sessions.set(simulationId, session);
+    console.log(`✅ Session ${simulationId} started. Active sessions: ${SimulationSessionManager.getActiveSessions().length}`);
+
+    return session;
+  }
+
+  /**
+   * Genera de una vez todos los puntos de una simulación y la finaliza
+   * @param {string} simulationId - ID de la simulación en Prisma
+   * @param {Object} options - Opciones de la sesión (ver startSession; speedFactor se ignora)
+   * @returns {Object} Resultado con el resumen de la sesión
+   */
+  static async runInstantSession(simulationId, options = {}) {
+    const session = SimulationSessionManager.createSession(simulationId, { ...options, instant: true });
+
+    console.log(`⚡ SimulationSessionManager.runInstantSession - ${simulationId}: routeType=${session.routeType}, durationMinutes=${session.durationMinutes}`);
+
+    while (!CarDataService.isSimulationComplete(session)) {
+      CarDataService.generateNextDataPoint(session);
+    }
+
+    SimulationSessionManager.sessions.set(simulationId, session);
+
+    try {
+      if (session.persist) {
+        await TelemetryStoreService.storePoints(simulationId, session.data);
+      }
+    } catch (error) {
+      SimulationSessionManager.sessions.delete(simulationId);
+      throw error;
+    }
+
+    return SimulationSessionManager.stopSession(simulationId);
+  }
+
+  /**
+   * Detiene una sesión y persiste su resumen en la base de datos
+   * @param {string} simulationId - ID de la simulación
+   * @param {string} status - Estado final (COMPLETED, CANCELLED, FAILED)
+   * @returns {Object} Resultado con el resumen de la sesión
+   */
+  static async stopSession(simulationId, status = 'COMPLETED') {
+    console.log(`🛑 SimulationSessionManager.stopSession - ${simulationId}`);
+
+    const session = SimulationSessionManager.sessions.get(simulationId);
+
+    if (!session) {
+      return {
+        success: false,
+        message: `No session found for simulation ${simulationId}`,
+        summary: null
+      };
+    }
+
+    if (!session.isStreaming) {
+      return {
+        success: false,
+        message: `Simulation ${simulationId} is not running`,
+        summary: session.summary
+      };
+    }
+
+    // Detener temporizadores y marcar como detenida
+    clearInterval(session.interval);
+    session.interval = null;
+    session.isStreaming = false;
+    session.stoppedAt = new Date();
+    session.status = status;
+
+    // Aunque falle el cálculo o la escritura, los clientes del stream reciben 'end' y la sesión se libera
+    try {
+      // El resumen clasifica los códigos de diagnóstico con el catálogo de la base de datos
+      // (si no responde se resume con el catálogo incluido y la escritura de abajo marcará la sesión como FAILED)
+      if (session.persist) {
+        await DtcCatalogueService.ensureLoaded().catch(error => {
+          console.error('❌ Error loading DTC catalogue from database:', error);
+        });
+      }
+
+      // Calcular estadísticas de la sesión
+      session.summary = CarDataService.generateSimulationSummary(session);
+
+      // Eventos de conducción y puntuación de seguridad respecto a la velocidad máxima de la ruta
+      session.behaviour = DrivingBehaviourService.analyze(session.data, {
+        maxSpeedKmph: session.vehicle?.profile.maxSpeedKmph
+      });
+      session.summary.safetyScore = session.behaviour.safetyScore;
+      console.log(`📊 Session ${simulationId} summary:`, session.summary);
+
+      if (session.persist) {
+        try {
+          await TelemetryStoreService.stopRecording(session);
+          await SimulationSessionManager.persistSession(session);
+        } catch (error) {
+          await SimulationSessionManager.markFailed(session);
+          throw error;
+        }
+      }
+    } finally {
+      session.emitter.emit('end', session.summary);
+      session.emitter.removeAllListeners('data');
+
+      SimulationSessionManager.scheduleCleanup(simulationId);
+    }
+
+    return {
+      success: true,
+      message: 'Simulation stopped successfully',
+      summary: session.summary
+    };
+  }
+
+  /**
+   * Actualiza el registro de la simulación con el resumen de la sesión
+   * @param {Object} session - Sesión finalizada
+   */
+  static async persistSession(session) {
+    const { summary } = session;
+
+    await prisma.simulation.update({
+      where: { id: session.id },
+      data: {
+        status: session.status,
+        endedAt: session.stoppedAt,
+        durationMinutes: summary.durationMinutes,
+        distanceKm: summary.distanceKm,
+        avgSpeedKmph: summary.averageSpeedKmph,
+        maxSpeedKmph: summary.maxSpeedKmph,
+        efficiencyScore: summary.efficiencyScore,
+        dataPointsCount: summary.dataPointsCollected,
+        speedFactor: session.speedFactor,
+        instant: session.instant,
+        rawData: session.data.slice(0, 20), // Guardar solo algunos puntos de muestra
+        diagnosticIssues: summary.diagnosticIssues,
+        tripMetrics: summary.tripMetrics,
+        fuelUsedLitres: summary.fuelConsumption?.fuelUsedLitres ?? null,
+        healthMetrics: MaintenanceAnalyticsService.computeHealthMetrics(session.data),
+        dataQualityScore: summary.dataQuality?.qualityScore ?? null,
+        dataQuality: summary.dataQuality ?? null
+      }
+    });
+    console.log(`✅ Simulation ${session.id} updated in database`);
+
+    await DrivingBehaviourService.storeAnalysis(session.id, session.behaviour);
+
+    if (session.registeredVehicle && session.status === 'COMPLETED') {
+      await MaintenanceAnalyticsService.refreshAfterTrip(session.registeredVehicle.id);
+    }
+  }
+
+  /**
+   * Marca como FAILED una sesión cuyo resumen no se pudo guardar
+   * Solo se intenta actualizar el estado: si la base de datos sigue fallando se registra el error
+   * @param {Object} session - Sesión detenida
+   */
+  static async markFailed(session) {
+    session.status = 'FAILED';
+
+    try {
+      await prisma.simulation.update({
+        where: { id: session.id },
+        data: { status: 'FAILED', endedAt: session.stoppedAt }
+      });
+    } catch (error) {
+      console.error(`❌ Error marking simulation ${session.id} as FAILED:`, error);
+    }
+  }
+
+  /**
+   * Programa la eliminación de una sesión finalizada de la memoria
+   * @param {string} simulationId - ID de la simulación
+   */
+  static scheduleCleanup(simulationId) {
+    const session = SimulationSessionManager.sessions.get(simulationId);
+    if (!session) return;
+
+    clearTimeout(session.cleanupTimeout);
+    session.cleanupTimeout = setTimeout(() => {
+      SimulationSessionManager.sessions.delete(simulationId);
+      console.log(`🧹 Session ${simulationId} removed from memory`);
+    }, SimulationSessionManager.FINISHED_SESSION_TTL_MS);
+
+    // No mantener vivo el proceso solo por la limpieza
+    session.cleanupTimeout.unref?.();
+  }
+
+  /**
+   * Obtiene una sesión por ID
+   * @param {string} simulationId - ID de la simulación
+   * @returns {Object|null} Sesión o null si no existe
+   */
+  static getSession(simulationId) {
+    return SimulationSessionManager.sessions.get(simulationId) || null;
+  }
+
+  /**
+   * Obtiene el estado de una sesión; el último punto pasa por las zonas de privacidad del propietario
+   * @param {string} simulationId - ID de la simulación
+   * @returns {Object|null} Estado de la sesión o null si no existe
+   */
+  static async getSessionStatus(simulationId) {
+    const session = SimulationSessionManager.getSession(simulationId);
+    if (!session) return null;
+
+    const simulationStatus = CarDataService.getSimulationStatus(session, session.isStreaming);
+    const lastData = simulationStatus.lastData
+      ? await TelemetryStoreService.protectPositions(session.userId, [simulationStatus.lastData])
+      : [];
+    return {
+      simulationId,
+      routeType: session.routeType,
+      seed: session.seed,
+      speedFactor: session.speedFactor,
+      instant: session.instant,
+      status: session.status,
+      ...simulationStatus,
+      lastData: lastData[0] || null,
+      stoppedAt: session.stoppedAt
+    };
+  }
+
+  /**
+   * Obtiene las sesiones que siguen emitiendo datos
+   * @returns {Array} Sesiones activas
+   */
+  static getActiveSessions() {
+    return Array.from(SimulationSessionManager.sessions.values()).filter(session => session.isStreaming);
+  }
+
+  /**
+   * Devuelve un objeto de suscripción a los datos de una sesión
+   * El callback recibe (dataPoint, sequence)
+   * @param {string} simulationId - ID de la simulación
+   * @returns {Object|null} Stream de datos para suscripción
+   */
+  static getDataStream(simulationId) {
+    const session = SimulationSessionManager.getSession(simulationId);
+    if (!session) return null;
+
+    return {
+      subscribe: (callback) => {
+        session.emitter.on('data', callback);
+        // Devuelve una función para desuscribirse
+        return () => {
+          session.emitter.off('data', callback);
+        };
+      }
+    };
+  }
+}
+
+export default SimulationSessionManager;
@@ -0,0 +1,276 @@
+// TelemetryQualityService.js
+import Geo from '../utils/geo.js';
+import TripMetricsService from './trip-metrics.service.js';
+
+class TelemetryQualityService {
+  // Rangos físicamente posibles de cada campo; los valores fuera se marcan OUT_OF_RANGE
+  static PLAUSIBLE_RANGES = {
+    speed_kmph: { min: 0, max: 300 },
+    engine_rpm: { min: 0, max: 10000 },
+    engine_temp_c: { min: -40, max: 150 },
+    fuel_level_pct: { min: 0, max: 100 },
+    throttle_pct: { min: 0, max: 100 },
+    engine_load_pct: { min: 0, max: 100 }
+  };
+
+  // Relación velocidad/régimen: ni la marcha más larga de un turismo pasa de ~60 km/h por cada 1000 rpm
+  static MAX_KMPH_PER_1000_RPM = 70;
+  static MIN_SPEED_FOR_RPM_CHECK_KMPH = 30;
+  // Vehículo en marcha con el motor parado (solo en vehículos de combustión)
+  static ENGINE_OFF_MAX_SPEED_KMPH = 10;
+  static NO_ENGINE_FUEL_TYPES = ['ELECTRIC', 'HYBRID'];
+
+  // Límites de variación entre muestras consecutivas
+  static MAX_ACCELERATION_MS2 = 12; // Más de 1,2 g no lo alcanza ningún vehículo de calle
+  static MAX_TEMP_RATE_C_PER_S = 1;
+  static TEMP_NOISE_C = 2;
+  static MAX_FUEL_DROP_PCT_PER_MIN = 3;
+  static FUEL_NOISE_PCT = 2; // El sensor de nivel oscila con el movimiento del combustible
+  static MOVING_SPEED_KMPH = 5; // Por debajo se admite que el nivel suba (repostaje)
+
+  // Puntuación z de la variación por segundo de cada campo respecto a la del propio viaje
+  static Z_SCORE_FIELDS = {
+    speed_kmph: { minStd: 2 },
+    engine_rpm: { minStd: 300 },
+    engine_temp_c: { minStd: 0.5 },
+    fuel_level_pct: { minStd: 0.05 }
+  };
+  static Z_SCORE_THRESHOLD = 8;
+  static Z_SCORE_MIN_SAMPLES = 30;
+
+  // Peso de cada indicador en la puntuación de calidad; un punto cuenta con el de su peor indicador
+  static FLAG_WEIGHTS = {
+    OUT_OF_RANGE: 1,
+    SPEED_RPM_MISMATCH: 1,
+    GPS_JUMP: 1,
+    NON_MONOTONIC_TIMESTAMP: 1,
+    SPEED_JUMP: 0.8,
+    FUEL_LEVEL_JUMP: 0.5,
+    ENGINE_TEMP_JUMP: 0.5,
+    STATISTICAL_OUTLIER: 0.3
+  };
+
+  // Con un 20% de puntos incorrectos la puntuación llega a 0
+  static SCORE_SENSITIVITY = 5;
+
+  /**
+   * Estado del análisis de un flujo de puntos (una sesión o un viaje subido)
+   * @param {Object} options - Opciones
+   * @param {string} options.fuelType - Combustible del vehículo registrado (los eléctricos e híbridos no tienen régimen fijo)
+   * @returns {Object} Estado para assessPoint
+   */
+  static createState(options = {}) {
+    return {
+      fuelType: options.fuelType || null,
+      previous: null,
+      rateStats: Object.fromEntries(Object.keys(TelemetryQualityService.Z_SCORE_FIELDS)
+        .map(field => [field, { count: 0, mean: 0, m2: 0 }]))
+    };
+  }
+
+  /**
+   * Analiza un punto respecto al anterior y lo etiqueta con sus indicadores de calidad (quality_flags)
+   * @param {Object} state - Estado creado con createState
+   * @param {Object} point - Punto de datos (se modifica)
+   * @returns {Array} Indicadores del punto
+   */
+  static assessPoint(state, point) {
+    const flags = new Set();
+    const value = field => TelemetryQualityService.toNumber(point[field]);
+
+    Object.entries(TelemetryQualityService.PLAUSIBLE_RANGES).forEach(([field, { min, max }]) => {
+      const fieldValue = value(field);
+      if (fieldValue !== null && (fieldValue < min || fieldValue > max)) flags.add('OUT_OF_RANGE');
+    });
+
+    const speed = value('speed_kmph');
+    const rpm = value('engine_rpm');
+    if (speed !== null && rpm !== null && !TelemetryQualityService.NO_ENGINE_FUEL_TYPES.includes(state.fuelType)) {
+      const engineOff = rpm === 0 && speed > TelemetryQualityService.ENGINE_OFF_MAX_SPEED_KMPH;
+      const gearingTooLong = rpm > 0 && speed >= TelemetryQualityService.MIN_SPEED_FOR_RPM_CHECK_KMPH
+        && speed / (rpm / 1000) > TelemetryQualityService.MAX_KMPH_PER_1000_RPM;
+      if (engineOff || gearingTooLong) flags.add('SPEED_RPM_MISMATCH');
+    }
+
+    const previous = state.previous;
+    if (previous) {
+      const dtSeconds = (new Date(point.timestamp) - new Date(previous.timestamp)) / 1000;
+
+      if (!Number.isFinite(dtSeconds) || dtSeconds <= 0) {
+        flags.add('NON_MONOTONIC_TIMESTAMP');
+      } else {
+        TelemetryQualityService.checkRates(previous, point, dtSeconds).forEach(flag => flags.add(flag));
+
+        if (TelemetryQualityService.isStatisticalOutlier(state, previous, point, dtSeconds, flags.size > 0)) {
+          flags.add('STATISTICAL_OUTLIER');
+        }
+      }
+    }
+
+    point.quality_flags = Array.from(flags);
+    state.previous = point;
+    return point.quality_flags;
+  }
+
+  /**
+   * Límites físicos de variación entre dos puntos consecutivos
+   * @param {Object} previous - Punto anterior
+   * @param {Object} point - Punto actual
+   * @param {number} dtSeconds - Tiempo entre ambos
+   * @returns {Array} Indicadores
+   */
+  static checkRates(previous, point, dtSeconds) {
+    const flags = [];
+    const delta = field => {
+      const before = TelemetryQualityService.toNumber(previous[field]);
+      const after = TelemetryQualityService.toNumber(point[field]);
+      return before === null || after === null ? null : after - before;
+    };
+
+    const speedDelta = delta('speed_kmph');
+    if (speedDelta !== null && Math.abs(speedDelta) / 3.6 / dtSeconds > TelemetryQualityService.MAX_ACCELERATION_MS2) {
+      flags.push('SPEED_JUMP');
+    }
+
+    // El nivel solo sube al repostar, con el vehículo parado, y no baja más deprisa de lo que se puede consumir
+    const fuelDelta = delta('fuel_level_pct');
+    if (fuelDelta !== null) {
+      const moving = Math.max(TelemetryQualityService.toNumber(previous.speed_kmph) || 0, TelemetryQualityService.toNumber(point.speed_kmph) || 0)
+        > TelemetryQualityService.MOVING_SPEED_KMPH;
+      const maxDrop = TelemetryQualityService.FUEL_NOISE_PCT + TelemetryQualityService.MAX_FUEL_DROP_PCT_PER_MIN * dtSeconds / 60;
+      if ((moving && fuelDelta > TelemetryQualityService.FUEL_NOISE_PCT) || -fuelDelta > maxDrop) {
+        flags.push('FUEL_LEVEL_JUMP');
+      }
+    }
+
+    const tempDelta = delta('engine_temp_c');
+    if (tempDelta !== null
+      && Math.abs(tempDelta) > TelemetryQualityService.TEMP_NOISE_C + TelemetryQualityService.MAX_TEMP_RATE_C_PER_S * dtSeconds) {
+      flags.push('ENGINE_TEMP_JUMP');
+    }
+
+    // Saltos de posición (mismo criterio que las métricas del viaje)
+    if (TripMetricsService.hasPosition(previous) && TripMetricsService.hasPosition(point)) {
+      const meters = Geo.haversineDistance(
+        { lat: parseFloat(previous.lat), lon: parseFloat(previous.lon) },
+        { lat: parseFloat(point.lat), lon: parseFloat(point.lon) }
+      );
+      if (meters / dtSeconds * 3.6 > TripMetricsService.MAX_PLAUSIBLE_SPEED_KMPH) {
+        flags.push('GPS_JUMP');
+      }
+    }
+
+    return flags;
+  }
+
+  /**
+   * Compara la variación por segundo de cada campo con la media y desviación de las anteriores del viaje
+   * Las variaciones de puntos ya marcados no se acumulan para no contaminar la referencia
+   * @param {Object} state - Estado del análisis
+   * @param {Object} previous - Punto anterior
+   * @param {Object} point - Punto actual
+   * @param {number} dtSeconds - Tiempo entre ambos
+   * @param {boolean} alreadyFlagged - Si el punto ya tiene otros indicadores
+   * @returns {boolean} true si alguna variación es atípica
+   */
+  static isStatisticalOutlier(state, previous, point, dtSeconds, alreadyFlagged) {
+    const rates = [];
+    let outlier = false;
+
+    Object.entries(TelemetryQualityService.Z_SCORE_FIELDS).forEach(([field, { minStd }]) => {
+      const before = TelemetryQualityService.toNumber(previous[field]);
+      const after = TelemetryQualityService.toNumber(point[field]);
+      if (before === null || after === null) return;
+
+      const rate = (after - before) / dtSeconds;
+      const stats = state.rateStats[field];
+
+      if (stats.count >= TelemetryQualityService.Z_SCORE_MIN_SAMPLES) {
+        const std = Math.max(Math.sqrt(stats.m2 / (stats.count - 1)), minStd);
+        if (Math.abs(rate - stats.mean) / std > TelemetryQualityService.Z_SCORE_THRESHOLD) outlier = true;
+      }
+      rates.push([stats, rate]);
+    });
+
+    // Media y varianza incrementales (Welford)
+    if (!outlier && !alreadyFlagged) {
+      rates.forEach(([stats, rate]) => {
+        stats.count++;
+        const delta = rate - stats.mean;
+        stats.mean += delta / stats.count;
+        stats.m2 += delta * (rate - stats.mean);
+      });
+    }
+
+    return outlier;
+  }
+
+  /**
+   * Etiqueta en orden todos los puntos de un viaje
+   * @param {Array} dataPoints - Puntos de datos ordenados (se modifican)
+   * @param {Object} options - Opciones (ver createState)
+   * @returns {Object} Resumen de calidad (ver summarize)
+   */
+  static assessPoints(dataPoints, options = {}) {
+    const state = TelemetryQualityService.createState(options);
+    dataPoints.forEach(point => TelemetryQualityService.assessPoint(state, point));
+    return TelemetryQualityService.summarize(dataPoints);
+  }
+
+  /**
+   * Resumen de calidad de puntos ya etiquetados
+   * @param {Array} dataPoints - Puntos con quality_flags
+   * @returns {Object} { qualityScore, pointsAssessed, flaggedPoints, flaggedPct, flagCounts }
+   */
+  static summarize(dataPoints) {
+    const flagCounts = {};
+    let flaggedPoints = 0;
+    let penalty = 0;
+
+    dataPoints.forEach(point => {
+      const flags = Array.isArray(point.quality_flags) ? point.quality_flags : [];
+      if (flags.length === 0) return;
+
+      flaggedPoints++;
+      flags.forEach(flag => {
+        flagCounts[flag] = (flagCounts[flag] || 0) + 1;
+      });
+      penalty += Math.max(...flags.map(flag => TelemetryQualityService.FLAG_WEIGHTS[flag] ?? 1));
+    });
+
+    const total = dataPoints.length;
+    const qualityScore = total > 0
+      ? Math.round(100 * Math.max(0, 1 - TelemetryQualityService.SCORE_SENSITIVITY * penalty / total))
+      : 0;
+
+    return {
+      qualityScore,
+      pointsAssessed: total,
+      flaggedPoints,
+      flaggedPct: total > 0 ? parseFloat((flaggedPoints / total * 100).toFixed(2)) : 0,
+      flagCounts
+    };
+  }
+
+  /**
+   * Calidad de un conjunto de puntos; los que no pasaron por el análisis (p. ej. recibidos en una petición
+   * o almacenados antes de existir) se analizan sobre una copia
+   * @param {Array} dataPoints - Puntos de datos ordenados
+   * @param {Object} options - Opciones (ver createState)
+   * @returns {Object} Resumen de calidad (ver summarize)
+   */
+  static evaluate(dataPoints, options = {}) {
+    if (dataPoints.every(point => Array.isArray(point?.quality_flags))) {
+      return TelemetryQualityService.summarize(dataPoints);
+    }
+    return TelemetryQualityService.assessPoints(dataPoints.map(point => ({ ...point })), options);
+  }
+
+  static toNumber(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+  }
+}
+
+export default TelemetryQualityService;
@@ -0,0 +1,295 @@
+// TelemetryStoreService.js
+import PrivacyZoneService from './privacy-zone.service.js';
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new  PrismaClient();
+
+class TelemetryStoreService {
+  // Número de puntos acumulados que dispara una escritura
+  static BATCH_SIZE = 50;
+
+  // Intervalo máximo entre escrituras mientras la simulación está en curso
+  static FLUSH_INTERVAL_MS = 5000;
+
+  // Límite de puntos pendientes si la base de datos no está disponible
+  static MAX_PENDING_POINTS = 10000;
+
+  static DEFAULT_PAGE_SIZE = 500;
+  static MAX_PAGE_SIZE = 5000;
+
+  /**
+   * Empieza a registrar los puntos de una sesión en la tabla TelemetryPoint
+   * @param {Object} session - Sesión de simulación
+   */
+  static startRecording(session) {
+    session.telemetry = {
+      pending: [],
+      flushing: null,
+      flushInterval: setInterval(() => {
+        TelemetryStoreService.flush(session).catch(error => {
+          console.error(`❌ Error flushing telemetry for simulation ${session.id}:`, error);
+        });
+      }, TelemetryStoreService.FLUSH_INTERVAL_MS)
+    };
+
+    session.telemetry.onData = (dataPoint, sequence) => {
+      TelemetryStoreService.recordPoint(session, dataPoint, sequence);
+    };
+    session.emitter.on('data', session.telemetry.onData);
+  }
+
+  /**
+   * Deja de registrar puntos y escribe los pendientes
+   * @param {Object} session - Sesión de simulación
+   */
+  static async stopRecording(session) {
+    if (!session.telemetry) return;
+
+    clearInterval(session.telemetry.flushInterval);
+    session.emitter.off('data', session.telemetry.onData);
+
+    await TelemetryStoreService.flush(session);
+  }
+
+  /**
+   * Añade un punto a la cola de escritura de la sesión
+   * @param {Object} session - Sesión de simulación
+   * @param {Object} dataPoint - Punto de datos
+   * @param {number} sequence - Número de secuencia del punto
+   */
+  static recordPoint(session, dataPoint, sequence) {
+    const { telemetry } = session;
+
+    telemetry.pending.push({
+      simulationId: session.id,
+      sequence,
+      timestamp: new Date(dataPoint.timestamp),
+      data: dataPoint
+    });
+
+    // Evitar crecer sin límite si las escrituras fallan de forma continuada
+    if (telemetry.pending.length > TelemetryStoreService.MAX_PENDING_POINTS) {
+      telemetry.pending.splice(0, telemetry.pending.length - TelemetryStoreService.MAX_PENDING_POINTS);
+      console.warn(`⚠️ Telemetry buffer for simulation ${session.id} is full, dropping oldest points`);
+    }
+
+    if (telemetry.pending.length >= TelemetryStoreService.BATCH_SIZE && !telemetry.flushing) {
+      TelemetryStoreService.flush(session).catch(error => {
+        console.error(`❌ Error flushing telemetry for simulation ${session.id}:`, error);
+      });
+    }
+  }
+
+  /**
+   * Escribe en lote los puntos pendientes de una sesión
+   * Si la escritura falla los puntos vuelven a la cola para el siguiente intento
+   * @param {Object} session - Sesión de simulación
+   */
+  static async flush(session) {
+    const { telemetry } = session;
+    if (!telemetry) return;
+
+    // Esperar a la escritura en curso para no desordenar los lotes
+    if (telemetry.flushing) {
+      await telemetry.flushing;
+    }
+
+    if (telemetry.pending.length === 0) return;
+
+    const batch = telemetry.pending.splice(0, telemetry.pending.length);
+
+    telemetry.flushing = prisma.telemetryPoint.createMany({
+      data: batch,
+      skipDuplicates: true
+    })
+      .then(() => {
+        console.log(`💾 Stored ${batch.length} telemetry points for simulation ${session.id}`);
+      })
+      .catch(error => {
+        telemetry.pending.unshift(...batch);
+        throw error;
+      })
+      .finally(() => {
+        telemetry.flushing = null;
+      });
+
+    await telemetry.flushing;
+  }
+
+  /**
+   * Escribe de una vez un conjunto de puntos ya generados
+   * @param {string} simulationId - ID de la simulación
+   * @param {Array} dataPoints - Puntos de datos en orden
+   */
+  static async storePoints(simulationId, dataPoints) {
+    for (let i = 0; i < dataPoints.length; i += TelemetryStoreService.MAX_PAGE_SIZE) {
+      const chunk = dataPoints.slice(i, i + TelemetryStoreService.MAX_PAGE_SIZE);
+      await prisma.telemetryPoint.createMany({
+        data: chunk.map((dataPoint, index) => ({
+          simulationId,
+          sequence: i + index + 1,
+          timestamp: new Date(dataPoint.timestamp),
+          data: dataPoint
+        })),
+        skipDuplicates: true
+      });
+    }
+    console.log(`💾 Stored ${dataPoints.length} telemetry points for simulation ${simulationId}`);
+  }
+
+  /**
+   * Consulta la telemetría almacenada de una simulación
+   * @param {string} simulationId - ID de la simulación
+   * @param {Object} options - Opciones de consulta
+   * @param {Date} options.from - Inicio del rango de tiempo (inclusive)
+   * @param {Date} options.to - Fin del rango de tiempo (inclusive)
+   * @param {Array} options.fields - Campos a devolver de cada punto (todos si se omite)
+   * @param {number} options.cursor - Número de secuencia a partir del cual continuar
+   * @param {number} options.limit - Tamaño de página
+   * @param {boolean} options.raw - Sin aplicar las zonas de privacidad del propietario (solo para análisis internos)
+   * @returns {Object} Puntos y cursor de la siguiente página
+   */
+  static async queryTelemetry(simulationId, options = {}) {
+    const { from, to, fields, cursor, raw = false } = options;
+    const limit = Math.min(
+      Math.max(Number(options.limit) || TelemetryStoreService.DEFAULT_PAGE_SIZE, 1),
+      TelemetryStoreService.MAX_PAGE_SIZE
+    );
+
+    const where = { simulationId };
+
+    if (from || to) {
+      where.timestamp = {};
+      if (from) where.timestamp.gte = from;
+      if (to) where.timestamp.lte = to;
+    }
+
+    if (cursor) {
+      where.sequence = { gt: Number(cursor) };
+    }
+
+    // Pedir un punto extra para saber si hay más páginas
+    const rows = await prisma.telemetryPoint.findMany({
+      where,
+      orderBy: { sequence: 'asc' },
+      take: limit + 1
+    });
+
+    const hasMore = rows.length > limit;
+    const page = hasMore ? rows.slice(0, limit) : rows;
+
+    // Las zonas se aplican antes de proyectar: un punto suprimido no sale aunque no se pidan lat/lon
+    const zones = raw ? [] : await PrivacyZoneService.getSimulationZones(simulationId);
+    const points = PrivacyZoneService.protectPoints(
+      page.map(row => ({ sequence: row.sequence, ...row.data })),
+      zones
+    ).map(({ sequence, ...dataPoint }) => ({
+      sequence,
+      ...TelemetryStoreService.projectFields(dataPoint, fields)
+    }));
+
+    return {
+      points,
+      nextCursor: hasMore ? page[page.length - 1].sequence : null,
+      hasMore
+    };
+  }
+
+  /**
+   * Obtiene todos los puntos almacenados de una simulación en orden
+   * @param {string} simulationId - ID de la simulación
+   * @param {Object} options - Opciones
+   * @param {boolean} options.raw - Sin aplicar las zonas de privacidad (ver queryTelemetry)
+   * @returns {Array} Puntos de datos
+   */
+  static async getAllPoints(simulationId, options = {}) {
+    const points = [];
+    let cursor = null;
+
+    do {
+      const page = await TelemetryStoreService.queryTelemetry(simulationId, {
+        cursor,
+        limit: TelemetryStoreService.MAX_PAGE_SIZE,
+        raw: options.raw
+      });
+      page.points.forEach(({ sequence, ...dataPoint }) => points.push(dataPoint));
+      cursor = page.nextCursor;
+    } while (cursor);
+
+    return points;
+  }
+
+  /**
+   * Posiciones derivadas de la telemetría de un usuario (eventos, paradas, muestras, último punto)
+   * tal como se devuelven: las que caen en sus zonas de privacidad se suprimen o se ajustan
+   * @param {string} userId - Propietario de la telemetría
+   * @param {Array} items - Objetos con lat/lon
+   * @param {Object} options - Opciones de PrivacyZoneService.protectPoints
+   * @returns {Array} Copia protegida
+   */
+  static async protectPositions(userId, items, options = {}) {
+    return PrivacyZoneService.protectPoints(items, await PrivacyZoneService.getUserZones(userId), options);
+  }
+
+  /**
+   * Consulta de registros Simulation para devolverlos a los clientes
+   * Todas las respuestas con registros Simulation pasan por aquí (o por serializeSimulation)
+   * para que rawData, las primeras muestras del viaje, respete las zonas de privacidad del propietario
+   * @param {Object} args - Argumentos de prisma.simulation.findMany
+   * @param {Object} options - Opciones de serializeSimulation
+   * @returns {Array} Simulaciones serializadas
+   */
+  static async findSimulations(args, options = {}) {
+    const simulations = await prisma.simulation.findMany(args);
+    return Promise.all(simulations.map(simulation => TelemetryStoreService.serializeSimulation(simulation, options)));
+  }
+
+  static async findSimulation(args, options = {}) {
+    const simulation = await prisma.simulation.findUnique(args);
+    return TelemetryStoreService.serializeSimulation(simulation, options);
+  }
+
+  /**
+   * Registro Simulation tal como se devuelve a los clientes
+   * @param {Object} simulation - Registro Simulation
+   * @param {Object} options - Opciones
+   * @param {boolean} options.samples - Incluir rawData (false: se omite)
+   * @returns {Object} Simulación con rawData protegido u omitido
+   */
+  static async serializeSimulation(simulation, options = {}) {
+    if (!simulation || simulation.rawData === undefined) return simulation;
+
+    // Sin propietario no se pueden aplicar sus zonas: las muestras no se devuelven
+    if (options.samples === false || !simulation.userId) {
+      const { rawData, ...serialized } = simulation;
+      return serialized;
+    }
+    return PrivacyZoneService.protectSimulation(simulation);
+  }
+
+  /**
+   * Devuelve solo los campos solicitados de un punto de datos
+   * @param {Object} dataPoint - Punto de datos
+   * @param {Array} fields - Campos a conservar
+   * @returns {Object} Punto proyectado
+   */
+  static projectFields(dataPoint, fields) {
+    if (!fields || fields.length === 0) {
+      return dataPoint;
+    }
+
+    const projected = {};
+    fields.forEach(field => {
+      if (dataPoint[field] !== undefined) {
+        projected[field] = dataPoint[field];
+      }
+    });
+
+    // El timestamp siempre se incluye para poder ordenar la serie
+    projected.timestamp = dataPoint.timestamp;
+
+    return projected;
+  }
+}
+
+export default TelemetryStoreService;
@@ -0,0 +1,237 @@
+// TelemetryStreamService.js
+import { WebSocketServer } from 'ws';
+import SimulationSessionManager from './simulation-session-manager.service.js';
+import PrivacyZoneService from './privacy-zone.service.js';
+
+class TelemetryStreamService {
+  // Intervalo de heartbeat para mantener viva la conexión (proxies, balanceadores)
+  static HEARTBEAT_INTERVAL_MS = 15000;
+
+  // Máximo de puntos en cola por cliente lento antes de descartar los más antiguos
+  static MAX_BUFFERED_POINTS = 500;
+
+  // Bytes pendientes en el socket a partir de los cuales se considera que el cliente está saturado
+  static WS_HIGH_WATER_MARK = 1024 * 1024;
+
+  // Ruta de streaming: /api/simulations/:simulationId/stream
+  static STREAM_PATH_REGEX = /^\/api\/simulations\/([^/]+)\/stream\/?$/;
+
+  static webSocketServer = null;
+
+  /**
+   * Conecta un transporte (SSE o WebSocket) a una sesión de simulación
+   * Reenvía los puntos pendientes desde lastEventId, gestiona la contrapresión
+   * y envía heartbeats hasta que la sesión termina o el cliente se desconecta
+   * Los puntos pasan por las zonas de privacidad del propietario (deben estar cargadas, ver PrivacyZoneService.getUserZones)
+   * @param {Object} session - Sesión de simulación
+   * @param {number} lastEventId - Último número de secuencia recibido por el cliente (0 para empezar desde el principio)
+   * @param {Object} transport - Transporte del cliente
+   * @param {Function} transport.send - (event, id, data) => boolean, false si el cliente está saturado
+   * @param {Function} transport.onDrain - Registra un callback para cuando el cliente vuelve a aceptar datos
+   * @param {Function} transport.heartbeat - Envía un heartbeat
+   * @param {Function} transport.close - Cierra la conexión
+   * @returns {Function} Función para liberar la suscripción
+   */
+  static pipeSession(session, lastEventId, transport) {
+    const queue = [];
+    let congested = false;
+    let droppedPoints = 0;
+    let closed = false;
+
+    const flush = () => {
+      congested = false;
+
+      while (queue.length > 0 && !congested) {
+        const { id, dataPoint } = queue.shift();
+        congested = !transport.send('telemetry', id, dataPoint);
+      }
+
+      if (congested) {
+        transport.onDrain(flush);
+      }
+    };
+
+    const enqueue = (dataPoint, sequence) => {
+      if (closed) return;
+
+      // Se consultan las zonas en cada punto para aplicar los cambios hechos con el stream abierto
+      const protectedPoint = PrivacyZoneService.protectPoint(dataPoint, PrivacyZoneService.getCachedZones(session.userId));
+      if (!protectedPoint) return;
+
+      queue.push({ id: sequence, dataPoint: protectedPoint });
+
+      // Descartar los puntos más antiguos si el cliente no consume a tiempo
+      if (queue.length > TelemetryStreamService.MAX_BUFFERED_POINTS) {
+        queue.shift();
+        droppedPoints++;
+
+        if (droppedPoints % 100 === 1) {
+          console.warn(`⚠️ Slow stream client on simulation ${session.id}, dropped ${droppedPoints} points`);
+        }
+      }
+
+      if (!congested) {
+        flush();
+      }
+    };
+
+    // Reenviar los puntos que el cliente todavía no ha recibido
+    const startIndex = Math.max(0, Math.min(Number(lastEventId) || 0, session.data.length));
+    session.data.slice(startIndex).forEach((dataPoint, index) => {
+      enqueue(dataPoint, startIndex + index + 1);
+    });
+
+    const release = () => {
+      if (closed) return;
+      closed = true;
+      clearInterval(heartbeatInterval);
+      session.emitter.off('data', enqueue);
+      session.emitter.off('end', onEnd);
+    };
+
+    const onEnd = (summary) => {
+      // Enviar lo que quede en cola antes del evento final
+      queue.forEach(({ id, dataPoint }) => transport.send('telemetry', id, dataPoint));
+      queue.length = 0;
+      transport.send('end', session.data.length, { simulationId: session.id, droppedPoints, summary });
+      release();
+      transport.close();
+    };
+
+    const heartbeatInterval = setInterval(() => {
+      transport.heartbeat();
+    }, TelemetryStreamService.HEARTBEAT_INTERVAL_MS);
+
+    // Si la sesión ya terminó, solo se reenvía el histórico y se cierra
+    if (!session.isStreaming) {
+      onEnd(session.summary);
+      return release;
+    }
+
+    session.emitter.on('data', enqueue);
+    session.emitter.once('end', onEnd);
+
+    return release;
+  }
+
+  /**
+   * Abre un stream Server-Sent Events sobre una respuesta HTTP
+   * @param {Object} req - Request de Express
+   * @param {Object} res - Response de Express
+   * @param {Object} session - Sesión de simulación
+   * @param {number} lastEventId - Último número de secuencia recibido por el cliente
+   */
+  static async openEventStream(req, res, session, lastEventId = 0) {
+    await PrivacyZoneService.getUserZones(session.userId);
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+
+    // Tiempo de reconexión sugerido al cliente
+    res.write(`retry: 3000\n\n`);
+
+    const release = TelemetryStreamService.pipeSession(session, lastEventId, {
+      send: (event, id, data) => res.write(`id: ${id}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`),
+      onDrain: (callback) => res.once('drain', callback),
+      heartbeat: () => res.write(`: heartbeat ${Date.now()}\n\n`),
+      close: () => res.end()
+    });
+
+    req.on('close', () => {
+      console.log(`🔌 SSE client disconnected from simulation ${session.id}`);
+      release();
+    });
+  }
+
+  /**
+   * Inicia el servidor WebSocket equivalente al endpoint SSE
+   * Los clientes se conectan a ws://host:port/api/simulations/:simulationId/stream?lastEventId=N
+   * @param {Object} options - Opciones para WebSocketServer (port o server)
+   * @returns {WebSocketServer} Servidor WebSocket
+   */
+  static startWebSocketServer(options = {}) {
+    if (TelemetryStreamService.webSocketServer) {
+      return TelemetryStreamService.webSocketServer;
+    }
+
+    const wss = new WebSocketServer(options);
+
+    wss.on('connection', async (ws, req) => {
+      const url = new URL(req.url, 'http://localhost');
+      const match = url.pathname.match(TelemetryStreamService.STREAM_PATH_REGEX);
+
+      if (!match) {
+        ws.close(1008, 'Unknown stream path');
+        return;
+      }
+
+      const simulationId = decodeURIComponent(match[1]);
+      const session = SimulationSessionManager.getSession(simulationId);
+
+      if (!session) {
+        ws.close(1008, `No session found for simulation ${simulationId}`);
+        return;
+      }
+
+      try {
+        await PrivacyZoneService.getUserZones(session.userId);
+      } catch (error) {
+        console.error(`❌ Error loading privacy zones for simulation ${simulationId}:`, error);
+        ws.close(1011, 'Failed to load privacy zones');
+        return;
+      }
+
+      console.log(`🔌 WebSocket client connected to simulation ${simulationId}`);
+
+      let isAlive = true;
+      ws.on('pong', () => {
+        isAlive = true;
+      });
+
+      const lastEventId = url.searchParams.get('lastEventId') || req.headers['last-event-id'] || 0;
+
+      const release = TelemetryStreamService.pipeSession(session, lastEventId, {
+        send: (event, id, data) => {
+          if (ws.readyState !== ws.OPEN) return true;
+          ws.send(JSON.stringify({ event, id, data }));
+          return ws.bufferedAmount < TelemetryStreamService.WS_HIGH_WATER_MARK;
+        },
+        onDrain: (callback) => {
+          // ws no emite 'drain'; se comprueba el buffer periódicamente
+          const check = setInterval(() => {
+            if (ws.readyState !== ws.OPEN || ws.bufferedAmount < TelemetryStreamService.WS_HIGH_WATER_MARK) {
+              clearInterval(check);
+              if (ws.readyState === ws.OPEN) callback();
+            }
+          }, 50);
+        },
+        heartbeat: () => {
+          if (!isAlive) {
+            console.log(`💀 WebSocket client on simulation ${simulationId} missed heartbeat, terminating`);
+            ws.terminate();
+            return;
+          }
+          isAlive = false;
+          ws.ping();
+        },
+        close: () => ws.close(1000, 'Simulation ended')
+      });
+
+      ws.on('close', () => {
+        console.log(`🔌 WebSocket client disconnected from simulation ${simulationId}`);
+        release();
+      });
+    });
+
+    TelemetryStreamService.webSocketServer = wss;
+    console.log('✅ Telemetry WebSocket server started');
+
+    return wss;
+  }
+}
+
+export default TelemetryStreamService;
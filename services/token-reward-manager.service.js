@@ -158,6 +158,30 @@ class TokenRewardManager {
         }
       });
 
+      return await TokenRewardManager.mintReward(reward, recipientAddress, keypairPath);
+    } catch (error) {
+      console.error('❌ Error acuñando tokens:', error);
+      return {
+        success: false,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      };
+    }
+  }
+
+  /**
+   * Acuña los tokens de una recompensa ya registrada (p. ej. la de una reclamación por simulación)
+   * Solo se acuña la parte no bloqueada; la bloqueada se libera según su VestingSchedule
+   * @param {Object} reward - Registro Reward en estado PENDING
+   * @param {string} recipientAddress - Dirección de la wallet que recibirá los tokens
+   * @param {string} keypairPath - Ruta al archivo con la clave privada de la autoridad de mint
+   * @returns {Object} Información de la transacción
+   */
+  static async mintReward(reward, recipientAddress, keypairPath = './wallet/devnet-wallet.json') {
+    try {
+      await TokenRewardManager.ensureInitialized();
+      const amount = parseFloat((reward.amount - (reward.lockedAmount || 0)).toFixed(6));
+
       // Cargar keypair de la autoridad de mint
       const mintAuthorityKeypair = TokenRewardManager.loadWalletKeypair(keypairPath);
       const mintAuthority = mintAuthorityKeypair.publicKey.toString();
@@ -231,6 +255,13 @@ class TokenRewardManager {
           transaction.serialize()
         );
 
+        // Guardar la firma antes de confirmar: si la confirmación falla la transacción puede haberse
+        // ejecutado igualmente y la recompensa no debe volver a acuñarse
+        await prisma.reward.update({
+          where: { id: reward.id },
+          data: { transactionHash: signature }
+        });
+
         // Esperar confirmación
         console.log(`⏳ Esperando confirmación para la transacción ${signature}...`);
         const confirmation = await TokenRewardManager.SOLANA_CONNECTION.confirmTransaction(signature);
@@ -287,6 +318,7 @@ class TokenRewardManager {
       console.error('❌ Error acuñando tokens:', error);
       return {
         success: false,
+        rewardId: reward.id,
         error: error.message,
         timestamp: new Date().toISOString()
       };
@@ -504,55 +536,9 @@ class TokenRewardManager {
         }
       });
 
-      const fromPublicKey = new PublicKey(fromAddress);
-      const toPublicKey = new PublicKey(toAddress);
-      const mintPublicKey = new PublicKey(TokenRewardManager.TOKEN_MINT_ADDRESS);
-
-      // Obtener las direcciones de las cuentas asociadas
-      const fromTokenAddress = await getAssociatedTokenAddress(mintPublicKey, fromPublicKey);
-      const toTokenAddress = await getAssociatedTokenAddress(mintPublicKey, toPublicKey);
-
-      // Ajustar la cantidad según los decimales
-      const adjustedAmount = Math.round(amount * Math.pow(10, TokenRewardManager.TOKEN_DECIMALS));
-
-      // Crear transacción
-      const transaction = new Transaction();
-
-      // Verificar si la cuenta del destinatario existe
-      const toTokenAccountInfo = await TokenRewardManager.SOLANA_CONNECTION.getAccountInfo(toTokenAddress);
-
-      // Si la cuenta no existe, añadir instrucción para crearla
-      if (!toTokenAccountInfo) {
-        console.log(`🔄 Cuenta de token del destinatario no encontrada. Creando una nueva...`);
-        const createToTokenAccountInstruction = createAssociatedTokenAccountInstruction(
-          fromPublicKey,
-          toTokenAddress,
-          toPublicKey,
-          mintPublicKey
-        );
-        transaction.add(createToTokenAccountInstruction);
-      }
-
-      // Crear instrucción de transferencia
-      const transferInstruction = createTransferInstruction(
-        fromTokenAddress,
-        toTokenAddress,
-        fromPublicKey,
-        adjustedAmount,
-        []
-      );
-      transaction.add(transferInstruction);
-
-      // Obtener un blockhash reciente
-      const { blockhash } = await TokenRewardManager.SOLANA_CONNECTION.getRecentBlockhash();
-      transaction.recentBlockhash = blockhash;
-      transaction.feePayer = fromPublicKey;
-
-      // Serializar la transacción
-      const serializedTransaction = transaction.serialize({
-        requireAllSignatures: false,
-        verifySignatures: false
-      }).toString('base64');
+      const serializedTransaction = await TokenRewardManager.buildTransferTransaction(fromAddress, [
+        { address: toAddress, amount }
+      ]);
 
       // Actualizar la transacción en la base de datos con la transacción serializada
       await prisma.transaction.update({
@@ -576,6 +562,59 @@ class TokenRewardManager {
     }
   }
 
+  /**
+   * Construye una transacción sin firmar con una transferencia por destinatario
+   * Permite repartir un pago entre varias wallets (p. ej. los miembros de una flota) en una sola firma
+   * @param {string} fromAddress - Dirección de origen (paga las comisiones)
+   * @param {Array} transfers - Transferencias { address, amount }
+   * @returns {string} Transacción serializada en base64
+   */
+  static async buildTransferTransaction(fromAddress, transfers) {
+    const fromPublicKey = new PublicKey(fromAddress);
+    const mintPublicKey = new PublicKey(TokenRewardManager.TOKEN_MINT_ADDRESS);
+    const fromTokenAddress = await getAssociatedTokenAddress(mintPublicKey, fromPublicKey);
+
+    const transaction = new Transaction();
+
+    for (const { address, amount } of transfers) {
+      const toPublicKey = new PublicKey(address);
+      const toTokenAddress = await getAssociatedTokenAddress(mintPublicKey, toPublicKey);
+
+      // Ajustar la cantidad según los decimales
+      const adjustedAmount = Math.round(amount * Math.pow(10, TokenRewardManager.TOKEN_DECIMALS));
+
+      // Si la cuenta del destinatario no existe, añadir instrucción para crearla
+      const toTokenAccountInfo = await TokenRewardManager.SOLANA_CONNECTION.getAccountInfo(toTokenAddress);
+      if (!toTokenAccountInfo) {
+        console.log(`🔄 Cuenta de token del destinatario ${address} no encontrada. Creando una nueva...`);
+        transaction.add(createAssociatedTokenAccountInstruction(
+          fromPublicKey,
+          toTokenAddress,
+          toPublicKey,
+          mintPublicKey
+        ));
+      }
+
+      transaction.add(createTransferInstruction(
+        fromTokenAddress,
+        toTokenAddress,
+        fromPublicKey,
+        adjustedAmount,
+        []
+      ));
+    }
+
+    // Obtener un blockhash reciente
+    const { blockhash } = await TokenRewardManager.SOLANA_CONNECTION.getRecentBlockhash();
+    transaction.recentBlockhash = blockhash;
+    transaction.feePayer = fromPublicKey;
+
+    return transaction.serialize({
+      requireAllSignatures: false,
+      verifySignatures: false
+    }).toString('base64');
+  }
+
   /**
    * Confirma una transacción ya firmada y enviada a la red
    * @param {string} transactionId - ID de la transacción en la base de datos
@@ -594,7 +633,8 @@ class TokenRewardManager {
         where: { id: transactionId },
         include: {
           sender: true,
-          receiver: true
+          receiver: true,
+          revenueShares: { include: { user: true } }
         }
       });
 
@@ -620,11 +660,17 @@ class TokenRewardManager {
           -transaction.amount
         );
 
-        // Sumar balance al receptor
-        await TokenRewardManager.updateTokenBalance(
-          transaction.receiver.walletAddress,
-          transaction.amount
-        );
+        // Sumar balance al receptor o, si el pago se reparte (listados de flotas), a cada beneficiario
+        if (transaction.revenueShares.length > 0) {
+          for (const share of transaction.revenueShares) {
+            await TokenRewardManager.updateTokenBalance(share.user.walletAddress, share.amount);
+          }
+        } else {
+          await TokenRewardManager.updateTokenBalance(
+            transaction.receiver.walletAddress,
+            transaction.amount
+          );
+        }
       }
 
       return {
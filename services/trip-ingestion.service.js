@@ -0,0 +1,308 @@
+// TripIngestionService.js
+import path from 'path';
+import CarDataService from './car-data.service.js';
+import TelemetryStoreService from './telemetry-store.service.js';
+import DrivingBehaviourService from './driving-behaviour.service.js';
+import CsvIngestionService from './csv-ingestion.service.js';
+import ObdPidDecoderService from './obd-pid-decoder.service.js';
+import VehicleRegistryService from './vehicle-registry.service.js';
+import DtcCatalogueService from './dtc-catalogue.service.js';
+import MaintenanceAnalyticsService from './maintenance-analytics.service.js';
+import TelemetryQualityService from './telemetry-quality.service.js';
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new  PrismaClient();
+
+class TripIngestionService {
+  // Tamaño máximo de un fichero subido
+  static MAX_FILE_SIZE_BYTES = 20 * 1024 * 1024;
+
+  // Límites del viaje subido
+  static MIN_POINTS = 2;
+  static MAX_POINTS = 100000;
+
+  // Máximo de tramas OBD-II en bruto por lote (varios PIDs por punto de datos)
+  static MAX_FRAMES = 500000;
+
+  // Máximo de errores por fila que se devuelven en detalle
+  static MAX_REPORTED_ERRORS = 50;
+
+  /**
+   * Extrae y valida los puntos de un fichero CSV o JSON subido
+   * Los CSV se leen en streaming con detección de delimitador; en ambos formatos se aplica
+   * la correspondencia de columnas y el esquema de telemetría
+   * @param {Object} file - Fichero de multer (originalname, mimetype, buffer)
+   * @param {Object} options - Opciones
+   * @param {Object|string} options.mapping - Correspondencia { columna: campo }, nombre de un registrador conocido o su JSON
+   * @returns {Object} { format, points, rejectedCount, errors } con los puntos ordenados por timestamp
+   */
+  static async parseFile(file, options = {}) {
+    const mapping = TripIngestionService.parseMapping(options.mapping);
+    const extension = path.extname(file.originalname || '').toLowerCase();
+    const head = file.buffer.subarray(0, 64).toString('utf8').replace(/^\uFEFF/, '');
+
+    const isJson = extension === '.json' || file.mimetype === 'application/json'
+      || (extension !== '.csv' && /^\s*[[{]/.test(head));
+
+    let parsed;
+    if (isJson) {
+      parsed = TripIngestionService.parseJson(file.buffer.toString('utf8').replace(/^\uFEFF/, ''), mapping);
+    } else {
+      parsed = await CsvIngestionService.parse(file.buffer, {
+        schema: CsvIngestionService.TELEMETRY_SCHEMA,
+        mapping,
+        validate: TripIngestionService.validatePoint,
+        maxRows: TripIngestionService.MAX_POINTS,
+        maxErrors: TripIngestionService.MAX_REPORTED_ERRORS
+      });
+    }
+
+    return {
+      format: isJson ? 'JSON' : 'CSV',
+      ...TripIngestionService.orderPoints(parsed.records, parsed.rejectedCount, parsed.errors)
+    };
+  }
+
+  /**
+   * Interpreta la correspondencia de columnas recibida en el formulario
+   * @param {Object|string} mapping - Objeto, JSON de un objeto o nombre de un registrador conocido
+   * @returns {Object|string|null} Correspondencia para CsvIngestionService
+   */
+  static parseMapping(mapping) {
+    if (!mapping) return null;
+    if (typeof mapping !== 'string' || !mapping.trim().startsWith('{')) return mapping;
+
+    try {
+      return JSON.parse(mapping);
+    } catch (error) {
+      throw new Error(`Invalid column mapping: ${error.message}`);
+    }
+  }
+
+  /**
+   * Valida los registros de un fichero JSON (array de puntos u objeto con un array "data")
+   * @param {string} content - Contenido del fichero
+   * @param {Object|string} mapping - Correspondencia de columnas
+   * @returns {Object} { records, rejectedCount, errors }
+   */
+  static parseJson(content, mapping = null) {
+    let parsed;
+    try {
+      parsed = JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Invalid JSON file: ${error.message}`);
+    }
+
+    const items = Array.isArray(parsed) ? parsed : parsed?.data;
+    if (!Array.isArray(items)) {
+      throw new Error('JSON file must contain an array of data points (or an object with a "data" array)');
+    }
+
+    if (items.length > TripIngestionService.MAX_POINTS) {
+      throw new Error(`JSON file has more than ${TripIngestionService.MAX_POINTS} data points`);
+    }
+
+    const records = [];
+    const errors = [];
+    let rejectedCount = 0;
+
+    items.forEach((item, index) => {
+      // Los registros se numeran desde 1
+      const { point, errors: recordErrors } = TripIngestionService.normalizeRecord(item, mapping);
+
+      if (recordErrors.length > 0 && errors.length < TripIngestionService.MAX_REPORTED_ERRORS) {
+        errors.push({ row: index + 1, errors: recordErrors });
+      }
+
+      if (!point) {
+        rejectedCount++;
+        return;
+      }
+
+      records.push(point);
+    });
+
+    return { records, rejectedCount, errors };
+  }
+
+  /**
+   * Valida y normaliza un registro al formato de punto de datos de la telemetría
+   * @param {Object} record - Registro sin normalizar
+   * @param {Object|string} mapping - Correspondencia de columnas
+   * @returns {Object} { point, errors } (point es null si el registro no es utilizable)
+   */
+  static normalizeRecord(record, mapping = null) {
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+      return { point: null, errors: ['Record is not an object'] };
+    }
+
+    const schema = CsvIngestionService.TELEMETRY_SCHEMA;
+    const keys = Object.keys(record);
+    const raw = {};
+    CsvIngestionService.resolveColumns(keys, schema, mapping).forEach((field, index) => {
+      if (field) raw[field] = record[keys[index]];
+    });
+
+    const { record: point, errors } = CsvIngestionService.coerceRecord(raw, schema);
+    if (!point) {
+      return { point: null, errors };
+    }
+
+    const validationErrors = TripIngestionService.validatePoint(point);
+    if (validationErrors.length > 0) {
+      return { point: null, errors: [...errors, ...validationErrors] };
+    }
+
+    return { point, errors };
+  }
+
+  /**
+   * Comprobaciones de un punto ya convertido que lo descartan
+   * @param {Object} point - Punto de datos
+   * @returns {Array} Errores (vacío si el punto es válido)
+   */
+  static validatePoint(point) {
+    // Sin velocidad ni posición el punto no aporta nada al viaje
+    if (point.speed_kmph === null && (point.lat === null || point.lon === null)) {
+      return ['Record has neither speed nor position'];
+    }
+    return [];
+  }
+
+  /**
+   * Decodifica un lote de tramas OBD-II en bruto y valida los puntos resultantes
+   * @param {Array} frames - Tramas { timestamp, response, lat, lon }
+   * @param {Object} options - Opciones
+   * @param {string} options.vehicleLabel - vehicle_id con el que se etiquetan los puntos
+   * @returns {Object} { points, frameCount, rejectedCount, errors }
+   */
+  static decodeFrames(frames, options = {}) {
+    if (!Array.isArray(frames)) {
+      throw new Error('frames must be an array of { timestamp, response } objects');
+    }
+
+    if (frames.length > TripIngestionService.MAX_FRAMES) {
+      throw new Error(`Batch has more than ${TripIngestionService.MAX_FRAMES} frames`);
+    }
+
+    const vehicleId = options.vehicleLabel ? String(options.vehicleLabel).trim() : null;
+    const { points, frameCount, rejectedCount, errors } = ObdPidDecoderService.buildDataPoints(frames, { vehicleId });
+
+    // Los intervalos que aún no tienen velocidad ni posición (p. ej. al conectar) no forman parte del viaje
+    const validPoints = points.filter(point => TripIngestionService.validatePoint(point).length === 0);
+
+    return { points: validPoints, frameCount, rejectedCount, errors };
+  }
+
+  /**
+   * Ordena los puntos por timestamp y descarta timestamps duplicados
+   * @param {Array} records - Puntos válidos
+   * @param {number} rejectedCount - Registros ya descartados
+   * @param {Array} errors - Errores por fila ya detectados
+   * @returns {Object} { points, rejectedCount, errors }
+   */
+  static orderPoints(records, rejectedCount = 0, errors = []) {
+    const points = [...records].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+    const uniquePoints = points.filter((point, index) => index === 0 || point.timestamp !== points[index - 1].timestamp);
+    const duplicates = points.length - uniquePoints.length;
+    if (duplicates > 0) {
+      rejectedCount += duplicates;
+      errors = [...errors, { row: null, errors: [`${duplicates} records with duplicated timestamps were discarded`] }];
+    }
+
+    return { points: uniquePoints, rejectedCount, errors };
+  }
+
+  /**
+   * Crea un viaje subido por un usuario con el mismo registro que una simulación finalizada
+   * (resumen, telemetría completa y análisis de conducción)
+   * @param {Object} options - Opciones
+   * @param {string} options.userId - ID del usuario propietario
+   * @param {Array} options.points - Puntos normalizados y ordenados
+   * @param {string} options.routeType - Tipo de ruta declarado (opcional)
+   * @param {string} options.originalFilename - Nombre del fichero subido
+   * @param {string} options.source - Origen de los datos (UPLOADED u OBD_FRAMES)
+   * @param {Object} options.vehicle - Vehículo registrado del viaje; si se omite se busca por el vehicle_id de los datos
+   * @returns {Object} { simulation, summary, behaviour }
+   */
+  static async createUploadedTrip({ userId, points, routeType = null, originalFilename = null, source = 'UPLOADED', vehicle = null }) {
+    const route = routeType
+      ? await prisma.simulationRoute.findUnique({ where: { routeType } })
+      : null;
+
+    const startTime = new Date(points[0].timestamp);
+    const endTime = new Date(points[points.length - 1].timestamp);
+    const vehicleLabel = points.find(point => point.vehicle_id)?.vehicle_id || null;
+    const registeredVehicle = vehicle || await VehicleRegistryService.findByLabel(userId, vehicleLabel);
+    await DtcCatalogueService.ensureLoaded();
+
+    const simulation = await prisma.simulation.create({
+      data: {
+        userId,
+        routeType: route ? route.routeType : 'UPLOADED',
+        source,
+        vehicleId: registeredVehicle?.id || null,
+        vehicleLabel,
+        originalFilename,
+        status: 'RUNNING',
+        startedAt: startTime,
+        dataPointsCount: 0
+      }
+    });
+
+    try {
+      // Los puntos se guardan con sus indicadores de calidad
+      TelemetryQualityService.assessPoints(points, { fuelType: registeredVehicle?.fuelType });
+      await TelemetryStoreService.storePoints(simulation.id, points);
+
+      const summary = CarDataService.generateSimulationSummary({
+        id: simulation.id,
+        routeType: simulation.routeType,
+        startTime,
+        data: points,
+        registeredVehicle
+      }, endTime);
+
+      const behaviour = DrivingBehaviourService.analyze(points, { maxSpeedKmph: route?.maxSpeed });
+      summary.safetyScore = behaviour.safetyScore;
+
+      const updated = await prisma.simulation.update({
+        where: { id: simulation.id },
+        data: {
+          status: 'COMPLETED',
+          endedAt: endTime,
+          durationMinutes: summary.durationMinutes,
+          distanceKm: summary.distanceKm,
+          avgSpeedKmph: summary.averageSpeedKmph,
+          maxSpeedKmph: summary.maxSpeedKmph,
+          efficiencyScore: summary.efficiencyScore,
+          dataPointsCount: summary.dataPointsCollected,
+          rawData: points.slice(0, 20),
+          diagnosticIssues: summary.diagnosticIssues,
+          tripMetrics: summary.tripMetrics,
+          fuelUsedLitres: summary.fuelConsumption?.fuelUsedLitres ?? null,
+          healthMetrics: MaintenanceAnalyticsService.computeHealthMetrics(points),
+          dataQualityScore: summary.dataQuality.qualityScore,
+          dataQuality: summary.dataQuality
+        }
+      });
+
+      await DrivingBehaviourService.storeAnalysis(simulation.id, behaviour);
+
+      if (registeredVehicle) {
+        await MaintenanceAnalyticsService.refreshAfterTrip(registeredVehicle.id);
+      }
+
+      return { simulation: { ...updated, safetyScore: behaviour.safetyScore }, summary, behaviour };
+    } catch (error) {
+      await prisma.simulation.update({
+        where: { id: simulation.id },
+        data: { status: 'FAILED', endedAt: new Date() }
+      });
+      throw error;
+    }
+  }
+}
+
+export default TripIngestionService;
@@ -0,0 +1,153 @@
+// TripMetricsService.js
+import Geo from '../utils/geo.js';
+
+class TripMetricsService {
+  // Diferencia relativa entre distancia GPS y distancia por velocidad a partir de la cual se marca el viaje
+  static DISCREPANCY_THRESHOLD_PCT = 10;
+
+  // Velocidad implícita entre dos fijaciones GPS por encima de la cual se considera un salto de posición
+  static MAX_PLAUSIBLE_SPEED_KMPH = 250;
+
+  // Separación entre muestras a partir de la cual se considera un hueco en los datos
+  static MAX_SAMPLE_GAP_SECONDS = 60;
+
+  // Desplazamientos menores con el vehículo parado se atribuyen al ruido del receptor GPS
+  static GPS_NOISE_METERS = 15;
+
+  // Máximo de tramos anómalos que se devuelven en detalle
+  static MAX_REPORTED_ISSUES = 20;
+
+  /**
+   * Calcula las métricas de distancia y tiempo de un viaje a partir de sus puntos
+   * Integra la distancia con haversine entre posiciones consecutivas y la contrasta con
+   * velocidad × Δt usando los timestamps reales de cada muestra
+   * @param {Array} dataPoints - Puntos de datos ordenados (timestamp, lat, lon, speed_kmph)
+   * @returns {Object} Métricas del viaje
+   */
+  static computeTripMetrics(dataPoints) {
+    const metrics = {
+      distanceKm: 0,
+      gpsDistanceKm: 0,
+      speedDistanceKm: 0,
+      durationMinutes: 0,
+      movingMinutes: 0,
+      discrepancyPct: 0,
+      segments: 0,
+      flags: [],
+      issues: []
+    };
+
+    if (!dataPoints || dataPoints.length < 2) {
+      return metrics;
+    }
+
+    let gpsMeters = 0;
+    let speedMeters = 0;
+    let correctedMeters = 0;
+    let movingSeconds = 0;
+    const flags = new Set();
+
+    const addIssue = (type, index, details) => {
+      flags.add(type);
+      if (metrics.issues.length < TripMetricsService.MAX_REPORTED_ISSUES) {
+        metrics.issues.push({ type, index, ...details });
+      }
+    };
+
+    for (let i = 1; i < dataPoints.length; i++) {
+      const previous = dataPoints[i - 1];
+      const current = dataPoints[i];
+
+      const dtSeconds = (new Date(current.timestamp) - new Date(previous.timestamp)) / 1000;
+      if (!Number.isFinite(dtSeconds) || dtSeconds <= 0) {
+        addIssue('NON_MONOTONIC_TIMESTAMP', i, { previous: previous.timestamp, current: current.timestamp });
+        continue;
+      }
+
+      metrics.segments++;
+
+      // Distancia por velocidad: regla del trapecio entre las dos lecturas
+      const previousSpeed = parseFloat(previous.speed_kmph) || 0;
+      const currentSpeed = parseFloat(current.speed_kmph) || 0;
+      const speedSegment = (previousSpeed + currentSpeed) / 2 / 3.6 * dtSeconds;
+      speedMeters += speedSegment;
+
+      if (previousSpeed > 0 || currentSpeed > 0) {
+        movingSeconds += dtSeconds;
+      }
+
+      if (dtSeconds > TripMetricsService.MAX_SAMPLE_GAP_SECONDS) {
+        addIssue('SAMPLE_GAP', i, { gapSeconds: dtSeconds });
+      }
+
+      // Distancia GPS
+      if (!TripMetricsService.hasPosition(previous) || !TripMetricsService.hasPosition(current)) {
+        flags.add('MISSING_GPS');
+        correctedMeters += speedSegment;
+        continue;
+      }
+
+      let gpsSegment = Geo.haversineDistance(
+        { lat: parseFloat(previous.lat), lon: parseFloat(previous.lon) },
+        { lat: parseFloat(current.lat), lon: parseFloat(current.lon) }
+      );
+
+      // Con el vehículo parado, los desplazamientos pequeños son ruido del receptor
+      if (previousSpeed < 1 && currentSpeed < 1 && gpsSegment < TripMetricsService.GPS_NOISE_METERS) {
+        gpsSegment = 0;
+      }
+
+      gpsMeters += gpsSegment;
+
+      const impliedSpeedKmph = gpsSegment / dtSeconds * 3.6;
+      if (impliedSpeedKmph > TripMetricsService.MAX_PLAUSIBLE_SPEED_KMPH) {
+        // Salto de posición: se usa la distancia estimada por velocidad en este tramo
+        addIssue('GPS_JUMP', i, {
+          gpsMeters: parseFloat(gpsSegment.toFixed(1)),
+          speedMeters: parseFloat(speedSegment.toFixed(1)),
+          impliedSpeedKmph: parseFloat(impliedSpeedKmph.toFixed(1))
+        });
+        correctedMeters += speedSegment;
+      } else {
+        correctedMeters += gpsSegment;
+      }
+    }
+
+    const first = new Date(dataPoints[0].timestamp);
+    const last = new Date(dataPoints[dataPoints.length - 1].timestamp);
+
+    metrics.gpsDistanceKm = parseFloat((gpsMeters / 1000).toFixed(3));
+    metrics.speedDistanceKm = parseFloat((speedMeters / 1000).toFixed(3));
+    metrics.distanceKm = parseFloat((correctedMeters / 1000).toFixed(3));
+    metrics.durationMinutes = Number.isFinite(last - first) ? parseFloat(((last - first) / 60000).toFixed(2)) : 0;
+    metrics.movingMinutes = parseFloat((movingSeconds / 60).toFixed(2));
+
+    // Contraste global entre ambas estimaciones
+    const reference = Math.max(gpsMeters, speedMeters);
+    metrics.discrepancyPct = reference > 0
+      ? parseFloat((Math.abs(gpsMeters - speedMeters) / reference * 100).toFixed(2))
+      : 0;
+
+    if (metrics.discrepancyPct > TripMetricsService.DISCREPANCY_THRESHOLD_PCT && reference > 100) {
+      flags.add('DISTANCE_MISMATCH');
+    }
+
+    metrics.flags = Array.from(flags);
+
+    return metrics;
+  }
+
+  /**
+   * Comprueba si un punto tiene una posición GPS válida
+   * @param {Object} dataPoint - Punto de datos
+   * @returns {boolean} true si lat y lon son coordenadas válidas
+   */
+  static hasPosition(dataPoint) {
+    const lat = parseFloat(dataPoint.lat);
+    const lon = parseFloat(dataPoint.lon);
+    return Number.isFinite(lat) && Number.isFinite(lon) && Math.abs(lat) <= 90 && Math.abs(lon) <= 180
+      && !(lat === 0 && lon === 0);
+  }
+}
+
+export default TripMetricsService;
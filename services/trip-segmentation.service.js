@@ -0,0 +1,321 @@
+// TripSegmentationService.js
+import TripMetricsService from './trip-metrics.service.js';
+
+class TripSegmentationService {
+  static SEGMENT_TYPES = ['URBAN', 'HIGHWAY', 'IDLE'];
+
+  // Un hueco sin muestras de esta duración indica que el contacto estuvo apagado: empieza otro viaje
+  static TRIP_GAP_SECONDS = 300;
+
+  // Por debajo de esta velocidad el vehículo está parado
+  static STOP_SPEED_KMPH = 3;
+  // Paradas más largas (no un semáforo) separan los tramos de un viaje
+  static MIN_STOP_SECONDS = 60;
+
+  // Media de velocidad alrededor de cada punto (centrada) con la que se etiqueta urbano o autopista
+  static SPEED_WINDOW_SECONDS = 60;
+  static HIGHWAY_SPEED_KMPH = 70;
+
+  // Los fragmentos más cortos se unen al segmento anterior
+  static MIN_SEGMENT_SECONDS = 30;
+
+  /**
+   * Divide la telemetría en viajes, tramos, paradas y segmentos etiquetados
+   * - Viaje: se corta con el motor apagado (engine_rpm 0 parado) o un hueco de TRIP_GAP_SECONDS sin datos
+   * - Parada: vehículo detenido al menos MIN_STOP_SECONDS; se indica su duración y posición
+   * - Tramo: recorrido entre dos paradas (o entre el inicio/fin del viaje y una parada)
+   * - Segmento: fragmento continuo URBAN, HIGHWAY o IDLE según el perfil de velocidad
+   * Los puntos se identifican por su número de secuencia (posición en la simulación, desde 1)
+   * @param {Array} dataPoints - Puntos de datos ordenados
+   * @returns {Object} { trips, legs, stops, segments, totals }
+   */
+  static segment(dataPoints) {
+    const result = { trips: [], legs: [], stops: [], segments: [], totals: TripSegmentationService.emptyTotals() };
+    if (!dataPoints || dataPoints.length === 0) return result;
+
+    TripSegmentationService.splitTrips(dataPoints).forEach(({ start, end, endReason }) => {
+      const tripIndex = result.trips.length;
+      const runs = TripSegmentationService.mergeShortRuns(
+        TripSegmentationService.buildRuns(dataPoints, start, end),
+        dataPoints
+      );
+
+      let legIndex = null;
+      let legStart = null;
+      const closeLeg = legEnd => {
+        if (legStart === null) return;
+        result.legs.push({
+          index: legIndex,
+          tripIndex,
+          ...TripSegmentationService.describeRange(dataPoints, legStart, legEnd, end),
+          segmentTypes: [...new Set(result.segments.filter(segment => segment.legIndex === legIndex).map(segment => segment.type))]
+        });
+        legStart = null;
+      };
+
+      runs.forEach(run => {
+        const range = TripSegmentationService.describeRange(dataPoints, run.start, run.end + 1, end);
+        const isStop = run.type === 'IDLE' && range.durationSeconds >= TripSegmentationService.MIN_STOP_SECONDS;
+
+        if (isStop) {
+          closeLeg(run.start);
+          result.stops.push({
+            index: result.stops.length,
+            tripIndex,
+            startSequence: range.startSequence,
+            endSequence: range.endSequence,
+            startedAt: range.startedAt,
+            endedAt: range.endedAt,
+            dwellSeconds: range.durationSeconds,
+            ...TripSegmentationService.meanPosition(dataPoints.slice(run.start, run.end + 1))
+          });
+        } else if (legStart === null) {
+          legStart = run.start;
+          legIndex = result.legs.length;
+        }
+
+        result.segments.push({
+          index: result.segments.length,
+          tripIndex,
+          legIndex: isStop ? null : legIndex,
+          type: run.type,
+          ...range
+        });
+      });
+      closeLeg(end + 1);
+
+      result.trips.push({
+        index: tripIndex,
+        ...TripSegmentationService.describeRange(dataPoints, start, end + 1, end),
+        legCount: result.legs.filter(leg => leg.tripIndex === tripIndex).length,
+        stopCount: result.stops.filter(stop => stop.tripIndex === tripIndex).length,
+        endReason
+      });
+    });
+
+    result.segments.forEach(segment => {
+      const totals = result.totals[segment.type];
+      totals.segments++;
+      totals.durationSeconds += segment.durationSeconds;
+      totals.distanceKm = parseFloat((totals.distanceKm + segment.distanceKm).toFixed(3));
+    });
+
+    return result;
+  }
+
+  static emptyTotals() {
+    return Object.fromEntries(TripSegmentationService.SEGMENT_TYPES
+      .map(type => [type, { segments: 0, durationSeconds: 0, distanceKm: 0 }]));
+  }
+
+  /**
+   * Rangos de índices de cada viaje
+   * Los puntos con el motor apagado y el vehículo parado no pertenecen a ningún viaje
+   * @param {Array} dataPoints - Puntos ordenados
+   * @returns {Array} { start, end, endReason } con índices inclusivos
+   */
+  static splitTrips(dataPoints) {
+    const trips = [];
+    let start = null;
+
+    const close = (end, endReason) => {
+      if (start !== null && end >= start) trips.push({ start, end, endReason });
+      start = null;
+    };
+
+    dataPoints.forEach((point, index) => {
+      const speed = parseFloat(point.speed_kmph) || 0;
+      const engineOff = point.engine_rpm !== undefined && point.engine_rpm !== null && point.engine_rpm !== ''
+        && Number(point.engine_rpm) === 0 && speed < TripSegmentationService.STOP_SPEED_KMPH;
+
+      if (engineOff) {
+        close(index - 1, 'IGNITION_OFF');
+        return;
+      }
+
+      if (start !== null && index > 0) {
+        const gapSeconds = (new Date(point.timestamp) - new Date(dataPoints[index - 1].timestamp)) / 1000;
+        if (gapSeconds >= TripSegmentationService.TRIP_GAP_SECONDS) {
+          close(index - 1, 'SAMPLE_GAP');
+        }
+      }
+
+      if (start === null) start = index;
+    });
+
+    close(dataPoints.length - 1, 'END_OF_DATA');
+    return trips;
+  }
+
+  /**
+   * Etiqueta cada punto de un viaje y agrupa los consecutivos del mismo tipo
+   * @param {Array} dataPoints - Puntos ordenados
+   * @param {number} start - Primer índice del viaje
+   * @param {number} end - Último índice del viaje
+   * @returns {Array} { type, start, end }
+   */
+  static buildRuns(dataPoints, start, end) {
+    const times = [];
+    const speeds = [];
+    for (let i = start; i <= end; i++) {
+      times.push(new Date(dataPoints[i].timestamp).getTime());
+      speeds.push(parseFloat(dataPoints[i].speed_kmph) || 0);
+    }
+
+    // Media móvil centrada por tiempo con dos punteros
+    const halfWindowMs = TripSegmentationService.SPEED_WINDOW_SECONDS * 1000 / 2;
+    let windowStart = 0;
+    let windowEnd = -1;
+    let windowSum = 0;
+
+    const runs = [];
+    speeds.forEach((speed, i) => {
+      while (windowEnd + 1 < speeds.length && times[windowEnd + 1] - times[i] <= halfWindowMs) {
+        windowEnd++;
+        windowSum += speeds[windowEnd];
+      }
+      while (times[i] - times[windowStart] > halfWindowMs) {
+        windowSum -= speeds[windowStart];
+        windowStart++;
+      }
+      const meanSpeed = windowSum / (windowEnd - windowStart + 1);
+
+      let type = 'URBAN';
+      if (speed < TripSegmentationService.STOP_SPEED_KMPH) type = 'IDLE';
+      else if (meanSpeed >= TripSegmentationService.HIGHWAY_SPEED_KMPH) type = 'HIGHWAY';
+
+      const last = runs[runs.length - 1];
+      if (last && last.type === type) {
+        last.end = start + i;
+      } else {
+        runs.push({ type, start: start + i, end: start + i });
+      }
+    });
+
+    return runs;
+  }
+
+  /**
+   * Une los fragmentos de menos de MIN_SEGMENT_SECONDS al segmento anterior (o al siguiente si es el primero)
+   * @param {Array} runs - Fragmentos del viaje
+   * @param {Array} dataPoints - Puntos ordenados
+   * @returns {Array} Segmentos
+   */
+  static mergeShortRuns(runs, dataPoints) {
+    const duration = (run, next) => {
+      const endPoint = next ? dataPoints[next.start] : dataPoints[run.end];
+      return (new Date(endPoint.timestamp) - new Date(dataPoints[run.start].timestamp)) / 1000;
+    };
+
+    const merged = [];
+    runs.forEach((run, i) => {
+      const short = duration(run, runs[i + 1]) < TripSegmentationService.MIN_SEGMENT_SECONDS;
+      const previous = merged[merged.length - 1];
+
+      if (short && previous) {
+        previous.end = run.end;
+      } else if (previous && previous.short) {
+        // El primer fragmento era corto: pasa a formar parte de este
+        merged[merged.length - 1] = { type: run.type, start: previous.start, end: run.end };
+      } else {
+        merged.push({ ...run, short });
+      }
+    });
+
+    // Tras unir, dos segmentos contiguos pueden haber quedado del mismo tipo
+    return merged.reduce((segments, { type, start, end }) => {
+      const last = segments[segments.length - 1];
+      if (last && last.type === type) last.end = end;
+      else segments.push({ type, start, end });
+      return segments;
+    }, []);
+  }
+
+  /**
+   * Resumen de un rango de puntos; dura hasta el primer punto siguiente (si es del mismo viaje)
+   * para que los segmentos consecutivos no dejen huecos
+   * @param {Array} dataPoints - Puntos ordenados
+   * @param {number} start - Primer índice
+   * @param {number} nextStart - Índice siguiente al rango
+   * @param {number} tripEnd - Último índice del viaje
+   * @returns {Object} Secuencias, instantes, duración, distancia y velocidades
+   */
+  static describeRange(dataPoints, start, nextStart, tripEnd) {
+    const last = nextStart - 1;
+    const boundary = Math.min(nextStart, tripEnd);
+    const points = dataPoints.slice(start, last + 1);
+    const speeds = points.map(point => parseFloat(point.speed_kmph) || 0);
+
+    const startedAt = new Date(dataPoints[start].timestamp);
+    const endedAt = new Date(dataPoints[boundary].timestamp);
+
+    return {
+      startSequence: start + 1,
+      endSequence: last + 1,
+      startedAt: startedAt.toISOString(),
+      endedAt: endedAt.toISOString(),
+      durationSeconds: Math.max(0, (endedAt - startedAt) / 1000),
+      distanceKm: TripMetricsService.computeTripMetrics(dataPoints.slice(start, boundary + 1)).distanceKm,
+      avgSpeedKmph: parseFloat((speeds.reduce((sum, speed) => sum + speed, 0) / speeds.length).toFixed(2)),
+      maxSpeedKmph: Math.max(...speeds)
+    };
+  }
+
+  static meanPosition(points) {
+    const positioned = points.filter(point => TripMetricsService.hasPosition(point));
+    if (positioned.length === 0) return { lat: null, lon: null };
+
+    return {
+      lat: parseFloat((positioned.reduce((sum, point) => sum + parseFloat(point.lat), 0) / positioned.length).toFixed(6)),
+      lon: parseFloat((positioned.reduce((sum, point) => sum + parseFloat(point.lon), 0) / positioned.length).toFixed(6))
+    };
+  }
+
+  /**
+   * Añade a cada punto el tipo y el índice de su segmento (segment_type, segment_index)
+   * Los puntos fuera de cualquier viaje (motor apagado) quedan con segment_type null
+   * @param {Array} dataPoints - Puntos ordenados
+   * @param {Object} segmentation - Resultado de segment (se calcula si se omite)
+   * @returns {Array} Copia de los puntos etiquetados
+   */
+  static annotate(dataPoints, segmentation = TripSegmentationService.segment(dataPoints)) {
+    const annotated = dataPoints.map(point => ({ ...point, segment_type: null, segment_index: null }));
+    segmentation.segments.forEach(segment => {
+      for (let sequence = segment.startSequence; sequence <= segment.endSequence; sequence++) {
+        annotated[sequence - 1].segment_type = segment.type;
+        annotated[sequence - 1].segment_index = segment.index;
+      }
+    });
+    return annotated;
+  }
+
+  /**
+   * Puntos de los segmentos de ciertos tipos (p. ej. solo autopista)
+   * @param {Array} dataPoints - Puntos ordenados
+   * @param {Array} types - Tipos de segmento
+   * @returns {Array} Puntos etiquetados de esos segmentos
+   */
+  static filterByTypes(dataPoints, types) {
+    return TripSegmentationService.annotate(dataPoints).filter(point => types.includes(point.segment_type));
+  }
+
+  /**
+   * Valida una lista de tipos de segmento recibida en una petición
+   * @param {Array|string} input - Lista o texto separado por comas
+   * @returns {Array|null} Tipos en mayúsculas, o null si no se indica ninguno
+   */
+  static parseSegmentTypes(input) {
+    if (input === undefined || input === null || input === '') return null;
+
+    const list = Array.isArray(input) ? input : String(input).split(',');
+    const types = [...new Set(list.map(type => String(type).trim().toUpperCase()).filter(Boolean))];
+    const invalid = types.filter(type => !TripSegmentationService.SEGMENT_TYPES.includes(type));
+
+    if (invalid.length > 0) {
+      throw new Error(`Invalid segment types, expected ${TripSegmentationService.SEGMENT_TYPES.join(', ')}: ${invalid.join(', ')}`);
+    }
+    return types.length > 0 ? types : null;
+  }
+}
+
+export default TripSegmentationService;
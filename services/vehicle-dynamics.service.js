@@ -0,0 +1,368 @@
+// VehicleDynamicsService.js
+
+// Constantes físicas
+const GRAVITY = 9.81; // m/s²
+const AIR_DENSITY = 1.2; // kg/m³
+const FUEL_DENSITY_G_PER_L = 745; // Gasolina
+
+class VehicleDynamicsService {
+  // Turismo compacto de gasolina con caja manual de 6 velocidades
+  static VEHICLE = {
+    massKg: 1400,
+    dragCoefficient: 0.32,
+    frontalAreaM2: 2.2,
+    rollingResistance: 0.012,
+    wheelRadiusM: 0.31,
+    gearRatios: [3.6, 2.1, 1.4, 1.0, 0.8, 0.65],
+    finalDriveRatio: 3.9,
+    drivetrainEfficiency: 0.9,
+    idleRpm: 800,
+    redlineRpm: 6500,
+    downshiftRpm: 1300,
+    // Curva de par máximo: [rpm, Nm]
+    torqueCurve: [[800, 140], [2000, 185], [4000, 200], [5500, 190], [6500, 165]],
+    maxBrakeDecelerationMs2: 6,
+    bsfcGPerKWh: 260, // Consumo específico de combustible
+    idleFuelLph: 0.8,
+    fuelTankLiters: 50,
+    thermostatTempC: 88
+  };
+
+  // Comportamiento del tráfico según SimulationRoute.trafficDensity
+  static TRAFFIC_PROFILES = {
+    'high': { meanSecondsBetweenStops: 90, stopDwellSeconds: [10, 45], accelerationMs2: 2.0, brakingMs2: 3.0 },
+    'moderate': { meanSecondsBetweenStops: 300, stopDwellSeconds: [5, 30], accelerationMs2: 1.6, brakingMs2: 2.5 },
+    'low': { meanSecondsBetweenStops: 1200, stopDwellSeconds: [5, 20], accelerationMs2: 1.2, brakingMs2: 2.0 },
+    'very low': { meanSecondsBetweenStops: 1800, stopDwellSeconds: [5, 15], accelerationMs2: 1.4, brakingMs2: 2.2 }
+  };
+
+  // Perfil de pendientes según SimulationRoute.elevationChange
+  static ELEVATION_PROFILES = {
+    'low': { maxGradePct: 1, gradeWavelengthM: 4000, curveSpeedPenalty: 0 },
+    'moderate': { maxGradePct: 3, gradeWavelengthM: 5000, curveSpeedPenalty: 2 },
+    'high': { maxGradePct: 7, gradeWavelengthM: 8000, curveSpeedPenalty: 4 }
+  };
+
+  // Valores usados cuando la ruta no está en la base de datos
+  static DEFAULT_ROUTE = {
+    routeType: 'CUSTOM',
+    averageSpeed: 50,
+    maxSpeed: 90,
+    trafficDensity: 'moderate',
+    elevationChange: 'moderate'
+  };
+
+  /**
+   * Construye los parámetros de conducción a partir de una SimulationRoute
+   * @param {Object} route - Registro SimulationRoute (averageSpeed, maxSpeed, trafficDensity, elevationChange)
+   * @returns {Object} Perfil de la ruta
+   */
+  static buildRouteProfile(route = {}) {
+    const source = { ...VehicleDynamicsService.DEFAULT_ROUTE, ...route };
+    const traffic = VehicleDynamicsService.TRAFFIC_PROFILES[source.trafficDensity]
+      || VehicleDynamicsService.TRAFFIC_PROFILES.moderate;
+    const elevation = VehicleDynamicsService.ELEVATION_PROFILES[source.elevationChange]
+      || VehicleDynamicsService.ELEVATION_PROFILES.moderate;
+
+    return {
+      routeType: source.routeType,
+      maxSpeedKmph: source.maxSpeed,
+      // La velocidad de crucero se sitúa por encima de la media para compensar paradas y curvas
+      cruiseSpeedRangeKmph: [
+        source.averageSpeed * 0.9,
+        Math.min(source.maxSpeed, source.averageSpeed * 1.25)
+      ],
+      ...traffic,
+      ...elevation
+    };
+  }
+
+  /**
+   * Crea el estado inicial del vehículo parado con el motor frío
+   * @param {Object} profile - Perfil de la ruta (ver buildRouteProfile)
+   * @param {Function} random - Generador de números en [0, 1)
+   * @param {Object} initial - Condiciones iniciales
+   * @param {number} initial.fuelLevelPct - Nivel de combustible inicial
+   * @param {number} initial.ambientTempC - Temperatura ambiente
+   * @param {number} initial.altitude - Altitud inicial en metros
+   * @param {number} initial.fuelTankLiters - Capacidad del depósito (por defecto: la del turismo de referencia)
+   * @returns {Object} Estado del vehículo
+   */
+  static createVehicleState(profile, random, initial = {}) {
+    const ambientTempC = initial.ambientTempC ?? 20 + random() * 12;
+
+    return {
+      profile,
+      random,
+      speedMs: 0,
+      accelerationMs2: 0,
+      gear: 0,
+      rpm: VehicleDynamicsService.VEHICLE.idleRpm,
+      throttle: 0,
+      engineLoad: 0,
+      fuelRateLph: VehicleDynamicsService.VEHICLE.idleFuelLph,
+      fuelLevelPct: initial.fuelLevelPct ?? 40 + random() * 55,
+      fuelTankLiters: initial.fuelTankLiters ?? VehicleDynamicsService.VEHICLE.fuelTankLiters,
+      ambientTempC,
+      coolantTempC: ambientTempC,
+      altitude: initial.altitude ?? 900,
+      distanceM: 0,
+      gradePhase: random() * Math.PI * 2,
+      targetSpeedKmph: VehicleDynamicsService.pickCruiseSpeed(profile, random),
+      secondsToTargetChange: 30 + random() * 60,
+      // Empieza parado, como tras arrancar el coche
+      stopDwellRemaining: 3,
+      stopping: false
+    };
+  }
+
+  /**
+   * Avanza el modelo un paso de tiempo y devuelve las lecturas de los sensores
+   * @param {Object} state - Estado del vehículo (se modifica)
+   * @param {number} dtSeconds - Paso de tiempo en segundos
+   * @returns {Object} Lecturas del paso
+   */
+  static step(state, dtSeconds = 1) {
+    const vehicle = VehicleDynamicsService.VEHICLE;
+    const { profile, random } = state;
+
+    const gradePct = VehicleDynamicsService.getGrade(state);
+    const gradeAngle = Math.atan(gradePct / 100);
+
+    // 1. Decidir la aceleración deseada por el conductor
+    const desiredAcceleration = VehicleDynamicsService.getDesiredAcceleration(state, gradePct, dtSeconds);
+
+    // 2. Fuerzas resistivas a la velocidad actual
+    const aeroForce = 0.5 * AIR_DENSITY * vehicle.dragCoefficient * vehicle.frontalAreaM2 * state.speedMs ** 2;
+    const rollingForce = state.speedMs > 0 ? vehicle.rollingResistance * vehicle.massKg * GRAVITY * Math.cos(gradeAngle) : 0;
+    const gradeForce = vehicle.massKg * GRAVITY * Math.sin(gradeAngle);
+    const resistiveForce = aeroForce + rollingForce + gradeForce;
+
+    // 3. Fuerza de tracción necesaria, limitada por el par disponible en la marcha actual
+    const gear = Math.max(state.gear, 1);
+    const currentRpm = VehicleDynamicsService.engineRpmForSpeed(Math.max(state.speedMs, 1), gear);
+    const maxTractiveForce = VehicleDynamicsService.getMaxTorque(currentRpm)
+      * vehicle.gearRatios[gear - 1] * vehicle.finalDriveRatio * vehicle.drivetrainEfficiency / vehicle.wheelRadiusM;
+
+    let tractiveForce = vehicle.massKg * desiredAcceleration + resistiveForce;
+    let throttle = 0;
+
+    if (tractiveForce > 0 && !(state.speedMs === 0 && desiredAcceleration <= 0)) {
+      tractiveForce = Math.min(tractiveForce, maxTractiveForce);
+      throttle = tractiveForce / maxTractiveForce;
+    } else {
+      // Frenado: el exceso de fuerza lo absorben los frenos
+      const minForce = -vehicle.massKg * vehicle.maxBrakeDecelerationMs2 + resistiveForce;
+      tractiveForce = Math.max(tractiveForce, minForce);
+    }
+
+    let acceleration = (tractiveForce - resistiveForce) / vehicle.massKg;
+    if (state.speedMs === 0 && acceleration < 0) acceleration = 0;
+
+    const previousSpeed = state.speedMs;
+    state.speedMs = Math.max(0, Math.min(previousSpeed + acceleration * dtSeconds, profile.maxSpeedKmph / 3.6));
+    state.accelerationMs2 = (state.speedMs - previousSpeed) / dtSeconds;
+
+    // 4. Avance y altitud
+    const travelled = (previousSpeed + state.speedMs) / 2 * dtSeconds;
+    state.distanceM += travelled;
+    state.altitude += travelled * Math.sin(gradeAngle);
+
+    // 5. Marcha y régimen del motor
+    VehicleDynamicsService.selectGear(state, throttle);
+    state.rpm = state.gear === 0
+      ? vehicle.idleRpm
+      : Math.max(vehicle.idleRpm, VehicleDynamicsService.engineRpmForSpeed(state.speedMs, state.gear));
+    state.throttle = throttle;
+
+    // 6. Carga y consumo: el par entregado es proporcional a la apertura del acelerador
+    const engineTorque = throttle * VehicleDynamicsService.getMaxTorque(state.rpm);
+    const enginePowerKw = engineTorque * state.rpm * 2 * Math.PI / 60 / 1000;
+    state.engineLoad = state.gear === 0 ? 0.15 : Math.max(0.15, throttle);
+    state.fuelRateLph = vehicle.idleFuelLph + enginePowerKw * vehicle.bsfcGPerKWh / FUEL_DENSITY_G_PER_L;
+
+    const fuelUsedLiters = state.fuelRateLph * dtSeconds / 3600;
+    state.fuelLevelPct = Math.max(0, state.fuelLevelPct - (fuelUsedLiters / state.fuelTankLiters) * 100);
+
+    // 7. Temperatura del refrigerante
+    VehicleDynamicsService.updateCoolantTemperature(state, dtSeconds);
+
+    return VehicleDynamicsService.getReadings(state, gradePct, random);
+  }
+
+  /**
+   * Comportamiento del conductor: crucero, paradas (semáforos, cruces) y reducción en curvas
+   * @param {Object} state - Estado del vehículo
+   * @param {number} gradePct - Pendiente actual en porcentaje
+   * @param {number} dtSeconds - Paso de tiempo en segundos
+   * @returns {number} Aceleración deseada en m/s²
+   */
+  static getDesiredAcceleration(state, gradePct, dtSeconds) {
+    const { profile, random } = state;
+
+    // Vehículo detenido esperando
+    if (state.stopDwellRemaining > 0) {
+      state.stopDwellRemaining -= dtSeconds;
+      return state.speedMs > 0 ? -profile.brakingMs2 : 0;
+    }
+
+    // Decidir si hay que detenerse (probabilidad por segundo según el tráfico)
+    if (!state.stopping && state.speedMs > 3 && random() < dtSeconds / profile.meanSecondsBetweenStops) {
+      state.stopping = true;
+    }
+
+    if (state.stopping) {
+      if (state.speedMs <= 0.5) {
+        state.speedMs = 0;
+        state.stopping = false;
+        const [minDwell, maxDwell] = profile.stopDwellSeconds;
+        state.stopDwellRemaining = minDwell + random() * (maxDwell - minDwell);
+        return 0;
+      }
+      return -Math.min(profile.brakingMs2, Math.max(1, state.speedMs / 4));
+    }
+
+    // Cambiar periódicamente la velocidad de crucero
+    state.secondsToTargetChange -= dtSeconds;
+    if (state.secondsToTargetChange <= 0) {
+      state.targetSpeedKmph = VehicleDynamicsService.pickCruiseSpeed(profile, random);
+      state.secondsToTargetChange = 30 + random() * 90;
+    }
+
+    // En pendientes fuertes las curvas obligan a ir más despacio
+    const curveFactor = Math.max(0.6, 1 - Math.abs(gradePct) * profile.curveSpeedPenalty / 100);
+    const targetMs = state.targetSpeedKmph * curveFactor / 3.6;
+
+    // Aproximación suave a la velocidad objetivo (constante de tiempo de 4 s)
+    const desired = (targetMs - state.speedMs) / 4;
+    return Math.max(-profile.brakingMs2, Math.min(desired, profile.accelerationMs2));
+  }
+
+  /**
+   * Selecciona la marcha según el régimen y la apertura del acelerador
+   * @param {Object} state - Estado del vehículo
+   * @param {number} throttle - Apertura del acelerador [0, 1]
+   */
+  static selectGear(state, throttle) {
+    const vehicle = VehicleDynamicsService.VEHICLE;
+
+    if (state.speedMs < 0.5) {
+      state.gear = 0;
+      return;
+    }
+
+    if (state.gear === 0) state.gear = 1;
+
+    // Con poco acelerador se cambia antes para ahorrar combustible
+    const upshiftRpm = 2300 + throttle * 3000;
+
+    while (state.gear < vehicle.gearRatios.length
+      && VehicleDynamicsService.engineRpmForSpeed(state.speedMs, state.gear) > upshiftRpm
+      && VehicleDynamicsService.engineRpmForSpeed(state.speedMs, state.gear + 1) > vehicle.downshiftRpm) {
+      state.gear++;
+    }
+
+    while (state.gear > 1 && VehicleDynamicsService.engineRpmForSpeed(state.speedMs, state.gear) < vehicle.downshiftRpm) {
+      state.gear--;
+    }
+  }
+
+  /**
+   * Calienta el motor según el calor generado por el combustible y lo enfría con el radiador
+   * @param {Object} state - Estado del vehículo
+   * @param {number} dtSeconds - Paso de tiempo en segundos
+   */
+  static updateCoolantTemperature(state, dtSeconds) {
+    const { thermostatTempC } = VehicleDynamicsService.VEHICLE;
+
+    const heating = 0.045 * state.fuelRateLph;
+    const ambientLoss = 0.0006 * (state.coolantTempC - state.ambientTempC);
+    // El termostato abre el circuito del radiador por encima de su temperatura de apertura
+    const radiatorLoss = state.coolantTempC > thermostatTempC
+      ? (state.coolantTempC - thermostatTempC) * (0.04 + state.speedMs * 0.002)
+      : 0;
+
+    state.coolantTempC += (heating - ambientLoss - radiatorLoss) * dtSeconds;
+  }
+
+  /**
+   * Pendiente de la carretera en la posición actual (ondulación suave a lo largo del recorrido)
+   * @param {Object} state - Estado del vehículo
+   * @returns {number} Pendiente en porcentaje
+   */
+  static getGrade(state) {
+    const { maxGradePct, gradeWavelengthM } = state.profile;
+    const position = state.distanceM / gradeWavelengthM * Math.PI * 2 + state.gradePhase;
+    return maxGradePct * (0.7 * Math.sin(position) + 0.3 * Math.sin(position * 2.7));
+  }
+
+  /**
+   * Régimen del motor para una velocidad y marcha
+   * @param {number} speedMs - Velocidad en m/s
+   * @param {number} gear - Marcha (1..n)
+   * @returns {number} RPM
+   */
+  static engineRpmForSpeed(speedMs, gear) {
+    const vehicle = VehicleDynamicsService.VEHICLE;
+    const wheelRadPerSecond = speedMs / vehicle.wheelRadiusM;
+    return wheelRadPerSecond * vehicle.gearRatios[gear - 1] * vehicle.finalDriveRatio * 60 / (2 * Math.PI);
+  }
+
+  /**
+   * Par máximo interpolado de la curva del motor
+   * @param {number} rpm - Régimen del motor
+   * @returns {number} Par en Nm
+   */
+  static getMaxTorque(rpm) {
+    const curve = VehicleDynamicsService.VEHICLE.torqueCurve;
+    if (rpm <= curve[0][0]) return curve[0][1];
+
+    for (let i = 1; i < curve.length; i++) {
+      const [rpmHigh, torqueHigh] = curve[i];
+      if (rpm <= rpmHigh) {
+        const [rpmLow, torqueLow] = curve[i - 1];
+        return torqueLow + (torqueHigh - torqueLow) * (rpm - rpmLow) / (rpmHigh - rpmLow);
+      }
+    }
+
+    return curve[curve.length - 1][1];
+  }
+
+  /**
+   * Elige una velocidad de crucero dentro del rango del perfil
+   * @param {Object} profile - Perfil de la ruta
+   * @param {Function} random - Generador de números en [0, 1)
+   * @returns {number} Velocidad en km/h
+   */
+  static pickCruiseSpeed(profile, random) {
+    const [min, max] = profile.cruiseSpeedRangeKmph;
+    return min + random() * (max - min);
+  }
+
+  /**
+   * Convierte el estado en lecturas de sensores con el ruido propio de cada uno
+   * @param {Object} state - Estado del vehículo
+   * @param {number} gradePct - Pendiente actual
+   * @param {Function} random - Generador de números en [0, 1)
+   * @returns {Object} Lecturas con los nombres de campo del resto de la telemetría
+   */
+  static getReadings(state, gradePct, random) {
+    const rpmNoise = state.gear === 0 ? (random() - 0.5) * 40 : (random() - 0.5) * 30;
+
+    return {
+      speed_kmph: parseFloat((state.speedMs * 3.6).toFixed(2)),
+      engine_rpm: Math.round(state.rpm + rpmNoise),
+      gear: state.gear,
+      throttle_pct: parseFloat((state.throttle * 100).toFixed(1)),
+      engine_load_pct: parseFloat((state.engineLoad * 100).toFixed(1)),
+      acceleration_ms2: parseFloat(state.accelerationMs2.toFixed(2)),
+      grade_pct: parseFloat(gradePct.toFixed(2)),
+      altitude: parseFloat(state.altitude.toFixed(1)),
+      fuel_rate_lph: parseFloat(state.fuelRateLph.toFixed(2)),
+      fuel_level_pct: parseFloat(state.fuelLevelPct.toFixed(2)),
+      engine_temp_c: parseFloat((state.coolantTempC + (random() - 0.5) * 0.4).toFixed(1))
+    };
+  }
+}
+
+export default VehicleDynamicsService;
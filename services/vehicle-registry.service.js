@@ -0,0 +1,189 @@
+// VehicleRegistryService.js
+import CsvIngestionService from './csv-ingestion.service.js';
+import VinDecoderService from './vin-decoder.service.js';
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new  PrismaClient();
+
+class VehicleRegistryService {
+  static FUEL_TYPES = ['GASOLINE', 'DIESEL', 'HYBRID', 'ELECTRIC', 'LPG', 'CNG', 'FLEX'];
+
+  // Primer año modelo aceptado
+  static MIN_YEAR = 1886;
+
+  static MAX_TEXT_LENGTH = 100;
+
+  // Campos editables de un vehículo
+  static VEHICLE_SCHEMA = {
+    vin: { type: 'string', uppercase: true },
+    externalId: { type: 'string' },
+    nickname: { type: 'string' },
+    make: { type: 'string' },
+    model: { type: 'string' },
+    year: { type: 'integer', min: VehicleRegistryService.MIN_YEAR },
+    fuelType: { type: 'string', uppercase: true, default: 'GASOLINE' },
+    tankCapacityLitres: { type: 'number', min: 1, max: 1500 },
+    odometerKm: { type: 'number', min: 0, max: 5000000 }
+  };
+
+  /**
+   * Valida los datos de un vehículo recibidos en la petición
+   * Si hay VIN se decodifica y completa la marca y el año que no se indiquen ni estén ya registrados
+   * @param {Object} input - Cuerpo de la petición
+   * @param {Object} options - Opciones
+   * @param {Object} options.current - Vehículo existente (actualización parcial: solo los campos presentes)
+   * @param {Date} options.now - Fecha de referencia para el año modelo
+   * @returns {Object} { data, vinInfo } con vinInfo null si no se ha indicado VIN
+   */
+  static parseVehicle(input, options = {}) {
+    const { current = null, now = new Date() } = options;
+
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+      throw new Error('Vehicle data must be an object');
+    }
+
+    // En una actualización solo se validan (y modifican) los campos presentes
+    const schema = current
+      ? Object.fromEntries(Object.entries(VehicleRegistryService.VEHICLE_SCHEMA)
+        .filter(([field]) => input[field] !== undefined)
+        .map(([field, spec]) => [field, { ...spec, default: undefined }]))
+      : VehicleRegistryService.VEHICLE_SCHEMA;
+
+    const { record: data, errors } = CsvIngestionService.coerceRecord(input, schema);
+
+    const tooLong = Object.entries(data).filter(([, value]) => typeof value === 'string' && value.length > VehicleRegistryService.MAX_TEXT_LENGTH);
+    tooLong.forEach(([field]) => errors.push(`${field} must have at most ${VehicleRegistryService.MAX_TEXT_LENGTH} characters`));
+
+    let vinInfo = null;
+    if (data.vin) {
+      vinInfo = VinDecoderService.decode(data.vin, { now });
+      if (!vinInfo.valid) {
+        errors.push(`Invalid VIN: ${vinInfo.errors.join(', ')}`);
+      } else {
+        data.vin = vinInfo.vin;
+        if (input.make === undefined && !current?.make && vinInfo.make) data.make = vinInfo.make;
+        if (input.year === undefined && !current?.year && vinInfo.modelYear) data.year = vinInfo.modelYear;
+        if (data.year && vinInfo.modelYear && data.year !== vinInfo.modelYear) {
+          vinInfo.warnings.push(`Year ${data.year} does not match the VIN model year ${vinInfo.modelYear}`);
+        }
+      }
+    }
+
+    if (data.year && data.year > now.getFullYear() + 1) {
+      errors.push(`year cannot be later than ${now.getFullYear() + 1}`);
+    }
+
+    if (data.fuelType !== undefined && !VehicleRegistryService.FUEL_TYPES.includes(data.fuelType)) {
+      errors.push(`Invalid fuelType, expected one of ${VehicleRegistryService.FUEL_TYPES.join(', ')}: ${JSON.stringify(input.fuelType)}`);
+    }
+
+    const fuelType = data.fuelType ?? current?.fuelType;
+    const tankCapacityLitres = data.tankCapacityLitres !== undefined ? data.tankCapacityLitres : current?.tankCapacityLitres;
+    if (fuelType === 'ELECTRIC' && tankCapacityLitres) {
+      errors.push('Electric vehicles cannot have a fuel tank capacity');
+    }
+
+    // El odómetro solo avanza
+    if (data.odometerKm !== undefined && data.odometerKm !== null && current?.odometerKm > data.odometerKm) {
+      errors.push(`odometerKm cannot decrease (current: ${current.odometerKm})`);
+    }
+
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
+    }
+
+    return { data, vinInfo };
+  }
+
+  /**
+   * Busca otro vehículo con el mismo VIN o el mismo ID de telemetría del usuario
+   * @param {string} userId - ID del usuario
+   * @param {Object} data - Datos validados (ver parseVehicle)
+   * @param {string} excludeId - Vehículo que se está actualizando
+   * @returns {string|null} Mensaje del conflicto o null si no lo hay
+   */
+  static async findConflict(userId, data, excludeId = null) {
+    if (data.vin) {
+      const existing = await prisma.vehicle.findUnique({ where: { vin: data.vin } });
+      if (existing && existing.id !== excludeId) {
+        return `A vehicle with VIN ${data.vin} is already registered`;
+      }
+    }
+
+    if (data.externalId) {
+      const existing = await prisma.vehicle.findFirst({ where: { userId, externalId: data.externalId } });
+      if (existing && existing.id !== excludeId) {
+        return `A vehicle with external ID ${data.externalId} is already registered for this wallet`;
+      }
+    }
+
+    return null;
+  }
+
+  static async getUserVehicles(userId) {
+    return prisma.vehicle.findMany({
+      where: { userId },
+      orderBy: { createdAt: 'asc' }
+    });
+  }
+
+  static async getVehicle(vehicleId) {
+    return prisma.vehicle.findUnique({ where: { id: vehicleId } });
+  }
+
+  /**
+   * Vehículo de un usuario
+   * @param {string} userId - ID del usuario
+   * @param {string} vehicleId - ID del vehículo
+   * @returns {Object|null} Vehículo o null si no existe o es de otro usuario
+   */
+  static async getUserVehicle(userId, vehicleId) {
+    return prisma.vehicle.findFirst({ where: { id: vehicleId, userId } });
+  }
+
+  /**
+   * Vehículo registrado de una wallet
+   * @param {string} walletAddress - Wallet del propietario
+   * @param {string} vehicleId - ID del vehículo
+   * @returns {Object|null} Vehículo o null si no existe o es de otra wallet
+   */
+  static async getWalletVehicle(walletAddress, vehicleId) {
+    const user = await prisma.user.findUnique({ where: { walletAddress } });
+    return user ? VehicleRegistryService.getUserVehicle(user.id, vehicleId) : null;
+  }
+
+  /**
+   * Vehículo registrado al que corresponde el vehicle_id de la telemetría (ID externo o VIN)
+   * @param {string} userId - ID del usuario
+   * @param {string} label - vehicle_id de los datos
+   * @returns {Object|null} Vehículo o null si ninguno coincide
+   */
+  static async findByLabel(userId, label) {
+    if (!label) return null;
+
+    return prisma.vehicle.findFirst({
+      where: {
+        userId,
+        OR: [{ externalId: label }, { vin: VinDecoderService.normalize(label) }]
+      }
+    });
+  }
+
+  static async createVehicle(userId, data) {
+    return prisma.vehicle.create({ data: { ...data, userId } });
+  }
+
+  static async updateVehicle(vehicleId, data) {
+    return prisma.vehicle.update({ where: { id: vehicleId }, data });
+  }
+
+  /**
+   * Elimina un vehículo; sus simulaciones y listados se conservan sin vehículo asociado
+   * @param {string} vehicleId - ID del vehículo
+   */
+  static async deleteVehicle(vehicleId) {
+    return prisma.vehicle.delete({ where: { id: vehicleId } });
+  }
+}
+
+export default VehicleRegistryService;
@@ -0,0 +1,207 @@
+// VestingService.js
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new  PrismaClient();
+
+class VestingService {
+  // LINEAR: se libera de forma continua entre el inicio y el final
+  // CLIFF: no se libera nada hasta el final y entonces se libera todo
+  static TYPES = ['LINEAR', 'CLIFF'];
+
+  static MAX_DAYS = 3650;
+  static SCHEDULER_INTERVAL_MS = 15 * 60 * 1000;
+  static schedulerInterval = null;
+
+  /**
+   * Valida la configuración de vesting de una política de recompensas
+   * @param {Object} input - { portion, type, days }: parte de cada recompensa que se bloquea (0-1), tipo y duración
+   * @returns {Object|null} Configuración normalizada (null: sin vesting)
+   */
+  static parseVesting(input) {
+    if (input === undefined || input === null) return null;
+    if (typeof input !== 'object' || Array.isArray(input)) {
+      throw new Error('vesting must be an object');
+    }
+
+    const portion = Number(input.portion);
+    if (!Number.isFinite(portion) || portion <= 0 || portion > 1) {
+      throw new Error('vesting.portion must be greater than 0 and at most 1');
+    }
+
+    const type = String(input.type ?? 'LINEAR').toUpperCase();
+    if (!VestingService.TYPES.includes(type)) {
+      throw new Error(`Invalid vesting type, expected one of ${VestingService.TYPES.join(', ')}: ${JSON.stringify(input.type)}`);
+    }
+
+    const days = Number(input.days);
+    if (!Number.isFinite(days) || days <= 0 || days > VestingService.MAX_DAYS) {
+      throw new Error(`vesting.days must be between 0 and ${VestingService.MAX_DAYS}`);
+    }
+
+    return { portion, type, days };
+  }
+
+  /**
+   * Calendario de una recompensa según la configuración de vesting aplicable
+   * @param {number} amount - Recompensa total
+   * @param {Object} vesting - Configuración validada con parseVesting (null: sin vesting)
+   * @param {string} userId - Usuario beneficiario
+   * @param {Date} startsAt - Inicio del vesting
+   * @returns {Object} { lockedAmount, schedule } (schedule es null si no hay nada bloqueado)
+   */
+  static buildSchedule(amount, vesting, userId, startsAt = new Date()) {
+    if (!vesting) return { lockedAmount: 0, schedule: null };
+
+    const lockedAmount = parseFloat((amount * vesting.portion).toFixed(4));
+    if (lockedAmount <= 0) return { lockedAmount: 0, schedule: null };
+
+    return {
+      lockedAmount,
+      schedule: {
+        userId,
+        type: vesting.type,
+        totalAmount: lockedAmount,
+        startsAt,
+        endsAt: new Date(startsAt.getTime() + vesting.days * 24 * 60 * 60 * 1000)
+      }
+    };
+  }
+
+  /**
+   * Cantidad liberada de un calendario en un instante
+   * @param {Object} schedule - VestingSchedule
+   * @param {Date} now - Instante
+   * @returns {number} Cantidad liberada
+   */
+  static computeVested(schedule, now = new Date()) {
+    const start = new Date(schedule.startsAt).getTime();
+    const end = new Date(schedule.endsAt).getTime();
+    const time = now.getTime();
+
+    if (time >= end) return schedule.totalAmount;
+    if (schedule.type === 'CLIFF' || time <= start) return 0;
+
+    return parseFloat((schedule.totalAmount * (time - start) / (end - start)).toFixed(6));
+  }
+
+  /**
+   * Actualiza la cantidad liberada de los calendarios en curso (todos o los de un usuario)
+   * @param {string} userId - Usuario (opcional)
+   * @returns {number} Calendarios actualizados
+   */
+  static async releaseDue(userId = null) {
+    const now = new Date();
+    const schedules = await prisma.vestingSchedule.findMany({
+      where: { status: 'VESTING', ...(userId && { userId }) }
+    });
+
+    let updated = 0;
+    for (const schedule of schedules) {
+      const vestedAmount = VestingService.computeVested(schedule, now);
+      if (vestedAmount === schedule.vestedAmount) continue;
+
+      await prisma.vestingSchedule.update({
+        where: { id: schedule.id },
+        data: {
+          vestedAmount,
+          status: vestedAmount >= schedule.totalAmount ? 'VESTED' : 'VESTING',
+          lastReleasedAt: now
+        }
+      });
+      updated++;
+    }
+
+    return updated;
+  }
+
+  /**
+   * Calcula periódicamente las liberaciones de todos los calendarios
+   */
+  static startScheduler() {
+    if (VestingService.schedulerInterval) return;
+
+    VestingService.schedulerInterval = setInterval(() => {
+      VestingService.releaseDue().catch(error => {
+        console.error('❌ Error releasing vesting schedules:', error);
+      });
+    }, VestingService.SCHEDULER_INTERVAL_MS);
+  }
+
+  static stopScheduler() {
+    clearInterval(VestingService.schedulerInterval);
+    VestingService.schedulerInterval = null;
+  }
+
+  /**
+   * Resumen de vesting de un usuario
+   * @param {string} userId - Usuario
+   * @returns {Object} { schedules, totals } con cantidades liberadas, bloqueadas y reclamables
+   */
+  static async getUserSummary(userId) {
+    await VestingService.releaseDue(userId);
+
+    const schedules = await prisma.vestingSchedule.findMany({
+      where: { userId },
+      orderBy: { startsAt: 'desc' }
+    });
+
+    const round = value => parseFloat(value.toFixed(6));
+    const totals = schedules.reduce((sum, schedule) => ({
+      total: sum.total + schedule.totalAmount,
+      vested: sum.vested + schedule.vestedAmount,
+      locked: sum.locked + schedule.totalAmount - schedule.vestedAmount,
+      claimed: sum.claimed + schedule.claimedAmount,
+      claimable: sum.claimable + schedule.vestedAmount - schedule.claimedAmount
+    }), { total: 0, vested: 0, locked: 0, claimed: 0, claimable: 0 });
+
+    return {
+      schedules: schedules.map(schedule => ({
+        ...schedule,
+        lockedAmount: round(schedule.totalAmount - schedule.vestedAmount),
+        claimableAmount: round(schedule.vestedAmount - schedule.claimedAmount)
+      })),
+      totals: Object.fromEntries(Object.entries(totals).map(([key, value]) => [key, round(value)]))
+    };
+  }
+
+  /**
+   * Reclama lo liberado y aún no reclamado de todos los calendarios de un usuario
+   * Cada calendario se marca con un bloqueo optimista (claimedAmount no ha cambiado) y en la misma
+   * transacción se registra la recompensa que se liquidará (acuñación o epoch)
+   * @param {string} userId - Usuario
+   * @returns {Object|null} Reward PENDING con la cantidad reclamada (null si no hay nada que reclamar)
+   */
+  static async claimVested(userId) {
+    await VestingService.releaseDue(userId);
+
+    const schedules = await prisma.vestingSchedule.findMany({
+      where: { userId }
+    });
+    const claimable = schedules.filter(schedule => schedule.vestedAmount > schedule.claimedAmount);
+    if (claimable.length === 0) return null;
+
+    return prisma.$transaction(async (tx) => {
+      let amount = 0;
+      for (const schedule of claimable) {
+        const { count } = await tx.vestingSchedule.updateMany({
+          where: { id: schedule.id, claimedAmount: schedule.claimedAmount },
+          data: { claimedAmount: schedule.vestedAmount }
+        });
+        if (count === 1) amount += schedule.vestedAmount - schedule.claimedAmount;
+      }
+
+      amount = parseFloat(amount.toFixed(6));
+      if (amount <= 0) return null;
+
+      return tx.reward.create({
+        data: {
+          userId,
+          amount,
+          status: 'PENDING'
+        }
+      });
+    });
+  }
+}
+
+export default VestingService;
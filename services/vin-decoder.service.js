@@ -0,0 +1,208 @@
+// VinDecoderService.js
+
+class VinDecoderService {
+  // 17 caracteres alfanuméricos; I, O y Q no se usan para no confundirlos con 1 y 0
+  static VIN_REGEX = /^[A-HJ-NPR-Z0-9]{17}$/;
+
+  // Valor numérico de cada letra para el dígito de control (ISO 3779 / 49 CFR 565)
+  static TRANSLITERATION = {
+    A: 1, B: 2, C: 3, D: 4, E: 5, F: 6, G: 7, H: 8,
+    J: 1, K: 2, L: 3, M: 4, N: 5, P: 7, R: 9,
+    S: 2, T: 3, U: 4, V: 5, W: 6, X: 7, Y: 8, Z: 9
+  };
+
+  // Peso de cada posición; la novena es el propio dígito de control
+  static CHECK_DIGIT_WEIGHTS = [8, 7, 6, 5, 4, 3, 2, 10, 0, 9, 8, 7, 6, 5, 4, 3, 2];
+
+  // Códigos del año modelo (posición 10), que se repiten cada 30 años desde 1980
+  static MODEL_YEAR_CODES = 'ABCDEFGHJKLMNPRSTVWXY123456789';
+  static MODEL_YEAR_BASE = 1980;
+
+  // Región según el primer carácter del WMI
+  static REGIONS = [
+    { pattern: /^[A-H]/, region: 'Africa' },
+    { pattern: /^[J-R]/, region: 'Asia' },
+    { pattern: /^[S-Z]/, region: 'Europe' },
+    { pattern: /^[1-5]/, region: 'North America' },
+    { pattern: /^[6-7]/, region: 'Oceania' },
+    { pattern: /^[8-9]/, region: 'South America' }
+  ];
+
+  // Fabricantes (WMI) más habituales; los que no aparecen se decodifican sin marca
+  static MANUFACTURERS = {
+    '1C4': { make: 'Chrysler', country: 'United States' },
+    '1FA': { make: 'Ford', country: 'United States' },
+    '1FM': { make: 'Ford', country: 'United States' },
+    '1FT': { make: 'Ford', country: 'United States' },
+    '1G1': { make: 'Chevrolet', country: 'United States' },
+    '1G6': { make: 'Cadillac', country: 'United States' },
+    '1GC': { make: 'Chevrolet', country: 'United States' },
+    '1HG': { make: 'Honda', country: 'United States' },
+    '1J4': { make: 'Jeep', country: 'United States' },
+    '1N4': { make: 'Nissan', country: 'United States' },
+    '1VW': { make: 'Volkswagen', country: 'United States' },
+    '2HG': { make: 'Honda', country: 'Canada' },
+    '2T1': { make: 'Toyota', country: 'Canada' },
+    '3FA': { make: 'Ford', country: 'Mexico' },
+    '3VW': { make: 'Volkswagen', country: 'Mexico' },
+    '4T1': { make: 'Toyota', country: 'United States' },
+    '5UX': { make: 'BMW', country: 'United States' },
+    '5YJ': { make: 'Tesla', country: 'United States' },
+    '6T1': { make: 'Toyota', country: 'Australia' },
+    '9BW': { make: 'Volkswagen', country: 'Brazil' },
+    'JF1': { make: 'Subaru', country: 'Japan' },
+    'JHM': { make: 'Honda', country: 'Japan' },
+    'JM1': { make: 'Mazda', country: 'Japan' },
+    'JN1': { make: 'Nissan', country: 'Japan' },
+    'JTD': { make: 'Toyota', country: 'Japan' },
+    'JTE': { make: 'Toyota', country: 'Japan' },
+    'KMH': { make: 'Hyundai', country: 'South Korea' },
+    'KNA': { make: 'Kia', country: 'South Korea' },
+    'MA1': { make: 'Mahindra', country: 'India' },
+    'MA3': { make: 'Maruti Suzuki', country: 'India' },
+    'MAJ': { make: 'Ford', country: 'India' },
+    'MAL': { make: 'Hyundai', country: 'India' },
+    'MAT': { make: 'Tata', country: 'India' },
+    'MBJ': { make: 'Toyota', country: 'India' },
+    'SAJ': { make: 'Jaguar', country: 'United Kingdom' },
+    'SAL': { make: 'Land Rover', country: 'United Kingdom' },
+    'TRU': { make: 'Audi', country: 'Hungary' },
+    'VF1': { make: 'Renault', country: 'France' },
+    'VF3': { make: 'Peugeot', country: 'France' },
+    'VF7': { make: 'Citroën', country: 'France' },
+    'VSS': { make: 'SEAT', country: 'Spain' },
+    'WAU': { make: 'Audi', country: 'Germany' },
+    'WBA': { make: 'BMW', country: 'Germany' },
+    'WDD': { make: 'Mercedes-Benz', country: 'Germany' },
+    'WF0': { make: 'Ford', country: 'Germany' },
+    'WMW': { make: 'MINI', country: 'Germany' },
+    'WP0': { make: 'Porsche', country: 'Germany' },
+    'WVG': { make: 'Volkswagen', country: 'Germany' },
+    'WVW': { make: 'Volkswagen', country: 'Germany' },
+    'YV1': { make: 'Volvo', country: 'Sweden' },
+    'ZAR': { make: 'Alfa Romeo', country: 'Italy' },
+    'ZFA': { make: 'Fiat', country: 'Italy' },
+    'ZFF': { make: 'Ferrari', country: 'Italy' }
+  };
+
+  /**
+   * Normaliza un VIN (mayúsculas, sin espacios ni guiones)
+   * @param {string} vin - VIN recibido
+   * @returns {string} VIN normalizado
+   */
+  static normalize(vin) {
+    return String(vin ?? '').toUpperCase().replace(/[\s-]/g, '');
+  }
+
+  /**
+   * Calcula el dígito de control de un VIN
+   * @param {string} vin - VIN normalizado de 17 caracteres
+   * @returns {string} Dígito esperado en la posición 9 ("0"-"9" o "X")
+   */
+  static computeCheckDigit(vin) {
+    const sum = vin.split('').reduce((total, char, index) => {
+      const value = /[0-9]/.test(char) ? Number(char) : VinDecoderService.TRANSLITERATION[char];
+      return total + value * VinDecoderService.CHECK_DIGIT_WEIGHTS[index];
+    }, 0);
+
+    const remainder = sum % 11;
+    return remainder === 10 ? 'X' : String(remainder);
+  }
+
+  /**
+   * Años modelo posibles para el código de la posición 10
+   * En Norteamérica la posición 7 distingue el ciclo: letra desde 2010, dígito hasta 2009;
+   * en el resto se toma el año más reciente que no supere el próximo año modelo
+   * @param {string} vin - VIN normalizado
+   * @param {Date} now - Fecha de referencia
+   * @returns {number|null} Año modelo o null si el código no es válido
+   */
+  static decodeModelYear(vin, now = new Date()) {
+    const index = VinDecoderService.MODEL_YEAR_CODES.indexOf(vin[9]);
+    if (index === -1) return null;
+
+    const cycle = VinDecoderService.MODEL_YEAR_CODES.length;
+    const firstCycleYear = VinDecoderService.MODEL_YEAR_BASE + index;
+
+    if (/^[1-5]/.test(vin)) {
+      return /[A-Z]/.test(vin[6]) ? firstCycleYear + cycle : firstCycleYear;
+    }
+
+    const latestModelYear = now.getFullYear() + 1;
+    let year = firstCycleYear;
+    while (year + cycle <= latestModelYear) {
+      year += cycle;
+    }
+    return year;
+  }
+
+  /**
+   * Decodifica un VIN sin servicios externos: estructura, fabricante, año modelo y dígito de control
+   * El dígito de control solo es obligatorio en Norteamérica; en el resto su fallo es un aviso
+   * @param {string} vin - VIN
+   * @param {Object} options - Opciones
+   * @param {Date} options.now - Fecha de referencia para el año modelo (por defecto: ahora)
+   * @returns {Object} { vin, valid, errors, warnings, ... } con los campos decodificados si el formato es válido
+   */
+  static decode(vin, options = {}) {
+    const normalized = VinDecoderService.normalize(vin);
+
+    if (normalized.length !== 17) {
+      return { vin: normalized, valid: false, errors: [`VIN must have 17 characters, got ${normalized.length}`], warnings: [] };
+    }
+
+    if (!VinDecoderService.VIN_REGEX.test(normalized)) {
+      return { vin: normalized, valid: false, errors: ['VIN may only contain digits and letters other than I, O and Q'], warnings: [] };
+    }
+
+    const errors = [];
+    const warnings = [];
+
+    const wmi = normalized.slice(0, 3);
+    // Fabricantes pequeños (tercer carácter 9): el WMI continúa en las posiciones 12-14
+    const smallManufacturer = wmi[2] === '9';
+    const manufacturer = VinDecoderService.MANUFACTURERS[wmi] || null;
+    const region = VinDecoderService.REGIONS.find(({ pattern }) => pattern.test(normalized))?.region || null;
+
+    const expectedCheckDigit = VinDecoderService.computeCheckDigit(normalized);
+    const checkDigitRequired = /^[1-5]/.test(normalized);
+    const checkDigitValid = normalized[8] === expectedCheckDigit;
+    if (!checkDigitValid) {
+      const message = `Invalid check digit: expected ${expectedCheckDigit}, got ${normalized[8]}`;
+      (checkDigitRequired ? errors : warnings).push(message);
+    }
+
+    const modelYear = VinDecoderService.decodeModelYear(normalized, options.now);
+    if (modelYear === null) {
+      warnings.push(`Unknown model year code: ${normalized[9]}`);
+    }
+
+    if (!manufacturer) {
+      warnings.push(`Unknown manufacturer identifier: ${wmi}`);
+    }
+
+    return {
+      vin: normalized,
+      valid: errors.length === 0,
+      errors,
+      warnings,
+      wmi: smallManufacturer ? `${wmi}${normalized.slice(11, 14)}` : wmi,
+      vds: normalized.slice(3, 9),
+      vis: normalized.slice(9),
+      region,
+      country: manufacturer?.country || null,
+      make: manufacturer?.make || null,
+      modelYear,
+      plantCode: normalized[10],
+      serialNumber: smallManufacturer ? normalized.slice(14) : normalized.slice(11),
+      checkDigit: {
+        value: normalized[8],
+        expected: expectedCheckDigit,
+        valid: checkDigitValid,
+        required: checkDigitRequired
+      }
+    };
+  }
+}
+
+export default VinDecoderService;
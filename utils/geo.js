@@ -0,0 +1,135 @@
+// Geo.js
+
+class Geo {
+  // Radio medio de la Tierra en metros
+  static EARTH_RADIUS_M = 6371008.8;
+
+  // Alfabeto base32 de los geohash
+  static GEOHASH_ALPHABET = '0123456789bcdefghjkmnpqrstuvwxyz';
+
+  static toRadians(degrees) {
+    return degrees * Math.PI / 180;
+  }
+
+  static toDegrees(radians) {
+    return radians * 180 / Math.PI;
+  }
+
+  /**
+   * Distancia ortodrómica entre dos puntos (fórmula del haversine)
+   * @param {Object} from - Punto de origen { lat, lon }
+   * @param {Object} to - Punto de destino { lat, lon }
+   * @returns {number} Distancia en metros
+   */
+  static haversineDistance(from, to) {
+    const dLat = Geo.toRadians(to.lat - from.lat);
+    const dLon = Geo.toRadians(to.lon - from.lon);
+    const lat1 = Geo.toRadians(from.lat);
+    const lat2 = Geo.toRadians(to.lat);
+
+    const a = Math.sin(dLat / 2) ** 2 + Math.cos(lat1) * Math.cos(lat2) * Math.sin(dLon / 2) ** 2;
+    return 2 * Geo.EARTH_RADIUS_M * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  }
+
+  /**
+   * Rumbo inicial para ir de un punto a otro
+   * @param {Object} from - Punto de origen { lat, lon }
+   * @param {Object} to - Punto de destino { lat, lon }
+   * @returns {number} Rumbo en grados [0, 360), 0 = norte
+   */
+  static bearing(from, to) {
+    const lat1 = Geo.toRadians(from.lat);
+    const lat2 = Geo.toRadians(to.lat);
+    const dLon = Geo.toRadians(to.lon - from.lon);
+
+    const y = Math.sin(dLon) * Math.cos(lat2);
+    const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLon);
+    return (Geo.toDegrees(Math.atan2(y, x)) + 360) % 360;
+  }
+
+  /**
+   * Codifica una posición como geohash: cada carácter subdivide la celda en 32
+   * @param {number} lat - Latitud
+   * @param {number} lon - Longitud
+   * @param {number} precision - Número de caracteres
+   * @returns {string} Geohash
+   */
+  static encodeGeohash(lat, lon, precision) {
+    const latRange = [-90, 90];
+    const lonRange = [-180, 180];
+    let hash = '';
+    let bits = 0;
+    let value = 0;
+    let evenBit = true;
+
+    while (hash.length < precision) {
+      // Los bits alternan longitud (pares) y latitud (impares)
+      const range = evenBit ? lonRange : latRange;
+      const coordinate = evenBit ? lon : lat;
+      const mid = (range[0] + range[1]) / 2;
+
+      value <<= 1;
+      if (coordinate >= mid) {
+        value |= 1;
+        range[0] = mid;
+      } else {
+        range[1] = mid;
+      }
+      evenBit = !evenBit;
+
+      if (++bits === 5) {
+        hash += Geo.GEOHASH_ALPHABET[value];
+        bits = 0;
+        value = 0;
+      }
+    }
+    return hash;
+  }
+
+  /**
+   * Celda de un geohash
+   * @param {string} hash - Geohash
+   * @returns {Object} { lat, lon } del centro y tamaño { latDelta, lonDelta } de la celda en grados
+   */
+  static decodeGeohash(hash) {
+    const latRange = [-90, 90];
+    const lonRange = [-180, 180];
+    let evenBit = true;
+
+    for (const char of hash) {
+      const value = Geo.GEOHASH_ALPHABET.indexOf(char);
+      if (value < 0) throw new Error(`Invalid geohash character: ${char}`);
+
+      for (let bit = 4; bit >= 0; bit--) {
+        const range = evenBit ? lonRange : latRange;
+        const mid = (range[0] + range[1]) / 2;
+        if ((value >> bit) & 1) range[0] = mid;
+        else range[1] = mid;
+        evenBit = !evenBit;
+      }
+    }
+
+    return {
+      lat: (latRange[0] + latRange[1]) / 2,
+      lon: (lonRange[0] + lonRange[1]) / 2,
+      latDelta: latRange[1] - latRange[0],
+      lonDelta: lonRange[1] - lonRange[0]
+    };
+  }
+
+  /**
+   * Punto intermedio entre dos puntos cercanos (interpolación lineal, válida para tramos cortos)
+   * @param {Object} from - Punto de origen { lat, lon }
+   * @param {Object} to - Punto de destino { lat, lon }
+   * @param {number} fraction - Fracción del tramo [0, 1]
+   * @returns {Object} Punto { lat, lon }
+   */
+  static interpolate(from, to, fraction) {
+    return {
+      lat: from.lat + (to.lat - from.lat) * fraction,
+      lon: from.lon + (to.lon - from.lon) * fraction
+    };
+  }
+}
+
+export default Geo;
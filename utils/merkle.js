@@ -0,0 +1,100 @@
+// Merkle.js
+import crypto from 'crypto';
+
+class Merkle {
+  // Prefijos de dominio: una hoja nunca puede hacerse pasar por un nodo interno
+  static LEAF_PREFIX = Buffer.from([0x00]);
+  static NODE_PREFIX = Buffer.from([0x01]);
+
+  static sha256(...buffers) {
+    return crypto.createHash('sha256').update(Buffer.concat(buffers)).digest();
+  }
+
+  /**
+   * Hash de una hoja (wallet, cantidad)
+   * @param {string} walletAddress - Wallet del beneficiario
+   * @param {string|bigint} amountBaseUnits - Cantidad en la unidad mínima del token (entero)
+   * @returns {string} Hash en hexadecimal
+   */
+  static hashLeaf(walletAddress, amountBaseUnits) {
+    return Merkle.sha256(Merkle.LEAF_PREFIX, Buffer.from(`${walletAddress}:${BigInt(amountBaseUnits).toString()}`, 'utf8')).toString('hex');
+  }
+
+  /**
+   * Hash de un nodo interno; los hijos se ordenan para que la prueba no necesite indicar el lado
+   * @param {string} left - Hash hexadecimal
+   * @param {string} right - Hash hexadecimal
+   * @returns {string} Hash en hexadecimal
+   */
+  static hashPair(left, right) {
+    const [first, second] = left <= right ? [left, right] : [right, left];
+    return Merkle.sha256(Merkle.NODE_PREFIX, Buffer.from(first, 'hex'), Buffer.from(second, 'hex')).toString('hex');
+  }
+
+  /**
+   * Construye el árbol a partir de los hashes de las hojas
+   * Un nodo sin pareja sube al nivel siguiente sin volver a calcularse
+   * @param {Array} leafHashes - Hashes de las hojas en orden
+   * @returns {Array} Niveles del árbol, de las hojas (0) a la raíz
+   */
+  static buildTree(leafHashes) {
+    if (leafHashes.length === 0) {
+      throw new Error('Cannot build a Merkle tree without leaves');
+    }
+
+    const levels = [leafHashes];
+    while (levels[levels.length - 1].length > 1) {
+      const level = levels[levels.length - 1];
+      const next = [];
+      for (let i = 0; i < level.length; i += 2) {
+        next.push(i + 1 < level.length ? Merkle.hashPair(level[i], level[i + 1]) : level[i]);
+      }
+      levels.push(next);
+    }
+
+    return levels;
+  }
+
+  static getRoot(levels) {
+    return levels[levels.length - 1][0];
+  }
+
+  /**
+   * Prueba de inclusión de una hoja
+   * @param {Array} levels - Niveles de buildTree
+   * @param {number} index - Posición de la hoja
+   * @returns {Array} Hashes hermanos desde la hoja hasta la raíz
+   */
+  static getProof(levels, index) {
+    const proof = [];
+    let position = index;
+
+    for (let depth = 0; depth < levels.length - 1; depth++) {
+      const sibling = position % 2 === 0 ? position + 1 : position - 1;
+      if (sibling < levels[depth].length) {
+        proof.push(levels[depth][sibling]);
+      }
+      position = Math.floor(position / 2);
+    }
+
+    return proof;
+  }
+
+  /**
+   * Verificador local: comprueba que una hoja pertenece al árbol con la raíz indicada
+   * @param {string} leafHash - Hash de la hoja (ver hashLeaf)
+   * @param {Array} proof - Hashes hermanos (ver getProof)
+   * @param {string} root - Raíz esperada
+   * @returns {boolean} true si la prueba es válida
+   */
+  static verifyProof(leafHash, proof, root) {
+    if (!Array.isArray(proof) || !proof.every(hash => typeof hash === 'string' && /^[0-9a-f]{64}$/i.test(hash))) {
+      return false;
+    }
+
+    const computed = proof.reduce((hash, sibling) => Merkle.hashPair(hash, sibling.toLowerCase()), leafHash);
+    return computed === root;
+  }
+}
+
+export default Merkle;
@@ -0,0 +1,54 @@
+// SeededRandom.js
+import crypto from 'crypto';
+
+class SeededRandom {
+  /**
+   * Genera una semilla aleatoria para simulaciones que no indican una
+   * @returns {string} Semilla en hexadecimal
+   */
+  static generateSeed() {
+    return crypto.randomBytes(8).toString('hex');
+  }
+
+  /**
+   * Convierte una semilla de cualquier tipo en un entero de 32 bits (hash cyrb53 truncado)
+   * @param {string|number} seed - Semilla
+   * @returns {number} Estado inicial del generador
+   */
+  static hashSeed(seed) {
+    const str = String(seed);
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+
+    for (let i = 0; i < str.length; i++) {
+      const ch = str.charCodeAt(i);
+      h1 = Math.imul(h1 ^ ch, 2654435761);
+      h2 = Math.imul(h2 ^ ch, 1597334677);
+    }
+
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+
+    return (h1 ^ h2) >>> 0;
+  }
+
+  /**
+   * Crea un generador pseudoaleatorio determinista (mulberry32)
+   * Devuelve una función con la misma interfaz que Math.random
+   * @param {string|number} seed - Semilla
+   * @returns {Function} Generador de números en [0, 1)
+   */
+  static create(seed) {
+    let state = SeededRandom.hashSeed(seed);
+
+    return () => {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+}
+
+export default SeededRandom;